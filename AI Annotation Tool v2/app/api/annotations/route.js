@@ -8,27 +8,105 @@ import {
     updateAnnotationConfidence,
     deleteAnnotation,
     createAnnotation,
+    updateAnnotation,
+    deleteAnnotationById,
+    resolveAnnotationImage,
     getLabelIdByName
 } from '../../../lib/data-access/annotations.js';
 import { createLabel } from '../../../lib/data-access/labels.js';
+import {
+    resolveProjectScope,
+    getProjectErrorStatus,
+    getImageProject
+} from '../../../lib/data-access/projects.js';
+
+/**
+ * Check that the annotated image belongs to the ?project=ID of a request
+ * With an annotation ID the image is the annotation's; an image ID that does not match it is rejected
+ * @param {Request} request - Incoming request
+ * @param {number} [imageId] - Image of the request
+ * @param {number} [annotationId] - Annotation of the request
+ * @returns {Promise<boolean>} True when no project is given or the image is in it
+ * @throws {Error} If the image ID is not the image of the annotation
+ */
+async function isInProjectScope(request, imageId, annotationId) {
+    const scopedImageId = resolveAnnotationImage(imageId, annotationId);
+
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    if (!project) {
+        return true;
+    }
+
+    return getImageProject(scopedImageId)?.project_id === project.project_id;
+}
+
+/**
+ * Build the response for an error raised while resolving ?project
+ * @param {Error} error - Error thrown by the route
+ * @returns {NextResponse|undefined} Error response, or undefined if the error is not about the project
+ */
+function projectErrorResponse(error) {
+    const status = getProjectErrorStatus(error);
+    return status ? NextResponse.json({ success: false, error: error.message }, { status }) : undefined;
+}
+
+// Response for an image or annotation outside the requested project
+const NOT_IN_PROJECT = { success: false, error: 'Image not found in project' };
 
-// PATCH /api/annotations - Update annotation confidence
+// PATCH /api/annotations - Update annotation confidence, bounding box, polygon/mask geometry or attribute values
 export async function PATCH(request) {
     try {
-        const { imageId, labelName, confidence } = await request.json();
+        const { annotationId, imageId, labelName, confidence, bbox, geometry, attributes } = await request.json();
 
-        // Validate required fields
-        if (!imageId || !labelName || confidence === undefined) {
+        // Validate confidence range
+        if (confidence !== undefined && (confidence < 0 || confidence > 100)) {
             return NextResponse.json(
-                { success: false, error: 'imageId, labelName, and confidence are required' },
+                { success: false, error: 'Confidence must be between 0 and 100' },
                 { status: 400 }
             );
         }
 
-        // Validate confidence range
-        if (confidence < 0 || confidence > 100) {
+        if (!(await isInProjectScope(request, imageId, annotationId))) {
+            return NextResponse.json(NOT_IN_PROJECT, { status: 404 });
+        }
+
+        // Get user info from request headers (if available)
+        const userEmail = request.headers.get('x-user-email') || 'anonymous';
+
+        // Update a single annotation (used by the region editor)
+        if (annotationId) {
+            if (confidence === undefined && bbox === undefined && geometry === undefined && attributes === undefined) {
+                return NextResponse.json(
+                    { success: false, error: 'confidence, bbox, geometry or attributes is required' },
+                    { status: 400 }
+                );
+            }
+
+            const annotation = await updateAnnotation(annotationId, {
+                confidence: confidence !== undefined ? confidence / 100 : undefined,
+                region: bbox,
+                geometry,
+                attributes
+            }, userEmail);
+
+            if (!annotation) {
+                return NextResponse.json(
+                    { success: false, error: 'Annotation not found' },
+                    { status: 404 }
+                );
+            }
+
+            return NextResponse.json({
+                success: true,
+                data: annotation
+            });
+        }
+
+        // Validate required fields
+        if (!imageId || !labelName || confidence === undefined) {
             return NextResponse.json(
-                { success: false, error: 'Confidence must be between 0 and 100' },
+                { success: false, error: 'imageId, labelName, and confidence are required' },
                 { status: 400 }
             );
         }
@@ -36,9 +114,6 @@ export async function PATCH(request) {
         // Convert percentage to decimal
         const confidenceDecimal = confidence / 100;
 
-        // Get user info from request headers (if available)
-        const userEmail = request.headers.get('x-user-email') || 'anonymous';
-
         // Get label ID
         const labelId = getLabelIdByName(labelName);
         if (!labelId) {
@@ -49,7 +124,7 @@ export async function PATCH(request) {
         }
 
         // Update annotation with editor tracking
-        const annotation = updateAnnotationConfidence(imageId, labelId, confidenceDecimal, userEmail);
+        const annotation = await updateAnnotationConfidence(imageId, labelId, confidenceDecimal, userEmail);
 
         return NextResponse.json({
             success: true,
@@ -57,9 +132,15 @@ export async function PATCH(request) {
         });
     } catch (error) {
         console.error('Error updating annotation:', error);
+        const projectResponse = projectErrorResponse(error);
+        if (projectResponse) {
+            return projectResponse;
+        }
+        const status = error.message.includes('Invalid region') || error.message.includes('Invalid geometry') ||
+            error.message.includes('Invalid attributes') || error.message.includes('Invalid annotation') ? 400 : 500;
         return NextResponse.json(
             { success: false, error: 'Failed to update annotation', details: error.message },
-            { status: 500 }
+            { status }
         );
     }
 }
@@ -67,7 +148,28 @@ export async function PATCH(request) {
 // DELETE /api/annotations - Delete annotation
 export async function DELETE(request) {
     try {
-        const { imageId, labelName } = await request.json();
+        const { annotationId, imageId, labelName } = await request.json();
+
+        if (!(await isInProjectScope(request, imageId, annotationId))) {
+            return NextResponse.json(NOT_IN_PROJECT, { status: 404 });
+        }
+
+        // Delete a single annotation (e.g. one bounding box)
+        if (annotationId) {
+            const deleted = await deleteAnnotationById(annotationId);
+
+            if (!deleted) {
+                return NextResponse.json(
+                    { success: false, error: 'Annotation not found' },
+                    { status: 404 }
+                );
+            }
+
+            return NextResponse.json({
+                success: true,
+                message: 'Annotation deleted successfully'
+            });
+        }
 
         // Validate required fields
         if (!imageId || !labelName) {
@@ -87,7 +189,7 @@ export async function DELETE(request) {
         }
 
         // Delete annotation
-        const deleted = deleteAnnotation(imageId, labelId);
+        const deleted = await deleteAnnotation(imageId, labelId);
 
         if (!deleted) {
             return NextResponse.json(
@@ -102,17 +204,25 @@ export async function DELETE(request) {
         });
     } catch (error) {
         console.error('Error deleting annotation:', error);
+        const projectResponse = projectErrorResponse(error);
+        if (projectResponse) {
+            return projectResponse;
+        }
         return NextResponse.json(
             { success: false, error: 'Failed to delete annotation', details: error.message },
-            { status: 500 }
+            { status: error.message.includes('Invalid annotation') ? 400 : 500 }
         );
     }
 }
 
-// POST /api/annotations - Create new annotation
+// POST /api/annotations - Create new annotation (optionally with a bounding box, polygon or mask, and attribute values)
+// The settings of the image's project decide which shapes are allowed and whether a confidence is required
+// Existing labels must be in the project's vocabulary
 export async function POST(request) {
     try {
-        const { imageId, labelName, confidence = 100 } = await request.json();
+        const {
+            imageId, labelName, confidence, bbox = null, shapeType = null, geometry = null, attributes = null
+        } = await request.json();
 
         // Validate required fields
         if (!imageId || !labelName) {
@@ -123,29 +233,33 @@ export async function POST(request) {
         }
 
         // Validate confidence range
-        if (confidence < 0 || confidence > 100) {
+        if (confidence !== undefined && (confidence < 0 || confidence > 100)) {
             return NextResponse.json(
                 { success: false, error: 'Confidence must be between 0 and 100' },
                 { status: 400 }
             );
         }
 
-        // Convert percentage to decimal
-        const confidenceDecimal = confidence / 100;
+        if (!(await isInProjectScope(request, imageId))) {
+            return NextResponse.json(NOT_IN_PROJECT, { status: 404 });
+        }
+
+        // Convert percentage to decimal; without one the annotation gets full confidence unless the project requires it
+        const confidenceDecimal = confidence !== undefined ? confidence / 100 : null;
 
         // Get user info from request headers (if available)
         const userEmail = request.headers.get('x-user-email') || 'anonymous';
 
-        // Get or create label
+        // Get or create label; a new label joins the vocabulary of the image's project
         let labelId = getLabelIdByName(labelName);
         if (!labelId) {
-            // Create new label
-            const newLabel = createLabel({ label_name: labelName });
+            const newLabel = await createLabel({ label_name: labelName }, getImageProject(imageId)?.project_id);
             labelId = newLabel.label_id;
         }
 
         // Create annotation with creator tracking
-        const annotation = createAnnotation(imageId, labelId, confidenceDecimal, userEmail);
+        const shape = shapeType ? { type: shapeType, geometry } : null;
+        const annotation = await createAnnotation(imageId, labelId, confidenceDecimal, userEmail, bbox, shape, attributes);
 
         return NextResponse.json({
             success: true,
@@ -153,9 +267,17 @@ export async function POST(request) {
         }, { status: 201 });
     } catch (error) {
         console.error('Error creating annotation:', error);
+        const projectResponse = projectErrorResponse(error);
+        if (projectResponse) {
+            return projectResponse;
+        }
+        const status = error.message.includes('Invalid region') || error.message.includes('Invalid geometry') ||
+            error.message.includes('Invalid attributes') || error.message.includes('Invalid annotation') ? 400
+            : error.message.includes('already exists') ? 409
+                : 500;
         return NextResponse.json(
             { success: false, error: 'Failed to create annotation', details: error.message },
-            { status: 500 }
+            { status }
         );
     }
 }
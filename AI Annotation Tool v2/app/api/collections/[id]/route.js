@@ -0,0 +1,187 @@
+/**
+ * API route for managing individual collections (saved searches) by ID
+ * Handles GET, PUT, and DELETE operations
+ */
+
+import { NextResponse } from 'next/server';
+import { getCollectionById, updateCollection, deleteCollection } from '../../../../lib/data-access/collections.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+/**
+ * Check that a collection belongs to the ?project=ID of a request
+ * @param {Request} request - Incoming request
+ * @param {number} collectionId - Collection of the request
+ * @returns {Promise<boolean>} True when no project is given or the collection is in it
+ */
+async function isInProjectScope(request, collectionId) {
+  const { searchParams } = new URL(request.url);
+  const project = await resolveProjectScope(searchParams.get('project'));
+  if (!project) {
+    return true;
+  }
+
+  const collection = await getCollectionById(collectionId);
+  return Boolean(collection) && collection.project_id === project.project_id;
+}
+
+/**
+ * Build the response for an error raised while resolving ?project
+ * @param {Error} error - Error thrown by the route
+ * @returns {NextResponse|undefined} Error response, or undefined if the error is not about the project
+ */
+function projectErrorResponse(error) {
+  const status = getProjectErrorStatus(error);
+  return status ? NextResponse.json({ success: false, error: error.message }, { status }) : undefined;
+}
+
+// Response for a collection that does not exist or is outside the requested project
+const NOT_FOUND = { success: false, error: 'Collection not found' };
+
+// GET /api/collections/[id] - Get a specific collection with its current image count
+export async function GET(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const collectionId = parseInt(resolvedParams.id);
+
+    if (isNaN(collectionId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid collection ID' },
+        { status: 400 }
+      );
+    }
+
+    const collection = await isInProjectScope(request, collectionId) ? await getCollectionById(collectionId) : undefined;
+
+    if (!collection) {
+      return NextResponse.json(
+        { success: false, error: 'Collection not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch collection', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// PUT /api/collections/[id] - Rename a collection or change its filters
+export async function PUT(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const collectionId = parseInt(resolvedParams.id);
+
+    if (isNaN(collectionId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid collection ID' },
+        { status: 400 }
+      );
+    }
+
+    if (!(await isInProjectScope(request, collectionId))) {
+      return NextResponse.json(NOT_FOUND, { status: 404 });
+    }
+
+    const body = await request.json();
+
+    // Only allow updating specific fields
+    const allowedFields = ['name', 'description', 'search', 'label', 'query'];
+    const updateData = {};
+
+    for (const field of allowedFields) {
+      if (body && body[field] !== undefined) {
+        updateData[field] = body[field];
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'No valid fields to update' },
+        { status: 400 }
+      );
+    }
+
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+    const updatedCollection = await updateCollection(collectionId, updateData, userEmail);
+
+    if (!updatedCollection) {
+      return NextResponse.json(
+        { success: false, error: 'Collection not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: updatedCollection
+    });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
+    const status = error.message.includes('Invalid collection') || error.message.includes('Invalid query') ? 400
+      : error.message.includes('already exists') ? 409
+        : 500;
+    return NextResponse.json(
+      { success: false, error: 'Failed to update collection', details: error.message },
+      { status }
+    );
+  }
+}
+
+// DELETE /api/collections/[id] - Delete a collection (its images are kept)
+export async function DELETE(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const collectionId = parseInt(resolvedParams.id);
+
+    if (isNaN(collectionId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid collection ID' },
+        { status: 400 }
+      );
+    }
+
+    if (!(await isInProjectScope(request, collectionId))) {
+      return NextResponse.json(NOT_FOUND, { status: 404 });
+    }
+
+    const deleted = await deleteCollection(collectionId);
+
+    if (!deleted) {
+      return NextResponse.json(
+        { success: false, error: 'Collection not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Collection deleted successfully',
+      deletedId: collectionId
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
+    return NextResponse.json(
+      { success: false, error: 'Failed to delete collection', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * API route for managing collections (saved searches)
+ * Uses data access layer for database operations
+ */
+
+import { NextResponse } from 'next/server';
+import { getAllCollections, createCollection } from '../../../lib/data-access/collections.js';
+import { DEFAULT_PROJECT_ID, resolveProjectScope, getProjectErrorStatus } from '../../../lib/data-access/projects.js';
+
+// GET /api/collections - Get all collections with their current image counts, or those of ?project=ID
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    const collections = await getAllCollections(project?.project_id);
+
+    return NextResponse.json({
+      success: true,
+      data: collections
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch collections', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/collections - Save a search (search, label and/or query filters) as a collection
+// The collection searches the images of ?project=ID, or of the default project
+export async function POST(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+
+    const { name, description, search, label, query } = await request.json();
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+
+    const collection = await createCollection(
+      { name, description, search, label, query },
+      userEmail,
+      project?.project_id ?? DEFAULT_PROJECT_ID
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: collection
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
+    const status = error.message.includes('Invalid collection') || error.message.includes('Invalid query') ? 400
+      : error.message.includes('already exists') ? 409
+        : 500;
+    return NextResponse.json(
+      { success: false, error: 'Failed to create collection', details: error.message },
+      { status }
+    );
+  }
+}
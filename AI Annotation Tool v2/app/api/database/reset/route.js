@@ -5,20 +5,44 @@
 
 import { NextResponse } from 'next/server';
 import { run, exec } from '../../../../lib/database/connection.js';
+import { DEFAULT_PROJECT_ID, resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
 import fs from 'fs';
 import path from 'path';
 
 /**
  * POST /api/database/reset - Reset database with seed data
+ * With ?project=ID only that project's images, annotations and vocabulary are cleared and nothing is seeded
  */
 export async function POST(request) {
     try {
+        const { searchParams } = new URL(request.url);
+        const project = await resolveProjectScope(searchParams.get('project'));
+
+        if (project) {
+            await run('DELETE FROM annotations WHERE image_id IN (SELECT image_id FROM images WHERE project_id = ?)', [project.project_id]);
+            await run('DELETE FROM images WHERE project_id = ?', [project.project_id]);
+            await run('DELETE FROM project_labels WHERE project_id = ?', [project.project_id]);
+
+            console.log(`Project ${project.project_id} cleared`);
+
+            return NextResponse.json({
+                success: true,
+                message: `Project '${project.name}' cleared successfully`
+            });
+        }
+
         console.log('Starting database reset...');
 
         // Clear all existing data (in reverse order due to foreign key constraints)
         await run('DELETE FROM annotations');
         await run('DELETE FROM images');
         await run('DELETE FROM labels');
+        await run('DELETE FROM project_labels');
+        await run('DELETE FROM label_aliases');
+
+        // Only the default project remains
+        await run('DELETE FROM saved_searches WHERE project_id != ?', [DEFAULT_PROJECT_ID]);
+        await run('DELETE FROM projects WHERE project_id != ?', [DEFAULT_PROJECT_ID]);
 
         console.log('Existing data cleared');
 
@@ -45,6 +69,15 @@ export async function POST(request) {
 
     } catch (error) {
         console.error('Database reset failed:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
         return NextResponse.json(
             {
                 success: false,
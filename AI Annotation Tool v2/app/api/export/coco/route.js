@@ -0,0 +1,42 @@
+/**
+ * API route for exporting annotations as a COCO instances file
+ * Handles COCO JSON export with optional label, upload date, collection and project filters
+ */
+
+import { NextResponse } from 'next/server';
+import { buildCocoDataset, parseExportFilters, getExportErrorStatus } from '../../../../lib/data-access/exports.js';
+
+// GET /api/export/coco - Export annotations as COCO JSON
+export async function GET(request) {
+    try {
+        // Labels, upload dates, ?project=ID and ?collection=ID narrow the export
+        const filters = await parseExportFilters(request);
+
+        const dataset = await buildCocoDataset(filters);
+
+        // Create response with COCO JSON content
+        return new NextResponse(JSON.stringify(dataset), {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Disposition': `attachment; filename="annotations_coco_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json"`
+            }
+        });
+
+    } catch (error) {
+        console.error('Error exporting COCO:', error);
+
+        const filterStatus = getExportErrorStatus(error);
+        if (filterStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: filterStatus }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to export COCO', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -1,14 +1,80 @@
 /**
  * API route for exporting database as CSV
- * Handles CSV export of images and annotations data
+ * Handles CSV export of images and annotations data, either one row per image (wide) or one row per annotation (long)
+ * An export can be limited to the images of a collection (saved search) or of a project
  */
 
 import { NextResponse } from 'next/server';
 import { query } from '../../../../lib/database/connection';
+import { formatCsvRow } from '../../../../lib/utils/csv.js';
+import { buildCollectionFilter, resolveCollectionScope } from '../../../../lib/data-access/collections.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
 
-// GET /api/export/csv - Export database as CSV
+// Columns of the long layout: image fields repeated on every annotation row
+const LONG_HEADERS = [
+    'image_id',
+    'filename',
+    'original_name',
+    'file_path',
+    'file_size',
+    'mime_type',
+    'uploaded_at',
+    'image_created_by',
+    'image_last_edited_by',
+    'annotation_id',
+    'label_name',
+    'confidence',
+    'shape_type',
+    'bbox_x',
+    'bbox_y',
+    'bbox_width',
+    'bbox_height',
+    'geometry',
+    'keypoint_template',
+    'attributes',
+    'attribute_schema',
+    'created_by',
+    'last_edited_by',
+    'created_at'
+];
+
+// GET /api/export/csv - Export database as CSV (?format=long for one row per annotation, ?collection=ID for one collection,
+// ?project=ID for one project)
 export async function GET(request) {
     try {
+        const { searchParams } = new URL(request.url);
+        const format = searchParams.get('format') || 'wide';
+
+        if (!['wide', 'long'].includes(format)) {
+            return NextResponse.json(
+                { success: false, error: `Invalid format '${format}'. Use wide or long` },
+                { status: 400 }
+            );
+        }
+
+        const project = await resolveProjectScope(searchParams.get('project'));
+
+        const collectionParam = searchParams.get('collection');
+        const collection = await resolveCollectionScope(collectionParam);
+        if (collection === null) {
+            return NextResponse.json(
+                { success: false, error: `Collection not found: ${collectionParam}` },
+                { status: 404 }
+            );
+        }
+
+        // Conditions on images (aliased i) selecting the exported images
+        const { conditions, params } = collection ? buildCollectionFilter(collection) : { conditions: [], params: [] };
+        if (project) {
+            conditions.push('i.project_id = ?');
+            params.push(project.project_id);
+        }
+        const imageFilter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        if (format === 'long') {
+            return csvResponse(buildLongCsv(imageFilter, params), 'annotations_long');
+        }
+
         // Query to get all images with their annotations and labels
         const data = query(`
             SELECT 
@@ -26,11 +92,103 @@ export async function GET(request) {
                 GROUP_CONCAT(a.created_by) as annotation_creators,
                 GROUP_CONCAT(a.last_edited_by) as annotation_editors
             FROM images i
-            LEFT JOIN annotations a ON i.image_id = a.image_id
+            LEFT JOIN annotations a ON i.image_id = a.image_id AND a.shape_type = 'label'
             LEFT JOIN labels l ON a.label_id = l.label_id
+            ${imageFilter}
             GROUP BY i.image_id
             ORDER BY i.image_id
-        `);
+        `, params);
+
+        // Boxes, polygons, masks and keypoints are exported as JSON so their geometry survives a round trip
+        const shapeRows = query(`
+            SELECT
+                a.image_id,
+                a.confidence,
+                a.shape_type,
+                a.geometry,
+                a.bbox_x,
+                a.bbox_y,
+                a.bbox_width,
+                a.bbox_height,
+                a.created_by,
+                a.last_edited_by,
+                a.attributes,
+                l.label_name,
+                l.keypoint_template,
+                l.attribute_schema
+            FROM annotations a
+            JOIN labels l ON a.label_id = l.label_id
+            WHERE a.shape_type != 'label'
+                AND a.image_id IN (SELECT i.image_id FROM images i ${imageFilter})
+            ORDER BY a.image_id, a.annotation_id
+        `, params);
+
+        // Attribute values of image-level labels, keyed by label name, and the schemas of every label used on the image
+        const labelRows = query(`
+            SELECT
+                a.image_id,
+                a.attributes,
+                l.label_name,
+                l.attribute_schema
+            FROM annotations a
+            JOIN labels l ON a.label_id = l.label_id
+            WHERE a.shape_type = 'label'
+                AND (a.attributes IS NOT NULL OR l.attribute_schema IS NOT NULL)
+                AND a.image_id IN (SELECT i.image_id FROM images i ${imageFilter})
+            ORDER BY a.image_id, a.annotation_id
+        `, params);
+
+        const shapesByImage = {};
+        const entryFor = imageId => shapesByImage[imageId] ||
+            (shapesByImage[imageId] = { shapes: [], templates: {}, attributes: {}, schemas: {} });
+
+        labelRows.forEach(label => {
+            const entry = entryFor(label.image_id);
+            if (label.attributes) {
+                entry.attributes[label.label_name] = JSON.parse(label.attributes);
+            }
+            if (label.attribute_schema) {
+                entry.schemas[label.label_name] = JSON.parse(label.attribute_schema);
+            }
+        });
+
+        shapeRows.forEach(shape => {
+            const entry = entryFor(shape.image_id);
+            entry.shapes.push({
+                label: shape.label_name,
+                confidence: shape.confidence,
+                shape_type: shape.shape_type,
+                bbox: shape.bbox_x === null ? null : {
+                    x: shape.bbox_x,
+                    y: shape.bbox_y,
+                    width: shape.bbox_width,
+                    height: shape.bbox_height
+                },
+                geometry: shape.geometry ? JSON.parse(shape.geometry) : null,
+                attributes: shape.attributes ? JSON.parse(shape.attributes) : null,
+                created_by: shape.created_by,
+                last_edited_by: shape.last_edited_by
+            });
+
+            // Skeleton and attribute definitions travel with the rows that use them
+            if (shape.keypoint_template) {
+                entry.templates[shape.label_name] = JSON.parse(shape.keypoint_template);
+            }
+            if (shape.attribute_schema) {
+                entry.schemas[shape.label_name] = JSON.parse(shape.attribute_schema);
+            }
+        });
+
+        // Objects keyed by label name are left empty when they have no keys
+        const toJsonField = value => Object.keys(value).length > 0 ? JSON.stringify(value) : '';
+
+        data.forEach(row => {
+            const entry = shapesByImage[row.image_id];
+            row.shapes = entry && entry.shapes.length > 0 ? JSON.stringify(entry.shapes) : '';
+            row.keypoint_templates = entry ? toJsonField(entry.templates) : '';
+            row.label_attributes = entry ? toJsonField(entry.attributes) : '';
+            row.attribute_schemas = entry ? toJsonField(entry.schemas) : '';
+        });
 
         // Convert to CSV format
         const csvHeaders = [
@@ -46,50 +204,97 @@ export async function GET(request) {
             'labels',
             'confidences',
             'annotation_creators',
-            'annotation_editors'
+            'annotation_editors',
+            'shapes',
+            'keypoint_templates',
+            'label_attributes',
+            'attribute_schemas'
         ];
 
-        let csvContent = csvHeaders.join(',') + '\n';
+        // Fields are quoted only when needed so POST /api/import/csv reads back exactly the same values
+        let csvContent = formatCsvRow(csvHeaders) + '\n';
 
         data.forEach(row => {
-            const csvRow = csvHeaders.map(header => {
-                let value = row[header] || '';
-
-                // Handle special formatting for certain fields
-                if (header === 'labels' || header === 'confidences' ||
-                    header === 'annotation_creators' || header === 'annotation_editors') {
-                    // Wrap in quotes and escape internal quotes
-                    value = `"${String(value).replace(/"/g, '""')}"`;
-                } else {
-                    // Escape commas and quotes in other fields
-                    value = String(value).replace(/"/g, '""');
-                    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-                        value = `"${value}"`;
-                    }
-                }
-
-                return value;
-            });
-
-            csvContent += csvRow.join(',') + '\n';
-        });
-
-        // Create response with CSV content
-        const response = new NextResponse(csvContent, {
-            status: 200,
-            headers: {
-                'Content-Type': 'text/csv',
-                'Content-Disposition': `attachment; filename="annotations_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv"`
-            }
+            csvContent += formatCsvRow(csvHeaders.map(header => row[header])) + '\n';
         });
 
-        return response;
+        return csvResponse(csvContent, 'annotations');
 
     } catch (error) {
         console.error('Error exporting CSV:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
+        if (error.message.includes('Invalid collection ID')) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: 400 }
+            );
+        }
+
         return NextResponse.json(
             { success: false, error: 'Failed to export CSV', details: error.message },
             { status: 500 }
         );
     }
-}
\ No newline at end of file
+}
+
+// Helper function to build the long layout: one row per annotation, plus one row for each image without annotations
+function buildLongCsv(imageFilter = '', params = []) {
+    const rows = query(`
+        SELECT
+            i.image_id,
+            i.filename,
+            i.original_name,
+            i.file_path,
+            i.file_size,
+            i.mime_type,
+            i.uploaded_at,
+            i.created_by as image_created_by,
+            i.last_edited_by as image_last_edited_by,
+            a.annotation_id,
+            l.label_name,
+            a.confidence,
+            a.shape_type,
+            a.bbox_x,
+            a.bbox_y,
+            a.bbox_width,
+            a.bbox_height,
+            a.geometry,
+            CASE WHEN a.shape_type = 'keypoints' THEN l.keypoint_template END as keypoint_template,
+            a.attributes,
+            l.attribute_schema,
+            a.created_by,
+            a.last_edited_by,
+            a.created_at
+        FROM images i
+        LEFT JOIN annotations a ON i.image_id = a.image_id
+        LEFT JOIN labels l ON a.label_id = l.label_id
+        ${imageFilter}
+        ORDER BY i.image_id, a.annotation_id
+    `, params);
+
+    let csvContent = formatCsvRow(LONG_HEADERS) + '\n';
+    rows.forEach(row => {
+        csvContent += formatCsvRow(LONG_HEADERS.map(header => row[header])) + '\n';
+    });
+
+    return csvContent;
+}
+
+// Helper function to send CSV content as a timestamped file download
+function csvResponse(csvContent, filenamePrefix) {
+    return new NextResponse(csvContent, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/csv',
+            'Content-Disposition': `attachment; filename="${filenamePrefix}_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.csv"`
+        }
+    });
+}
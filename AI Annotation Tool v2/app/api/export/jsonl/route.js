@@ -0,0 +1,44 @@
+/**
+ * API route for backing up the database as JSON Lines
+ * Streams a labels header record followed by one record per image with its annotations and audit fields
+ */
+
+import { NextResponse } from 'next/server';
+import { Readable } from 'stream';
+import { generateJsonlBackup } from '../../../../lib/data-access/backups.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// GET /api/export/jsonl - Export a full-fidelity JSON Lines backup, or one project's with ?project=ID
+export async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const project = await resolveProjectScope(searchParams.get('project'));
+
+        // Byte mode turns the generated lines into the Uint8Array chunks a response body needs
+        const stream = Readable.toWeb(Readable.from(generateJsonlBackup({ projectId: project?.project_id }), { objectMode: false }));
+
+        return new NextResponse(stream, {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/x-ndjson',
+                'Content-Disposition': `attachment; filename="annotations_backup_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.jsonl"`
+            }
+        });
+
+    } catch (error) {
+        console.error('Error exporting JSONL backup:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to export JSONL backup', details: error.message },
+            { status: 500 }
+        );
+    }
+}
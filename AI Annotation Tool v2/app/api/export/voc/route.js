@@ -0,0 +1,46 @@
+/**
+ * API route for exporting annotations as a Pascal VOC dataset archive
+ * Streams a zip with labels.txt, one XML annotation file per image and optionally the images themselves
+ */
+
+import { NextResponse } from 'next/server';
+import { generateVocEntries, parseExportFilters, getExportErrorStatus } from '../../../../lib/data-access/exports.js';
+import { createZipStream } from '../../../../lib/utils/zip.js';
+
+// GET /api/export/voc - Export annotations as a Pascal VOC zip archive
+export async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const includeImages = searchParams.get('includeImages') === 'true';
+
+        // Labels, upload dates, ?project=ID and ?collection=ID narrow the export
+        const filters = await parseExportFilters(request);
+
+        // The archive is written while it is sent, one image at a time
+        const stream = createZipStream(generateVocEntries(filters, { includeImages }));
+
+        return new NextResponse(stream, {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="annotations_voc_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.zip"`
+            }
+        });
+
+    } catch (error) {
+        console.error('Error exporting VOC:', error);
+
+        const filterStatus = getExportErrorStatus(error);
+        if (filterStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: filterStatus }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to export VOC', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * API route for exporting annotations as a YOLO dataset archive
+ * Streams a zip with classes.txt, one label file per image and optionally the images themselves
+ */
+
+import { NextResponse } from 'next/server';
+import { generateYoloEntries, parseExportFilters, getExportErrorStatus } from '../../../../lib/data-access/exports.js';
+import { createZipStream } from '../../../../lib/utils/zip.js';
+
+// GET /api/export/yolo - Export annotations as a YOLO zip archive
+export async function GET(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const includeImages = searchParams.get('includeImages') === 'true';
+
+        // Labels, upload dates, ?project=ID and ?collection=ID narrow the export
+        const filters = await parseExportFilters(request);
+
+        // The archive is written while it is sent, one image at a time
+        const stream = createZipStream(generateYoloEntries(filters, { includeImages }));
+
+        return new NextResponse(stream, {
+            status: 200,
+            headers: {
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="annotations_yolo_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.zip"`
+            }
+        });
+
+    } catch (error) {
+        console.error('Error exporting YOLO:', error);
+
+        const filterStatus = getExportErrorStatus(error);
+        if (filterStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: filterStatus }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to export YOLO', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * API route for serving files kept by the local storage backend
+ * File paths stored as /api/files/<folder>/<file> resolve to the storage root configured in lib/database/config.js
+ */
+
+import { NextResponse } from 'next/server';
+import { getLocalStorage } from '../../../../lib/storage/index.js';
+
+// GET /api/files/[...path] - Download a locally stored file
+export async function GET(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const key = (resolvedParams.path || []).join('/');
+
+    const file = await getLocalStorage().read(key);
+
+    if (!file) {
+      return NextResponse.json(
+        { success: false, error: 'File not found' },
+        { status: 404 }
+      );
+    }
+
+    return new NextResponse(file.data, {
+      status: 200,
+      headers: {
+        'Content-Type': file.mimeType,
+        'Content-Length': String(file.data.length),
+        // Stored file names include their upload timestamp, so content never changes
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error serving file:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to serve file', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -5,9 +5,33 @@
 
 import { NextResponse } from 'next/server';
 import { getImageById, updateImage, deleteImage } from '../../../../lib/data-access/images.js';
-import { deleteFromFirebase, extractFilenameFromUrl } from '../../../../lib/utils/firebase-storage.js';
+import { getStorage } from '../../../../lib/storage/index.js';
+import { deleteThumbnails } from '../../../../lib/utils/thumbnails.js';
+import { resolveProjectScope, getProjectErrorStatus, moveImagesToProject } from '../../../../lib/data-access/projects.js';
 
-// GET /api/images/[id] - Get a specific image by ID
+/**
+ * Check that an image belongs to the ?project=ID of a request
+ * @param {Request} request - Incoming request
+ * @param {Object|undefined} image - Image record
+ * @returns {Promise<boolean>} True when the image exists and no project is given or the image is in it
+ */
+async function isInProjectScope(request, image) {
+  const { searchParams } = new URL(request.url);
+  const project = await resolveProjectScope(searchParams.get('project'));
+  return Boolean(image) && (!project || image.project_id === project.project_id);
+}
+
+/**
+ * Build the response for an error raised while resolving a project
+ * @param {Error} error - Error thrown by the route
+ * @returns {NextResponse|undefined} Error response, or undefined if the error is not about a project
+ */
+function projectErrorResponse(error) {
+  const status = getProjectErrorStatus(error) || (error.message.includes('Project not found') ? 404 : undefined);
+  return status ? NextResponse.json({ success: false, error: error.message }, { status }) : undefined;
+}
+
+// GET /api/images/[id] - Get a specific image by ID (with ?project=ID, only if the image is in that project)
 export async function GET(request, { params }) {
   try {
     const resolvedParams = await params;
@@ -22,7 +46,7 @@ export async function GET(request, { params }) {
 
     const image = await getImageById(imageId);
 
-    if (!image) {
+    if (!(await isInProjectScope(request, image))) {
       return NextResponse.json(
         { success: false, error: 'Image not found' },
         { status: 404 }
@@ -35,6 +59,10 @@ export async function GET(request, { params }) {
     });
   } catch (error) {
     console.error('Error fetching image:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
     return NextResponse.json(
       { success: false, error: 'Failed to fetch image', details: error.message },
       { status: 500 }
@@ -43,6 +71,7 @@ export async function GET(request, { params }) {
 }
 
 // PUT /api/images/[id] - Update image metadata and labels
+// project_id moves the image to another project
 export async function PUT(request, { params }) {
   try {
     const resolvedParams = await params;
@@ -75,14 +104,35 @@ export async function PUT(request, { params }) {
       }
     }
 
-    if (Object.keys(updateData).length === 0) {
+    const moveTo = body.project_id;
+    if (moveTo !== undefined && (!Number.isInteger(moveTo) || moveTo < 1)) {
+      return NextResponse.json(
+        { success: false, error: 'project_id must be a positive integer' },
+        { status: 400 }
+      );
+    }
+
+    if (Object.keys(updateData).length === 0 && moveTo === undefined) {
       return NextResponse.json(
         { success: false, error: 'No valid fields to update' },
         { status: 400 }
       );
     }
 
-    const updatedImage = await updateImage(imageId, updateData);
+    if (!(await isInProjectScope(request, await getImageById(imageId)))) {
+      return NextResponse.json(
+        { success: false, error: 'Image not found' },
+        { status: 404 }
+      );
+    }
+
+    if (moveTo !== undefined) {
+      await moveImagesToProject([imageId], moveTo);
+    }
+
+    const updatedImage = Object.keys(updateData).length > 0
+      ? await updateImage(imageId, updateData)
+      : await getImageById(imageId);
 
     if (!updatedImage) {
       return NextResponse.json(
@@ -97,6 +147,10 @@ export async function PUT(request, { params }) {
     });
   } catch (error) {
     console.error('Error updating image:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
     return NextResponse.json(
       { success: false, error: 'Failed to update image', details: error.message },
       { status: 500 }
@@ -104,7 +158,7 @@ export async function PUT(request, { params }) {
   }
 }
 
-// DELETE /api/images/[id] - Delete image record and file from Firebase Storage
+// DELETE /api/images/[id] - Delete image record and its stored file (with ?project=ID, only if the image is in that project)
 export async function DELETE(request, { params }) {
   try {
     const resolvedParams = await params;
@@ -117,10 +171,10 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    // Get image details before deletion to extract Firebase Storage path
+    // Get image details before deletion to find the stored file
     const image = await getImageById(imageId);
 
-    if (!image) {
+    if (!(await isInProjectScope(request, image))) {
       return NextResponse.json(
         { success: false, error: 'Image not found' },
         { status: 404 }
@@ -131,16 +185,16 @@ export async function DELETE(request, { params }) {
     const authHeader = request.headers.get('Authorization');
     const token = authHeader?.replace('Bearer ', '');
 
-    // Delete from Firebase Storage if URL exists and token is provided
-    if (image.file_path && token) {
+    // Delete the stored file and its thumbnails; Firebase deletions need the caller's token
+    const storage = getStorage();
+    if (image.file_path && (token || storage.name !== 'firebase')) {
       try {
-        // Extract filename from URL if it's a Firebase URL
-        const filename = extractFilenameFromUrl(image.file_path) || image.filename;
-        await deleteFromFirebase(filename, token);
+        await storage.delete(image.file_path, { token });
       } catch (storageError) {
-        console.warn('Failed to delete from Firebase Storage:', storageError.message);
+        console.warn('Failed to delete stored file:', storageError.message);
         // Continue with database deletion even if storage deletion fails
       }
+      await deleteThumbnails(image, { token });
     }
 
     // Delete from database (this cascades to annotations)
@@ -160,6 +214,10 @@ export async function DELETE(request, { params }) {
     });
   } catch (error) {
     console.error('Error deleting image:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
     return NextResponse.json(
       { success: false, error: 'Failed to delete image', details: error.message },
       { status: 500 }
@@ -0,0 +1,155 @@
+/**
+ * API route for batch image uploads
+ * Each file is stored and recorded on its own, so one bad file does not undo the others; the response reports every file
+ */
+
+import { NextResponse } from 'next/server';
+import { validateImageType, validateFileSize } from '../../../../lib/utils/firebase-storage.js';
+import { DUPLICATE_POLICIES } from '../../../../lib/data-access/duplicates.js';
+import { resolveDuplicatePolicy, createImageFromUpload } from '../../../../lib/data-access/uploads.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// Most files accepted in one request; larger selections are sent as several batches
+const MAX_BATCH_FILES = 50;
+
+// Parse a JSON labels field ([{ name, confidence }]); anything else counts as no labels
+function parseLabels(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value.filter(label => label && typeof label.name === 'string' && label.name.trim() !== '');
+}
+
+// Parse a JSON form field, returning null when it is missing
+function parseJsonField(formData, name) {
+  const value = formData.get(name);
+  if (!value || value.toString().trim() === '') {
+    return null;
+  }
+  return JSON.parse(value.toString());
+}
+
+// POST /api/images/batch - Upload several images with shared labels and optional per-file labels
+// The images are added to ?project=ID, or the default project
+export async function POST(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const formData = await request.formData();
+    const files = formData.getAll('images').filter(file => typeof file === 'object' && file !== null);
+
+    if (files.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'No image files provided' },
+        { status: 400 }
+      );
+    }
+
+    if (files.length > MAX_BATCH_FILES) {
+      return NextResponse.json(
+        { success: false, error: `Too many files. At most ${MAX_BATCH_FILES} images can be uploaded per batch` },
+        { status: 413 }
+      );
+    }
+
+    const duplicatePolicy = resolveDuplicatePolicy(formData.get('onDuplicate'));
+    if (!duplicatePolicy) {
+      return NextResponse.json(
+        { success: false, error: `Invalid onDuplicate. Allowed values: ${DUPLICATE_POLICIES.join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    // Shared labels apply to every file; fileLabels[i], when set, replaces them for file i
+    let sharedLabels;
+    let fileLabels;
+    try {
+      sharedLabels = parseLabels(parseJsonField(formData, 'labels'));
+      fileLabels = parseJsonField(formData, 'fileLabels') || [];
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: `Invalid labels JSON: ${parseError.message}` },
+        { status: 400 }
+      );
+    }
+
+    if (!Array.isArray(fileLabels)) {
+      return NextResponse.json(
+        { success: false, error: 'fileLabels must be an array with one entry per file' },
+        { status: 400 }
+      );
+    }
+
+    const project = await resolveProjectScope(searchParams.get('project') || formData.get('project'));
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+
+    const results = [];
+    for (const [index, file] of files.entries()) {
+      const entry = { index, original_name: file.name };
+
+      if (!validateImageType(file.type)) {
+        results.push({ ...entry, status: 'failed', error: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP' });
+        continue;
+      }
+
+      if (!validateFileSize(file.size)) {
+        results.push({ ...entry, status: 'failed', error: 'File size exceeds 10MB limit' });
+        continue;
+      }
+
+      const labels = Array.isArray(fileLabels[index]) ? parseLabels(fileLabels[index]) : sharedLabels;
+
+      try {
+        const result = await createImageFromUpload(
+          Buffer.from(await file.arrayBuffer()),
+          { fileName: file.name, mimeType: file.type, fileSize: file.size },
+          labels,
+          { userEmail, token, duplicatePolicy, projectId: project?.project_id }
+        );
+
+        results.push({
+          ...entry,
+          status: result.status,
+          data: result.image,
+          ...(result.duplicate ? { duplicate: result.duplicate } : {}),
+          duplicates: result.duplicates
+        });
+      } catch (uploadError) {
+        console.error(`Batch upload of ${file.name} failed:`, uploadError);
+        // Storage and database errors may pass on a later try, unlike invalid files and labels the project does not allow
+        results.push({
+          ...entry,
+          status: 'failed',
+          error: uploadError.message,
+          retryable: !uploadError.message.includes('Invalid annotation')
+        });
+      }
+    }
+
+    const summary = { total: results.length, created: 0, linked: 0, rejected: 0, failed: 0 };
+    for (const result of results) {
+      summary[result.status]++;
+    }
+
+    // 207 Multi-Status: the batch was processed, but not every file was saved
+    return NextResponse.json({
+      success: true,
+      data: { results, summary }
+    }, { status: summary.failed > 0 || summary.rejected > 0 ? 207 : 201 });
+  } catch (error) {
+    console.error('Error uploading image batch:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, error: 'Failed to upload images', details: error.message },
+      { status: 500 }
+    );
+  }
+}
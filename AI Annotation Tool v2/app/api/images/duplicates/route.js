@@ -0,0 +1,144 @@
+/**
+ * API route for duplicate images
+ * Reports groups of exact and near-duplicate images and merges a group into one image with all its annotations
+ */
+
+import { NextResponse } from 'next/server';
+import { findDuplicateGroups, mergeDuplicateImages, resolveThreshold } from '../../../../lib/data-access/duplicates.js';
+import { getImageById } from '../../../../lib/data-access/images.js';
+import { getStorage } from '../../../../lib/storage/index.js';
+import { deleteThumbnails } from '../../../../lib/utils/thumbnails.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// GET /api/images/duplicates - Group images whose perceptual hashes differ by at most threshold bits
+// With ?project=ID only that project's images are compared
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    let threshold;
+    try {
+      threshold = resolveThreshold(searchParams.get('threshold'));
+    } catch (validationError) {
+      return NextResponse.json(
+        { success: false, error: validationError.message },
+        { status: 400 }
+      );
+    }
+
+    const project = await resolveProjectScope(searchParams.get('project'));
+    const report = await findDuplicateGroups({ threshold, projectId: project?.project_id });
+
+    return NextResponse.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error finding duplicate images:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, error: 'Failed to find duplicate images', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/images/duplicates - Merge images into keep_id, moving their annotations and deleting them
+// Only images of the same project can be merged; ?project=ID requires that project
+export async function POST(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+
+    const { keep_id, merge_ids } = await request.json();
+
+    if (!Number.isInteger(keep_id) || !Array.isArray(merge_ids) || merge_ids.length === 0 || !merge_ids.every(Number.isInteger)) {
+      return NextResponse.json(
+        { success: false, error: 'keep_id and a non-empty merge_ids array of image IDs are required' },
+        { status: 400 }
+      );
+    }
+
+    if (merge_ids.includes(keep_id)) {
+      return NextResponse.json(
+        { success: false, error: 'keep_id cannot be one of the merged images' },
+        { status: 400 }
+      );
+    }
+
+    const kept = await getImageById(keep_id);
+    if (!kept || (project && kept.project_id !== project.project_id)) {
+      return NextResponse.json(
+        { success: false, error: 'Image not found' },
+        { status: 404 }
+      );
+    }
+
+    let result;
+    try {
+      result = await mergeDuplicateImages(keep_id, merge_ids, {
+        userEmail: request.headers.get('x-user-email') || 'anonymous',
+        projectId: project?.project_id
+      });
+    } catch (mergeError) {
+      if (mergeError.message.includes('another project')) {
+        return NextResponse.json(
+          { success: false, error: mergeError.message },
+          { status: 400 }
+        );
+      }
+      if (mergeError.message.includes('not found')) {
+        return NextResponse.json(
+          { success: false, error: mergeError.message },
+          { status: 404 }
+        );
+      }
+      throw mergeError;
+    }
+
+    // Delete the stored files of the merged images; Firebase deletions need the caller's token
+    const token = request.headers.get('Authorization')?.replace('Bearer ', '');
+    const storage = getStorage();
+    if (token || storage.name !== 'firebase') {
+      for (const image of result.merged) {
+        // Records registered for the same stored file share it with the kept image
+        if (image.file_path && image.file_path !== kept.file_path) {
+          try {
+            await storage.delete(image.file_path, { token });
+          } catch (storageError) {
+            console.warn('Failed to delete stored file:', storageError.message);
+          }
+        }
+        await deleteThumbnails(image, { token });
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error merging duplicate images:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
+    return NextResponse.json(
+      { success: false, error: 'Failed to merge duplicate images', details: error.message },
+      { status: 500 }
+    );
+  }
+}
@@ -1,128 +1,114 @@
 /**
  * API route for managing images
- * Uses better-sqlite3 directly and integrates with Firebase Storage via Vercel API
+ * Lists images a page at a time through lib/data-access/images.js; uploads are stored and recorded through lib/data-access/uploads.js
  */
 
 import { NextResponse } from 'next/server';
-import Database from 'better-sqlite3';
-import path from 'path';
-import { uploadToFirebase, validateImageType, validateFileSize } from '../../../lib/utils/firebase-storage';
-
-// Initialize database connection
-function getDatabase() {
-  const dbPath = path.join(process.cwd(), 'database', 'annotations.db');
-  const db = new Database(dbPath);
-
-  // Enable foreign keys
-  db.pragma('foreign_keys = ON');
-
-  return db;
+import { validateImageType, validateFileSize } from '../../../lib/utils/firebase-storage';
+import { getStorage } from '../../../lib/storage/index.js';
+import { listImages } from '../../../lib/data-access/images.js';
+import { DUPLICATE_POLICIES } from '../../../lib/data-access/duplicates.js';
+import { resolveDuplicatePolicy, createImageFromUpload, registerStoredImage } from '../../../lib/data-access/uploads.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../lib/data-access/projects.js';
+
+// Build the response for an error raised while resolving ?project, or undefined for other errors
+function projectErrorResponse(error) {
+  const status = getProjectErrorStatus(error);
+  return status ? NextResponse.json({ success: false, error: error.message }, { status }) : undefined;
 }
 
-// GET /api/images - Get all images with their annotations
+// GET /api/images - Get a page of images with their labels (page, or cursor for keyset pagination; q filters with the query language)
+// ?project=ID lists one project's images
 export async function GET(request) {
-  let db;
   try {
     const { searchParams } = new URL(request.url);
-    const page = parseInt(searchParams.get('page')) || 1;
-    const limit = parseInt(searchParams.get('limit')) || 10;
     const search = searchParams.get('search') || '';
     const labelFilter = searchParams.get('label') || '';
-
-    db = getDatabase();
-
-    // Build dynamic query based on filters
-    let baseQuery = `
-      SELECT 
-        i.*,
-        GROUP_CONCAT(l.label_name) as labels,
-        GROUP_CONCAT(a.confidence) as confidences
-      FROM images i
-      LEFT JOIN annotations a ON i.image_id = a.image_id
-      LEFT JOIN labels l ON a.label_id = l.label_id
-    `;
-
-    let whereConditions = [];
-    let queryParams = [];
-
-    // Add search filter (search in image name/filename)
-    if (search.trim()) {
-      whereConditions.push(`(i.original_name LIKE ? OR i.filename LIKE ?)`);
-      const searchPattern = `%${search.trim()}%`;
-      queryParams.push(searchPattern, searchPattern);
-    }
-
-    // Add label filter
-    if (labelFilter.trim()) {
-      whereConditions.push(`i.image_id IN (
-        SELECT DISTINCT a2.image_id 
-        FROM annotations a2 
-        JOIN labels l2 ON a2.label_id = l2.label_id 
-        WHERE l2.label_name = ?
-      )`);
-      queryParams.push(labelFilter.trim());
-    }
-
-    // Add WHERE clause if we have conditions
-    if (whereConditions.length > 0) {
-      baseQuery += ` WHERE ${whereConditions.join(' AND ')}`;
+    const queryText = searchParams.get('q') || '';
+    const project = await resolveProjectScope(searchParams.get('project'));
+
+    let result;
+    try {
+      result = await listImages({
+        page: searchParams.get('page'),
+        limit: searchParams.get('limit'),
+        cursor: searchParams.get('cursor'),
+        search,
+        label: labelFilter,
+        q: queryText,
+        projectId: project?.project_id
+      });
+    } catch (listError) {
+      if (listError.message.includes('Invalid cursor')) {
+        return NextResponse.json(
+          { success: false, error: 'Invalid cursor' },
+          { status: 400 }
+        );
+      }
+      if (listError.message.includes('Invalid query')) {
+        return NextResponse.json(
+          { success: false, error: listError.message.slice(listError.message.indexOf('Invalid query')) },
+          { status: 400 }
+        );
+      }
+      throw listError;
     }
 
-    baseQuery += ` GROUP BY i.image_id ORDER BY i.uploaded_at DESC`;
-
-    // Execute query with parameters
-    const allImages = queryParams.length > 0
-      ? db.prepare(baseQuery).all(...queryParams)
-      : db.prepare(baseQuery).all();
-
-    // Process the results to format labels properly
-    const processedImages = allImages.map(image => ({
-      ...image,
-      id: image.image_id, // Add id field for compatibility
-      labels: image.labels ? image.labels.split(',') : [],
-      confidences: image.confidences ? image.confidences.split(',').map(Number) : [],
-      label_count: image.labels ? image.labels.split(',').length : 0
-    }));
-
-    // Calculate pagination
-    const totalImages = processedImages.length;
-    const totalPages = Math.ceil(totalImages / limit);
-    const offset = (page - 1) * limit;
-    const paginatedImages = processedImages.slice(offset, offset + limit);
-
     return NextResponse.json({
       success: true,
-      data: paginatedImages,
-      pagination: {
-        page,
-        limit,
-        totalImages,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      },
+      data: result.images,
+      pagination: result.pagination,
       filters: {
         search: search,
-        label: labelFilter
+        label: labelFilter,
+        q: queryText,
+        project: project ? project.project_id : null
       }
     });
   } catch (error) {
     console.error('Error fetching images:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
     return NextResponse.json(
       { success: false, error: 'Failed to fetch images', details: error.message },
       { status: 500 }
     );
-  } finally {
-    if (db) {
-      db.close();
-    }
   }
 }
 
-// POST /api/images - Add a new image with Firebase Storage integration
+// Build the response for an upload handled by the duplicate policy, or for a new image
+function uploadResponse(result) {
+  if (result.status === 'rejected') {
+    return NextResponse.json(
+      { success: false, error: 'Image already exists', duplicate: result.duplicate, duplicates: result.duplicates },
+      { status: 409 }
+    );
+  }
+
+  if (result.status === 'linked') {
+    return NextResponse.json({
+      success: true,
+      linked: true,
+      data: result.image,
+      duplicates: result.duplicates
+    }, { status: 200 });
+  }
+
+  return NextResponse.json({
+    success: true,
+    data: result.image,
+    duplicates: result.duplicates
+  }, { status: 201 });
+}
+
+// POST /api/images - Add a new image, storing the file with the configured storage backend
+// An exact copy of an existing image is rejected, saved with a warning or linked to the existing image (onDuplicate)
+// The image is added to ?project=ID, or the default project; only that project's images count as duplicates
 export async function POST(request) {
-  let db;
   try {
+    const { searchParams } = new URL(request.url);
     const contentType = request.headers.get('content-type') || '';
 
     // Handle multipart/form-data for file uploads
@@ -131,6 +117,8 @@ export async function POST(request) {
       const file = formData.get('image');
       const name = formData.get('name') || file?.name || 'Untitled';
       const labelsJson = formData.get('labels');
+      const duplicatePolicy = resolveDuplicatePolicy(formData.get('onDuplicate'));
+      const project = await resolveProjectScope(searchParams.get('project') || formData.get('project'));
 
       if (!file) {
         return NextResponse.json(
@@ -139,6 +127,13 @@ export async function POST(request) {
         );
       }
 
+      if (!duplicatePolicy) {
+        return NextResponse.json(
+          { success: false, error: `Invalid onDuplicate. Allowed values: ${DUPLICATE_POLICIES.join(', ')}` },
+          { status: 400 }
+        );
+      }
+
       // Validate file type
       if (!validateImageType(file.type)) {
         return NextResponse.json(
@@ -172,115 +167,37 @@ export async function POST(request) {
         }
       }
 
-      db = getDatabase();
+      // Get user info from request headers (if available)
+      const userEmail = request.headers.get('x-user-email') || 'anonymous';
+      const token = request.headers.get('Authorization')?.replace('Bearer ', '');
 
-      // Upload to Firebase Storage via Vercel API
-      let firebaseResult;
+      // Store the file; a failed upload is reported instead of saving a record without a file
+      let result;
       try {
-        // Convert File to Buffer for Firebase upload
-        const arrayBuffer = await file.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
-
-        firebaseResult = await uploadToFirebase(buffer, file.name, 'Annotations');
-      } catch (firebaseError) {
-        console.error('Firebase upload failed:', firebaseError);
-
-        // If it's an authentication error, use mock data for now
-        if (firebaseError.message.includes('Authentication required') || firebaseError.message.includes('401')) {
-          console.warn('Using mock Firebase data due to authentication issue');
-          const timestamp = Date.now();
-          const fileName = `${timestamp}_${file.name}`;
-          firebaseResult = {
-            success: true,
-            imageUrl: `https://firebasestorage.googleapis.com/v0/b/mock-bucket/o/Annotations%2F${fileName}?alt=media&token=mock-token-${timestamp}`,
-            fileName: fileName,
-            fileSize: file.size,
-            mimeType: file.type
-          };
-        } else {
+        result = await createImageFromUpload(
+          Buffer.from(await file.arrayBuffer()),
+          { fileName: file.name, mimeType: file.type, fileSize: file.size },
+          labels,
+          { userEmail, token, duplicatePolicy, projectId: project?.project_id }
+        );
+      } catch (uploadError) {
+        if (uploadError.message.startsWith('File upload failed')) {
           return NextResponse.json(
-            { success: false, error: `Firebase upload failed: ${firebaseError.message}` },
+            { success: false, error: uploadError.message },
             { status: 500 }
           );
         }
+        throw uploadError;
       }
 
-      // Begin database transaction
-      const insertImage = db.prepare(`
-        INSERT INTO images (filename, original_name, file_path, file_size, mime_type, created_by)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `);
-
-      const insertLabel = db.prepare(`
-        INSERT OR IGNORE INTO labels (label_name)
-        VALUES (?)
-      `);
-
-      const getLabelId = db.prepare(`
-        SELECT label_id FROM labels WHERE label_name = ?
-      `);
-
-      const insertAnnotation = db.prepare(`
-        INSERT INTO annotations (image_id, label_id, confidence, created_by)
-        VALUES (?, ?, ?, ?)
-      `);
-
-      // Get user info from request headers (if available)
-      const userEmail = request.headers.get('x-user-email') || 'anonymous';
-
-      // Insert image record with Firebase Storage URL
-      const imageResult = insertImage.run(
-        firebaseResult.fileName,
-        file.name,
-        firebaseResult.imageUrl,
-        file.size,
-        file.type,
-        userEmail
-      );
-
-      const imageId = imageResult.lastInsertRowid;
-
-      // Process labels and create annotations
-      const processedLabels = [];
-      for (const label of labels) {
-        // Create label if it doesn't exist
-        insertLabel.run(label.name);
-
-        // Get label ID
-        const labelRecord = getLabelId.get(label.name);
-
-        // Create annotation
-        insertAnnotation.run(imageId, labelRecord.label_id, label.confidence, userEmail);
-
-        processedLabels.push({
-          name: label.name,
-          confidence: label.confidence
-        });
-      }
-
-      const newImage = {
-        id: imageId,
-        image_id: imageId,
-        filename: firebaseResult.fileName,
-        original_name: file.name,
-        file_path: firebaseResult.imageUrl,
-        file_size: file.size,
-        mime_type: file.type,
-        uploaded_at: new Date().toISOString(),
-        labels: processedLabels.map(l => l.name),
-        confidences: processedLabels.map(l => l.confidence),
-        label_count: processedLabels.length
-      };
-
-      return NextResponse.json({
-        success: true,
-        data: newImage
-      }, { status: 201 });
+      return uploadResponse(result);
     }
 
-    // Handle JSON for direct database creation (legacy support)
+    // Handle JSON to register a file that is already stored, e.g. after a presigned direct upload
     else {
-      const { filename, original_name, file_path, file_size, mime_type } = await request.json();
+      const { filename, original_name, file_path, file_size, mime_type, labels, onDuplicate } = await request.json();
+      const duplicatePolicy = resolveDuplicatePolicy(onDuplicate);
+      const project = await resolveProjectScope(searchParams.get('project'));
 
       // Validate required fields
       if (!filename || !original_name || !file_path || !file_size || !mime_type) {
@@ -290,44 +207,62 @@ export async function POST(request) {
         );
       }
 
-      db = getDatabase();
+      if (!duplicatePolicy) {
+        return NextResponse.json(
+          { success: false, error: `Invalid onDuplicate. Allowed values: ${DUPLICATE_POLICIES.join(', ')}` },
+          { status: 400 }
+        );
+      }
 
-      // Create image record
-      const stmt = db.prepare(`
-      INSERT INTO images (filename, original_name, file_path, file_size, mime_type)
-      VALUES (?, ?, ?, ?, ?)
-    `);
+      // Files of the configured storage backend are checked against what it stores instead
+      const storage = getStorage();
+      if (!(storage.owns && storage.owns(file_path))) {
+        if (!validateImageType(mime_type)) {
+          return NextResponse.json(
+            { success: false, error: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP' },
+            { status: 400 }
+          );
+        }
 
-      const result = stmt.run(filename, original_name, file_path, file_size, mime_type);
+        if (!validateFileSize(file_size)) {
+          return NextResponse.json(
+            { success: false, error: 'File size exceeds 10MB limit' },
+            { status: 413 }
+          );
+        }
+      }
 
-      const newImage = {
-        id: result.lastInsertRowid,
-        image_id: result.lastInsertRowid,
-        filename,
-        original_name,
-        file_path,
-        file_size,
-        mime_type,
-        uploaded_at: new Date().toISOString(),
-        labels: [],
-        confidences: [],
-        label_count: 0
-      };
+      const result = await registerStoredImage(
+        { filename, original_name, file_path, file_size, mime_type },
+        Array.isArray(labels) ? labels : [],
+        {
+          userEmail: request.headers.get('x-user-email') || 'anonymous',
+          token: request.headers.get('Authorization')?.replace('Bearer ', ''),
+          duplicatePolicy,
+          projectId: project?.project_id
+        }
+      );
 
-      return NextResponse.json({
-        success: true,
-        data: newImage
-      }, { status: 201 });
+      return uploadResponse(result);
     }
   } catch (error) {
     console.error('Error creating image:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
+    // Direct uploads that are missing, not images or too large
+    if (error.message.startsWith('Invalid upload')) {
+      return NextResponse.json(
+        { success: false, error: error.message.replace('Invalid upload: ', '') },
+        { status: error.message.includes('10MB') ? 413 : 400 }
+      );
+    }
+    // Labels the image's project does not allow
+    const status = error.message.includes('Invalid annotation') ? 400 : 500;
     return NextResponse.json(
       { success: false, error: 'Failed to create image', details: error.message },
-      { status: 500 }
+      { status }
     );
-  } finally {
-    if (db) {
-      db.close();
-    }
   }
 }
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * API route for importing a zip archive of images
+ * Labels come from folder names or sidecar .json/.txt files; images are stored with the configured storage backend
+ */
+
+import { NextResponse } from 'next/server';
+import { config } from '../../../../lib/database/config.js';
+import { importLabelArchive } from '../../../../lib/data-access/archives.js';
+import { DUPLICATE_POLICIES } from '../../../../lib/data-access/duplicates.js';
+import { resolveDuplicatePolicy } from '../../../../lib/data-access/uploads.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// POST /api/import/archive - Import a zip of labelled images (dryRun=true previews without storing)
+export async function POST(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const maxSize = config.uploads.maxArchiveSize;
+        const tooLarge = () => NextResponse.json(
+            { success: false, error: `Archive exceeds the ${Math.round(maxSize / (1024 * 1024))}MB limit` },
+            { status: 413 }
+        );
+
+        // Refuse oversized uploads before the body is read
+        if (Number(request.headers.get('content-length')) > maxSize) {
+            return tooLarge();
+        }
+
+        const formData = await request.formData();
+        const file = formData.get('file');
+
+        if (!file) {
+            return NextResponse.json(
+                { success: false, error: 'No file provided' },
+                { status: 400 }
+            );
+        }
+
+        if (file.size > maxSize) {
+            return tooLarge();
+        }
+
+        // Options may be passed as query parameters or form fields
+        const option = name => searchParams.get(name) || formData.get(name);
+        const dryRun = option('dryRun') === 'true';
+        const folderLabels = option('folderLabels') !== 'false';
+
+        const duplicatePolicy = resolveDuplicatePolicy(option('onDuplicate'));
+        if (!duplicatePolicy) {
+            return NextResponse.json(
+                { success: false, error: `Invalid onDuplicate. Allowed values: ${DUPLICATE_POLICIES.join(', ')}` },
+                { status: 400 }
+            );
+        }
+
+        // Images are added to ?project=ID, or the default project
+        const project = await resolveProjectScope(option('project'));
+
+        const report = await importLabelArchive(Buffer.from(await file.arrayBuffer()), {
+            dryRun,
+            folderLabels,
+            duplicatePolicy,
+            userEmail: request.headers.get('x-user-email') || 'archive-import',
+            token: request.headers.get('Authorization')?.replace('Bearer ', ''),
+            projectId: project?.project_id
+        });
+
+        return NextResponse.json({ success: true, data: report });
+
+    } catch (error) {
+        console.error('Error importing archive:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
+        if (error.message.includes('Invalid archive')) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: 400 }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to import archive', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -1,15 +1,33 @@
 /**
  * API route for importing CSV data
- * Handles CSV import of images and annotations data
+ * Handles CSV import of images and annotations data in the wide (one row per image)
+ * and long (one row per annotation) layouts written by GET /api/export/csv
  */
 
 import { NextResponse } from 'next/server';
 import { query, run } from '../../../../lib/database/connection';
+import { parseCsvStream, resolveDelimiter } from '../../../../lib/utils/csv.js';
+import {
+    DEFAULT_PROJECT_ID,
+    resolveProjectScope,
+    getProjectErrorStatus,
+    getProjectById,
+    assertProjectLabel,
+    addProjectLabel
+} from '../../../../lib/data-access/projects.js';
+import {
+    validateData,
+    validateGeometry,
+    validateRegion,
+    validateKeypointTemplate,
+    validateAttributeSchema
+} from '../../../../lib/database/schemas.js';
 const proxy = require('../../../../lib/database/proxy');
 
-// POST /api/import/csv - Import CSV data
+// POST /api/import/csv - Import CSV data into ?project=ID, or the default project
 export async function POST(request) {
     try {
+        const { searchParams } = new URL(request.url);
         const formData = await request.formData();
         const file = formData.get('file');
 
@@ -20,47 +38,75 @@ export async function POST(request) {
             );
         }
 
-        // Read file content
-        const csvContent = await file.text();
-        const lines = csvContent.split('\n').filter(line => line.trim());
-
-        if (lines.length < 2) {
+        // Delimiter may be comma, semicolon, tab or auto (detected from the header line)
+        const delimiterOption = formData.get('delimiter') || searchParams.get('delimiter') || 'auto';
+        try {
+            resolveDelimiter(delimiterOption);
+        } catch (delimiterError) {
             return NextResponse.json(
-                { success: false, error: 'CSV file must contain headers and at least one data row' },
+                { success: false, error: delimiterError.message },
                 { status: 400 }
             );
         }
 
-        // Parse headers
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-
-        // Validate required headers
-        const requiredHeaders = ['image_id', 'filename', 'labels'];
-        const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
-
-        if (missingHeaders.length > 0) {
-            return NextResponse.json(
-                { success: false, error: `Missing required headers: ${missingHeaders.join(', ')}` },
-                { status: 400 }
-            );
-        }
+        // Image IDs are shared by all projects, so a row whose image exists in any project is skipped
+        // Existing labels must be in the project's vocabulary; new labels are created in it
+        const project = await resolveProjectScope(searchParams.get('project') || formData.get('project')) ??
+            await getProjectById(DEFAULT_PROJECT_ID);
+        const projectId = project.project_id;
 
+        let headers = null;
+        let layout = 'wide';
+        let rowNumber = 0;
         let imported = 0;
         let skipped = 0;
         let errors = 0;
         const errorDetails = [];
 
+        // Long layout: outcome per image ID, since an image spans several rows
+        const longImages = new Map();
+
         // Get user info from request headers (if available)
         const userEmail = request.headers.get('x-user-email') || 'csv-import';
 
-        // Process each data row
-        for (let i = 1; i < lines.length; i++) {
+        // Rows are parsed and imported one at a time as the file is read
+        for await (const record of parseCsvStream(file.stream(), { delimiter: delimiterOption })) {
+            rowNumber++;
+            const position = `Row ${rowNumber} (line ${record.line})`;
+
+            if (!headers) {
+                headers = record.values.map(h => h.trim());
+
+                // The long layout has a label_name column instead of the packed labels column
+                layout = headers.includes('label_name') && !headers.includes('labels') ? 'long' : 'wide';
+
+                // Validate required headers
+                const requiredHeaders = ['image_id', 'filename', layout === 'long' ? 'label_name' : 'labels'];
+                const missingHeaders = requiredHeaders.filter(h => !headers.includes(h));
+
+                if (missingHeaders.length > 0) {
+                    return NextResponse.json(
+                        { success: false, error: `Missing required headers: ${missingHeaders.join(', ')}` },
+                        { status: 400 }
+                    );
+                }
+                continue;
+            }
+
             try {
-                const values = parseCSVLine(lines[i]);
+                if (record.errors.length > 0) {
+                    errors++;
+                    record.errors.forEach(parseError => {
+                        errorDetails.push(`Row ${rowNumber} (line ${parseError.line}, column ${parseError.column}): ${parseError.message}`);
+                    });
+                    continue;
+                }
+
+                const values = record.values;
 
                 if (values.length !== headers.length) {
                     errors++;
-                    errorDetails.push(`Row ${i + 1}: Column count mismatch`);
+                    errorDetails.push(`${position}: Column count mismatch (expected ${headers.length}, found ${values.length})`);
                     continue;
                 }
 
@@ -70,9 +116,47 @@ export async function POST(request) {
                 });
 
                 // Validate required fields
-                if (!rowData.image_id || !rowData.filename) {
+                const missingFields = ['image_id', 'filename'].filter(field => !rowData[field]);
+                if (missingFields.length > 0) {
                     errors++;
-                    errorDetails.push(`Row ${i + 1}: Missing required fields (image_id, filename)`);
+                    missingFields.forEach(field => {
+                        errorDetails.push(`${position}, column ${headers.indexOf(field) + 1} (${field}): Missing required field`);
+                    });
+                    continue;
+                }
+
+                if (layout === 'long') {
+                    const imageId = parseInt(rowData.image_id);
+                    const status = longImages.get(imageId);
+
+                    // Rows of an image that already existed are skipped along with it
+                    if (status === 'skipped') {
+                        continue;
+                    }
+
+                    const outcome = await proxy.transaction(() => {
+                        if (!status) {
+                            if (query('SELECT image_id FROM images WHERE image_id = ?', [imageId]).length > 0) {
+                                return 'skipped';
+                            }
+                            insertImage(rowData, userEmail, projectId);
+                        }
+
+                        // Images without annotations are exported as a row with an empty label_name
+                        if (rowData.label_name) {
+                            insertLongAnnotation(imageId, rowData, userEmail, project);
+                        }
+                        return 'imported';
+                    });
+
+                    if (!status) {
+                        longImages.set(imageId, outcome);
+                        if (outcome === 'skipped') {
+                            skipped++;
+                        } else {
+                            imported++;
+                        }
+                    }
                     continue;
                 }
 
@@ -87,24 +171,13 @@ export async function POST(request) {
                         return;
                     }
 
-                    // Insert image record
-                    run(`
-                        INSERT INTO images (
-                            image_id, filename, original_name, file_path, 
-                            file_size, mime_type, uploaded_at, 
-                            created_by, last_edited_by
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `, [
-                        parseInt(rowData.image_id),
-                        rowData.filename || '',
-                        rowData.original_name || rowData.filename || '',
-                        rowData.file_path || '',
-                        parseInt(rowData.file_size) || 0,
-                        rowData.mime_type || 'image/jpeg',
-                        rowData.uploaded_at || new Date().toISOString(),
-                        rowData.image_created_by || userEmail,
-                        rowData.image_last_edited_by || null
-                    ]);
+                    insertImage(rowData, userEmail, projectId);
+
+                    // Attribute schemas and image-level attribute values are keyed by label name
+                    const schemas = rowData.attribute_schemas && rowData.attribute_schemas.trim() ?
+                        JSON.parse(rowData.attribute_schemas) : {};
+                    const labelAttributes = rowData.label_attributes && rowData.label_attributes.trim() ?
+                        JSON.parse(rowData.label_attributes) : {};
 
                     // Process labels if they exist
                     if (rowData.labels && rowData.labels.trim()) {
@@ -123,59 +196,74 @@ export async function POST(request) {
                             if (!labelName) return;
 
                             // Get or create label
-                            let labelResult = query(`
-                                SELECT label_id FROM labels WHERE label_name = ?
-                            `, [labelName]);
-
-                            let labelId;
-                            if (labelResult.length === 0) {
-                                run(`
-                                    INSERT INTO labels (label_name) VALUES (?)
-                                `, [labelName]);
-
-                                labelResult = query(`
-                                    SELECT label_id FROM labels WHERE label_name = ?
-                                `, [labelName]);
-                            }
-                            labelId = labelResult[0].label_id;
+                            const labelId = getOrCreateLabelId(labelName, project, null, schemas[labelName] || null);
 
                             // Create annotation
                             run(`
                                 INSERT INTO annotations (
                                     image_id, label_id, confidence, 
-                                    created_by, last_edited_by
-                                ) VALUES (?, ?, ?, ?, ?)
+                                    created_by, last_edited_by, attributes
+                                ) VALUES (?, ?, ?, ?, ?, ?)
                             `, [
                                 parseInt(rowData.image_id),
                                 labelId,
                                 confidences[index] || 1.0,
                                 annotationCreators[index] || userEmail,
-                                annotationEditors[index] || null
+                                annotationEditors[index] || null,
+                                serializeAttributes(labelId, labelName, labelAttributes[labelName] || null)
                             ]);
                         });
                     }
 
+                    // Process boxes, polygons, masks and keypoints (JSON column written by the CSV export)
+                    if (rowData.shapes && rowData.shapes.trim()) {
+                        const shapes = JSON.parse(rowData.shapes);
+                        const templates = rowData.keypoint_templates && rowData.keypoint_templates.trim() ?
+                            JSON.parse(rowData.keypoint_templates) : {};
+
+                        shapes.forEach(shape => {
+                            const labelId = getOrCreateLabelId(shape.label, project, templates[shape.label] || null, schemas[shape.label] || null);
+                            insertShape(parseInt(rowData.image_id), labelId, shape, userEmail);
+                        });
+                    }
+
                     imported++;
                 });
 
             } catch (rowError) {
                 errors++;
-                errorDetails.push(`Row ${i + 1}: ${rowError.message}`);
-                console.error(`Error processing row ${i + 1}:`, rowError);
+                errorDetails.push(`${position}: ${rowError.message}`);
+                console.error(`Error processing row ${rowNumber}:`, rowError);
             }
         }
 
+        if (rowNumber < 2) {
+            return NextResponse.json(
+                { success: false, error: 'CSV file must contain headers and at least one data row' },
+                { status: 400 }
+            );
+        }
+
         return NextResponse.json({
             success: true,
             imported,
             skipped,
             errors,
-            errorDetails: errorDetails.slice(0, 10), // Limit error details to first 10
+            errorDetails,
             message: `Import completed: ${imported} imported, ${skipped} skipped, ${errors} errors`
         });
 
     } catch (error) {
         console.error('Error importing CSV:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
         return NextResponse.json(
             { success: false, error: 'Failed to import CSV', details: error.message },
             { status: 500 }
@@ -183,39 +271,184 @@ export async function POST(request) {
     }
 }
 
-// Helper function to parse CSV line with proper quote handling
-function parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    let i = 0;
-
-    while (i < line.length) {
-        const char = line[i];
-
-        if (char === '"') {
-            if (inQuotes && line[i + 1] === '"') {
-                // Escaped quote
-                current += '"';
-                i += 2;
-            } else {
-                // Toggle quote state
-                inQuotes = !inQuotes;
-                i++;
-            }
-        } else if (char === ',' && !inQuotes) {
-            // End of field
-            values.push(current.trim());
-            current = '';
-            i++;
-        } else {
-            current += char;
-            i++;
+// Helper function to insert the image record described by a CSV row into a project, keeping its original image_id
+function insertImage(rowData, userEmail, projectId) {
+    run(`
+        INSERT INTO images (
+            image_id, filename, original_name, file_path, 
+            file_size, mime_type, uploaded_at, 
+            created_by, last_edited_by, project_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        parseInt(rowData.image_id),
+        rowData.filename || '',
+        rowData.original_name || rowData.filename || '',
+        rowData.file_path || '',
+        parseInt(rowData.file_size) || 0,
+        rowData.mime_type || 'image/jpeg',
+        rowData.uploaded_at || new Date().toISOString(),
+        rowData.image_created_by || userEmail,
+        rowData.image_last_edited_by || null,
+        projectId
+    ]);
+}
+
+// Helper function to insert the annotation of one long-layout row into an image of the project
+function insertLongAnnotation(imageId, rowData, userEmail, project) {
+    const confidence = rowData.confidence ? Number(rowData.confidence) : 1.0;
+    if (Number.isNaN(confidence)) {
+        throw new Error(`Invalid confidence '${rowData.confidence}'`);
+    }
+
+    const shapeType = rowData.shape_type || 'label';
+    const template = rowData.keypoint_template ? JSON.parse(rowData.keypoint_template) : null;
+    const schema = rowData.attribute_schema ? JSON.parse(rowData.attribute_schema) : null;
+    const attributes = rowData.attributes ? JSON.parse(rowData.attributes) : null;
+    const labelId = getOrCreateLabelId(rowData.label_name, project, template, schema);
+
+    if (shapeType === 'label') {
+        run(`
+            INSERT INTO annotations (
+                image_id, label_id, confidence,
+                created_by, last_edited_by, created_at, attributes
+            ) VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+        `, [
+            imageId,
+            labelId,
+            confidence,
+            rowData.created_by || userEmail,
+            rowData.last_edited_by || null,
+            rowData.created_at || null,
+            serializeAttributes(labelId, rowData.label_name, attributes)
+        ]);
+        return;
+    }
+
+    insertShape(imageId, labelId, {
+        label: rowData.label_name,
+        confidence,
+        shape_type: shapeType,
+        bbox: rowData.bbox_x ? {
+            x: Number(rowData.bbox_x),
+            y: Number(rowData.bbox_y),
+            width: Number(rowData.bbox_width),
+            height: Number(rowData.bbox_height)
+        } : null,
+        geometry: rowData.geometry ? JSON.parse(rowData.geometry) : null,
+        attributes,
+        created_by: rowData.created_by,
+        last_edited_by: rowData.last_edited_by,
+        created_at: rowData.created_at
+    }, userEmail);
+}
+
+// Helper function to look up a label of the project's vocabulary by name, alias or case variant,
+// creating it in the project (with its keypoint template and attribute schema) when missing
+function getOrCreateLabelId(labelName, project, keypointTemplate = null, attributeSchema = null) {
+    const existing = proxy.labels.findByName(labelName);
+    if (existing) {
+        assertProjectLabel(project, existing.label_id);
+    }
+
+    if (keypointTemplate) {
+        const validation = validateKeypointTemplate(keypointTemplate);
+        if (!validation.valid) {
+            throw new Error(`Invalid keypoint template for '${labelName}': ${validation.errors.join(', ')}`);
+        }
+    }
+
+    if (attributeSchema) {
+        const validation = validateAttributeSchema(attributeSchema);
+        if (!validation.valid) {
+            throw new Error(`Invalid attribute schema for '${labelName}': ${validation.errors.join(', ')}`);
+        }
+    }
+
+    if (existing) {
+        // Restore a skeleton or attribute definition onto an existing label that has none yet
+        if (keypointTemplate && !existing.keypoint_template) {
+            run(`
+                UPDATE labels SET keypoint_template = ? WHERE label_id = ?
+            `, [JSON.stringify(keypointTemplate), existing.label_id]);
         }
+        if (attributeSchema && !existing.attribute_schema) {
+            run(`
+                UPDATE labels SET attribute_schema = ? WHERE label_id = ?
+            `, [JSON.stringify(attributeSchema), existing.label_id]);
+        }
+        return existing.label_id;
     }
 
-    // Add the last field
-    values.push(current.trim());
+    const labelId = Number(run(`
+        INSERT INTO labels (label_name, keypoint_template, attribute_schema) VALUES (?, ?, ?)
+    `, [
+        labelName,
+        keypointTemplate ? JSON.stringify(keypointTemplate) : null,
+        attributeSchema ? JSON.stringify(attributeSchema) : null
+    ]).lastID);
+    addProjectLabel(project.project_id, labelId);
+    return labelId;
+}
 
-    return values;
-}
\ No newline at end of file
+// Helper function to check exported attribute values against the label's attribute schema and serialize them
+function serializeAttributes(labelId, labelName, attributes) {
+    if (!attributes) {
+        return null;
+    }
+
+    const label = query('SELECT attribute_schema FROM labels WHERE label_id = ?', [labelId])[0];
+    const serialized = JSON.stringify(attributes);
+    const validation = validateData('annotations', { attributes: serialized }, {
+        partial: true,
+        attributeSchema: label.attribute_schema ? JSON.parse(label.attribute_schema) : null
+    });
+    if (!validation.valid) {
+        throw new Error(`Invalid attributes for '${labelName}': ${validation.errors.join(', ')}`);
+    }
+    return serialized;
+}
+
+// Helper function to validate and insert one exported shape annotation
+function insertShape(imageId, labelId, shape, userEmail) {
+    if (shape.bbox) {
+        const regionValidation = validateRegion(shape.bbox);
+        if (!regionValidation.valid) {
+            throw new Error(`Invalid region for '${shape.label}': ${regionValidation.errors.join(', ')}`);
+        }
+    }
+
+    if (shape.shape_type !== 'bbox') {
+        const label = query('SELECT keypoint_template FROM labels WHERE label_id = ?', [labelId])[0];
+        const template = label.keypoint_template ? JSON.parse(label.keypoint_template) : null;
+        const geometryValidation = validateGeometry(shape.shape_type, shape.geometry, template);
+        if (!geometryValidation.valid) {
+            throw new Error(`Invalid geometry for '${shape.label}': ${geometryValidation.errors.join(', ')}`);
+        }
+    } else if (!shape.bbox) {
+        throw new Error(`Invalid region for '${shape.label}': bbox annotations require a region`);
+    }
+
+    const attributes = serializeAttributes(labelId, shape.label, shape.attributes || null);
+
+    run(`
+        INSERT INTO annotations (
+            image_id, label_id, confidence, shape_type, geometry,
+            bbox_x, bbox_y, bbox_width, bbox_height,
+            created_by, last_edited_by, created_at, attributes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+    `, [
+        imageId,
+        labelId,
+        typeof shape.confidence === 'number' ? shape.confidence : 1.0,
+        shape.shape_type,
+        shape.geometry ? JSON.stringify(shape.geometry) : null,
+        shape.bbox ? shape.bbox.x : null,
+        shape.bbox ? shape.bbox.y : null,
+        shape.bbox ? shape.bbox.width : null,
+        shape.bbox ? shape.bbox.height : null,
+        shape.created_by || userEmail,
+        shape.last_edited_by || null,
+        shape.created_at || null,
+        attributes
+    ]);
+}
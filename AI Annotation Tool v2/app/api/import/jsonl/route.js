@@ -0,0 +1,65 @@
+/**
+ * API route for restoring a JSON Lines backup
+ * Labels and images are matched by name and file name; existing records are skipped, overwritten or kept
+ * next to renamed copies depending on the merge strategy
+ */
+
+import { NextResponse } from 'next/server';
+import { MERGE_STRATEGIES, parseJsonlBackup, restoreJsonlBackup } from '../../../../lib/data-access/backups.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// POST /api/import/jsonl - Restore a JSONL backup (strategy=skip|overwrite|rename, project=ID)
+export async function POST(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const formData = await request.formData();
+        const file = formData.get('file');
+
+        if (!file) {
+            return NextResponse.json(
+                { success: false, error: 'No file provided' },
+                { status: 400 }
+            );
+        }
+
+        // The strategy may be passed as a query parameter or a form field
+        const strategy = searchParams.get('strategy') || formData.get('strategy') || 'skip';
+        if (!MERGE_STRATEGIES.includes(strategy)) {
+            return NextResponse.json(
+                { success: false, error: `Unsupported merge strategy '${strategy}'. Use ${MERGE_STRATEGIES.join(', ')}` },
+                { status: 400 }
+            );
+        }
+
+        // New images are restored into ?project=ID, or the default project
+        const project = await resolveProjectScope(searchParams.get('project') || formData.get('project'));
+
+        const backup = await parseJsonlBackup(file.stream());
+        const report = await restoreJsonlBackup(backup, { strategy, projectId: project?.project_id });
+
+        return NextResponse.json({ success: true, data: report });
+
+    } catch (error) {
+        console.error('Error importing JSONL backup:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
+        if (error.message.includes('Invalid backup') || error.message.includes('Invalid annotation')) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: 400 }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to import JSONL backup', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * API route for importing a Pascal VOC dataset
+ * Maps categories to labels and creates images and annotations, or previews the import with dryRun
+ */
+
+import { NextResponse } from 'next/server';
+import { parseVocFiles, importDataset } from '../../../../lib/data-access/imports.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// POST /api/import/voc - Import a VOC XML file or a zip of them (dryRun=true previews without writing)
+export async function POST(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        const formData = await request.formData();
+        const file = formData.get('file');
+
+        if (!file) {
+            return NextResponse.json(
+                { success: false, error: 'No file provided' },
+                { status: 400 }
+            );
+        }
+
+        // dryRun may be passed as a query parameter or a form field
+        const dryRun = (searchParams.get('dryRun') || formData.get('dryRun')) === 'true';
+        const userEmail = request.headers.get('x-user-email') || 'dataset-import';
+        // Images are matched in and created in ?project=ID, or the default project
+        const project = await resolveProjectScope(searchParams.get('project') || formData.get('project'));
+
+        const dataset = parseVocFiles(Buffer.from(await file.arrayBuffer()), file.name || '');
+        const report = await importDataset(dataset, { dryRun, userEmail, projectId: project?.project_id });
+
+        return NextResponse.json({ success: true, data: report });
+
+    } catch (error) {
+        console.error('Error importing VOC:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
+        if (error.message.includes('Invalid dataset')) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: 400 }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to import VOC', details: error.message },
+            { status: 500 }
+        );
+    }
+}
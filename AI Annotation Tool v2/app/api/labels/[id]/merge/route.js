@@ -0,0 +1,70 @@
+/**
+ * API route for merging labels into one
+ * Handles POST operations
+ */
+
+import { NextResponse } from 'next/server';
+import { mergeLabels } from '../../../../../lib/data-access/labels.js';
+import {
+  resolveProjectScope,
+  getProjectErrorStatus,
+  hasProjectLabel
+} from '../../../../../lib/data-access/projects.js';
+
+// POST /api/labels/[id]/merge - Merge the labels in source_label_ids into this label
+// Their annotations move here (keeping the higher confidence where an image has both) and their names become aliases
+// Labels are shared, so a merge applies to every project; ?project=ID only checks the labels are in its vocabulary
+export async function POST(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const labelId = parseInt(resolvedParams.id);
+
+    if (isNaN(labelId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid label ID' },
+        { status: 400 }
+      );
+    }
+
+    const body = await request.json();
+    const sourceIds = body ? body.source_label_ids : undefined;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(id => Number.isInteger(id) && id > 0)) {
+      return NextResponse.json(
+        { success: false, error: 'source_label_ids must be a non-empty array of label IDs' },
+        { status: 400 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    const outside = project ? [labelId, ...sourceIds].find(id => !hasProjectLabel(project.project_id, id)) : undefined;
+    if (outside !== undefined) {
+      return NextResponse.json(
+        { success: false, error: `Label ${outside} not found` },
+        { status: 404 }
+      );
+    }
+
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+    const result = await mergeLabels(labelId, sourceIds, userEmail);
+
+    return NextResponse.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error merging labels:', error);
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json({ success: false, error: error.message }, { status: projectStatus });
+    }
+    const status = error.message.includes('not found') ? 404
+      : error.message.includes('Invalid merge') || error.message.includes('merged into itself') ? 400
+        : 500;
+    return NextResponse.json(
+      { success: false, error: 'Failed to merge labels', details: error.message },
+      { status }
+    );
+  }
+}
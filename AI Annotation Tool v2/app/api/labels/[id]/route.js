@@ -6,8 +6,33 @@
 import { NextResponse } from 'next/server';
 import { updateLabel, deleteLabel } from '../../../../lib/data-access/labels.js';
 import proxy from '../../../../lib/database/proxy.js';
+import {
+  resolveProjectScope,
+  getProjectErrorStatus,
+  hasProjectLabel,
+  removeProjectLabel
+} from '../../../../lib/data-access/projects.js';
 
-// GET /api/labels/[id] - Get a specific label by ID
+/**
+ * Build the response for an error raised while resolving ?project
+ * @param {Error} error - Error thrown by the route
+ * @returns {NextResponse|undefined} Error response, or undefined if the error is not about the project
+ */
+function projectErrorResponse(error) {
+  const status = getProjectErrorStatus(error);
+  if (status) {
+    return NextResponse.json({ success: false, error: error.message }, { status });
+  }
+  if (error.message.startsWith('Invalid project')) {
+    return NextResponse.json(
+      { success: false, error: 'Failed to remove label from project', details: error.message },
+      { status: 400 }
+    );
+  }
+  return undefined;
+}
+
+// GET /api/labels/[id] - Get a specific label by ID; with ?project=ID it must be in that project's vocabulary
 export async function GET(request, { params }) {
   try {
     const labelId = parseInt(params.id);
@@ -19,9 +44,11 @@ export async function GET(request, { params }) {
       );
     }
 
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
     const label = proxy.labels.findById(labelId);
 
-    if (!label) {
+    if (!label || (project && !hasProjectLabel(project.project_id, labelId))) {
       return NextResponse.json(
         { success: false, error: 'Label not found' },
         { status: 404 }
@@ -34,6 +61,10 @@ export async function GET(request, { params }) {
     });
   } catch (error) {
     console.error('Error fetching label:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
     return NextResponse.json(
       { success: false, error: 'Failed to fetch label', details: error.message },
       { status: 500 }
@@ -41,7 +72,8 @@ export async function GET(request, { params }) {
   }
 }
 
-// PUT /api/labels/[id] - Update label
+// PUT /api/labels/[id] - Update label; a rename keeps the former name as an alias, and color, icon and hotkey set its appearance
+// Labels are shared, so a rename applies to every project; ?project=ID only checks the label is in its vocabulary
 export async function PUT(request, { params }) {
   try {
     const labelId = parseInt(params.id);
@@ -53,6 +85,15 @@ export async function PUT(request, { params }) {
       );
     }
 
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    if (project && !hasProjectLabel(project.project_id, labelId)) {
+      return NextResponse.json(
+        { success: false, error: 'Label not found' },
+        { status: 404 }
+      );
+    }
+
     const body = await request.json();
 
     // Validate that at least one field is being updated
@@ -64,7 +105,17 @@ export async function PUT(request, { params }) {
     }
 
     // Only allow updating specific fields
-    const allowedFields = ['label_name', 'label_description'];
+    const allowedFields = [
+      'label_name',
+      'label_description',
+      'keypoint_template',
+      'attribute_schema',
+      'parent_label_id',
+      'aliases',
+      'color',
+      'icon',
+      'hotkey'
+    ];
     const updateData = {};
 
     for (const field of allowedFields) {
@@ -80,7 +131,16 @@ export async function PUT(request, { params }) {
       );
     }
 
-    const updatedLabel = await updateLabel(labelId, updateData);
+    const parentId = updateData.parent_label_id;
+    if (parentId !== undefined && parentId !== null && (!Number.isInteger(parentId) || parentId < 1)) {
+      return NextResponse.json(
+        { success: false, error: 'parent_label_id must be a positive integer or null' },
+        { status: 400 }
+      );
+    }
+
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+    const updatedLabel = await updateLabel(labelId, updateData, userEmail);
 
     if (!updatedLabel) {
       return NextResponse.json(
@@ -95,14 +155,29 @@ export async function PUT(request, { params }) {
     });
   } catch (error) {
     console.error('Error updating label:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
+    const status = error.message.includes('Invalid keypoint template') ||
+      error.message.includes('Keypoint template must keep') ||
+      error.message.includes('Invalid attribute schema') ||
+      error.message.includes('Invalid parent label') ||
+      error.message.includes('Invalid alias') ||
+      error.message.includes('Invalid color') ||
+      error.message.includes('Invalid icon') ||
+      error.message.includes('Invalid hotkey') ? 400
+      : error.message.includes('already exists') || error.message.includes('already assigned') ? 409
+        : 500;
     return NextResponse.json(
       { success: false, error: 'Failed to update label', details: error.message },
-      { status: 500 }
+      { status }
     );
   }
 }
 
 // DELETE /api/labels/[id] - Delete label (cascades to annotations)
+// With ?project=ID the label is only removed from that project's vocabulary
 export async function DELETE(request, { params }) {
   try {
     const labelId = parseInt(params.id);
@@ -114,7 +189,11 @@ export async function DELETE(request, { params }) {
       );
     }
 
-    const deleted = await deleteLabel(labelId);
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    const deleted = project
+      ? removeProjectLabel(project.project_id, labelId)
+      : await deleteLabel(labelId);
 
     if (!deleted) {
       return NextResponse.json(
@@ -130,6 +209,10 @@ export async function DELETE(request, { params }) {
     });
   } catch (error) {
     console.error('Error deleting label:', error);
+    const projectResponse = projectErrorResponse(error);
+    if (projectResponse) {
+      return projectResponse;
+    }
     return NextResponse.json(
       { success: false, error: 'Failed to delete label', details: error.message },
       { status: 500 }
@@ -5,21 +5,54 @@
 
 import { NextResponse } from 'next/server';
 import { getAllLabels } from '../../../../lib/data-access/labels.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
 
-// GET /api/labels/common - Get all labels as common labels
-export async function GET() {
+// GET /api/labels/common - Get all labels as common labels, or one project's vocabulary with ?project=ID
+export async function GET(request) {
   try {
-    const labels = await getAllLabels();
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    const labels = await getAllLabels(project?.project_id);
 
     // Extract just the label names for the dropdown
     const labelNames = labels.map(label => label.label_name);
 
+    // Pose labels also expose their keypoint template for the keypoint placement tool,
+    // labels with attributes their attribute schema for the label editor,
+    // and labels with a color, icon or hotkey their appearance for chips, outlines and keyboard mode
+    const keypointTemplates = {};
+    const attributeSchemas = {};
+    const labelStyles = {};
+    labels.forEach(label => {
+      if (label.keypoint_template) {
+        keypointTemplates[label.label_name] = label.keypoint_template;
+      }
+      if (label.attribute_schema) {
+        attributeSchemas[label.label_name] = label.attribute_schema;
+      }
+      if (label.color || label.icon || label.hotkey) {
+        labelStyles[label.label_name] = { color: label.color, icon: label.icon, hotkey: label.hotkey };
+      }
+    });
+
     return NextResponse.json({
       success: true,
-      labels: labelNames
+      labels: labelNames,
+      keypointTemplates,
+      attributeSchemas,
+      labelStyles
     });
   } catch (error) {
     console.error('Error fetching common labels:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
     return NextResponse.json(
       { success: false, error: 'Failed to fetch common labels', details: error.message },
       { status: 500 }
@@ -5,11 +5,14 @@
 
 import { NextResponse } from 'next/server';
 import { getAllLabels, createLabel } from '../../../lib/data-access/labels.js';
+import { DEFAULT_PROJECT_ID, resolveProjectScope, getProjectErrorStatus } from '../../../lib/data-access/projects.js';
 
-// GET /api/labels - Get all labels with usage statistics
-export async function GET() {
+// GET /api/labels - Get all labels with usage statistics, or one project's vocabulary with ?project=ID
+export async function GET(request) {
   try {
-    const labels = await getAllLabels();
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+    const labels = await getAllLabels(project?.project_id);
 
     return NextResponse.json({
       success: true,
@@ -17,6 +20,15 @@ export async function GET() {
     });
   } catch (error) {
     console.error('Error fetching labels:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
     return NextResponse.json(
       { success: false, error: 'Failed to fetch labels', details: error.message },
       { status: 500 }
@@ -24,10 +36,14 @@ export async function GET() {
   }
 }
 
-// POST /api/labels - Create a new label (with duplicate handling)
+// POST /api/labels - Create a new label (with duplicate handling, optional keypoint template, attribute schema and parent label)
+// The label joins the vocabulary of ?project=ID, or of the default project
 export async function POST(request) {
   try {
-    const { label_name, label_description } = await request.json();
+    const { searchParams } = new URL(request.url);
+    const project = await resolveProjectScope(searchParams.get('project'));
+
+    const { label_name, label_description, keypoint_template, attribute_schema, parent_label_id } = await request.json();
 
     // Validate label_name
     if (!label_name || typeof label_name !== 'string') {
@@ -37,11 +53,22 @@ export async function POST(request) {
       );
     }
 
+    if (parent_label_id !== undefined && parent_label_id !== null &&
+      (!Number.isInteger(parent_label_id) || parent_label_id < 1)) {
+      return NextResponse.json(
+        { success: false, error: 'parent_label_id must be a positive integer or null' },
+        { status: 400 }
+      );
+    }
+
     // Create label using data access layer (handles duplicates gracefully)
     const newLabel = await createLabel({
       label_name,
-      label_description: label_description || null
-    });
+      label_description: label_description || null,
+      keypoint_template: keypoint_template || null,
+      attribute_schema: attribute_schema || null,
+      parent_label_id: parent_label_id ?? null
+    }, project?.project_id ?? DEFAULT_PROJECT_ID);
 
     return NextResponse.json({
       success: true,
@@ -49,9 +76,21 @@ export async function POST(request) {
     }, { status: 201 });
   } catch (error) {
     console.error('Error creating label:', error);
+
+    const projectStatus = getProjectErrorStatus(error);
+    if (projectStatus) {
+      return NextResponse.json(
+        { success: false, error: error.message },
+        { status: projectStatus }
+      );
+    }
+
+    const status = error.message.includes('Invalid keypoint template') ||
+      error.message.includes('Invalid attribute schema') ||
+      error.message.includes('Invalid parent label') ? 400 : 500;
     return NextResponse.json(
       { success: false, error: 'Failed to create label', details: error.message },
-      { status: 500 }
+      { status }
     );
   }
 }
\ No newline at end of file
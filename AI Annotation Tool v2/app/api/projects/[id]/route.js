@@ -0,0 +1,137 @@
+/**
+ * API route for managing individual projects by ID
+ * Handles GET, PUT, and DELETE operations
+ */
+
+import { NextResponse } from 'next/server';
+import { getProjectById, updateProject, deleteProject } from '../../../../lib/data-access/projects.js';
+
+// GET /api/projects/[id] - Get a specific project with its settings and counts
+export async function GET(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const projectId = parseInt(resolvedParams.id);
+
+    if (isNaN(projectId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid project ID' },
+        { status: 400 }
+      );
+    }
+
+    const project = await getProjectById(projectId);
+
+    if (!project) {
+      return NextResponse.json(
+        { success: false, error: 'Project not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: project
+    });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch project', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// PUT /api/projects/[id] - Rename a project or change its settings
+export async function PUT(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const projectId = parseInt(resolvedParams.id);
+
+    if (isNaN(projectId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid project ID' },
+        { status: 400 }
+      );
+    }
+
+    const body = await request.json();
+
+    // Only allow updating specific fields
+    const allowedFields = ['name', 'description', 'allowed_annotation_types', 'require_confidence'];
+    const updateData = {};
+
+    for (const field of allowedFields) {
+      if (body && body[field] !== undefined) {
+        updateData[field] = body[field];
+      }
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'No valid fields to update' },
+        { status: 400 }
+      );
+    }
+
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+    const updatedProject = await updateProject(projectId, updateData, userEmail);
+
+    if (!updatedProject) {
+      return NextResponse.json(
+        { success: false, error: 'Project not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: updatedProject
+    });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    const status = error.message.includes('Invalid project') ? 400
+      : error.message.includes('already exists') ? 409
+        : 500;
+    return NextResponse.json(
+      { success: false, error: 'Failed to update project', details: error.message },
+      { status }
+    );
+  }
+}
+
+// DELETE /api/projects/[id] - Delete an empty project with its vocabulary and collections
+export async function DELETE(request, { params }) {
+  try {
+    const resolvedParams = await params;
+    const projectId = parseInt(resolvedParams.id);
+
+    if (isNaN(projectId)) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid project ID' },
+        { status: 400 }
+      );
+    }
+
+    const deleted = await deleteProject(projectId);
+
+    if (!deleted) {
+      return NextResponse.json(
+        { success: false, error: 'Project not found' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'Project deleted successfully',
+      deletedId: projectId
+    });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    const status = error.message.includes('Invalid project') ? 400 : 500;
+    return NextResponse.json(
+      { success: false, error: 'Failed to delete project', details: error.message },
+      { status }
+    );
+  }
+}
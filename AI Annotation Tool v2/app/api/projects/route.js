@@ -0,0 +1,49 @@
+/**
+ * API route for managing projects
+ * Uses data access layer for database operations
+ */
+
+import { NextResponse } from 'next/server';
+import { getAllProjects, createProject } from '../../../lib/data-access/projects.js';
+
+// GET /api/projects - Get all projects with their image and label counts
+export async function GET() {
+  try {
+    const projects = await getAllProjects();
+
+    return NextResponse.json({
+      success: true,
+      data: projects
+    });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    return NextResponse.json(
+      { success: false, error: 'Failed to fetch projects', details: error.message },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/projects - Create a project with its annotation settings
+export async function POST(request) {
+  try {
+    const { name, description, allowed_annotation_types, require_confidence } = await request.json();
+    const userEmail = request.headers.get('x-user-email') || 'anonymous';
+
+    const project = await createProject({ name, description, allowed_annotation_types, require_confidence }, userEmail);
+
+    return NextResponse.json({
+      success: true,
+      data: project
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating project:', error);
+    const status = error.message.includes('Invalid project') ? 400
+      : error.message.includes('already exists') ? 409
+        : 500;
+    return NextResponse.json(
+      { success: false, error: 'Failed to create project', details: error.message },
+      { status }
+    );
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * API route for direct browser uploads
+ * Returns a presigned URL the client PUTs the file to, then the image is registered with POST /api/images (JSON)
+ */
+
+import { NextResponse } from 'next/server';
+import { validateImageType, validateFileSize } from '../../../../lib/utils/firebase-storage.js';
+import { getStorage } from '../../../../lib/storage/index.js';
+import { resolveProjectScope, getProjectErrorStatus } from '../../../../lib/data-access/projects.js';
+
+// POST /api/uploads/presign - Create a presigned upload URL for an image file
+// ?project=ID is only checked here, so nothing is uploaded for a project that does not exist
+export async function POST(request) {
+    try {
+        const { searchParams } = new URL(request.url);
+        await resolveProjectScope(searchParams.get('project'));
+
+        const { fileName, mimeType, fileSize } = await request.json();
+
+        if (!fileName || !mimeType) {
+            return NextResponse.json(
+                { success: false, error: 'fileName and mimeType are required' },
+                { status: 400 }
+            );
+        }
+
+        // Validate file type
+        if (!validateImageType(mimeType)) {
+            return NextResponse.json(
+                { success: false, error: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP' },
+                { status: 400 }
+            );
+        }
+
+        if (!Number.isFinite(fileSize) || fileSize <= 0) {
+            return NextResponse.json(
+                { success: false, error: 'fileSize must be a positive number of bytes' },
+                { status: 400 }
+            );
+        }
+
+        // Validate file size (10MB limit)
+        if (!validateFileSize(fileSize)) {
+            return NextResponse.json(
+                { success: false, error: 'File size exceeds 10MB limit' },
+                { status: 413 }
+            );
+        }
+
+        const storage = getStorage();
+        if (typeof storage.presignUpload !== 'function') {
+            return NextResponse.json(
+                { success: false, error: `Direct uploads are not supported by the '${storage.name}' storage backend` },
+                { status: 501 }
+            );
+        }
+
+        return NextResponse.json({
+            success: true,
+            data: storage.presignUpload({ fileName, mimeType })
+        });
+
+    } catch (error) {
+        console.error('Error creating presigned upload:', error);
+
+        const projectStatus = getProjectErrorStatus(error);
+        if (projectStatus) {
+            return NextResponse.json(
+                { success: false, error: error.message },
+                { status: projectStatus }
+            );
+        }
+
+        return NextResponse.json(
+            { success: false, error: 'Failed to create presigned upload', details: error.message },
+            { status: 500 }
+        );
+    }
+}
@@ -0,0 +1,792 @@
+'use client'
+
+import { useState, useRef, useEffect } from 'react'
+import Image from 'next/image'
+
+export interface Region {
+    x: number
+    y: number
+    width: number
+    height: number
+}
+
+export type ShapeType = 'label' | 'bbox' | 'polygon' | 'mask' | 'keypoints'
+
+// Polygon vertices in normalized [x, y] coordinates
+export interface PolygonGeometry {
+    points: [number, number][]
+}
+
+// Uncompressed column-major run-length encoding (COCO convention); runs alternate background/foreground
+export interface MaskGeometry {
+    size: [number, number]
+    counts: number[]
+}
+
+// Pose points in template order: [x, y, visibility] with visibility 0 (not labeled), 1 (occluded) or 2 (visible)
+export interface KeypointsGeometry {
+    points: [number, number, number][]
+}
+
+// Label-level pose template (COCO convention); skeleton edges use 1-based keypoint indexes
+export interface KeypointTemplate {
+    keypoints: string[]
+    skeleton: [number, number][]
+}
+
+export type Geometry = PolygonGeometry | MaskGeometry | KeypointsGeometry
+
+// Label-level attribute definition; enum attributes list their allowed values
+export interface AttributeDefinition {
+    name: string
+    type: 'boolean' | 'integer' | 'number' | 'text' | 'enum'
+    values?: string[]
+}
+
+// Attribute values of one annotation, keyed by attribute name
+export type AttributeValues = Record<string, boolean | number | string>
+
+// Label appearance: chip and outline color (#rrggbb), icon shown before the name, keyboard mode hotkey
+export interface LabelStyle {
+    color?: string | null
+    icon?: string | null
+    hotkey?: string | null
+}
+
+export interface RegionAnnotation {
+    annotation_id: number
+    label_name: string
+    confidence: number
+    shape_type?: ShapeType
+    geometry?: Geometry | null
+    keypoint_template?: KeypointTemplate | null
+    attributes?: AttributeValues | null
+    attribute_schema?: AttributeDefinition[] | null
+    color?: string | null
+    icon?: string | null
+    bbox_x: number | null
+    bbox_y: number | null
+    bbox_width: number | null
+    bbox_height: number | null
+}
+
+interface AnnotationCanvasProps {
+    src: string
+    alt: string
+    annotations: RegionAnnotation[]
+    labelOptions: string[]
+    keypointTemplates: Record<string, KeypointTemplate>
+    onCreateRegion: (labelName: string, region: Region) => void
+    onUpdateRegion: (annotationId: number, region: Region) => void
+    onCreatePolygon: (labelName: string, geometry: PolygonGeometry) => void
+    onCreateKeypoints: (labelName: string, geometry: KeypointsGeometry) => void
+    onUpdateGeometry: (annotationId: number, geometry: PolygonGeometry | KeypointsGeometry) => void
+    onDeleteRegion: (annotationId: number) => void
+}
+
+type Tool = 'select' | 'box' | 'polygon' | 'keypoints'
+
+interface DragState {
+    mode: 'draw' | 'move' | 'resize' | 'vertex'
+    annotationId: number | null
+    startX: number
+    startY: number
+    origin: Region
+    vertexIndex?: number
+}
+
+// Boxes smaller than this (in normalized units) are treated as accidental clicks
+const MIN_REGION_SIZE = 0.01
+
+// Clicking within this distance of the first vertex closes the polygon being drawn
+const CLOSE_POLYGON_DISTANCE = 0.015
+
+const clamp = (value: number, min: number, max: number): number => Math.min(Math.max(value, min), max)
+
+/**
+ * Convert an annotation row into a region, or null for image-level labels
+ */
+export function getRegion(annotation: RegionAnnotation): Region | null {
+    if (annotation.bbox_x === null || annotation.bbox_y === null ||
+        annotation.bbox_width === null || annotation.bbox_height === null) {
+        return null
+    }
+    return {
+        x: annotation.bbox_x,
+        y: annotation.bbox_y,
+        width: annotation.bbox_width,
+        height: annotation.bbox_height
+    }
+}
+
+/**
+ * Resolve the shape of an annotation; rows from before shape types existed fall back to their bbox
+ */
+export function getShapeType(annotation: RegionAnnotation): ShapeType {
+    if (annotation.shape_type) return annotation.shape_type
+    return getRegion(annotation) ? 'bbox' : 'label'
+}
+
+// Hex alpha of the translucent fill inside shapes drawn in their label's color
+const LABEL_FILL_ALPHA = '1a'
+
+/**
+ * Color a shape is drawn in: its label's color, or none when it is selected or its label has no color,
+ * in which case the theme classes apply
+ */
+const getShapeColor = (annotation: RegionAnnotation, selected: boolean): string | null =>
+    !selected && annotation.color ? annotation.color : null
+
+/**
+ * Text of a shape's tag: the label icon and name with the confidence
+ */
+const getTagText = (annotation: RegionAnnotation): string =>
+    `${annotation.icon ? `${annotation.icon} ` : ''}${annotation.label_name} ${Math.round(annotation.confidence * 100)}%`
+
+const toSvgPoints = (points: number[][]): string =>
+    points.map(([x, y]) => `${x},${y}`).join(' ')
+
+/**
+ * SkeletonLines draws the template edges between labeled keypoints
+ */
+function SkeletonLines({ points, template, className, color }: { points: number[][], template: KeypointTemplate, className: string, color?: string | null }) {
+    return (
+        <>
+            {template.skeleton.map(([from, to]) => {
+                const start = points[from - 1]
+                const end = points[to - 1]
+                if (!start || !end || start[2] === 0 || end[2] === 0) return null
+                return (
+                    <line
+                        key={`${from}-${to}`}
+                        x1={start[0]}
+                        y1={start[1]}
+                        x2={end[0]}
+                        y2={end[1]}
+                        className={className}
+                        style={color ? { stroke: color } : undefined}
+                        strokeWidth={2}
+                        vectorEffect="non-scaling-stroke"
+                    />
+                )
+            })}
+        </>
+    )
+}
+
+/**
+ * MaskLayer paints an RLE mask onto a canvas stretched over the image
+ */
+function MaskLayer({ geometry, selected, labelColor }: { geometry: MaskGeometry, selected: boolean, labelColor?: string | null }) {
+    const canvasRef = useRef<HTMLCanvasElement>(null)
+
+    useEffect(() => {
+        const context = canvasRef.current?.getContext('2d')
+        if (!context) return
+
+        const [height, width] = geometry.size
+        const pixels = context.createImageData(width, height)
+        const color = selected ? [250, 204, 21]
+            : labelColor ? [1, 3, 5].map(index => parseInt(labelColor.slice(index, index + 2), 16))
+                : [96, 165, 250]
+        let position = 0
+
+        // Odd-indexed runs are foreground; pixels are numbered column by column
+        geometry.counts.forEach((run, index) => {
+            if (index % 2 === 1) {
+                for (let pixel = position; pixel < position + run; pixel++) {
+                    const offset = ((pixel % height) * width + Math.floor(pixel / height)) * 4
+                    pixels.data[offset] = color[0]
+                    pixels.data[offset + 1] = color[1]
+                    pixels.data[offset + 2] = color[2]
+                    pixels.data[offset + 3] = 110
+                }
+            }
+            position += run
+        })
+
+        context.putImageData(pixels, 0, 0)
+    }, [geometry, selected, labelColor])
+
+    return (
+        <canvas
+            ref={canvasRef}
+            width={geometry.size[1]}
+            height={geometry.size[0]}
+            className="absolute inset-0 w-full h-full pointer-events-none"
+            style={{ imageRendering: 'pixelated' }}
+            data-testid="region-mask"
+        />
+    )
+}
+
+/**
+ * AnnotationCanvas component renders an image with its box, polygon, mask and keypoint annotations on top
+ * Supports drawing boxes and polygons (click to place vertices), placing pose keypoints in template order,
+ * selecting, moving, resizing, dragging polygon vertices or keypoints and deleting shapes
+ * All coordinates are normalized (0-1) relative to the displayed image
+ */
+export default function AnnotationCanvas({
+    src,
+    alt,
+    annotations,
+    labelOptions,
+    keypointTemplates,
+    onCreateRegion,
+    onUpdateRegion,
+    onCreatePolygon,
+    onCreateKeypoints,
+    onUpdateGeometry,
+    onDeleteRegion
+}: AnnotationCanvasProps) {
+    const overlayRef = useRef<HTMLDivElement>(null)
+    const [tool, setTool] = useState<Tool>('select')
+    const [activeLabel, setActiveLabel] = useState(labelOptions[0] || '')
+    const [selectedId, setSelectedId] = useState<number | null>(null)
+    const [dragState, setDragState] = useState<DragState | null>(null)
+    const [previewRegion, setPreviewRegion] = useState<Region | null>(null)
+    const [previewPoints, setPreviewPoints] = useState<number[][] | null>(null)
+    const [draftPoints, setDraftPoints] = useState<[number, number][]>([])
+    const [draftKeypoints, setDraftKeypoints] = useState<[number, number, number][]>([])
+    const [placeOccluded, setPlaceOccluded] = useState(false)
+
+    const drawMode = tool !== 'select'
+    const boxAnnotations = annotations.filter(annotation => getShapeType(annotation) === 'bbox')
+    const polygonAnnotations = annotations.filter(annotation =>
+        getShapeType(annotation) === 'polygon' && annotation.geometry)
+    const maskAnnotations = annotations.filter(annotation =>
+        getShapeType(annotation) === 'mask' && annotation.geometry)
+    const keypointAnnotations = annotations.filter(annotation =>
+        getShapeType(annotation) === 'keypoints' && annotation.geometry && annotation.keypoint_template)
+    const activeTemplate = keypointTemplates[activeLabel.trim()]
+
+    const selectTool = (nextTool: Tool) => {
+        setTool(tool === nextTool ? 'select' : nextTool)
+        setSelectedId(null)
+        setDraftPoints([])
+        setDraftKeypoints([])
+    }
+
+    // Add the next keypoint in template order; the pose is saved once every keypoint is placed or skipped
+    const placeKeypoint = (keypoint: [number, number, number]) => {
+        const points = [...draftKeypoints, keypoint]
+        if (activeTemplate && points.length === activeTemplate.keypoints.length) {
+            if (points.some(point => point[2] > 0)) {
+                onCreateKeypoints(activeLabel.trim(), { points })
+            }
+            setDraftKeypoints([])
+        } else {
+            setDraftKeypoints(points)
+        }
+    }
+
+    const finishPolygon = (points: [number, number][]) => {
+        if (points.length >= 3 && activeLabel.trim()) {
+            onCreatePolygon(activeLabel.trim(), { points })
+        }
+        setDraftPoints([])
+    }
+
+    // Translate a pointer position into normalized image coordinates
+    const getPoint = (event: React.PointerEvent): { x: number, y: number } => {
+        const rect = overlayRef.current!.getBoundingClientRect()
+        return {
+            x: clamp((event.clientX - rect.left) / rect.width, 0, 1),
+            y: clamp((event.clientY - rect.top) / rect.height, 0, 1)
+        }
+    }
+
+    const handleOverlayPointerDown = (event: React.PointerEvent<HTMLDivElement>) => {
+        if (!drawMode || !activeLabel.trim()) {
+            setSelectedId(null)
+            return
+        }
+
+        const point = getPoint(event)
+
+        // Polygons are drawn one click per vertex; clicking the first vertex again closes the shape
+        if (tool === 'polygon') {
+            const [first] = draftPoints
+            if (first && draftPoints.length >= 3 &&
+                Math.hypot(point.x - first[0], point.y - first[1]) <= CLOSE_POLYGON_DISTANCE) {
+                finishPolygon(draftPoints)
+            } else {
+                setDraftPoints([...draftPoints, [point.x, point.y]])
+            }
+            return
+        }
+
+        if (tool === 'keypoints') {
+            if (activeTemplate) {
+                placeKeypoint([point.x, point.y, placeOccluded ? 1 : 2])
+            }
+            return
+        }
+
+        event.currentTarget.setPointerCapture(event.pointerId)
+        setSelectedId(null)
+        setDragState({
+            mode: 'draw',
+            annotationId: null,
+            startX: point.x,
+            startY: point.y,
+            origin: { x: point.x, y: point.y, width: 0, height: 0 }
+        })
+        setPreviewRegion({ x: point.x, y: point.y, width: 0, height: 0 })
+    }
+
+    const handleRegionPointerDown = (event: React.PointerEvent, annotation: RegionAnnotation, mode: 'move' | 'resize') => {
+        if (drawMode) return
+        event.stopPropagation()
+
+        const point = getPoint(event)
+        overlayRef.current?.setPointerCapture(event.pointerId)
+        setSelectedId(annotation.annotation_id)
+        setDragState({
+            mode,
+            annotationId: annotation.annotation_id,
+            startX: point.x,
+            startY: point.y,
+            origin: getRegion(annotation)!
+        })
+        setPreviewRegion(getRegion(annotation))
+    }
+
+    const handleShapePointerDown = (event: React.PointerEvent, annotation: RegionAnnotation) => {
+        if (drawMode) return
+        event.stopPropagation()
+        setSelectedId(annotation.annotation_id)
+    }
+
+    const handleVertexPointerDown = (event: React.PointerEvent, annotation: RegionAnnotation, vertexIndex: number) => {
+        if (drawMode) return
+        event.stopPropagation()
+
+        const point = getPoint(event)
+        const points = (annotation.geometry as PolygonGeometry | KeypointsGeometry).points
+        overlayRef.current?.setPointerCapture(event.pointerId)
+        setDragState({
+            mode: 'vertex',
+            annotationId: annotation.annotation_id,
+            startX: point.x,
+            startY: point.y,
+            origin: getRegion(annotation)!,
+            vertexIndex
+        })
+        setPreviewPoints(points)
+    }
+
+    const handlePointerMove = (event: React.PointerEvent<HTMLDivElement>) => {
+        if (!dragState) return
+
+        const point = getPoint(event)
+        const { origin, startX, startY } = dragState
+
+        if (dragState.mode === 'vertex') {
+            // Keypoints keep their visibility flag while being dragged
+            setPreviewPoints(previewPoints && previewPoints.map((vertex, index) =>
+                index === dragState.vertexIndex ? [point.x, point.y, ...vertex.slice(2)] : vertex))
+        } else if (dragState.mode === 'draw') {
+            setPreviewRegion({
+                x: Math.min(startX, point.x),
+                y: Math.min(startY, point.y),
+                width: Math.abs(point.x - startX),
+                height: Math.abs(point.y - startY)
+            })
+        } else if (dragState.mode === 'move') {
+            setPreviewRegion({
+                ...origin,
+                x: clamp(origin.x + point.x - startX, 0, 1 - origin.width),
+                y: clamp(origin.y + point.y - startY, 0, 1 - origin.height)
+            })
+        } else {
+            setPreviewRegion({
+                ...origin,
+                width: clamp(origin.width + point.x - startX, MIN_REGION_SIZE, 1 - origin.x),
+                height: clamp(origin.height + point.y - startY, MIN_REGION_SIZE, 1 - origin.y)
+            })
+        }
+    }
+
+    const handlePointerUp = () => {
+        if (dragState?.mode === 'vertex') {
+            if (previewPoints && dragState.annotationId !== null) {
+                const { startX, startY } = dragState
+                const moved = previewPoints[dragState.vertexIndex!]
+                if (moved[0] !== startX || moved[1] !== startY) {
+                    onUpdateGeometry(dragState.annotationId, { points: previewPoints } as PolygonGeometry | KeypointsGeometry)
+                }
+            }
+            setDragState(null)
+            setPreviewPoints(null)
+            return
+        }
+
+        if (!dragState || !previewRegion) return
+
+        const region = previewRegion
+        const isLargeEnough = region.width >= MIN_REGION_SIZE && region.height >= MIN_REGION_SIZE
+
+        if (dragState.mode === 'draw') {
+            if (isLargeEnough) {
+                onCreateRegion(activeLabel.trim(), region)
+            }
+        } else if (dragState.annotationId !== null &&
+            (region.x !== dragState.origin.x || region.y !== dragState.origin.y ||
+                region.width !== dragState.origin.width || region.height !== dragState.origin.height)) {
+            onUpdateRegion(dragState.annotationId, region)
+        }
+
+        setDragState(null)
+        setPreviewRegion(null)
+    }
+
+    const toPercentStyle = (region: Region): React.CSSProperties => ({
+        left: `${region.x * 100}%`,
+        top: `${region.y * 100}%`,
+        width: `${region.width * 100}%`,
+        height: `${region.height * 100}%`
+    })
+
+    return (
+        <div className="flex flex-col items-center gap-3 w-full h-full" data-testid="annotation-canvas">
+            {/* Toolbar */}
+            <div className="flex flex-wrap items-center gap-2 bg-black bg-opacity-60 text-white text-sm px-4 py-2 rounded-full">
+                <button
+                    onClick={() => selectTool('box')}
+                    className={`px-3 py-1 rounded-full transition-colors ${tool === 'box' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    aria-pressed={tool === 'box'}
+                    data-testid="draw-box-toggle"
+                >
+                    {tool === 'box' ? 'Drawing boxes' : 'Draw box'}
+                </button>
+                <button
+                    onClick={() => selectTool('polygon')}
+                    className={`px-3 py-1 rounded-full transition-colors ${tool === 'polygon' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    aria-pressed={tool === 'polygon'}
+                    data-testid="draw-polygon-toggle"
+                >
+                    {tool === 'polygon' ? 'Drawing polygons' : 'Draw polygon'}
+                </button>
+                <button
+                    onClick={() => selectTool('keypoints')}
+                    disabled={!activeTemplate}
+                    title={activeTemplate ? undefined : 'The selected label has no keypoint template'}
+                    className={`px-3 py-1 rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${tool === 'keypoints' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    aria-pressed={tool === 'keypoints'}
+                    data-testid="place-keypoints-toggle"
+                >
+                    {tool === 'keypoints' ? 'Placing keypoints' : 'Place keypoints'}
+                </button>
+                <input
+                    type="text"
+                    list="annotation-canvas-labels"
+                    value={activeLabel}
+                    onChange={(e) => {
+                        setActiveLabel(e.target.value)
+                        setDraftKeypoints([])
+                    }}
+                    placeholder="Label for new shapes"
+                    className="px-3 py-1 rounded-full bg-gray-800 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    data-testid="region-label-input"
+                />
+                <datalist id="annotation-canvas-labels">
+                    {labelOptions.map(label => (
+                        <option key={label} value={label} />
+                    ))}
+                </datalist>
+                {tool === 'polygon' && draftPoints.length > 0 && (
+                    <>
+                        <button
+                            onClick={() => finishPolygon(draftPoints)}
+                            disabled={draftPoints.length < 3}
+                            className="px-3 py-1 rounded-full bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                            data-testid="finish-polygon-button"
+                        >
+                            Finish polygon ({draftPoints.length} points)
+                        </button>
+                        <button
+                            onClick={() => setDraftPoints([])}
+                            className="px-3 py-1 rounded-full bg-gray-700 hover:bg-gray-600 transition-colors"
+                        >
+                            Cancel
+                        </button>
+                    </>
+                )}
+                {tool === 'keypoints' && activeTemplate && (
+                    <>
+                        <span className="px-2" data-testid="next-keypoint">
+                            Place <strong>{activeTemplate.keypoints[draftKeypoints.length]}</strong> ({draftKeypoints.length + 1}/{activeTemplate.keypoints.length})
+                        </span>
+                        <label className="flex items-center gap-1 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={placeOccluded}
+                                onChange={(e) => setPlaceOccluded(e.target.checked)}
+                            />
+                            Occluded
+                        </label>
+                        <button
+                            onClick={() => placeKeypoint([0, 0, 0])}
+                            className="px-3 py-1 rounded-full bg-gray-700 hover:bg-gray-600 transition-colors"
+                            data-testid="skip-keypoint-button"
+                        >
+                            Skip
+                        </button>
+                        {draftKeypoints.length > 0 && (
+                            <button
+                                onClick={() => setDraftKeypoints(draftKeypoints.slice(0, -1))}
+                                className="px-3 py-1 rounded-full bg-gray-700 hover:bg-gray-600 transition-colors"
+                            >
+                                Undo
+                            </button>
+                        )}
+                    </>
+                )}
+                {selectedId !== null && (
+                    <button
+                        onClick={() => {
+                            onDeleteRegion(selectedId)
+                            setSelectedId(null)
+                        }}
+                        className="px-3 py-1 rounded-full bg-red-600 hover:bg-red-700 transition-colors"
+                        data-testid="delete-region-button"
+                    >
+                        Delete shape
+                    </button>
+                )}
+            </div>
+
+            {/* Image with region overlay; the wrapper shrinks to the rendered image so percentages line up */}
+            <div className="relative inline-block max-w-full">
+                <Image
+                    src={src}
+                    alt={alt}
+                    width={0}
+                    height={0}
+                    sizes="100vw"
+                    className="block w-auto h-auto max-w-full max-h-[75vh] select-none"
+                    draggable={false}
+                />
+                <div
+                    ref={overlayRef}
+                    className={`absolute inset-0 ${drawMode ? 'cursor-crosshair' : 'cursor-default'}`}
+                    onPointerDown={handleOverlayPointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    data-testid="region-overlay"
+                >
+                    {maskAnnotations.map(annotation => {
+                        const isSelected = selectedId === annotation.annotation_id
+                        const color = getShapeColor(annotation, isSelected)
+                        return (
+                            <div key={annotation.annotation_id}>
+                                <MaskLayer geometry={annotation.geometry as MaskGeometry} selected={isSelected} labelColor={annotation.color} />
+                                {/* Masks are selected through their bounding box */}
+                                <div
+                                    className={`absolute border border-dashed ${isSelected ? 'border-yellow-400' : 'border-transparent hover:border-blue-300'} ${drawMode ? 'pointer-events-none' : 'cursor-pointer'}`}
+                                    style={toPercentStyle(getRegion(annotation)!)}
+                                    onPointerDown={(e) => handleShapePointerDown(e, annotation)}
+                                >
+                                    <span
+                                        className={`absolute -top-6 left-0 whitespace-nowrap text-xs font-semibold px-1.5 py-0.5 rounded ${isSelected ? 'bg-yellow-400 text-black' : 'bg-blue-500 text-white'}`}
+                                        style={color ? { backgroundColor: color } : undefined}
+                                    >
+                                        {getTagText(annotation)}
+                                    </span>
+                                </div>
+                            </div>
+                        )
+                    })}
+
+                    {/* Polygons are drawn in a normalized 0-1 SVG space stretched over the image */}
+                    <svg
+                        className="absolute inset-0 w-full h-full pointer-events-none"
+                        viewBox="0 0 1 1"
+                        preserveAspectRatio="none"
+                    >
+                        {polygonAnnotations.map(annotation => {
+                            const isDragged = dragState?.mode === 'vertex' && dragState.annotationId === annotation.annotation_id && previewPoints
+                            const points = isDragged ? previewPoints : (annotation.geometry as PolygonGeometry).points
+                            const isSelected = selectedId === annotation.annotation_id
+                            const color = getShapeColor(annotation, isSelected)
+
+                            return (
+                                <polygon
+                                    key={annotation.annotation_id}
+                                    points={toSvgPoints(points)}
+                                    className={`${isSelected ? 'fill-yellow-400/10 stroke-yellow-400' : 'fill-blue-400/10 stroke-blue-400'} ${drawMode ? '' : 'pointer-events-auto cursor-pointer'}`}
+                                    style={color ? { stroke: color, fill: `${color}${LABEL_FILL_ALPHA}` } : undefined}
+                                    strokeWidth={2}
+                                    vectorEffect="non-scaling-stroke"
+                                    onPointerDown={(e) => handleShapePointerDown(e, annotation)}
+                                    data-testid="region-polygon"
+                                />
+                            )
+                        })}
+
+                        {keypointAnnotations.map(annotation => {
+                            const isDragged = dragState?.mode === 'vertex' && dragState.annotationId === annotation.annotation_id && previewPoints
+                            const points = isDragged ? previewPoints : (annotation.geometry as KeypointsGeometry).points
+                            const isSelected = selectedId === annotation.annotation_id
+
+                            return (
+                                <SkeletonLines
+                                    key={annotation.annotation_id}
+                                    points={points}
+                                    template={annotation.keypoint_template!}
+                                    className={isSelected ? 'stroke-yellow-400' : 'stroke-pink-400'}
+                                    color={getShapeColor(annotation, isSelected)}
+                                />
+                            )
+                        })}
+
+                        {/* Pose currently being placed */}
+                        {activeTemplate && draftKeypoints.length > 0 && (
+                            <SkeletonLines points={draftKeypoints} template={activeTemplate} className="stroke-green-400" />
+                        )}
+
+                        {/* Polygon currently being drawn */}
+                        {draftPoints.length > 0 && (
+                            <polyline
+                                points={toSvgPoints(draftPoints)}
+                                className="fill-green-400/10 stroke-green-400"
+                                strokeWidth={2}
+                                strokeDasharray="4 3"
+                                vectorEffect="non-scaling-stroke"
+                            />
+                        )}
+                    </svg>
+
+                    {polygonAnnotations.map(annotation => {
+                        const isSelected = selectedId === annotation.annotation_id
+                        const isDragged = dragState?.mode === 'vertex' && dragState.annotationId === annotation.annotation_id && previewPoints
+                        const points = isDragged ? previewPoints : (annotation.geometry as PolygonGeometry).points
+                        const region = getRegion(annotation)!
+                        const color = getShapeColor(annotation, isSelected)
+
+                        return (
+                            <div key={annotation.annotation_id}>
+                                <span
+                                    className={`absolute -translate-y-6 whitespace-nowrap text-xs font-semibold px-1.5 py-0.5 rounded pointer-events-none ${isSelected ? 'bg-yellow-400 text-black' : 'bg-blue-500 text-white'}`}
+                                    style={{ left: `${region.x * 100}%`, top: `${region.y * 100}%`, ...(color && { backgroundColor: color }) }}
+                                >
+                                    {getTagText(annotation)}
+                                </span>
+                                {/* Vertex handles of the selected polygon can be dragged */}
+                                {isSelected && !drawMode && points.map(([x, y], index) => (
+                                    <div
+                                        key={index}
+                                        className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-yellow-400 border border-black cursor-move"
+                                        style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                                        onPointerDown={(e) => handleVertexPointerDown(e, annotation, index)}
+                                        data-testid="polygon-vertex-handle"
+                                    />
+                                ))}
+                            </div>
+                        )
+                    })}
+
+                    {keypointAnnotations.map(annotation => {
+                        const isSelected = selectedId === annotation.annotation_id
+                        const isDragged = dragState?.mode === 'vertex' && dragState.annotationId === annotation.annotation_id && previewPoints
+                        const points = isDragged ? previewPoints : (annotation.geometry as KeypointsGeometry).points
+                        const template = annotation.keypoint_template!
+                        const anchor = points.find(point => point[2] > 0)
+                        const color = getShapeColor(annotation, isSelected)
+
+                        return (
+                            <div key={annotation.annotation_id}>
+                                {anchor && (
+                                    <span
+                                        className={`absolute -translate-y-7 whitespace-nowrap text-xs font-semibold px-1.5 py-0.5 rounded pointer-events-none ${isSelected ? 'bg-yellow-400 text-black' : 'bg-pink-500 text-white'}`}
+                                        style={{ left: `${anchor[0] * 100}%`, top: `${anchor[1] * 100}%`, ...(color && { backgroundColor: color }) }}
+                                    >
+                                        {getTagText(annotation)}
+                                    </span>
+                                )}
+                                {/* Visible keypoints are filled, occluded ones hollow; unlabeled ones are not drawn */}
+                                {points.map(([x, y, visibility], index) => visibility > 0 && (
+                                    <div
+                                        key={index}
+                                        title={template.keypoints[index]}
+                                        className={`absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full border-2 ${isSelected ? 'border-yellow-400' : 'border-pink-400'} ${visibility === 2 ? (isSelected ? 'bg-yellow-400' : 'bg-pink-400') : 'bg-transparent'} ${drawMode ? 'pointer-events-none' : 'cursor-move'}`}
+                                        style={{
+                                            left: `${x * 100}%`,
+                                            top: `${y * 100}%`,
+                                            ...(color && { borderColor: color, ...(visibility === 2 && { backgroundColor: color }) })
+                                        }}
+                                        onPointerDown={(e) => isSelected
+                                            ? handleVertexPointerDown(e, annotation, index)
+                                            : handleShapePointerDown(e, annotation)}
+                                        data-testid="keypoint-handle"
+                                    />
+                                ))}
+                            </div>
+                        )
+                    })}
+
+                    {draftKeypoints.map(([x, y, visibility], index) => visibility > 0 && (
+                        <div
+                            key={index}
+                            title={activeTemplate?.keypoints[index]}
+                            className={`absolute w-2.5 h-2.5 -ml-[5px] -mt-[5px] rounded-full border-2 border-green-400 pointer-events-none ${visibility === 2 ? 'bg-green-400' : 'bg-transparent'}`}
+                            style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                        />
+                    ))}
+
+                    {/* Vertices placed so far; the first one closes the polygon when clicked */}
+                    {draftPoints.map(([x, y], index) => (
+                        <div
+                            key={index}
+                            className={`absolute rounded-full border border-black pointer-events-none ${index === 0 && draftPoints.length >= 3 ? 'w-3.5 h-3.5 -ml-[7px] -mt-[7px] bg-green-300' : 'w-2.5 h-2.5 -ml-[5px] -mt-[5px] bg-green-400'}`}
+                            style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+                        />
+                    ))}
+
+                    {boxAnnotations.map(annotation => {
+                        const isDragged = dragState?.annotationId === annotation.annotation_id && previewRegion
+                        const region = isDragged ? previewRegion : getRegion(annotation)!
+                        const isSelected = selectedId === annotation.annotation_id
+                        const color = getShapeColor(annotation, isSelected)
+
+                        return (
+                            <div
+                                key={annotation.annotation_id}
+                                className={`absolute border-2 ${isSelected ? 'border-yellow-400 bg-yellow-400/10' : 'border-blue-400 bg-blue-400/10'} ${drawMode ? 'pointer-events-none' : 'cursor-move'}`}
+                                style={{
+                                    ...toPercentStyle(region),
+                                    ...(color && { borderColor: color, backgroundColor: `${color}${LABEL_FILL_ALPHA}` })
+                                }}
+                                onPointerDown={(e) => handleRegionPointerDown(e, annotation, 'move')}
+                                data-testid="region-box"
+                            >
+                                <span
+                                    className={`absolute -top-6 left-0 whitespace-nowrap text-xs font-semibold px-1.5 py-0.5 rounded ${isSelected ? 'bg-yellow-400 text-black' : 'bg-blue-500 text-white'}`}
+                                    style={color ? { backgroundColor: color } : undefined}
+                                >
+                                    {getTagText(annotation)}
+                                </span>
+                                {isSelected && (
+                                    <div
+                                        className="absolute -bottom-1.5 -right-1.5 w-3 h-3 bg-yellow-400 border border-black cursor-se-resize"
+                                        onPointerDown={(e) => handleRegionPointerDown(e, annotation, 'resize')}
+                                        data-testid="region-resize-handle"
+                                    />
+                                )}
+                            </div>
+                        )
+                    })}
+
+                    {/* Box currently being drawn */}
+                    {dragState?.mode === 'draw' && previewRegion && (
+                        <div
+                            className="absolute border-2 border-dashed border-green-400 bg-green-400/10 pointer-events-none"
+                            style={toPercentStyle(previewRegion)}
+                        />
+                    )}
+                </div>
+            </div>
+        </div>
+    )
+}
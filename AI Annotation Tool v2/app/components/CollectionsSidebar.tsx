@@ -0,0 +1,279 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { useRouter, usePathname } from 'next/navigation'
+import { useAuth } from '../contexts/AuthContext'
+import { useProject } from '../contexts/ProjectContext'
+import { useAutoRefresh, DATA_SYNC_EVENTS } from '../../lib/utils/data-sync'
+
+interface Collection {
+    saved_search_id: number
+    name: string
+    description?: string | null
+    search: string | null
+    label: string | null
+    query: string | null
+    image_count: number
+}
+
+interface CollectionsSidebarProps {
+    searchQuery?: string
+    selectedLabel?: string
+    filterQuery?: string
+    // Called after a collection's filters were applied to the URL
+    onApply?: () => void
+}
+
+/**
+ * CollectionsSidebar Component
+ * Lists saved searches (smart collections) with their current image counts.
+ * Opening a collection applies its filters to the gallery; the current filters can be saved as a new collection.
+ */
+export default function CollectionsSidebar({
+    searchQuery = '',
+    selectedLabel = '',
+    filterQuery = '',
+    onApply
+}: CollectionsSidebarProps) {
+    const router = useRouter()
+    const pathname = usePathname()
+    const { user } = useAuth()
+    const { projectUrl } = useProject()
+    const [collections, setCollections] = useState<Collection[]>([])
+    const [loading, setLoading] = useState(true)
+    const [error, setError] = useState<string | null>(null)
+    const [showSaveForm, setShowSaveForm] = useState(false)
+    const [name, setName] = useState('')
+    const [saving, setSaving] = useState(false)
+    const [saveError, setSaveError] = useState<string | null>(null)
+
+    const hasFilters = Boolean(searchQuery || selectedLabel || filterQuery)
+
+    const fetchCollections = useCallback(async () => {
+        try {
+            setError(null)
+            const response = await fetch(projectUrl('/api/collections'))
+            const data = await response.json()
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.details || data.error || 'Failed to load collections')
+            }
+
+            setCollections(data.data || [])
+        } catch (err) {
+            console.error('Error loading collections:', err)
+            setError('Failed to load collections')
+        } finally {
+            setLoading(false)
+        }
+    }, [projectUrl])
+
+    // Collections belong to a project, so reload them when another project is selected
+    useEffect(() => {
+        fetchCollections()
+    }, [fetchCollections])
+
+    // Counts follow the library, so reload them whenever images or labels change
+    useAutoRefresh(
+        fetchCollections,
+        [
+            DATA_SYNC_EVENTS.IMAGES_REFRESHED,
+            DATA_SYNC_EVENTS.IMAGE_ADDED,
+            DATA_SYNC_EVENTS.IMAGE_UPDATED,
+            DATA_SYNC_EVENTS.IMAGE_DELETED,
+            DATA_SYNC_EVENTS.LABELS_REFRESHED
+        ],
+        { enabled: process.env.NODE_ENV !== 'test' }
+    )
+
+    const isActive = (collection: Collection) =>
+        (collection.search || '') === searchQuery &&
+        (collection.label || '') === selectedLabel &&
+        (collection.query || '') === filterQuery
+
+    // Show the gallery filtered like the collection, starting from the first page
+    const applyFilters = (filters: { search?: string | null, label?: string | null, q?: string | null }) => {
+        const params = new URLSearchParams()
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value)
+            }
+        })
+
+        const queryString = params.toString()
+        router.replace(queryString ? `${pathname}?${queryString}` : pathname)
+        onApply?.()
+    }
+
+    const handleSave = async (event: React.FormEvent) => {
+        event.preventDefault()
+        setSaving(true)
+        setSaveError(null)
+
+        try {
+            const response = await fetch(projectUrl('/api/collections'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-user-email': user?.email || 'anonymous'
+                },
+                body: JSON.stringify({
+                    name,
+                    search: searchQuery || null,
+                    label: selectedLabel || null,
+                    query: filterQuery || null
+                })
+            })
+            const data = await response.json()
+
+            if (!data.success) {
+                setSaveError(data.details || data.error || 'Failed to save collection')
+                return
+            }
+
+            setName('')
+            setShowSaveForm(false)
+            await fetchCollections()
+        } catch (err) {
+            console.error('Error saving collection:', err)
+            setSaveError('Failed to save collection. Please try again.')
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    const handleDelete = async (collection: Collection) => {
+        if (!confirm(`Delete the collection "${collection.name}"? Its images are kept.`)) {
+            return
+        }
+
+        try {
+            const response = await fetch(`/api/collections/${collection.saved_search_id}`, { method: 'DELETE' })
+            const data = await response.json()
+
+            if (!data.success) {
+                throw new Error(data.details || data.error)
+            }
+
+            await fetchCollections()
+        } catch (err) {
+            console.error('Error deleting collection:', err)
+            alert('Failed to delete collection. Please try again.')
+        }
+    }
+
+    return (
+        <nav aria-label="Collections" className="space-y-3">
+            <div className="flex items-center justify-between">
+                <h4 className="text-sm font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+                    Collections
+                </h4>
+                <button
+                    type="button"
+                    onClick={() => setShowSaveForm(!showSaveForm)}
+                    disabled={!hasFilters}
+                    title={hasFilters ? 'Save the current search as a collection' : 'Search or filter the gallery to save a collection'}
+                    className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 disabled:text-gray-400 disabled:cursor-not-allowed"
+                >
+                    Save search
+                </button>
+            </div>
+
+            {showSaveForm && hasFilters && (
+                <form onSubmit={handleSave} className="space-y-2">
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Collection name"
+                        aria-label="Collection name"
+                        maxLength={100}
+                        required
+                        className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    {saveError && (
+                        <p role="alert" className="text-xs text-red-600 dark:text-red-400">{saveError}</p>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={saving || !name.trim()}
+                        className="w-full px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {saving ? 'Saving...' : 'Save collection'}
+                    </button>
+                </form>
+            )}
+
+            <ul className="space-y-1">
+                <li>
+                    <button
+                        type="button"
+                        onClick={() => applyFilters({})}
+                        aria-current={!hasFilters ? 'true' : undefined}
+                        className={`w-full text-left px-3 py-2 rounded-lg text-sm ${!hasFilters
+                            ? 'bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300 font-medium'
+                            : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+                    >
+                        All images
+                    </button>
+                </li>
+
+                {collections.map(collection => (
+                    <li key={collection.saved_search_id} className="group flex items-center gap-1">
+                        <button
+                            type="button"
+                            onClick={() => applyFilters({ search: collection.search, label: collection.label, q: collection.query })}
+                            aria-current={isActive(collection) ? 'true' : undefined}
+                            title={collection.description || [collection.search, collection.label && `label: ${collection.label}`, collection.query].filter(Boolean).join(' · ')}
+                            className={`flex-1 min-w-0 flex items-center justify-between gap-2 text-left px-3 py-2 rounded-lg text-sm ${isActive(collection)
+                                ? 'bg-blue-50 text-blue-700 dark:bg-blue-900/30 dark:text-blue-300 font-medium'
+                                : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+                        >
+                            <span className="truncate">{collection.name}</span>
+                            <span
+                                aria-label={`${collection.image_count} images`}
+                                className="shrink-0 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-400"
+                            >
+                                {collection.image_count}
+                            </span>
+                        </button>
+                        <a
+                            href={projectUrl(`/api/export/csv?collection=${collection.saved_search_id}`)}
+                            download
+                            title={`Export ${collection.name} as CSV`}
+                            aria-label={`Export ${collection.name} as CSV`}
+                            className="p-1 text-gray-400 hover:text-blue-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v2a2 2 0 002 2h12a2 2 0 002-2v-2M7 10l5 5 5-5M12 15V3" />
+                            </svg>
+                        </a>
+                        <button
+                            type="button"
+                            onClick={() => handleDelete(collection)}
+                            title={`Delete ${collection.name}`}
+                            aria-label={`Delete ${collection.name}`}
+                            className="p-1 text-gray-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                        >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {loading && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Loading collections...</p>
+            )}
+            {error && (
+                <p role="alert" className="text-xs text-red-600 dark:text-red-400">{error}</p>
+            )}
+            {!loading && !error && collections.length === 0 && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                    No collections yet. Search or filter the gallery, then save the search.
+                </p>
+            )}
+        </nav>
+    )
+}
@@ -2,6 +2,7 @@
 
 import { useState, useRef } from 'react'
 import { dataOperations } from '../../lib/utils/data-sync'
+import { useProject } from '../contexts/ProjectContext'
 
 interface ImportResult {
     success: boolean
@@ -12,21 +13,81 @@ interface ImportResult {
     message: string
 }
 
+type DatasetFormat = 'csv' | 'coco' | 'yolo' | 'voc'
+
+type CsvDelimiter = 'auto' | 'comma' | 'semicolon' | 'tab'
+
+// wide: one row per image, long: one row per annotation
+type CsvLayout = 'wide' | 'long'
+
+interface FormatOption {
+    label: string
+    accept: string
+    exportHint: string
+}
+
+const FORMATS: Record<DatasetFormat, FormatOption> = {
+    csv: { label: 'CSV', accept: '.csv', exportHint: 'Download as CSV file' },
+    coco: { label: 'COCO', accept: '.json', exportHint: 'Download as COCO JSON' },
+    yolo: { label: 'YOLO', accept: '.zip', exportHint: 'Download as YOLO zip' },
+    voc: { label: 'Pascal VOC', accept: '.xml,.zip', exportHint: 'Download as VOC zip' }
+}
+
+interface ImportCounts {
+    [action: string]: number
+}
+
+interface DatasetImportReport {
+    format: DatasetFormat
+    dryRun: boolean
+    summary: {
+        labels: ImportCounts
+        images: ImportCounts
+        annotations: ImportCounts
+    }
+    labels: { name: string; action: string; reason?: string }[]
+    images: {
+        file_name: string
+        action: string
+        reason?: string
+        issues: { source: string; label?: string; action: string; reason: string }[]
+    }[]
+}
+
+// Colors for the counts shown in the dataset import preview
+const ACTION_STYLES: Record<string, string> = {
+    created: 'text-green-600 dark:text-green-400',
+    matched: 'text-blue-600 dark:text-blue-400',
+    existing: 'text-blue-600 dark:text-blue-400',
+    updated: 'text-blue-600 dark:text-blue-400',
+    skipped: 'text-yellow-600 dark:text-yellow-400',
+    conflicted: 'text-red-600 dark:text-red-400'
+}
+
 /**
- * CsvExportImport component provides CSV export and import functionality
+ * CsvExportImport component provides export and import in CSV, COCO, YOLO and Pascal VOC formats
+ * Dataset formats are previewed with a dry run before anything is written
  * Designed as a prominent section above the search and gallery
+ * Exports and imports work on the selected project
  */
 export default function CsvExportImport() {
+    const { projectUrl } = useProject()
+    const [format, setFormat] = useState<DatasetFormat>('csv')
+    const [delimiter, setDelimiter] = useState<CsvDelimiter>('auto')
+    const [csvLayout, setCsvLayout] = useState<CsvLayout>('wide')
     const [isExporting, setIsExporting] = useState(false)
     const [isImporting, setIsImporting] = useState(false)
     const [importResult, setImportResult] = useState<ImportResult | null>(null)
     const [showImportResult, setShowImportResult] = useState(false)
+    const [datasetReport, setDatasetReport] = useState<DatasetImportReport | null>(null)
+    const [pendingFile, setPendingFile] = useState<File | null>(null)
     const fileInputRef = useRef<HTMLInputElement>(null)
 
     const handleExport = async () => {
         setIsExporting(true)
         try {
-            const response = await fetch('/api/export/csv')
+            const layoutQuery = format === 'csv' && csvLayout === 'long' ? '?format=long' : ''
+            const response = await fetch(projectUrl(`/api/export/${format}${layoutQuery}`))
 
             if (!response.ok) {
                 throw new Error('Export failed')
@@ -58,7 +119,7 @@ export default function CsvExportImport() {
 
         } catch (error) {
             console.error('Export error:', error)
-            alert('Failed to export CSV. Please try again.')
+            alert(`Failed to export ${FORMATS[format].label}. Please try again.`)
         } finally {
             setIsExporting(false)
         }
@@ -71,8 +132,9 @@ export default function CsvExportImport() {
         try {
             const formData = new FormData()
             formData.append('file', file)
+            formData.append('delimiter', delimiter)
 
-            const response = await fetch('/api/import/csv', {
+            const response = await fetch(projectUrl('/api/import/csv'), {
                 method: 'POST',
                 body: formData
             })
@@ -102,17 +164,88 @@ export default function CsvExportImport() {
         }
     }
 
+    const showImportError = (message: string) => {
+        setImportResult({
+            success: false,
+            imported: 0,
+            skipped: 0,
+            errors: 1,
+            errorDetails: [message],
+            message: 'Import failed'
+        })
+        setShowImportResult(true)
+    }
+
+    // Send a COCO/YOLO/VOC file; with dryRun the server only reports what it would do
+    const handleDatasetImport = async (file: File, dryRun: boolean) => {
+        setIsImporting(true)
+
+        try {
+            const formData = new FormData()
+            formData.append('file', file)
+            formData.append('dryRun', String(dryRun))
+
+            const response = await fetch(projectUrl(`/api/import/${format}`), {
+                method: 'POST',
+                body: formData
+            })
+
+            const result = await response.json()
+            if (!result.success) {
+                setDatasetReport(null)
+                setPendingFile(null)
+                showImportError(result.details || result.error)
+                return
+            }
+
+            setDatasetReport(result.data)
+            setPendingFile(dryRun ? file : null)
+
+            if (!dryRun && result.data.summary.annotations.created + result.data.summary.images.created > 0) {
+                // Refresh the data to show imported items
+                dataOperations.notifyDataRefresh()
+            }
+
+        } catch (error) {
+            console.error('Import error:', error)
+            setDatasetReport(null)
+            setPendingFile(null)
+            showImportError(`Failed to import ${FORMATS[format].label}. Please try again.`)
+        } finally {
+            setIsImporting(false)
+        }
+    }
+
     const handleFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
         const file = event.target.files?.[0]
+        // Allow selecting the same file again after a cancelled preview
+        event.target.value = ''
         if (file) {
-            if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-                alert('Please select a CSV file')
+            const extensions = FORMATS[format].accept.split(',')
+            const matchesFormat = extensions.some(extension => file.name.toLowerCase().endsWith(extension))
+
+            if (format === 'csv') {
+                if (file.type !== 'text/csv' && !matchesFormat) {
+                    alert('Please select a CSV file')
+                    return
+                }
+                handleImport(file)
+                return
+            }
+
+            if (!matchesFormat) {
+                alert(`Please select a ${extensions.join(' or ')} file for ${FORMATS[format].label} import`)
                 return
             }
-            handleImport(file)
+            handleDatasetImport(file, true)
         }
     }
 
+    const closeDatasetReport = () => {
+        setDatasetReport(null)
+        setPendingFile(null)
+    }
+
     const triggerFileSelect = () => {
         fileInputRef.current?.click()
     }
@@ -128,14 +261,66 @@ export default function CsvExportImport() {
                 </div>
                 <div>
                     <h3 className="text-xl font-bold text-gray-900 dark:text-white">
-                        CSV Export & Import
+                        Export & Import
                     </h3>
                     <p className="text-gray-600 dark:text-gray-400 text-sm">
-                        Download your database or import CSV data
+                        Download your database or import CSV and training datasets
                     </p>
                 </div>
             </div>
 
+            {/* Format Picker */}
+            <div className="flex flex-wrap items-center gap-2 mb-4" role="radiogroup" aria-label="Dataset format">
+                {(Object.keys(FORMATS) as DatasetFormat[]).map(option => (
+                    <button
+                        key={option}
+                        role="radio"
+                        aria-checked={format === option}
+                        onClick={() => setFormat(option)}
+                        disabled={isExporting || isImporting}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors disabled:cursor-not-allowed ${format === option
+                            ? 'bg-indigo-600 text-white shadow'
+                            : 'bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700'
+                            }`}
+                        data-testid={`format-option-${option}`}
+                    >
+                        {FORMATS[option].label}
+                    </button>
+                ))}
+                {format === 'csv' && (
+                    <label className="ml-auto flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                        Export layout
+                        <select
+                            value={csvLayout}
+                            onChange={(e) => setCsvLayout(e.target.value as CsvLayout)}
+                            disabled={isExporting}
+                            className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                            data-testid="csv-layout-select"
+                        >
+                            <option value="wide">One row per image</option>
+                            <option value="long">One row per annotation</option>
+                        </select>
+                    </label>
+                )}
+                {format === 'csv' && (
+                    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                        Import delimiter
+                        <select
+                            value={delimiter}
+                            onChange={(e) => setDelimiter(e.target.value as CsvDelimiter)}
+                            disabled={isImporting}
+                            className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                            data-testid="csv-delimiter-select"
+                        >
+                            <option value="auto">Auto-detect</option>
+                            <option value="comma">Comma</option>
+                            <option value="semicolon">Semicolon</option>
+                            <option value="tab">Tab</option>
+                        </select>
+                    </label>
+                )}
+            </div>
+
             {/* Action Buttons */}
             <div className="flex flex-col sm:flex-row gap-4">
                 {/* Export Button */}
@@ -163,7 +348,7 @@ export default function CsvExportImport() {
                             </svg>
                             <div className="text-left">
                                 <div className="font-semibold">Export Database</div>
-                                <div className="text-sm opacity-90">Download as CSV file</div>
+                                <div className="text-sm opacity-90">{FORMATS[format].exportHint}</div>
                             </div>
                         </>
                     )}
@@ -173,7 +358,7 @@ export default function CsvExportImport() {
                 <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".csv"
+                    accept={FORMATS[format].accept}
                     onChange={handleFileSelect}
                     className="hidden"
                     data-testid="csv-import-input"
@@ -202,8 +387,8 @@ export default function CsvExportImport() {
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
                             </svg>
                             <div className="text-left">
-                                <div className="font-semibold">Import CSV</div>
-                                <div className="text-sm opacity-90">Select file to import</div>
+                                <div className="font-semibold">Import {FORMATS[format].label}</div>
+                                <div className="text-sm opacity-90">{format === 'csv' ? 'Select file to import' : 'Preview before importing'}</div>
                             </div>
                         </>
                     )}
@@ -217,12 +402,94 @@ export default function CsvExportImport() {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                     </svg>
                     <p className="text-sm text-blue-800 dark:text-blue-200">
-                        <strong>Note:</strong> Import only works with CSV files exported from this application.
-                        The export includes all your images and annotations for backup or analysis purposes.
+                        {format === 'csv' ? (
+                            <>
+                                <strong>Note:</strong> Import only works with CSV files exported from this application.
+                                The export includes all your images and annotations for backup or analysis purposes.
+                            </>
+                        ) : (
+                            <>
+                                <strong>Note:</strong> {FORMATS[format].label} imports map categories to labels by name and attach annotations
+                                to existing images with the same file name. You will see a preview before anything is imported.
+                            </>
+                        )}
                     </p>
                 </div>
             </div>
 
+            {/* Dataset Import Preview / Result Modal */}
+            {datasetReport && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={closeDatasetReport}>
+                    <div className="bg-white dark:bg-gray-900 rounded-xl p-6 max-w-lg w-full mx-4 shadow-2xl border border-gray-200 dark:border-gray-700 max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()} data-testid="dataset-import-report">
+                        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+                            {datasetReport.dryRun ? 'Import Preview' : 'Import Completed'}
+                        </h3>
+                        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+                            {datasetReport.dryRun
+                                ? `Nothing has been written yet. This is what importing ${pendingFile?.name ?? 'the file'} would do:`
+                                : `${FORMATS[datasetReport.format].label} dataset imported.`}
+                        </p>
+
+                        <div className="space-y-3 mb-4">
+                            {(['labels', 'images', 'annotations'] as const).map(section => (
+                                <div key={section} className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
+                                    <div className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">{section}</div>
+                                    <div className="flex flex-wrap gap-4">
+                                        {Object.entries(datasetReport.summary[section]).map(([action, count]) => (
+                                            <div key={action} className="text-center">
+                                                <div className={`text-xl font-bold ${count > 0 ? ACTION_STYLES[action] : 'text-gray-400 dark:text-gray-500'}`}>{count}</div>
+                                                <div className="text-xs text-gray-600 dark:text-gray-400 capitalize">{action}</div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+
+                        {(() => {
+                            // Explain labels, images and annotations that will not be imported as-is
+                            const issues = [
+                                ...datasetReport.labels.filter(label => label.reason).map(label => `Label '${label.name}' ${label.action}: ${label.reason}`),
+                                ...datasetReport.images.flatMap(image => [
+                                    ...(image.reason ? [`${image.file_name} ${image.action}: ${image.reason}`] : []),
+                                    ...image.issues.map(issue => `${image.file_name}, ${issue.source} ${issue.action}: ${issue.reason}`)
+                                ])
+                            ]
+                            return issues.length > 0 && (
+                                <div className="bg-yellow-50 dark:bg-yellow-900/20 rounded-lg p-3 mb-4">
+                                    <h4 className="text-sm font-medium text-yellow-800 dark:text-yellow-200 mb-2">Details:</h4>
+                                    <ul className="text-xs text-yellow-800 dark:text-yellow-300 space-y-1">
+                                        {issues.slice(0, 10).map((issue, index) => (
+                                            <li key={index}>• {issue}</li>
+                                        ))}
+                                        {issues.length > 10 && <li>…and {issues.length - 10} more</li>}
+                                    </ul>
+                                </div>
+                            )
+                        })()}
+
+                        <div className="flex gap-3">
+                            <button
+                                onClick={closeDatasetReport}
+                                className="flex-1 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 px-4 py-2 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                            >
+                                {datasetReport.dryRun ? 'Cancel' : 'Close'}
+                            </button>
+                            {datasetReport.dryRun && pendingFile && (
+                                <button
+                                    onClick={() => handleDatasetImport(pendingFile, false)}
+                                    disabled={isImporting}
+                                    className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg transition-colors disabled:cursor-not-allowed"
+                                    data-testid="dataset-import-confirm"
+                                >
+                                    {isImporting ? 'Importing...' : 'Import'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
             {/* Import Result Modal */}
             {showImportResult && importResult && (
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={() => setShowImportResult(false)}>
@@ -264,7 +531,7 @@ export default function CsvExportImport() {
                             {importResult.errorDetails && importResult.errorDetails.length > 0 && (
                                 <div className="bg-red-50 dark:bg-red-900/20 rounded-lg p-3">
                                     <h4 className="text-sm font-medium text-red-800 dark:text-red-200 mb-2">Error Details:</h4>
-                                    <ul className="text-xs text-red-700 dark:text-red-300 space-y-1">
+                                    <ul className="text-xs text-red-700 dark:text-red-300 space-y-1 max-h-48 overflow-y-auto">
                                         {importResult.errorDetails.map((error, index) => (
                                             <li key={index}>• {error}</li>
                                         ))}
@@ -5,12 +5,32 @@ import { createPortal } from 'react-dom'
 import Image from 'next/image'
 import { dataOperations } from '../../lib/utils/data-sync'
 import { useAuth } from '../contexts/AuthContext'
+import { useProject } from '../contexts/ProjectContext'
+import AnnotationCanvas, {
+    Region,
+    RegionAnnotation,
+    PolygonGeometry,
+    KeypointsGeometry,
+    KeypointTemplate,
+    AttributeDefinition,
+    AttributeValues,
+    LabelStyle
+} from './AnnotationCanvas'
 
 interface ImageData {
     image_id: number
     filename: string
     original_name?: string
     file_path: string
+    thumbnail_path?: string | null
+    preview_path?: string | null
+    width?: number | null
+    height?: number | null
+    captured_at?: string | null
+    camera_make?: string | null
+    camera_model?: string | null
+    gps_latitude?: number | null
+    gps_longitude?: number | null
     file_size: number
     mime_type: string
     uploaded_at?: string
@@ -26,6 +46,9 @@ interface ImageCardProps {
     image: ImageData
     onLabelClick?: (label: string) => void
     onImageDelete?: (imageId: number) => void
+    labelStyles?: Record<string, LabelStyle>
+    keyboardMode?: boolean
+    onLabelToggle?: (imageId: number, labelName: string, added: boolean) => void
     className?: string
 }
 
@@ -33,23 +56,37 @@ interface ImageCardProps {
  * ImageCard component displays individual images with labels and loading states
  * Supports responsive design and interactive label clicking
  * Enhanced with gradient hover, zoom popup, and label editing
+ * Labels are drawn in their color; in keyboard mode the focused card toggles a label when its hotkey is pressed
  */
-export default function ImageCard({ image, onLabelClick, onImageDelete, className = '' }: ImageCardProps) {
+export default function ImageCard({
+    image,
+    onLabelClick,
+    onImageDelete,
+    labelStyles = {},
+    keyboardMode = false,
+    onLabelToggle,
+    className = ''
+}: ImageCardProps) {
     const { user } = useAuth()
+    const { projectUrl } = useProject()
     const [isLoading, setIsLoading] = useState(true)
     const [hasError, setHasError] = useState(false)
     const [showDetails, setShowDetails] = useState(false)
     const [showZoomPopup, setShowZoomPopup] = useState(false)
     const [editingLabelIndex, setEditingLabelIndex] = useState<number | null>(null)
     const [editingConfidence, setEditingConfidence] = useState<number>(0)
+    const [editingAttributes, setEditingAttributes] = useState<AttributeValues>({})
     const [showAddLabel, setShowAddLabel] = useState(false)
     const [commonLabels, setCommonLabels] = useState<string[]>([])
+    const [keypointTemplates, setKeypointTemplates] = useState<Record<string, KeypointTemplate>>({})
     const [customLabelInput, setCustomLabelInput] = useState('')
     const [selectedCommonLabel, setSelectedCommonLabel] = useState('')
     const [newLabelConfidence, setNewLabelConfidence] = useState<number>(100)
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false)
     const [isDeleting, setIsDeleting] = useState(false)
     const [mounted, setMounted] = useState(false)
+    const [regionAnnotations, setRegionAnnotations] = useState<RegionAnnotation[]>([])
+    const [isToggling, setIsToggling] = useState(false)
 
     // Ensure component is mounted before rendering portals
     useEffect(() => {
@@ -72,10 +109,10 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
 
     // Fetch common labels when add label interface opens
     useEffect(() => {
-        if (showAddLabel && commonLabels.length === 0) {
+        if ((showAddLabel || showZoomPopup) && commonLabels.length === 0) {
             fetchCommonLabels()
         }
-    }, [showAddLabel])
+    }, [showAddLabel, showZoomPopup])
 
     // Handle keyboard events for closing modals
     useEffect(() => {
@@ -107,10 +144,11 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
                 return
             }
 
-            const response = await fetch('/api/labels/common')
+            const response = await fetch(projectUrl('/api/labels/common'))
             if (response.ok) {
                 const data = await response.json()
                 setCommonLabels(data.labels || [])
+                setKeypointTemplates(data.keypointTemplates || {})
             }
         } catch (error) {
             console.error('Error fetching common labels:', error)
@@ -119,6 +157,88 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
         }
     }
 
+    const fetchRegionAnnotations = useCallback(async (): Promise<RegionAnnotation[]> => {
+        // In test environment, there is no API to query
+        if (process.env.NODE_ENV === 'test') {
+            return []
+        }
+
+        try {
+            const response = await fetch(`/api/images/${image.image_id}`)
+            if (response.ok) {
+                const data = await response.json()
+                const annotations: RegionAnnotation[] = data.data?.annotations || []
+                setRegionAnnotations(annotations)
+                return annotations
+            }
+        } catch (error) {
+            console.error('Error fetching annotations:', error)
+        }
+        return []
+    }, [image.image_id])
+
+    // Fetch annotations with their regions when the zoom popup opens
+    useEffect(() => {
+        if (showZoomPopup) {
+            fetchRegionAnnotations()
+        }
+    }, [showZoomPopup, fetchRegionAnnotations])
+
+    // Image-level annotation of a label on this image; it carries the attribute values edited in the label modal
+    const findLabelAnnotation = (annotations: RegionAnnotation[], labelName: string) =>
+        annotations.find(annotation => annotation.shape_type === 'label' && annotation.label_name === labelName)
+
+    // Shared request helper for the region editor; refreshes the overlay and gallery on success
+    const sendRegionRequest = async (method: 'POST' | 'PATCH' | 'DELETE', body: object, action: string) => {
+        try {
+            const response = await fetch('/api/annotations', {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-user-email': user?.email || 'anonymous'
+                },
+                body: JSON.stringify(body)
+            })
+
+            const data = await response.json()
+
+            if (data.success) {
+                await fetchRegionAnnotations()
+                dataOperations.notifyDataRefresh()
+            } else {
+                console.error(`Failed to ${action}:`, data.details || data.error)
+                alert(`Failed to ${action}: ` + (data.details || data.error))
+            }
+        } catch (error) {
+            console.error(`Error trying to ${action}:`, error)
+            alert(`Error trying to ${action}. Please try again.`)
+        }
+    }
+
+    const handleCreateRegion = (labelName: string, region: Region) => {
+        sendRegionRequest('POST', { imageId: image.image_id, labelName, bbox: region }, 'add box')
+    }
+
+    const handleUpdateRegion = (annotationId: number, region: Region) => {
+        sendRegionRequest('PATCH', { annotationId, bbox: region }, 'update box')
+    }
+
+    const handleCreatePolygon = (labelName: string, geometry: PolygonGeometry) => {
+        sendRegionRequest('POST', { imageId: image.image_id, labelName, shapeType: 'polygon', geometry }, 'add polygon')
+    }
+
+    const handleCreateKeypoints = (labelName: string, geometry: KeypointsGeometry) => {
+        sendRegionRequest('POST', { imageId: image.image_id, labelName, shapeType: 'keypoints', geometry }, 'add keypoints')
+    }
+
+    const handleUpdateGeometry = (annotationId: number, geometry: PolygonGeometry | KeypointsGeometry) => {
+        sendRegionRequest('PATCH', { annotationId, geometry }, 'update shape')
+    }
+
+    const handleDeleteRegion = (annotationId: number) => {
+        sendRegionRequest('DELETE', { annotationId }, 'delete shape')
+    }
+
     const handleImageLoad = () => {
         setIsLoading(false)
         setHasError(false)
@@ -134,6 +254,12 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
         setEditingLabelIndex(index)
         setEditingConfidence(image.confidences?.[index] ? Math.round(image.confidences[index] * 100) : 50)
 
+        // Load the label's attribute schema and the values filled in on this image
+        setEditingAttributes({})
+        fetchRegionAnnotations().then(annotations => {
+            setEditingAttributes(findLabelAnnotation(annotations, label)?.attributes || {})
+        })
+
         if (onLabelClick) {
             onLabelClick(label)
         }
@@ -180,6 +306,53 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
         }
     }
 
+    // Keyboard mode: the hotkey adds the label as an image-level label, or removes it if the image has it
+    const handleToggleLabel = async (labelName: string) => {
+        const hasLabel = image.labels.includes(labelName)
+        setIsToggling(true)
+
+        try {
+            const response = await fetch('/api/annotations', {
+                method: hasLabel ? 'DELETE' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-user-email': user?.email || 'anonymous'
+                },
+                body: JSON.stringify(hasLabel
+                    ? { imageId: image.image_id, labelName }
+                    : { imageId: image.image_id, labelName, confidence: 100 })
+            })
+
+            const data = await response.json()
+
+            if (data.success) {
+                onLabelToggle?.(image.image_id, labelName, !hasLabel)
+                dataOperations.notifyDataRefresh()
+            } else {
+                console.error('Failed to toggle label:', data.details || data.error)
+                alert('Failed to toggle label: ' + (data.details || data.error))
+            }
+        } catch (error) {
+            console.error('Error toggling label:', error)
+            alert('Error toggling label. Please try again.')
+        } finally {
+            setIsToggling(false)
+        }
+    }
+
+    const handleCardKeyDown = (event: React.KeyboardEvent<HTMLDivElement>) => {
+        // Keys typed into the modals bubble up through their portals; only the focused card itself reacts
+        if (!keyboardMode || isToggling || event.target !== event.currentTarget) return
+        if (event.ctrlKey || event.metaKey || event.altKey) return
+
+        const key = event.key.toLowerCase()
+        const labelName = Object.keys(labelStyles).find(name => labelStyles[name].hotkey === key)
+        if (labelName) {
+            event.preventDefault()
+            handleToggleLabel(labelName)
+        }
+    }
+
     const handleSaveConfidence = async () => {
         if (editingLabelIndex !== null) {
             const labelName = image.labels[editingLabelIndex]
@@ -200,6 +373,29 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
 
                 const data = await response.json()
 
+                // Attribute values are saved on the image-level annotation of the label
+                const annotation = findLabelAnnotation(regionAnnotations, labelName)
+                if (data.success && annotation?.attribute_schema?.length) {
+                    const attributeResponse = await fetch('/api/annotations', {
+                        method: 'PATCH',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'x-user-email': user?.email || 'anonymous'
+                        },
+                        body: JSON.stringify({
+                            annotationId: annotation.annotation_id,
+                            attributes: editingAttributes
+                        })
+                    })
+                    const attributeData = await attributeResponse.json()
+
+                    if (!attributeData.success) {
+                        console.error('Failed to update attributes:', attributeData.details || attributeData.error)
+                        alert('Failed to update attributes: ' + (attributeData.details || attributeData.error))
+                        return
+                    }
+                }
+
                 if (data.success) {
                     console.log('Confidence updated successfully')
                     // Close modal and notify components to refresh
@@ -216,6 +412,78 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
         }
     }
 
+    // An empty input removes the value; attributes are optional
+    const setAttributeValue = (name: string, value: boolean | number | string | undefined) => {
+        setEditingAttributes(current => {
+            const next = { ...current }
+            if (value === undefined) {
+                delete next[name]
+            } else {
+                next[name] = value
+            }
+            return next
+        })
+    }
+
+    const renderAttributeInput = (definition: AttributeDefinition) => {
+        const value = editingAttributes[definition.name]
+        const inputClassName = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white'
+
+        if (definition.type === 'boolean') {
+            return (
+                <input
+                    type="checkbox"
+                    checked={value === true}
+                    onChange={(e) => setAttributeValue(definition.name, e.target.checked)}
+                    aria-label={definition.name}
+                />
+            )
+        }
+
+        if (definition.type === 'enum') {
+            return (
+                <select
+                    value={typeof value === 'string' ? value : ''}
+                    onChange={(e) => setAttributeValue(definition.name, e.target.value || undefined)}
+                    aria-label={definition.name}
+                    className={inputClassName}
+                >
+                    <option value="">—</option>
+                    {(definition.values || []).map(option => (
+                        <option key={option} value={option}>{option}</option>
+                    ))}
+                </select>
+            )
+        }
+
+        if (definition.type === 'integer' || definition.type === 'number') {
+            return (
+                <input
+                    type="number"
+                    step={definition.type === 'integer' ? 1 : 'any'}
+                    value={typeof value === 'number' ? value : ''}
+                    onChange={(e) => setAttributeValue(definition.name, e.target.value === '' ? undefined : Number(e.target.value))}
+                    aria-label={definition.name}
+                    className={inputClassName}
+                />
+            )
+        }
+
+        return (
+            <input
+                type="text"
+                value={typeof value === 'string' ? value : ''}
+                onChange={(e) => setAttributeValue(definition.name, e.target.value || undefined)}
+                aria-label={definition.name}
+                className={inputClassName}
+            />
+        )
+    }
+
+    const editingSchema = editingLabelIndex !== null
+        ? findLabelAnnotation(regionAnnotations, image.labels[editingLabelIndex])?.attribute_schema || []
+        : []
+
     const handleAddNewLabel = async () => {
         const newLabel = customLabelInput.trim() || selectedCommonLabel
         if (!newLabel) return
@@ -322,6 +590,18 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
         return mimeType.split('/')[1].toUpperCase()
     }
 
+    // Models usually repeat the make ("Canon EOS R5"), so the make is only prefixed when missing
+    const formatCamera = (make?: string | null, model?: string | null): string => {
+        if (!model) return make || ''
+        if (!make || model.toLowerCase().startsWith(make.toLowerCase())) return model
+        return `${make} ${model}`
+    }
+
+    const hasMetadata = Boolean(
+        (image.width && image.height) || image.captured_at || image.camera_make || image.camera_model ||
+        (image.gps_latitude != null && image.gps_longitude != null)
+    )
+
     const getResponsiveClasses = (): string => {
         return 'w-full max-w-sm md:max-w-md lg:max-w-md'
     }
@@ -341,7 +621,11 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
         <>
             <div
                 data-testid="image-card"
-                className={`bg-white dark:bg-gray-900 rounded-xl shadow-lg overflow-hidden transition-all duration-300 hover:shadow-xl hover:scale-[1.02] ${getResponsiveClasses()} ${getTouchFeedbackClasses()} ${className} border border-gray-100 dark:border-gray-800`}
+                data-image-id={image.image_id}
+                tabIndex={keyboardMode ? 0 : undefined}
+                onKeyDown={handleCardKeyDown}
+                aria-busy={isToggling || undefined}
+                className={`bg-white dark:bg-gray-900 rounded-xl shadow-lg overflow-hidden transition-all duration-300 hover:shadow-xl hover:scale-[1.02] ${getResponsiveClasses()} ${getTouchFeedbackClasses()} ${className} border border-gray-100 dark:border-gray-800 ${keyboardMode ? 'focus:outline-none focus:ring-4 focus:ring-blue-500' : ''}`}
                 onMouseEnter={() => setShowDetails(true)}
                 onMouseLeave={() => setShowDetails(false)}
             >
@@ -383,7 +667,7 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
                         {!hasError && (
                             <>
                                 <Image
-                                    src={image.file_path}
+                                    src={image.thumbnail_path || image.file_path}
                                     alt={getDisplayName(image.original_name, image.filename)}
                                     fill
                                     className={`object-cover ${isLoading ? 'opacity-0' : 'opacity-100'} transition-opacity duration-300 rounded-t-xl`}
@@ -409,6 +693,16 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
                                                     <p>{formatDate(image.uploaded_at || image.upload_date || '')}</p>
                                                 )}
                                             </div>
+                                            {hasMetadata && (
+                                                <div data-testid="image-metadata" className="flex flex-wrap justify-center gap-x-3 text-xs mt-1 text-gray-300">
+                                                    {image.width && image.height ? <p>{image.width} × {image.height}</p> : null}
+                                                    {image.captured_at && <p>Taken {formatDate(image.captured_at)}</p>}
+                                                    {(image.camera_make || image.camera_model) && <p>{formatCamera(image.camera_make, image.camera_model)}</p>}
+                                                    {image.gps_latitude != null && image.gps_longitude != null && (
+                                                        <p>{image.gps_latitude.toFixed(4)}, {image.gps_longitude.toFixed(4)}</p>
+                                                    )}
+                                                </div>
+                                            )}
                                         </div>
                                     </div>
                                 )}
@@ -458,10 +752,24 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
                                     {image.labels.map((label, index) => (
                                         <div
                                             key={`${label}-${index}`}
+                                            style={labelStyles[label]?.color ? { borderColor: labelStyles[label].color! } : undefined}
                                             className="label editable inline-flex items-center px-3 py-2 rounded-lg text-xs font-semibold bg-gradient-to-r from-blue-100 to-blue-200 dark:from-blue-900/40 dark:to-blue-800/40 text-blue-800 dark:text-blue-200 min-h-[44px] min-w-[44px] touch-manipulation cursor-pointer hover:from-blue-200 hover:to-blue-300 dark:hover:from-blue-800/60 dark:hover:to-blue-700/60 active:from-blue-300 active:to-blue-400 dark:active:from-blue-700/80 dark:active:to-blue-600/80 transition-all duration-200 shadow-sm hover:shadow-md border border-blue-200 dark:border-blue-700"
                                             onClick={() => handleLabelClick(label, index)}
                                         >
+                                            {labelStyles[label]?.color && (
+                                                <span
+                                                    className="w-2.5 h-2.5 mr-1.5 rounded-full shrink-0"
+                                                    style={{ backgroundColor: labelStyles[label].color! }}
+                                                    data-testid="label-color"
+                                                />
+                                            )}
+                                            {labelStyles[label]?.icon && <span className="mr-1" aria-hidden="true">{labelStyles[label].icon}</span>}
                                             <span>{label}</span>
+                                            {keyboardMode && labelStyles[label]?.hotkey && (
+                                                <kbd className="ml-1.5 px-1 rounded border border-blue-300 dark:border-blue-600 font-mono text-[10px] uppercase">
+                                                    {labelStyles[label].hotkey}
+                                                </kbd>
+                                            )}
                                             {image.confidences && image.confidences[index] !== undefined && (
                                                 <span className="ml-2 text-blue-700 dark:text-blue-300 font-bold text-xs bg-blue-200 dark:bg-blue-800 px-1.5 py-0.5 rounded-full">
                                                     {Math.round(image.confidences[index] * 100)}%
@@ -547,6 +855,21 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
                             </div>
                         </div>
 
+                        {/* Attributes defined by the label */}
+                        {editingSchema.length > 0 && (
+                            <fieldset className="mb-4 space-y-2" data-testid="label-attributes">
+                                <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                    Attributes
+                                </legend>
+                                {editingSchema.map(definition => (
+                                    <div key={definition.name} className="flex items-center gap-3">
+                                        <span className="w-24 shrink-0 text-sm text-gray-600 dark:text-gray-400">{definition.name}</span>
+                                        {renderAttributeInput(definition)}
+                                    </div>
+                                ))}
+                            </fieldset>
+                        )}
+
                         {/* Action Buttons */}
                         <div className="flex gap-2">
                             <button
@@ -601,12 +924,18 @@ export default function ImageCard({ image, onLabelClick, onImageDelete, classNam
                     </div>
 
                     <div className="relative max-w-7xl max-h-full w-full h-full flex items-center justify-center" onClick={(e) => e.stopPropagation()}>
-                        <Image
-                            src={image.file_path}
+                        <AnnotationCanvas
+                            src={image.preview_path || image.file_path}
                             alt={getDisplayName(image.original_name, image.filename)}
-                            fill
-                            className="object-contain"
-                            sizes="100vw"
+                            annotations={regionAnnotations}
+                            labelOptions={Array.from(new Set([...image.labels, ...commonLabels]))}
+                            keypointTemplates={keypointTemplates}
+                            onCreateRegion={handleCreateRegion}
+                            onUpdateRegion={handleUpdateRegion}
+                            onCreatePolygon={handleCreatePolygon}
+                            onCreateKeypoints={handleCreateKeypoints}
+                            onUpdateGeometry={handleUpdateGeometry}
+                            onDeleteRegion={handleDeleteRegion}
                         />
                     </div>
                 </div>
@@ -1,14 +1,25 @@
 'use client'
 
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import ImageCard from './ImageCard'
+import { LabelStyle } from './AnnotationCanvas'
 import { apiClient, NetworkError } from '../../lib/utils/network-error-handler'
-import { useAutoRefresh, DATA_SYNC_EVENTS } from '../../lib/utils/data-sync'
+import { useAutoRefresh, useDataSync, DATA_SYNC_EVENTS } from '../../lib/utils/data-sync'
+import { useProject } from '../contexts/ProjectContext'
 
 interface Image {
     image_id: number
     filename: string
     file_path: string
+    thumbnail_path?: string | null
+    preview_path?: string | null
+    width?: number | null
+    height?: number | null
+    captured_at?: string | null
+    camera_make?: string | null
+    camera_model?: string | null
+    gps_latitude?: number | null
+    gps_longitude?: number | null
     file_size: number
     mime_type: string
     upload_date: string
@@ -30,6 +41,7 @@ interface ImageGalleryProps {
     limit?: number
     searchQuery?: string
     selectedLabel?: string
+    filterQuery?: string
     // Allow passing data directly for testing
     images?: Image[] | null
     pagination?: Pagination | null
@@ -41,12 +53,14 @@ interface ImageGalleryProps {
  * ImageGallery Component
  * Displays a responsive grid of images with pagination support
  * Handles both server-side data fetching and client-side props
+ * Keyboard mode makes the cards focusable: arrow keys move between them and label hotkeys toggle labels
  */
 export default function ImageGallery({
     page = 1,
     limit = 10,
     searchQuery = '',
     selectedLabel = '',
+    filterQuery = '',
     // Allow passing data directly for testing
     images: propImages = null,
     pagination: propPagination = null,
@@ -58,12 +72,69 @@ export default function ImageGallery({
     const [error, setError] = useState<string | null>(propError)
     const [loading, setLoading] = useState<boolean>(propLoading !== null ? propLoading : (propImages === null && propError === null))
     const [retryCount, setRetryCount] = useState(0)
+    const [labelStyles, setLabelStyles] = useState<Record<string, LabelStyle>>({})
+    const [keyboardMode, setKeyboardMode] = useState(false)
+    const { projectId, projectUrl } = useProject()
 
-    // Auto-refresh when data changes
+    const gridRef = useRef<HTMLDivElement>(null)
+
+    // Label colors, icons and hotkeys for the cards
+    const fetchLabelStyles = useCallback(async () => {
+        if (process.env.NODE_ENV === 'test') return
+
+        try {
+            const data = await apiClient.get(projectUrl('/api/labels/common'))
+            setLabelStyles(data.labelStyles || {})
+        } catch (err) {
+            console.error('Error fetching label styles:', err)
+        }
+    }, [projectUrl])
+
+    useEffect(() => {
+        fetchLabelStyles()
+    }, [fetchLabelStyles])
+
+    useDataSync(DATA_SYNC_EVENTS.LABELS_REFRESHED, () => {
+        fetchLabelStyles()
+    }, [fetchLabelStyles])
+
+    // A label toggled by its hotkey shows at once; the next refresh brings the stored state
+    const handleLabelToggle = (imageId: number, labelName: string, added: boolean) => {
+        setImages(current => current && current.map(image => {
+            if (image.image_id !== imageId) return image
+            if (added) {
+                return { ...image, labels: [...image.labels, labelName], confidences: [...(image.confidences || []), 1] }
+            }
+            const kept = image.labels.map((label, index) => label === labelName ? -1 : index).filter(index => index !== -1)
+            return {
+                ...image,
+                labels: kept.map(index => image.labels[index]),
+                confidences: image.confidences && kept.map(index => image.confidences![index])
+            }
+        }))
+    }
+
+    // Left and right move the focus to the previous or next card
+    const handleGridKeyDown = (event: React.KeyboardEvent<HTMLDivElement>) => {
+        if (!keyboardMode || (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight')) return
+
+        const cards = Array.from(gridRef.current?.querySelectorAll<HTMLElement>('[data-image-id]') || [])
+        const index = cards.indexOf(event.target as HTMLElement)
+        if (index === -1) return
+
+        event.preventDefault()
+        cards[Math.min(Math.max(index + (event.key === 'ArrowRight' ? 1 : -1), 0), cards.length - 1)].focus()
+    }
+
+    const hotkeyLabels = Object.entries(labelStyles)
+        .filter(([, style]) => style.hotkey)
+        .sort(([, a], [, b]) => a.hotkey!.localeCompare(b.hotkey!))
+
+    // Auto-refresh when data changes; the current images stay on screen (and focused) while they reload
     useAutoRefresh(
         () => {
             if (propImages === null && propError === null && propLoading === null) {
-                fetchImages()
+                fetchImages(false)
             }
         },
         [DATA_SYNC_EVENTS.IMAGES_REFRESHED, DATA_SYNC_EVENTS.IMAGE_ADDED],
@@ -71,9 +142,9 @@ export default function ImageGallery({
     )
 
     // Fetch data when component mounts or parameters change
-    const fetchImages = async () => {
+    const fetchImages = async (showLoading = true) => {
         try {
-            setLoading(true)
+            setLoading(showLoading)
             setError(null)
 
             // Construct query parameters
@@ -88,6 +159,12 @@ export default function ImageGallery({
             if (selectedLabel) {
                 params.set('label', selectedLabel)
             }
+            if (filterQuery) {
+                params.set('q', filterQuery)
+            }
+            if (projectId) {
+                params.set('project', projectId.toString())
+            }
 
             // Use API client with built-in error handling and retry logic
             const data = await apiClient.get(`/api/images?${params.toString()}`)
@@ -102,9 +179,9 @@ export default function ImageGallery({
         } catch (err: any) {
             console.error('Error fetching images:', err)
 
-            // Set user-friendly error message
+            // Set user-friendly error message; a rejected filter query keeps the server's explanation
             const errorMessage = err instanceof NetworkError
-                ? err.userFriendlyMessage
+                ? (err.status === 400 && filterQuery ? err.message : err.userFriendlyMessage)
                 : 'Failed to load images. Please try again.'
 
             setError(errorMessage)
@@ -132,7 +209,7 @@ export default function ImageGallery({
         }
 
         fetchImages()
-    }, [page, limit, searchQuery, selectedLabel, propImages, propPagination, propError, propLoading])
+    }, [page, limit, searchQuery, selectedLabel, filterQuery, projectId, propImages, propPagination, propError, propLoading])
 
     // Retry function for error recovery
     const handleRetry = () => {
@@ -234,8 +311,40 @@ export default function ImageGallery({
 
     return (
         <div className="w-full">
+            {/* Keyboard annotation mode */}
+            <div className="mb-4 flex flex-wrap items-center gap-3 text-sm">
+                <button
+                    type="button"
+                    onClick={() => setKeyboardMode(!keyboardMode)}
+                    aria-pressed={keyboardMode}
+                    className={`px-3 py-2 rounded-lg border transition-colors min-h-[44px] touch-manipulation ${keyboardMode
+                        ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                        : 'bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                        }`}
+                    data-testid="keyboard-mode-toggle"
+                >
+                    Keyboard mode
+                </button>
+                {keyboardMode && (
+                    <p className="text-gray-500 dark:text-gray-400" data-testid="keyboard-mode-help">
+                        {hotkeyLabels.length === 0
+                            ? 'No label has a hotkey yet. Assign one with PUT /api/labels/[id].'
+                            : 'Focus an image (Tab, ← →) and press a key to toggle its label: '}
+                        {hotkeyLabels.map(([name, style]) => (
+                            <span key={name} className="inline-flex items-center gap-1 mr-3">
+                                <kbd className="px-1.5 rounded border border-gray-300 dark:border-gray-600 font-mono uppercase">{style.hotkey}</kbd>
+                                {style.icon && <span aria-hidden="true">{style.icon}</span>}
+                                <span style={style.color ? { color: style.color } : undefined}>{name}</span>
+                            </span>
+                        ))}
+                    </p>
+                )}
+            </div>
+
             {/* Image Grid */}
             <div
+                ref={gridRef}
+                onKeyDown={handleGridKeyDown}
                 data-testid="image-gallery-grid"
                 className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8 transition-all duration-300 ease-in-out"
             >
@@ -256,6 +365,9 @@ export default function ImageGallery({
                             console.log('Image deleted:', imageId)
                             // The auto-refresh will handle updating the gallery
                         }}
+                        labelStyles={labelStyles}
+                        keyboardMode={keyboardMode}
+                        onLabelToggle={handleLabelToggle}
                         className="mx-auto"
                     />
                 ))}
@@ -265,7 +377,7 @@ export default function ImageGallery({
             {pagination && pagination.totalPages > 1 && (
                 <div className="flex items-center justify-center space-x-4 py-6">
                     <PaginationButton
-                        href={`?page=${pagination.page - 1}&limit=${limit}${searchQuery ? `&search=${searchQuery}` : ''}${selectedLabel ? `&label=${selectedLabel}` : ''}`}
+                        href={`?page=${pagination.page - 1}&limit=${limit}${searchQuery ? `&search=${searchQuery}` : ''}${selectedLabel ? `&label=${selectedLabel}` : ''}${filterQuery ? `&q=${encodeURIComponent(filterQuery)}` : ''}`}
                         disabled={!pagination.hasPrevPage}
                         direction="previous"
                     >
@@ -277,7 +389,7 @@ export default function ImageGallery({
                     </span>
 
                     <PaginationButton
-                        href={`?page=${pagination.page + 1}&limit=${limit}${searchQuery ? `&search=${searchQuery}` : ''}${selectedLabel ? `&label=${selectedLabel}` : ''}`}
+                        href={`?page=${pagination.page + 1}&limit=${limit}${searchQuery ? `&search=${searchQuery}` : ''}${selectedLabel ? `&label=${selectedLabel}` : ''}${filterQuery ? `&q=${encodeURIComponent(filterQuery)}` : ''}`}
                         disabled={!pagination.hasNextPage}
                         direction="next"
                     >
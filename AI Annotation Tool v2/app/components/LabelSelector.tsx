@@ -3,4 +3,502 @@
 /**
  * LabelSelector Component
  * Multi-select label interface with inline creation and search functionality
- */
\ No newline at end of file
+ * Labels are shown as a tree following the taxonomy (vehicle > car > sedan); searching lists the matches with their path
+ * Chips and options show each label's color, icon and hotkey
+ */
+
+import { useState, useEffect, useCallback, useRef, KeyboardEvent } from 'react'
+import { apiClient, NetworkError } from '../../lib/utils/network-error-handler'
+import { dataOperations, useDataSync, DATA_SYNC_EVENTS } from '../../lib/utils/data-sync'
+import { useProject } from '../contexts/ProjectContext'
+
+interface Label {
+    label_id: number
+    label_name: string
+    parent_label_id?: number | null
+    aliases?: string[]
+    color?: string | null
+    icon?: string | null
+    hotkey?: string | null
+    usage_count?: number
+    subtree_usage_count?: number
+}
+
+interface LabelOption extends Label {
+    type: 'existing'
+    depth: number
+    hasChildren: boolean
+    path: string[]
+}
+
+interface CreateOption {
+    type: 'create'
+    label: string
+}
+
+type Option = LabelOption | CreateOption
+
+interface LabelSelectorProps {
+    selectedLabels?: string[]
+    onLabelsChange: (labels: string[]) => void
+    allowCreate?: boolean
+    placeholder?: string
+}
+
+/**
+ * Order labels depth-first so every label follows its parent
+ * Labels whose parent is not in the list are shown at the top level; siblings keep the order of the list
+ * @param labels - Labels as returned by the API
+ * @param collapsed - IDs of labels whose children are hidden
+ * @returns Tree rows with their depth
+ */
+function buildLabelTree(labels: Label[], collapsed: Set<number>): LabelOption[] {
+    const ids = new Set(labels.map(label => label.label_id))
+    const children = new Map<number | null, Label[]>()
+
+    for (const label of labels) {
+        const parentId = label.parent_label_id && ids.has(label.parent_label_id) ? label.parent_label_id : null
+        children.set(parentId, [...(children.get(parentId) || []), label])
+    }
+
+    const rows: LabelOption[] = []
+    const visited = new Set<number>()
+
+    const visit = (label: Label, path: string[]) => {
+        // Guards against a cycle in stale data
+        if (visited.has(label.label_id)) return
+        visited.add(label.label_id)
+
+        const kids = children.get(label.label_id) || []
+        rows.push({ ...label, type: 'existing', depth: path.length, hasChildren: kids.length > 0, path })
+
+        if (!collapsed.has(label.label_id)) {
+            kids.forEach(child => visit(child, [...path, label.label_name]))
+        }
+    }
+
+    (children.get(null) || []).forEach(label => visit(label, []))
+    return rows
+}
+
+/**
+ * Get the names of a label's ancestors, the top-level label first
+ * @param label - Label to look up
+ * @param byId - All labels by ID
+ * @returns Ancestor names
+ */
+function getLabelPath(label: Label, byId: Map<number, Label>): string[] {
+    const path: string[] = []
+    const seen = new Set<number>([label.label_id])
+    let parent = label.parent_label_id ? byId.get(label.parent_label_id) : undefined
+
+    while (parent && !seen.has(parent.label_id)) {
+        path.unshift(parent.label_name)
+        seen.add(parent.label_id)
+        parent = parent.parent_label_id ? byId.get(parent.parent_label_id) : undefined
+    }
+
+    return path
+}
+
+/**
+ * LabelBadge shows a label's color dot and icon before its name
+ */
+function LabelBadge({ label }: { label?: Label }) {
+    return (
+        <>
+            {label?.color && (
+                <span
+                    className="w-2.5 h-2.5 rounded-full shrink-0"
+                    style={{ backgroundColor: label.color }}
+                    data-testid="label-color"
+                />
+            )}
+            {label?.icon && <span aria-hidden="true">{label.icon}</span>}
+        </>
+    )
+}
+
+export default function LabelSelector({
+    selectedLabels = [],
+    onLabelsChange,
+    allowCreate = true,
+    placeholder = 'Select labels...'
+}: LabelSelectorProps) {
+    const { projectUrl } = useProject()
+    const [availableLabels, setAvailableLabels] = useState<Label[]>([])
+    const [collapsed, setCollapsed] = useState<Set<number>>(new Set())
+    const [isOpen, setIsOpen] = useState(false)
+    const [searchTerm, setSearchTerm] = useState('')
+    const [highlightedIndex, setHighlightedIndex] = useState(-1)
+    const [isLoading, setIsLoading] = useState(false)
+    const [error, setError] = useState<string | null>(null)
+    const [warningMessage, setWarningMessage] = useState('')
+
+    const dropdownRef = useRef<HTMLDivElement>(null)
+    const searchInputRef = useRef<HTMLInputElement>(null)
+
+    const fetchLabels = useCallback(async () => {
+        setIsLoading(true)
+        setError(null)
+
+        try {
+            const data = await apiClient.get(projectUrl('/api/labels'))
+
+            if (data.success) {
+                setAvailableLabels(data.data)
+            } else {
+                throw new NetworkError(data.error || 'Failed to load labels')
+            }
+        } catch (err) {
+            const errorMessage = err instanceof NetworkError
+                ? err.userFriendlyMessage
+                : 'Failed to load labels. Please try again.'
+            setError(errorMessage)
+            console.error('Error fetching labels:', err)
+        } finally {
+            setIsLoading(false)
+        }
+    }, [projectUrl])
+
+    // Fetch available labels on mount and when another project is selected
+    useEffect(() => {
+        fetchLabels()
+    }, [fetchLabels])
+
+    // Auto-refresh labels when they change
+    useDataSync(DATA_SYNC_EVENTS.LABELS_REFRESHED, () => {
+        fetchLabels()
+    }, [fetchLabels])
+
+    // Handle click outside to close dropdown
+    useEffect(() => {
+        function handleClickOutside(event: MouseEvent) {
+            if (dropdownRef.current && !dropdownRef.current.contains(event.target as Node)) {
+                setIsOpen(false)
+                setSearchTerm('')
+                setHighlightedIndex(-1)
+                setWarningMessage('')
+            }
+        }
+
+        document.addEventListener('mousedown', handleClickOutside)
+        return () => document.removeEventListener('mousedown', handleClickOutside)
+    }, [])
+
+    // Focus search input when dropdown opens
+    useEffect(() => {
+        if (isOpen && searchInputRef.current) {
+            searchInputRef.current.focus()
+        }
+    }, [isOpen])
+
+    const createNewLabel = async (labelName: string) => {
+        try {
+            const data = await apiClient.post(projectUrl('/api/labels'), { label_name: labelName })
+
+            if (data.success) {
+                // Add new label to available labels
+                setAvailableLabels(prev => [...prev, data.data])
+
+                // Add to selected labels
+                const newSelectedLabels = [...selectedLabels, labelName]
+                onLabelsChange(newSelectedLabels)
+
+                // Notify data sync
+                dataOperations.notifyLabelAdded(data.data)
+
+                // Clear search and close dropdown
+                setSearchTerm('')
+                setIsOpen(false)
+                setHighlightedIndex(-1)
+            } else {
+                throw new NetworkError(data.error || 'Failed to create label')
+            }
+        } catch (err) {
+            const errorMessage = err instanceof NetworkError
+                ? err.userFriendlyMessage
+                : 'Failed to create label. Please try again.'
+            setError(errorMessage)
+            console.error('Error creating label:', err)
+        }
+    }
+
+    const handleLabelSelect = (labelName: string) => {
+        // Clear any previous warning
+        setWarningMessage('')
+
+        // Check if label is already selected
+        if (selectedLabels.includes(labelName)) {
+            setWarningMessage(`Label "${labelName}" is already selected`)
+            return
+        }
+
+        // Add label to selection
+        const newSelectedLabels = [...selectedLabels, labelName]
+        onLabelsChange(newSelectedLabels)
+
+        // Clear search but keep dropdown open for multiple selections
+        setSearchTerm('')
+        setHighlightedIndex(-1)
+    }
+
+    const handleLabelRemove = (labelName: string) => {
+        const newSelectedLabels = selectedLabels.filter(label => label !== labelName)
+        onLabelsChange(newSelectedLabels)
+    }
+
+    // Show or hide the children of a label in the tree
+    const toggleCollapsed = (labelId: number, collapse: boolean) => {
+        setCollapsed(prev => {
+            const next = new Set(prev)
+            if (collapse) {
+                next.add(labelId)
+            } else {
+                next.delete(labelId)
+            }
+            return next
+        })
+    }
+
+    const handleKeyDown = (event: KeyboardEvent<HTMLInputElement>) => {
+        if (!isOpen) return
+
+        const filteredOptions = getFilteredOptions()
+        const highlighted = filteredOptions[highlightedIndex]
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault()
+                setHighlightedIndex(prev =>
+                    prev < filteredOptions.length - 1 ? prev + 1 : 0
+                )
+                break
+
+            case 'ArrowUp':
+                event.preventDefault()
+                setHighlightedIndex(prev =>
+                    prev > 0 ? prev - 1 : filteredOptions.length - 1
+                )
+                break
+
+            // Right and left expand and collapse the highlighted label while browsing the tree
+            case 'ArrowRight':
+            case 'ArrowLeft':
+                if (!searchTerm && highlighted?.type === 'existing' && highlighted.hasChildren) {
+                    event.preventDefault()
+                    toggleCollapsed(highlighted.label_id, event.key === 'ArrowLeft')
+                }
+                break
+
+            case 'Enter':
+                event.preventDefault()
+                if (highlighted) {
+                    if (highlighted.type === 'create') {
+                        createNewLabel(highlighted.label)
+                    } else {
+                        handleLabelSelect(highlighted.label_name)
+                    }
+                }
+                break
+
+            case 'Escape':
+                event.preventDefault()
+                setIsOpen(false)
+                setSearchTerm('')
+                setHighlightedIndex(-1)
+                setWarningMessage('')
+                break
+        }
+    }
+
+    const getFilteredOptions = (): Option[] => {
+        // Without a search the whole taxonomy is browsed as a tree
+        if (!searchTerm.trim()) {
+            return buildLabelTree(availableLabels, collapsed)
+        }
+
+        const byId = new Map(availableLabels.map(label => [label.label_id, label]))
+        const term = searchTerm.trim().toLowerCase()
+        const names = (label: Label) => [label.label_name, ...(label.aliases || [])].map(name => name.toLowerCase())
+
+        // Synonyms find their label too, so typing "kitty" offers "cat"
+        const filtered = availableLabels.filter(label =>
+            names(label).some(name => name.includes(term))
+        )
+
+        const options: Option[] = filtered.map(label => ({
+            ...label,
+            type: 'existing',
+            depth: 0,
+            hasChildren: false,
+            path: getLabelPath(label, byId)
+        }))
+
+        // Add create option if search term doesn't match any existing label or alias and allowCreate is true
+        if (allowCreate && searchTerm.trim() &&
+            !filtered.some(label => names(label).includes(term))) {
+            options.push({
+                label: searchTerm.trim(),
+                type: 'create'
+            })
+        }
+
+        return options
+    }
+
+    const filteredOptions = getFilteredOptions()
+
+    return (
+        <div className="relative w-full" ref={dropdownRef}>
+            {/* Selected Labels Display */}
+            {selectedLabels.length > 0 && (
+                <div className="mb-2 flex flex-wrap gap-2">
+                    {selectedLabels.map(label => (
+                        <div
+                            key={label}
+                            data-testid={`selected-label-${label}`}
+                            className="inline-flex items-center gap-1 px-2 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300 rounded-md text-sm min-h-[44px] touch-manipulation"
+                        >
+                            <LabelBadge label={availableLabels.find(available => available.label_name === label)} />
+                            <span>{label}</span>
+                            <button
+                                data-testid={`remove-label-${label}`}
+                                onClick={() => handleLabelRemove(label)}
+                                className="ml-1 text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 active:text-blue-900 dark:active:text-blue-200 focus:outline-none min-w-[44px] min-h-[44px] touch-manipulation transition-colors"
+                                aria-label={`Remove ${label}`}
+                            >
+                                ×
+                            </button>
+                        </div>
+                    ))}
+                    <div className="text-sm text-gray-500 dark:text-gray-400 self-center">
+                        {selectedLabels.length} selected
+                    </div>
+                </div>
+            )}
+
+            {/* Dropdown Trigger */}
+            <div
+                data-testid="label-selector-dropdown"
+                className="relative border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 cursor-pointer bg-white dark:bg-gray-800 hover:border-gray-400 dark:hover:border-gray-500 focus-within:border-blue-500 dark:focus-within:border-blue-400 focus-within:ring-1 focus-within:ring-blue-500 dark:focus-within:ring-blue-400 min-h-[44px] touch-manipulation active:ring-2 active:ring-blue-300 dark:active:ring-blue-500 transition-colors"
+                onClick={() => setIsOpen(!isOpen)}
+            >
+                <input
+                    ref={searchInputRef}
+                    data-testid="label-search-input"
+                    type="text"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    onKeyDown={handleKeyDown}
+                    placeholder={selectedLabels.length === 0 ? placeholder : 'Search labels...'}
+                    className="w-full outline-none bg-transparent text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 min-h-[44px] text-base md:text-sm touch-manipulation"
+                    onClick={(e) => e.stopPropagation()}
+                />
+                <div className="absolute right-2 top-1/2 transform -translate-y-1/2 pointer-events-none">
+                    <svg
+                        className={`w-4 h-4 text-gray-400 dark:text-gray-500 transition-transform ${isOpen ? 'rotate-180' : ''}`}
+                        fill="none"
+                        stroke="currentColor"
+                        viewBox="0 0 24 24"
+                    >
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                    </svg>
+                </div>
+            </div>
+
+            {/* Warning Message */}
+            {warningMessage && (
+                <div className="mt-1 text-sm text-red-600 dark:text-red-400">
+                    {warningMessage}
+                </div>
+            )}
+
+            {/* Dropdown Menu */}
+            {isOpen && (
+                <div
+                    role={searchTerm ? undefined : 'tree'}
+                    aria-label={searchTerm ? undefined : 'Label taxonomy'}
+                    className="absolute z-10 w-full mt-1 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-md shadow-lg max-h-60 overflow-y-auto"
+                >
+                    {isLoading ? (
+                        <div className="px-3 py-2 text-gray-500 dark:text-gray-400">Loading labels...</div>
+                    ) : error ? (
+                        <div className="px-3 py-2 text-red-600 dark:text-red-400">{error}</div>
+                    ) : filteredOptions.length === 0 ? (
+                        <div className="px-3 py-2 text-gray-500 dark:text-gray-400">No labels found</div>
+                    ) : (
+                        filteredOptions.map((option, index) => (
+                            <div
+                                key={option.type === 'create' ? `create-${option.label}` : option.label_id}
+                                data-testid={index === highlightedIndex ? 'highlighted-option' : undefined}
+                                role={option.type === 'existing' && !searchTerm ? 'treeitem' : undefined}
+                                aria-level={option.type === 'existing' && !searchTerm ? option.depth + 1 : undefined}
+                                aria-expanded={option.type === 'existing' && option.hasChildren ? !collapsed.has(option.label_id) : undefined}
+                                style={option.type === 'existing' && option.depth > 0 ? { paddingLeft: `${0.75 + option.depth * 1.25}rem` } : undefined}
+                                className={`px-3 py-2 cursor-pointer flex items-center justify-between min-h-[44px] touch-manipulation transition-colors ${index === highlightedIndex
+                                    ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-900 dark:text-blue-300'
+                                    : 'hover:bg-gray-50 dark:hover:bg-gray-700 active:bg-gray-100 dark:active:bg-gray-600 text-gray-900 dark:text-white'
+                                    } ${selectedLabels.includes(option.type === 'create' ? option.label : option.label_name)
+                                        ? 'opacity-50'
+                                        : ''
+                                    }`}
+                                onClick={() => {
+                                    if (option.type === 'create') {
+                                        createNewLabel(option.label)
+                                    } else {
+                                        handleLabelSelect(option.label_name)
+                                    }
+                                }}
+                            >
+                                <span className="flex items-center gap-1 min-w-0">
+                                    {option.type === 'existing' && option.hasChildren && (
+                                        <button
+                                            type="button"
+                                            onClick={(e) => {
+                                                e.stopPropagation()
+                                                toggleCollapsed(option.label_id, !collapsed.has(option.label_id))
+                                            }}
+                                            aria-label={`${collapsed.has(option.label_id) ? 'Expand' : 'Collapse'} ${option.label_name}`}
+                                            className="w-5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+                                        >
+                                            {collapsed.has(option.label_id) ? '▸' : '▾'}
+                                        </button>
+                                    )}
+                                    {option.type === 'create' ? (
+                                        <span className="text-green-600 dark:text-green-400">Create &quot;{option.label}&quot;</span>
+                                    ) : (
+                                        <>
+                                            <LabelBadge label={option} />
+                                            <span className="truncate">{option.label_name}</span>
+                                        </>
+                                    )}
+                                    {option.type === 'existing' && option.path.length > 0 && searchTerm && (
+                                        <span className="truncate text-xs text-gray-400 dark:text-gray-500">in {option.path.join(' › ')}</span>
+                                    )}
+                                </span>
+                                {option.type === 'existing' && (
+                                    <span className="shrink-0 flex items-center gap-2 text-gray-400 dark:text-gray-500 text-sm">
+                                        {option.hotkey && (
+                                            <kbd
+                                                className="px-1.5 rounded border border-gray-300 dark:border-gray-600 font-mono text-xs uppercase"
+                                                title="Hotkey in keyboard mode"
+                                            >
+                                                {option.hotkey}
+                                            </kbd>
+                                        )}
+                                        <span title={option.hasChildren ? 'Uses of this label, and with its sub-labels' : undefined}>
+                                            {option.hasChildren && option.subtree_usage_count !== undefined
+                                                ? `(${option.usage_count} · ${option.subtree_usage_count} total)`
+                                                : `(${option.usage_count})`}
+                                        </span>
+                                    </span>
+                                )}
+                            </div>
+                        ))
+                    )}
+                </div>
+            )}
+        </div>
+    )
+}
@@ -0,0 +1,149 @@
+'use client'
+
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { useProject } from '../contexts/ProjectContext'
+
+// Annotation types a project can allow, in the order the API stores them
+const ANNOTATION_TYPES = ['label', 'bbox', 'polygon', 'mask', 'keypoints']
+
+/**
+ * ProjectSwitcher Component
+ * Selects the project (dataset) the gallery, uploads, labels and exports work in,
+ * and creates new projects with their annotation settings.
+ */
+export default function ProjectSwitcher() {
+    const { user } = useAuth()
+    const { projects, projectId, project, selectProject, refreshProjects } = useProject()
+    const [showForm, setShowForm] = useState(false)
+    const [name, setName] = useState('')
+    const [allowedTypes, setAllowedTypes] = useState<string[]>(ANNOTATION_TYPES)
+    const [requireConfidence, setRequireConfidence] = useState(false)
+    const [saving, setSaving] = useState(false)
+    const [error, setError] = useState<string | null>(null)
+
+    const toggleType = (type: string) => {
+        setAllowedTypes(types => types.includes(type) ? types.filter(t => t !== type) : [...types, type])
+    }
+
+    const handleCreate = async (event: React.FormEvent) => {
+        event.preventDefault()
+        setSaving(true)
+        setError(null)
+
+        try {
+            const response = await fetch('/api/projects', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-user-email': user?.email || 'anonymous'
+                },
+                body: JSON.stringify({
+                    name,
+                    allowed_annotation_types: allowedTypes,
+                    require_confidence: requireConfidence
+                })
+            })
+            const data = await response.json()
+
+            if (!data.success) {
+                setError(data.details || data.error || 'Failed to create project')
+                return
+            }
+
+            await refreshProjects()
+            selectProject(data.data.project_id)
+            setName('')
+            setAllowedTypes(ANNOTATION_TYPES)
+            setRequireConfidence(false)
+            setShowForm(false)
+        } catch (err) {
+            console.error('Error creating project:', err)
+            setError('Failed to create project. Please try again.')
+        } finally {
+            setSaving(false)
+        }
+    }
+
+    if (projects.length === 0) {
+        return null
+    }
+
+    return (
+        <div className="relative flex items-center gap-2">
+            <label htmlFor="project-switcher" className="sr-only">Project</label>
+            <select
+                id="project-switcher"
+                value={projectId ?? ''}
+                onChange={(e) => selectProject(Number(e.target.value))}
+                title={project ? `${project.image_count} images · ${project.label_count} labels` : undefined}
+                className="max-w-[12rem] px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            >
+                {projects.map(p => (
+                    <option key={p.project_id} value={p.project_id}>{p.name}</option>
+                ))}
+            </select>
+            <button
+                type="button"
+                onClick={() => setShowForm(!showForm)}
+                aria-expanded={showForm}
+                title="Create a project"
+                className="px-2 py-2 text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400"
+            >
+                New
+            </button>
+
+            {showForm && (
+                <form
+                    onSubmit={handleCreate}
+                    aria-label="New project"
+                    className="absolute right-0 top-full mt-2 w-72 z-20 space-y-3 p-4 bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 rounded-lg shadow-xl"
+                >
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="Project name"
+                        aria-label="Project name"
+                        maxLength={100}
+                        required
+                        className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <fieldset>
+                        <legend className="text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Allowed annotation types</legend>
+                        <div className="flex flex-wrap gap-x-3 gap-y-1">
+                            {ANNOTATION_TYPES.map(type => (
+                                <label key={type} className="flex items-center gap-1 text-sm text-gray-700 dark:text-gray-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={allowedTypes.includes(type)}
+                                        onChange={() => toggleType(type)}
+                                    />
+                                    {type}
+                                </label>
+                            ))}
+                        </div>
+                    </fieldset>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                            type="checkbox"
+                            checked={requireConfidence}
+                            onChange={(e) => setRequireConfidence(e.target.checked)}
+                        />
+                        Require a confidence for every annotation
+                    </label>
+                    {error && (
+                        <p role="alert" className="text-xs text-red-600 dark:text-red-400">{error}</p>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={saving || !name.trim() || allowedTypes.length === 0}
+                        className="w-full px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        {saving ? 'Creating...' : 'Create project'}
+                    </button>
+                </form>
+            )}
+        </div>
+    )
+}
@@ -1,31 +1,42 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useRouter, useSearchParams, usePathname } from 'next/navigation';
+import { QUERY_FIELDS, suggestQueryCompletions } from '../../lib/utils/image-query';
+import { useProject } from '../contexts/ProjectContext';
+
+const NO_SUGGESTIONS = { start: 0, end: 0, suggestions: [] };
 
 /**
  * SearchBar Component
  * Provides search and filter functionality for the image gallery
+ * In query mode the input takes a filter expression (q) such as label:cat AND confidence<0.6,
+ * with autocomplete of field names and label names
  */
 export default function SearchBar() {
     const router = useRouter();
     const searchParams = useSearchParams();
     const pathname = usePathname();
+    const { projectUrl } = useProject();
 
-    const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
+    const [queryMode, setQueryMode] = useState(Boolean(searchParams.get('q')));
+    const [searchTerm, setSearchTerm] = useState(searchParams.get('q') || searchParams.get('search') || '');
     const [selectedLabel, setSelectedLabel] = useState(searchParams.get('label') || '');
     const [availableLabels, setAvailableLabels] = useState([]);
     const [isLoadingLabels, setIsLoadingLabels] = useState(true);
     const [labelsError, setLabelsError] = useState(null);
+    const [completions, setCompletions] = useState(NO_SUGGESTIONS);
+    const [activeSuggestion, setActiveSuggestion] = useState(-1);
+    const searchInputRef = useRef(null);
 
-    // Load available labels for filter dropdown
+    // Load the selected project's labels for the filter dropdown
     useEffect(() => {
         const loadLabels = async () => {
             try {
                 setIsLoadingLabels(true);
                 setLabelsError(null);
 
-                const response = await fetch('/api/labels');
+                const response = await fetch(projectUrl('/api/labels'));
 
                 if (!response.ok) {
                     throw new Error(`Failed to load labels: ${response.status}`);
@@ -48,14 +59,14 @@ export default function SearchBar() {
         };
 
         loadLabels();
-    }, []);
+    }, [projectUrl]);
 
     // Update URL with search parameters
-    const updateURL = useCallback((newSearch, newLabel) => {
+    const updateURL = useCallback((newSearch, newLabel, asQuery = queryMode) => {
         const params = new URLSearchParams();
 
         if (newSearch && newSearch.trim()) {
-            params.set('search', newSearch.trim());
+            params.set(asQuery ? 'q' : 'search', newSearch.trim());
         }
 
         if (newLabel && newLabel.trim()) {
@@ -66,26 +77,91 @@ export default function SearchBar() {
         const newURL = queryString ? `${pathname}?${queryString}` : pathname;
 
         router.replace(newURL);
-    }, [router, pathname]);
+    }, [router, pathname, queryMode]);
+
+    // Close the autocomplete list
+    const closeSuggestions = useCallback(() => {
+        setCompletions(NO_SUGGESTIONS);
+        setActiveSuggestion(-1);
+    }, []);
 
     // Handle search input changes
     const handleSearchChange = useCallback((event) => {
-        setSearchTerm(event.target.value);
-    }, []);
+        const value = event.target.value;
+        setSearchTerm(value);
+
+        if (queryMode) {
+            const caret = event.target.selectionStart ?? value.length;
+            setCompletions(suggestQueryCompletions(value, caret, availableLabels.map((label) => label.label_name)));
+            setActiveSuggestion(-1);
+        }
+    }, [queryMode, availableLabels]);
+
+    // Replace the word being typed with a suggestion and put the caret after it
+    const applySuggestion = useCallback((suggestion) => {
+        const newTerm = searchTerm.slice(0, completions.start) + suggestion.value + searchTerm.slice(completions.end);
+        const caret = completions.start + suggestion.value.length;
+
+        setSearchTerm(newTerm);
+        closeSuggestions();
+
+        setTimeout(() => {
+            if (searchInputRef.current) {
+                searchInputRef.current.focus();
+                searchInputRef.current.setSelectionRange(caret, caret);
+            }
+        }, 0);
+    }, [searchTerm, completions, closeSuggestions]);
 
     // Handle search submission
     const handleSearchSubmit = useCallback((event) => {
         event.preventDefault();
+        closeSuggestions();
         updateURL(searchTerm, selectedLabel);
-    }, [searchTerm, selectedLabel, updateURL]);
+    }, [searchTerm, selectedLabel, updateURL, closeSuggestions]);
 
-    // Handle Enter key press in search input
+    // Handle Enter key press in search input, and moving through and picking suggestions
     const handleSearchKeyDown = useCallback((event) => {
+        const suggestions = completions.suggestions;
+
+        if (suggestions.length > 0) {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                setActiveSuggestion((activeSuggestion + step + suggestions.length) % suggestions.length);
+                return;
+            }
+
+            if (event.key === 'Tab' || (event.key === 'Enter' && activeSuggestion >= 0)) {
+                event.preventDefault();
+                applySuggestion(suggestions[Math.max(activeSuggestion, 0)]);
+                return;
+            }
+
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                closeSuggestions();
+                return;
+            }
+        }
+
         if (event.key === 'Enter') {
             event.preventDefault();
+            closeSuggestions();
             updateURL(searchTerm, selectedLabel);
         }
-    }, [searchTerm, selectedLabel, updateURL]);
+    }, [searchTerm, selectedLabel, updateURL, completions, activeSuggestion, applySuggestion, closeSuggestions]);
+
+    // Switch between plain search and the query language; an applied filter moves to the new parameter
+    const handleQueryModeToggle = useCallback(() => {
+        const newMode = !queryMode;
+        setQueryMode(newMode);
+        closeSuggestions();
+
+        if (searchParams.get('search') || searchParams.get('q')) {
+            updateURL(searchTerm, selectedLabel, newMode);
+        }
+    }, [queryMode, searchParams, searchTerm, selectedLabel, updateURL, closeSuggestions]);
 
     // Handle label filter change
     const handleLabelChange = useCallback((event) => {
@@ -97,15 +173,17 @@ export default function SearchBar() {
     // Clear search
     const handleClearSearch = useCallback(() => {
         setSearchTerm('');
+        closeSuggestions();
         updateURL('', selectedLabel);
-    }, [selectedLabel, updateURL]);
+    }, [selectedLabel, updateURL, closeSuggestions]);
 
     // Clear all filters
     const handleClearFilters = useCallback(() => {
         setSearchTerm('');
         setSelectedLabel('');
+        closeSuggestions();
         updateURL('', '');
-    }, [updateURL]);
+    }, [updateURL, closeSuggestions]);
 
     // Count active filters
     const activeFiltersCount = (searchTerm ? 1 : 0) + (selectedLabel ? 1 : 0);
@@ -117,12 +195,18 @@ export default function SearchBar() {
                 <div className="flex gap-2">
                     <div className="flex-1 relative">
                         <input
+                            ref={searchInputRef}
                             type="text"
                             value={searchTerm}
                             onChange={handleSearchChange}
                             onKeyDown={handleSearchKeyDown}
-                            placeholder="Search images by name..."
-                            aria-label="Search images by name"
+                            onBlur={closeSuggestions}
+                            placeholder={queryMode ? 'label:cat AND NOT label:dog AND confidence<0.6' : 'Search images by name, label or description...'}
+                            aria-label={queryMode ? 'Filter images with a query' : 'Search images by name, label or description'}
+                            aria-autocomplete={queryMode ? 'list' : undefined}
+                            aria-controls={queryMode ? 'query-suggestions' : undefined}
+                            aria-activedescendant={activeSuggestion >= 0 ? `query-suggestion-${activeSuggestion}` : undefined}
+                            spellCheck={queryMode ? false : undefined}
                             className="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400"
                         />
                         {searchTerm && (
@@ -137,6 +221,34 @@ export default function SearchBar() {
                                 </svg>
                             </button>
                         )}
+
+                        {/* Query autocomplete */}
+                        {queryMode && completions.suggestions.length > 0 && (
+                            <ul
+                                id="query-suggestions"
+                                role="listbox"
+                                aria-label="Query suggestions"
+                                className="absolute z-10 left-0 right-0 mt-1 max-h-60 overflow-auto bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-md shadow-lg"
+                            >
+                                {completions.suggestions.map((suggestion, index) => (
+                                    <li
+                                        key={suggestion.value}
+                                        id={`query-suggestion-${index}`}
+                                        role="option"
+                                        aria-selected={index === activeSuggestion}
+                                        // Keep focus in the input so its blur does not close the list before the click
+                                        onMouseDown={(event) => event.preventDefault()}
+                                        onClick={() => applySuggestion(suggestion)}
+                                        className={`flex justify-between gap-4 px-3 py-2 text-sm cursor-pointer ${index === activeSuggestion
+                                            ? 'bg-blue-100 dark:bg-blue-900/40'
+                                            : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                                    >
+                                        <span className="font-mono text-gray-900 dark:text-white">{suggestion.value}</span>
+                                        <span className="text-gray-500 dark:text-gray-400 truncate">{suggestion.description}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
                     </div>
 
                     <button
@@ -148,6 +260,20 @@ export default function SearchBar() {
                     </button>
                 </div>
 
+                {/* Query Syntax Help */}
+                {queryMode && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Fields:{' '}
+                        {Object.keys(QUERY_FIELDS).map((field, index) => (
+                            <span key={field}>
+                                {index > 0 && ', '}
+                                <code className="font-mono text-gray-700 dark:text-gray-300" title={QUERY_FIELDS[field].description}>{field}</code>
+                            </span>
+                        ))}
+                        . Combine terms with AND, OR, NOT and parentheses; other words search names and labels.
+                    </p>
+                )}
+
                 {/* Filter Controls */}
                 <div className="flex flex-wrap gap-4 items-center">
                     {/* Label Filter */}
@@ -182,6 +308,17 @@ export default function SearchBar() {
                         )}
                     </div>
 
+                    {/* Query Mode Toggle */}
+                    <label className="flex items-center gap-2 text-sm font-medium text-gray-700 dark:text-gray-300 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={queryMode}
+                            onChange={handleQueryModeToggle}
+                            className="rounded border-gray-300 dark:border-gray-600 text-blue-600 focus:ring-blue-500"
+                        />
+                        Query syntax
+                    </label>
+
                     {/* Active Filters Indicator */}
                     {activeFiltersCount > 0 && (
                         <div className="flex items-center gap-2">
@@ -205,7 +342,7 @@ export default function SearchBar() {
                     <div className="flex flex-wrap gap-2">
                         {searchTerm && (
                             <span className="inline-flex items-center gap-1 px-3 py-1 bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300 text-sm rounded-full">
-                                Search: "{searchTerm}"
+                                {queryMode ? 'Query' : 'Search'}: "{searchTerm}"
                                 <button
                                     type="button"
                                     onClick={handleClearSearch}
@@ -5,7 +5,9 @@ import { createPortal } from 'react-dom'
 import Image from 'next/image'
 import { apiClient, NetworkError } from '../../lib/utils/network-error-handler'
 import { dataOperations } from '../../lib/utils/data-sync'
+import { uploadBatch, collectDroppedFiles, BatchFileStatus } from '../../lib/utils/batch-upload'
 import { useAuth } from '../contexts/AuthContext'
+import { useProject, withProject } from '../contexts/ProjectContext'
 
 type UploadStatus = 'idle' | 'uploading' | 'success' | 'error'
 
@@ -19,27 +21,100 @@ interface Label {
     confidence: number
 }
 
+interface BatchItem {
+    id: string
+    file: File
+    // Labels for this file only (confidence in percent); null uses the shared labels
+    labels: Label[] | null
+    status: BatchFileStatus
+    progress: number
+    attempts: number
+    error?: string
+}
+
+// Batch requests in flight at the same time
+const BATCH_CONCURRENCY = 3
+
+// Status badge text and colours of batch files
+const BATCH_STATUS_STYLES: Record<BatchFileStatus, { text: string, className: string }> = {
+    queued: { text: 'Queued', className: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300' },
+    uploading: { text: 'Uploading', className: 'bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300' },
+    retrying: { text: 'Retrying', className: 'bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300' },
+    created: { text: 'Uploaded', className: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' },
+    linked: { text: 'Linked to existing', className: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' },
+    rejected: { text: 'Duplicate skipped', className: 'bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300' },
+    failed: { text: 'Failed', className: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300' }
+}
+
+/**
+ * Convert labels from percentage (0-100) to decimal (0.0-1.0) confidence for database storage
+ */
+function toDecimalConfidence(labels: Label[]): Label[] {
+    return labels.map(label => ({
+        name: label.name,
+        confidence: label.confidence / 100
+    }))
+}
+
 interface UploadFormProps {
     onUploadSuccess?: (data: any) => void
     onUploadError?: (error: string) => void
     maxFileSize?: number
     allowedTypes?: string[]
     className?: string
+    // PUT files straight to the storage bucket (s3 backend) instead of sending them through /api/images
+    directUpload?: boolean
+}
+
+/**
+ * Upload a file straight to the storage bucket with a presigned URL, then register the image record
+ * @param file - Selected image file
+ * @param labels - Labels with decimal confidence
+ * @param headers - Request headers for the API calls
+ * @param projectId - Project the image is added to, or null for the default project
+ * @returns API response of the image registration
+ */
+async function uploadDirect(file: File, labels: Label[], headers: Record<string, string>, projectId: number | null) {
+    const presign = await apiClient.post(withProject('/api/uploads/presign', projectId), {
+        fileName: file.name,
+        mimeType: file.type,
+        fileSize: file.size
+    }, { headers })
+
+    const { uploadUrl, method, headers: uploadHeaders, filePath, fileName } = presign.data
+    const response = await fetch(uploadUrl, { method, headers: uploadHeaders, body: file })
+
+    if (!response.ok) {
+        throw new NetworkError(`Direct upload to storage failed (HTTP ${response.status})`, response.status, response)
+    }
+
+    return apiClient.post(withProject('/api/images', projectId), {
+        filename: fileName,
+        original_name: file.name,
+        file_path: filePath,
+        file_size: file.size,
+        mime_type: file.type,
+        labels
+    }, { headers })
 }
 
 /**
  * UploadForm Component
  * Handles file uploads with drag and drop support, validation, progress tracking,
  * image preview, and label addition with confidence scores
+ * Selecting several files or a folder switches to batch mode: shared labels with per-file overrides,
+ * bounded-concurrency uploads with per-file progress and retries, and a final summary
  */
 export default function UploadForm({
     onUploadSuccess,
     onUploadError,
     maxFileSize = 10000000, // 10MB default
     allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-    className = ''
+    className = '',
+    directUpload = process.env.NEXT_PUBLIC_DIRECT_UPLOADS === 'true'
 }: UploadFormProps) {
     const { user } = useAuth()
+    const { projectId, projectUrl } = useProject()
     const [selectedFile, setSelectedFile] = useState<File | null>(null)
     const [previewUrl, setPreviewUrl] = useState<string | null>(null)
     const [uploadStatus, setUploadStatus] = useState<UploadStatus>('idle')
@@ -64,7 +139,12 @@ export default function UploadForm({
     const [newLabelConfidence, setNewLabelConfidence] = useState<number>(100)
     const [mounted, setMounted] = useState(false)
 
+    // Batch upload state; labelTarget is the batch file whose own labels the label dialogs edit (null: shared labels)
+    const [batchFiles, setBatchFiles] = useState<BatchItem[]>([])
+    const [labelTarget, setLabelTarget] = useState<string | null>(null)
+
     const fileInputRef = useRef<HTMLInputElement>(null)
+    const folderInputRef = useRef<HTMLInputElement>(null)
 
     // Ensure component is mounted before rendering portals
     useEffect(() => {
@@ -94,6 +174,11 @@ export default function UploadForm({
         checkBrowserSupport()
     }, [])
 
+    // Common labels come from the selected project's vocabulary, so fetch them again after a switch
+    useEffect(() => {
+        setCommonLabels([])
+    }, [projectId])
+
     // Fetch common labels when add label interface opens
     useEffect(() => {
         if (showAddLabel && commonLabels.length === 0) {
@@ -109,7 +194,7 @@ export default function UploadForm({
                 return
             }
 
-            const response = await fetch('/api/labels/common')
+            const response = await fetch(projectUrl('/api/labels/common'))
             if (response.ok) {
                 const data = await response.json()
                 setCommonLabels(data.labels || [])
@@ -121,61 +206,79 @@ export default function UploadForm({
         }
     }
 
-    // Validate file type and size
-    const validateFile = useCallback((file: File): boolean => {
-        if (!file) return false
-
+    // Get the reason a file cannot be uploaded, or an empty string if it is valid
+    const getFileValidationError = useCallback((file: File): string => {
         // Edge Case 1: Check for empty files
         if (file.size === 0) {
-            setValidationError('The selected file is empty (0 bytes). Please choose a valid image file.')
-            return false
+            return 'The selected file is empty (0 bytes). Please choose a valid image file.'
         }
 
         // Check file type
         if (!allowedTypes.includes(file.type)) {
             const supportedFormats = allowedTypes.map(type => type.split('/')[1].toUpperCase()).join(', ')
-            setValidationError(`Unsupported file format. Please select a ${supportedFormats} image file.`)
-            return false
+            return `Unsupported file format. Please select a ${supportedFormats} image file.`
         }
 
         // Check file size
         if (file.size > maxFileSize) {
             const maxSizeMB = (maxFileSize / 1000000).toFixed(1)
             const fileSizeMB = (file.size / 1000000).toFixed(1)
-            setValidationError(`File is too large (${fileSizeMB} MB). Maximum allowed size is ${maxSizeMB} MB. Try compressing your image or choosing a smaller file.`)
-            return false
+            return `File is too large (${fileSizeMB} MB). Maximum allowed size is ${maxSizeMB} MB. Try compressing your image or choosing a smaller file.`
         }
 
         // Edge Case 2: Check for suspiciously small image files (likely corrupted)
         // Only flag as corrupted if it's smaller than 100 bytes (not 1000)
-        if (file.size < 100 && allowedTypes.includes(file.type)) {
-            setValidationError('This image file appears to be corrupted or incomplete. Please try a different image.')
-            return false
+        if (file.size < 100) {
+            return 'This image file appears to be corrupted or incomplete. Please try a different image.'
         }
 
-        setValidationError('')
-        return true
+        return ''
     }, [allowedTypes, maxFileSize])
 
-    // Handle file selection
+    // Validate file type and size
+    const validateFile = useCallback((file: File): boolean => {
+        if (!file) return false
+
+        const error = getFileValidationError(file)
+        setValidationError(error)
+        return error === ''
+    }, [getFileValidationError])
+
+    // Handle file selection; several files start a batch of the valid ones
     const handleFileSelect = useCallback((files: File[]) => {
         if (files.length > 1) {
-            setValidationError('Only one file can be uploaded at a time.')
-            // Still select the first file
-            const file = files[0]
-            if (validateFile(file)) {
-                setSelectedFile(file)
-                createPreview(file)
+            const validFiles = files.filter(file => getFileValidationError(file) === '')
+            const skipped = files.length - validFiles.length
+
+            if (validFiles.length > 1) {
+                setSelectedFile(null)
+                setPreviewUrl(null)
+                setBatchFiles(validFiles.map((file, index) => ({
+                    id: `${Date.now()}-${index}-${file.name}`,
+                    file,
+                    labels: null,
+                    status: 'queued',
+                    progress: 0,
+                    attempts: 0
+                })))
                 setUploadStatus('idle')
                 setErrorMessage('')
                 setSuccessMessage('')
-            } else {
-                setSelectedFile(null)
-                setPreviewUrl(null)
+                setValidationError(skipped > 0
+                    ? `${skipped} of ${files.length} files were skipped because they are not valid images.`
+                    : '')
+                return
             }
-            return
+
+            if (validFiles.length === 0) {
+                setValidationError(`None of the ${files.length} selected files is a valid image.`)
+                return
+            }
+
+            files = validFiles
         }
 
+        setBatchFiles([])
         const file = files[0]
         if (validateFile(file)) {
             setSelectedFile(file)
@@ -187,7 +290,7 @@ export default function UploadForm({
             setSelectedFile(null)
             setPreviewUrl(null)
         }
-    }, [validateFile])
+    }, [validateFile, getFileValidationError])
 
     // Create image preview
     const createPreview = useCallback((file: File) => {
@@ -227,25 +330,20 @@ export default function UploadForm({
         event.stopPropagation()
     }, [])
 
-    const handleDrop = useCallback((event: React.DragEvent) => {
+    const handleDrop = useCallback(async (event: React.DragEvent) => {
         event.preventDefault()
         event.stopPropagation()
         setIsDragOver(false)
 
         // Edge Case 3: Handle drag and drop of non-file items
-        const files = Array.from(event.dataTransfer.files || [])
+        // Edge Case 4: Dropped folders are expanded to the files they contain
+        const files = await collectDroppedFiles(event.dataTransfer)
 
         if (files.length === 0) {
             setValidationError('No files were dropped. Please drag and drop image files only.')
             return
         }
 
-        // Edge Case 4: Handle dropping folders or multiple files
-        if (files.length > 1) {
-            setValidationError(`You dropped ${files.length} items. Please select only one image file at a time.`)
-            return
-        }
-
         handleFileSelect(files)
     }, [handleFileSelect])
 
@@ -253,6 +351,8 @@ export default function UploadForm({
     const handleRemoveFile = useCallback(() => {
         setSelectedFile(null)
         setPreviewUrl(null)
+        setBatchFiles([])
+        setLabelTarget(null)
         setLabels([])
         setValidationError('')
         setErrorMessage('')
@@ -261,8 +361,67 @@ export default function UploadForm({
         if (fileInputRef.current) {
             fileInputRef.current.value = ''
         }
+        if (folderInputRef.current) {
+            folderInputRef.current.value = ''
+        }
+    }, [])
+
+    // Update one file of the batch
+    const updateBatchFile = useCallback((id: string, update: Partial<BatchItem>) => {
+        setBatchFiles(prev => prev.map(item => (item.id === id ? { ...item, ...update } : item)))
+    }, [])
+
+    // Remove one file from the batch
+    const handleRemoveBatchFile = useCallback((id: string) => {
+        setBatchFiles(prev => prev.filter(item => item.id !== id))
     }, [])
 
+    // Upload the batch files that are not saved yet; also used to retry the failed ones
+    const handleBatchUpload = useCallback(async () => {
+        const pending = batchFiles.filter(item => item.status === 'queued' || item.status === 'failed')
+        if (pending.length === 0) return
+
+        setUploadStatus('uploading')
+        setErrorMessage('')
+        setSuccessMessage('')
+        pending.forEach(item => updateBatchFile(item.id, { status: 'queued', progress: 0, error: undefined }))
+
+        const headers = {
+            'x-user-email': user?.email || 'anonymous'
+        }
+
+        const summary = await uploadBatch(
+            pending.map(item => ({
+                id: item.id,
+                file: item.file,
+                labels: item.labels ? toDecimalConfidence(item.labels) : null
+            })),
+            {
+                sharedLabels: toDecimalConfidence(labels),
+                headers,
+                concurrency: BATCH_CONCURRENCY,
+                projectId,
+                uploadOne: directUpload ? (file, fileLabels) => uploadDirect(file, fileLabels, headers, projectId) : undefined,
+                onUpdate: updateBatchFile
+            }
+        )
+
+        if (summary.failed > 0) {
+            const message = `${summary.failed} of ${summary.total} files failed to upload.`
+            setUploadStatus('error')
+            setErrorMessage(message)
+            if (onUploadError) {
+                onUploadError(message)
+            }
+        } else {
+            setUploadStatus('success')
+            setSuccessMessage('Batch upload complete!')
+            if (onUploadSuccess) {
+                onUploadSuccess(summary)
+            }
+        }
+    }, [batchFiles, labels, user, projectId, directUpload, updateBatchFile, onUploadSuccess, onUploadError])
+
     // Upload file
     const handleUpload = useCallback(async () => {
         if (!selectedFile || validationError) return
@@ -280,25 +439,26 @@ export default function UploadForm({
         })
 
         try {
-            const formData = new FormData()
-            formData.append('image', selectedFile)
-
-            // Add labels if any exist
-            if (labels.length > 0) {
-                // Convert confidence from percentage (0-100) to decimal (0.0-1.0) for database storage
-                const labelsWithDecimalConfidence = labels.map(label => ({
-                    name: label.name,
-                    confidence: label.confidence / 100
-                }))
-                formData.append('labels', JSON.stringify(labelsWithDecimalConfidence))
+            const labelsWithDecimalConfidence = toDecimalConfidence(labels)
+            const headers = {
+                'x-user-email': user?.email || 'anonymous'
             }
 
-            // Use API client with built-in error handling
-            const result = await apiClient.post('/api/images', formData, {
-                headers: {
-                    'x-user-email': user?.email || 'anonymous'
+            let result
+            if (directUpload) {
+                result = await uploadDirect(selectedFile, labelsWithDecimalConfidence, headers, projectId)
+            } else {
+                const formData = new FormData()
+                formData.append('image', selectedFile)
+
+                // Add labels if any exist
+                if (labelsWithDecimalConfidence.length > 0) {
+                    formData.append('labels', JSON.stringify(labelsWithDecimalConfidence))
                 }
-            })
+
+                // Use API client with built-in error handling
+                result = await apiClient.post(withProject('/api/images', projectId), formData, { headers })
+            }
 
             if (result.success) {
                 setUploadStatus('success')
@@ -359,30 +519,57 @@ export default function UploadForm({
                 onUploadError(userFriendlyMessage)
             }
         }
-    }, [selectedFile, validationError, labels, onUploadSuccess, onUploadError])
+    }, [selectedFile, validationError, labels, user, projectId, directUpload, onUploadSuccess, onUploadError])
 
     // Retry upload
     const handleRetry = useCallback(() => {
-        handleUpload()
-    }, [handleUpload])
+        if (batchFiles.length > 0) {
+            handleBatchUpload()
+        } else {
+            handleUpload()
+        }
+    }, [batchFiles, handleBatchUpload, handleUpload])
+
+    // Labels edited by the label dialogs: the shared labels, or the own labels of the targeted batch file
+    const targetItem = labelTarget !== null ? batchFiles.find(item => item.id === labelTarget) : undefined
+    const activeLabels = targetItem?.labels ?? labels
+
+    const setActiveLabels = (newLabels: Label[]) => {
+        if (targetItem) {
+            updateBatchFile(targetItem.id, { labels: newLabels })
+        } else {
+            setLabels(newLabels)
+        }
+    }
+
+    // Give a batch file its own labels, starting from the shared ones
+    const handleCustomizeLabels = (id: string) => {
+        updateBatchFile(id, { labels: labels.map(label => ({ ...label })) })
+    }
 
     // Label management functions
-    const handleLabelClick = (index: number) => {
+    const handleLabelClick = (index: number, target: string | null = null) => {
+        const list = target !== null ? batchFiles.find(item => item.id === target)?.labels ?? labels : labels
+        setLabelTarget(target)
         setEditingLabelIndex(index)
-        setEditingConfidence(labels[index].confidence)
+        setEditingConfidence(list[index].confidence)
+    }
+
+    const handleOpenAddLabel = (target: string | null = null) => {
+        setLabelTarget(target)
+        setShowAddLabel(true)
     }
 
     const handleDeleteLabel = (index: number) => {
-        const newLabels = labels.filter((_, i) => i !== index)
-        setLabels(newLabels)
+        const newLabels = activeLabels.filter((_, i) => i !== index)
+        setActiveLabels(newLabels)
         setEditingLabelIndex(null)
     }
 
     const handleSaveConfidence = () => {
         if (editingLabelIndex !== null) {
-            const newLabels = [...labels]
-            newLabels[editingLabelIndex].confidence = editingConfidence
-            setLabels(newLabels)
+            const newLabels = activeLabels.map((label, i) => (i === editingLabelIndex ? { ...label, confidence: editingConfidence } : label))
+            setActiveLabels(newLabels)
             setEditingLabelIndex(null)
         }
     }
@@ -392,7 +579,7 @@ export default function UploadForm({
         if (!newLabel) return
 
         // Check if label already exists
-        if (labels.some(label => label.name.toLowerCase() === newLabel.toLowerCase())) {
+        if (activeLabels.some(label => label.name.toLowerCase() === newLabel.toLowerCase())) {
             alert('This label already exists!')
             return
         }
@@ -402,7 +589,7 @@ export default function UploadForm({
             confidence: newLabelConfidence
         }
 
-        setLabels([...labels, newLabelObj])
+        setActiveLabels([...activeLabels, newLabelObj])
         setShowAddLabel(false)
         setCustomLabelInput('')
         setSelectedCommonLabel('')
@@ -430,8 +617,19 @@ export default function UploadForm({
     }, [])
 
     const isUploading = uploadStatus === 'uploading'
-    const hasValidFile = selectedFile && !validationError
-    const canUpload = hasValidFile && !isUploading
+    const isBatch = batchFiles.length > 0
+    const hasValidFile = isBatch || (selectedFile && !validationError)
+    const canUpload = hasValidFile && !isUploading && (!isBatch || batchFiles.some(item => item.status === 'queued'))
+
+    // Batch totals for the progress bar and the final summary
+    const batchCounts = batchFiles.reduce((counts, item) => {
+        counts[item.status] = (counts[item.status] || 0) + 1
+        return counts
+    }, {} as Partial<Record<BatchFileStatus, number>>)
+    const batchProgress = isBatch
+        ? Math.round(batchFiles.reduce((sum, item) => sum + (['created', 'linked', 'rejected'].includes(item.status) ? 100 : item.progress), 0) / batchFiles.length)
+        : 0
+    const batchFinished = isBatch && !isUploading && (uploadStatus === 'success' || uploadStatus === 'error')
 
     // Helper function to render modals using portals for proper full-screen positioning
     const renderModal = (content: React.ReactNode) => {
@@ -439,6 +637,52 @@ export default function UploadForm({
         return createPortal(content, document.body)
     }
 
+    // Label chips of a label list; target is the batch file the list belongs to (null: shared labels)
+    const renderLabelChips = (labelList: Label[], target: string | null = null) => (
+        <div className="flex flex-wrap gap-2">
+            {labelList.map((label, index) => (
+                <div
+                    key={`${label.name}-${index}`}
+                    className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300 cursor-pointer hover:bg-blue-200 dark:hover:bg-blue-900/50 transition-colors"
+                    onClick={() => handleLabelClick(index, target)}
+                >
+                    <span>{label.name}</span>
+                    <span className="ml-1 text-blue-600 dark:text-blue-400 font-semibold">
+                        {label.confidence}%
+                    </span>
+                </div>
+            ))}
+        </div>
+    )
+
+    // Labels section of the selected file, or the shared labels of a batch
+    const renderLabelsSection = () => (
+        <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">
+                    {isBatch ? 'Shared labels' : 'Labels'} {labels.length > 0 && `(${labels.length})`}
+                </h4>
+                <button
+                    onClick={() => handleOpenAddLabel(null)}
+                    className="inline-flex items-center justify-center w-8 h-8 rounded-full text-sm font-bold bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 hover:bg-green-200 dark:hover:bg-green-900/50 transition-colors"
+                    aria-label="Add new label"
+                >
+                    +
+                </button>
+            </div>
+
+            {labels.length === 0 ? (
+                <p className="text-gray-500 dark:text-gray-400 text-sm text-center py-4">
+                    {isBatch
+                        ? 'No shared labels yet. Click + to add labels applied to every file without its own labels.'
+                        : 'No labels added yet. Click + to add labels with confidence scores.'}
+                </p>
+            ) : (
+                renderLabelChips(labels)
+            )}
+        </div>
+    )
+
     return (
         <div className={`upload-form ${className}`}>
             {/* Drag and Drop Zone */}
@@ -456,7 +700,7 @@ export default function UploadForm({
                 onDragOver={browserSupport.dragDrop ? handleDragOver : undefined}
                 onDrop={browserSupport.dragDrop ? handleDrop : undefined}
             >
-                {!selectedFile ? (
+                {!selectedFile && !isBatch ? (
                     <div>
                         <div className="mb-4">
                             <svg className="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48">
@@ -467,7 +711,7 @@ export default function UploadForm({
                             {browserSupport.dragDrop ? 'Drag and drop your image here' : 'Choose your image file'}
                         </p>
                         <p className="text-sm text-gray-500 mb-4">
-                            {browserSupport.dragDrop ? 'or click to choose a file' : 'Click the button below to select a file'}
+                            {browserSupport.dragDrop ? 'or click to choose files; drop several files or a folder to upload a batch' : 'Click the button below to select files'}
                         </p>
                         <input
                             ref={fileInputRef}
@@ -477,6 +721,16 @@ export default function UploadForm({
                             onChange={handleFileInputChange}
                             className="hidden"
                             aria-label="Choose file to upload"
+                            multiple
+                        />
+                        <input
+                            ref={folderInputRef}
+                            data-testid="folder-input"
+                            type="file"
+                            onChange={handleFileInputChange}
+                            className="hidden"
+                            aria-label="Choose folder to upload"
+                            {...{ webkitdirectory: '' }}
                         />
                         <button
                             type="button"
@@ -492,6 +746,15 @@ export default function UploadForm({
                         >
                             {browserSupport.fileApi ? 'Choose File' : 'Browser Not Supported'}
                         </button>
+                        {browserSupport.fileApi && (
+                            <button
+                                type="button"
+                                onClick={() => folderInputRef.current?.click()}
+                                className="ml-2 inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md min-h-[44px] min-w-[44px] touch-manipulation text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                            >
+                                Choose Folder
+                            </button>
+                        )}
                         <p className="text-xs text-gray-400 mt-2">
                             Supported formats: JPEG, PNG, GIF, WebP (max {(maxFileSize / 1000000).toFixed(1)} MB)
                             {!browserSupport.dragDrop && (
@@ -502,7 +765,7 @@ export default function UploadForm({
                             )}
                         </p>
                     </div>
-                ) : (
+                ) : selectedFile ? (
                     <div data-testid="file-preview" className="text-left">
                         <div className="flex items-center justify-between mb-4">
                             <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">Selected Image</h3>
@@ -542,41 +805,133 @@ export default function UploadForm({
                         </div>
 
                         {/* Labels Section */}
-                        <div className="bg-gray-50 dark:bg-gray-800 p-4 rounded-lg">
-                            <div className="flex items-center justify-between mb-3">
-                                <h4 className="text-md font-medium text-gray-900 dark:text-gray-100">
-                                    Labels {labels.length > 0 && `(${labels.length})`}
-                                </h4>
+                        {renderLabelsSection()}
+                    </div>
+                ) : (
+                    <div data-testid="batch-list" className="text-left">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="text-lg font-medium text-gray-900 dark:text-gray-100">
+                                Batch of {batchFiles.length} images
+                            </h3>
+                            {!isUploading && (
                                 <button
-                                    onClick={() => setShowAddLabel(true)}
-                                    className="inline-flex items-center justify-center w-8 h-8 rounded-full text-sm font-bold bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 hover:bg-green-200 dark:hover:bg-green-900/50 transition-colors"
-                                    aria-label="Add new label"
+                                    type="button"
+                                    onClick={handleRemoveFile}
+                                    className="text-red-600 hover:text-red-800 focus:outline-none"
+                                    aria-label="Remove all files"
                                 >
-                                    +
+                                    <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                                    </svg>
                                 </button>
-                            </div>
+                            )}
+                        </div>
+
+                        {/* Shared Labels */}
+                        <div className="mb-4">
+                            {renderLabelsSection()}
+                        </div>
 
-                            {labels.length === 0 ? (
-                                <p className="text-gray-500 dark:text-gray-400 text-sm text-center py-4">
-                                    No labels added yet. Click + to add labels with confidence scores.
-                                </p>
-                            ) : (
-                                <div className="flex flex-wrap gap-2">
-                                    {labels.map((label, index) => (
-                                        <div
-                                            key={`${label.name}-${index}`}
-                                            className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-blue-100 dark:bg-blue-900/30 text-blue-800 dark:text-blue-300 cursor-pointer hover:bg-blue-200 dark:hover:bg-blue-900/50 transition-colors"
-                                            onClick={() => handleLabelClick(index)}
-                                        >
-                                            <span>{label.name}</span>
-                                            <span className="ml-1 text-blue-600 dark:text-blue-400 font-semibold">
-                                                {label.confidence}%
+                        {/* Batch Files */}
+                        <ul className="space-y-2 max-h-96 overflow-y-auto">
+                            {batchFiles.map(item => (
+                                <li
+                                    key={item.id}
+                                    data-testid="batch-file"
+                                    className="bg-white dark:bg-gray-800 p-3 rounded border dark:border-gray-600"
+                                >
+                                    <div className="flex items-center justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <p className="font-medium text-sm text-gray-900 dark:text-gray-100 truncate">{item.file.name}</p>
+                                            <p className="text-xs text-gray-500">
+                                                {getFileTypeDisplay(item.file.type)} • {formatFileSize(item.file.size)}
+                                                {item.attempts > 1 && ` • attempt ${item.attempts}`}
+                                            </p>
+                                        </div>
+                                        <div className="flex items-center gap-2 shrink-0">
+                                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${BATCH_STATUS_STYLES[item.status].className}`}>
+                                                {BATCH_STATUS_STYLES[item.status].text}
                                             </span>
+                                            {!isUploading && item.status === 'queued' && (
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleRemoveBatchFile(item.id)}
+                                                    className="text-red-600 hover:text-red-800 focus:outline-none"
+                                                    aria-label={`Remove ${item.file.name}`}
+                                                >
+                                                    <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+                                                    </svg>
+                                                </button>
+                                            )}
                                         </div>
-                                    ))}
-                                </div>
-                            )}
-                        </div>
+                                    </div>
+
+                                    {(item.status === 'uploading' || item.status === 'retrying') && (
+                                        <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
+                                            <div
+                                                data-testid="batch-file-progress"
+                                                className="bg-blue-600 h-1.5 rounded-full transition-all duration-300"
+                                                style={{ width: `${item.progress}%` }}
+                                                role="progressbar"
+                                                aria-valuenow={item.progress}
+                                                aria-valuemin={0}
+                                                aria-valuemax={100}
+                                            />
+                                        </div>
+                                    )}
+
+                                    {item.error && (
+                                        <p className="mt-1 text-xs text-red-700 dark:text-red-400">{item.error}</p>
+                                    )}
+
+                                    {/* Per-file labels */}
+                                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                                        {item.labels === null ? (
+                                            <>
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">Uses shared labels</span>
+                                                {!isUploading && item.status === 'queued' && (
+                                                    <button
+                                                        type="button"
+                                                        onClick={() => handleCustomizeLabels(item.id)}
+                                                        className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                                                    >
+                                                        Customize labels
+                                                    </button>
+                                                )}
+                                            </>
+                                        ) : (
+                                            <>
+                                                {item.labels.length === 0 ? (
+                                                    <span className="text-xs text-gray-500 dark:text-gray-400">No labels</span>
+                                                ) : (
+                                                    renderLabelChips(item.labels, item.id)
+                                                )}
+                                                {!isUploading && item.status === 'queued' && (
+                                                    <>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => handleOpenAddLabel(item.id)}
+                                                            className="inline-flex items-center justify-center w-6 h-6 rounded-full text-xs font-bold bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 hover:bg-green-200 dark:hover:bg-green-900/50 transition-colors"
+                                                            aria-label={`Add label to ${item.file.name}`}
+                                                        >
+                                                            +
+                                                        </button>
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => updateBatchFile(item.id, { labels: null })}
+                                                            className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                                                        >
+                                                            Use shared labels
+                                                        </button>
+                                                    </>
+                                                )}
+                                            </>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
                     </div>
                 )}
             </div>
@@ -589,7 +944,26 @@ export default function UploadForm({
             )}
 
             {/* Upload Progress */}
-            {isUploading && (
+            {isUploading && isBatch && (
+                <div data-testid="upload-progress" className="mt-4">
+                    <div className="flex items-center justify-between mb-2">
+                        <span className="text-sm font-medium text-gray-700">Uploading {batchFiles.length} images...</span>
+                        <span className="text-sm text-gray-500">{batchProgress}%</span>
+                    </div>
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                        <div
+                            className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                            style={{ width: `${batchProgress}%` }}
+                            role="progressbar"
+                            aria-valuenow={batchProgress}
+                            aria-valuemin={0}
+                            aria-valuemax={100}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {isUploading && !isBatch && (
                 <div data-testid="upload-progress" className="mt-4">
                     <div className="flex items-center justify-between mb-2">
                         <span className="text-sm font-medium text-gray-700">Uploading...</span>
@@ -608,6 +982,15 @@ export default function UploadForm({
                 </div>
             )}
 
+            {/* Batch Summary */}
+            {batchFinished && (
+                <div data-testid="batch-summary" className="mt-4 p-3 bg-gray-50 dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded-md">
+                    <p className="text-sm text-gray-800 dark:text-gray-200">
+                        {batchCounts.created || 0} uploaded • {batchCounts.linked || 0} linked to existing images • {batchCounts.rejected || 0} skipped as duplicates • {batchCounts.failed || 0} failed
+                    </p>
+                </div>
+            )}
+
             {/* Success Message */}
             {uploadStatus === 'success' && successMessage && (
                 <div className="mt-4 p-3 bg-green-50 border border-green-200 rounded-md">
@@ -627,7 +1010,7 @@ export default function UploadForm({
                 {uploadStatus !== 'error' ? (
                     <button
                         type="button"
-                        onClick={handleUpload}
+                        onClick={isBatch ? handleBatchUpload : handleUpload}
                         disabled={!canUpload}
                         className={`
                             flex-1 inline-flex justify-center items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md min-h-[44px] touch-manipulation
@@ -646,7 +1029,7 @@ export default function UploadForm({
                                 Uploading...
                             </>
                         ) : (
-                            'Upload'
+                            isBatch ? `Upload ${batchCounts.queued || 0} Images` : 'Upload'
                         )}
                     </button>
                 ) : (
@@ -655,11 +1038,11 @@ export default function UploadForm({
                         onClick={handleRetry}
                         className="flex-1 inline-flex justify-center items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 active:bg-red-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 min-h-[44px] touch-manipulation transition-colors"
                     >
-                        Try Again
+                        {isBatch ? 'Retry Failed' : 'Try Again'}
                     </button>
                 )}
 
-                {selectedFile && uploadStatus !== 'uploading' && (
+                {(selectedFile || isBatch) && uploadStatus !== 'uploading' && (
                     <button
                         type="button"
                         onClick={handleRemoveFile}
@@ -671,6 +1054,11 @@ export default function UploadForm({
             </div>
 
             {/* File Selection Count */}
+            {isBatch && (
+                <p className="mt-2 text-sm text-gray-500 text-center">
+                    {batchFiles.length} files selected {labels.length > 0 && `• ${labels.length} shared label${labels.length === 1 ? '' : 's'}`}
+                </p>
+            )}
             {selectedFile && (
                 <p className="mt-2 text-sm text-gray-500 text-center">
                     1 file selected {labels.length > 0 && `• ${labels.length} label${labels.length === 1 ? '' : 's'} added`}
@@ -678,11 +1066,11 @@ export default function UploadForm({
             )}
 
             {/* Edit Label Modal */}
-            {editingLabelIndex !== null && labels[editingLabelIndex] && renderModal(
+            {editingLabelIndex !== null && activeLabels[editingLabelIndex] && renderModal(
                 <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999]" onClick={() => setEditingLabelIndex(null)}>
                     <div className="bg-white dark:bg-gray-900 rounded-lg p-6 max-w-sm w-full mx-4" onClick={(e) => e.stopPropagation()}>
                         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
-                            Edit Label: {labels[editingLabelIndex].name}
+                            Edit Label: {activeLabels[editingLabelIndex].name}
                         </h3>
 
                         {/* Confidence Slider */}
@@ -9,7 +9,7 @@
  * All tests should FAIL initially until SearchBar is implemented
  */
 
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import SearchBar from '../SearchBar';
 
@@ -290,6 +290,55 @@ describe('SearchBar Component', () => {
         });
     });
 
+    describe('Query Syntax', () => {
+        const originalFetch = global.fetch;
+
+        afterEach(() => {
+            global.fetch = originalFetch;
+        });
+
+        it('should autocomplete field names and submit the query as q', async () => {
+            const user = userEvent.setup();
+            render(<SearchBar />);
+
+            await user.click(screen.getByRole('checkbox', { name: /query syntax/i }));
+            const queryInput = screen.getByLabelText(/filter images with a query/i);
+
+            await user.type(queryInput, 'conf');
+            expect(screen.getByRole('option', { name: /confidence:/ })).toBeInTheDocument();
+
+            await user.keyboard('{Tab}');
+            expect(queryInput).toHaveValue('confidence:');
+
+            await user.type(queryInput, '<0.6');
+            await user.keyboard('{Enter}');
+
+            expect(mockReplace).toHaveBeenCalledWith('/?q=confidence%3A%3C0.6');
+        });
+
+        it('should suggest label names after label:', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                json: async () => ({ success: true, data: [{ label_id: 1, label_name: 'cat' }, { label_id: 2, label_name: 'dog' }] })
+            });
+            const user = userEvent.setup();
+            render(<SearchBar />);
+
+            await user.click(screen.getByRole('checkbox', { name: /query syntax/i }));
+            await waitFor(() => expect(global.fetch).toHaveBeenCalledWith('/api/labels'));
+
+            const queryInput = screen.getByLabelText(/filter images with a query/i);
+            await user.type(queryInput, 'NOT label:c');
+
+            const suggestions = await screen.findByRole('listbox', { name: /query suggestions/i });
+            const options = within(suggestions).getAllByRole('option');
+            expect(options.map((option) => option.textContent)).toEqual(['label:catLabel']);
+
+            await user.click(options[0]);
+            expect(queryInput).toHaveValue('NOT label:cat');
+        });
+    });
+
     describe('Accessibility', () => {
         it('should have proper ARIA labels', () => {
             // This test should fail - SearchBar component not implemented
@@ -3,7 +3,7 @@
  * Following TDD approach - these tests should fail until component is implemented
  */
 
-import { render, screen, waitFor } from '../../../lib/test-utils/testing-library-utils'
+import { render, screen, waitFor, fireEvent } from '../../../lib/test-utils/testing-library-utils'
 import { createUserEvent } from '../../../lib/test-utils/testing-library-utils'
 import UploadForm from '../UploadForm'
 
@@ -209,34 +209,42 @@ describe('UploadForm Component', () => {
         expect(screen.getByText('Drag and drop your image here')).toBeInTheDocument()
     })
 
-    test('prevents multiple file selection', async () => {
+    test('selecting multiple files starts a batch', async () => {
         const user = createUserEvent()
         render(<UploadForm />)
 
         const fileInput = screen.getByTestId('file-input')
 
-        // Try to upload multiple files (larger than 100 bytes to pass validation)
+        // Upload multiple files (larger than 100 bytes to pass validation)
         const file1 = new File(['x'.repeat(1000)], 'test1.jpg', { type: 'image/jpeg' })
         const file2 = new File(['x'.repeat(1000)], 'test2.jpg', { type: 'image/jpeg' })
 
         await user.upload(fileInput, [file1, file2])
 
-        // Should show the first file (component accepts first file but shows validation error)
+        // Both files should be listed in the batch, each using the shared labels
+        expect(screen.getByTestId('batch-list')).toBeInTheDocument()
+        expect(screen.getAllByTestId('batch-file')).toHaveLength(2)
         expect(screen.getByText('test1.jpg')).toBeInTheDocument()
+        expect(screen.getByText('test2.jpg')).toBeInTheDocument()
+        expect(screen.getByText('2 files selected')).toBeInTheDocument()
+        expect(screen.queryByTestId('file-preview')).not.toBeInTheDocument()
+    })
 
-        // Should not show other files
-        expect(screen.queryByText('test2.jpg')).not.toBeInTheDocument()
+    test('skips invalid files of a batch', async () => {
+        render(<UploadForm />)
 
-        // Should show message about single file selection in validation error
-        // Note: The validation error might be cleared if the first file is valid
-        // Let's check if the validation error is present or if the file was accepted
-        const validationErrorElement = screen.queryByText('Only one file can be uploaded at a time.')
-        if (validationErrorElement) {
-            expect(validationErrorElement).toBeInTheDocument()
-        } else {
-            // If no validation error, the first file should be accepted
-            expect(screen.getByText('test1.jpg')).toBeInTheDocument()
-        }
+        const fileInput = screen.getByTestId('file-input')
+
+        const file1 = new File(['x'.repeat(1000)], 'test1.jpg', { type: 'image/jpeg' })
+        const file2 = new File(['x'.repeat(1000)], 'test2.jpg', { type: 'image/jpeg' })
+        const notes = new File(['x'.repeat(1000)], 'notes.txt', { type: 'text/plain' })
+
+        // fireEvent bypasses the accept filter of user.upload
+        fireEvent.change(fileInput, { target: { files: [file1, file2, notes] } })
+
+        expect(screen.getAllByTestId('batch-file')).toHaveLength(2)
+        expect(screen.queryByText('notes.txt')).not.toBeInTheDocument()
+        expect(screen.getByText('1 of 3 files were skipped because they are not valid images.')).toBeInTheDocument()
     })
 
     test('shows file preview when valid file is selected', async () => {
@@ -0,0 +1,160 @@
+/**
+ * Tests for the batch upload utility
+ * Covers chunked requests, per-file results, retries and the final summary
+ */
+
+import { uploadBatch } from '../../../lib/utils/batch-upload';
+import { NetworkError } from '../../../lib/utils/network-error-handler';
+import { dataOperations } from '../../../lib/utils/data-sync';
+
+// Mock data sync utilities
+jest.mock('../../../lib/utils/data-sync', () => ({
+    dataOperations: {
+        notifyUploadProgress: jest.fn(),
+        notifyUploadCompleted: jest.fn(),
+        notifyImageUpdated: jest.fn(),
+        notifyUploadFailed: jest.fn()
+    }
+}));
+
+// Minimal XMLHttpRequest answering every request with the next queued response
+const responses = [];
+const requests = [];
+
+class MockXMLHttpRequest {
+    constructor() {
+        this.upload = {};
+        this.headers = {};
+    }
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    send(body) {
+        this.body = body;
+        requests.push(this);
+        const response = responses.shift();
+        setTimeout(() => {
+            if (this.upload.onprogress) {
+                this.upload.onprogress({ lengthComputable: true, loaded: 1, total: 1 });
+            }
+            this.status = response.status;
+            this.responseText = JSON.stringify(response.body);
+            this.onload();
+        }, 0);
+    }
+}
+
+const makeFile = (name) => ({ id: name, file: new File(['x'.repeat(200)], name, { type: 'image/jpeg' }), labels: null });
+
+describe('uploadBatch', () => {
+    const originalXHR = global.XMLHttpRequest;
+
+    beforeEach(() => {
+        responses.length = 0;
+        requests.length = 0;
+        jest.clearAllMocks();
+        global.XMLHttpRequest = MockXMLHttpRequest;
+    });
+
+    afterAll(() => {
+        global.XMLHttpRequest = originalXHR;
+    });
+
+    test('sends files in chunks with shared and per-file labels', async () => {
+        responses.push({
+            status: 207,
+            body: {
+                success: true,
+                data: {
+                    results: [
+                        { index: 0, status: 'created', data: { id: 1 } },
+                        { index: 1, status: 'rejected', error: 'Image already exists' }
+                    ]
+                }
+            }
+        });
+
+        const files = [makeFile('a.jpg'), { ...makeFile('b.jpg'), labels: [{ name: 'dog', confidence: 0.5 }] }];
+        const onUpdate = jest.fn();
+        const summary = await uploadBatch(files, {
+            sharedLabels: [{ name: 'cat', confidence: 0.9 }],
+            headers: { 'x-user-email': 'test@example.com' },
+            chunkSize: 2,
+            onUpdate
+        });
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url).toBe('/api/images/batch');
+        expect(requests[0].headers['x-user-email']).toBe('test@example.com');
+        expect(requests[0].body.getAll('images')).toHaveLength(2);
+        expect(JSON.parse(requests[0].body.get('labels'))).toEqual([{ name: 'cat', confidence: 0.9 }]);
+        expect(JSON.parse(requests[0].body.get('fileLabels'))).toEqual([null, [{ name: 'dog', confidence: 0.5 }]]);
+
+        expect(summary).toEqual({ total: 2, created: 1, linked: 0, rejected: 1, failed: 0 });
+        expect(onUpdate).toHaveBeenCalledWith('a.jpg', expect.objectContaining({ status: 'created', progress: 100 }));
+        expect(onUpdate).toHaveBeenCalledWith('b.jpg', expect.objectContaining({ status: 'rejected' }));
+        expect(dataOperations.notifyUploadCompleted).toHaveBeenCalledWith({ id: 1 });
+    });
+
+    test('retries files that failed for a transient reason', async () => {
+        responses.push({ status: 503, body: { success: false, error: 'Service unavailable' } });
+        responses.push({ status: 201, body: { success: true, data: { results: [{ index: 0, status: 'created', data: { id: 2 } }] } } });
+
+        const onUpdate = jest.fn();
+        const summary = await uploadBatch([makeFile('a.jpg')], { retryDelay: 0, onUpdate });
+
+        expect(requests).toHaveLength(2);
+        expect(onUpdate).toHaveBeenCalledWith('a.jpg', expect.objectContaining({ status: 'retrying' }));
+        expect(summary.created).toBe(1);
+        expect(summary.failed).toBe(0);
+    });
+
+    test('does not retry invalid files and reports them as failed', async () => {
+        responses.push({
+            status: 207,
+            body: { success: true, data: { results: [{ index: 0, status: 'failed', error: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP' }] } }
+        });
+
+        const summary = await uploadBatch([makeFile('a.jpg')], { retryDelay: 0 });
+
+        expect(requests).toHaveLength(1);
+        expect(summary.failed).toBe(1);
+        expect(dataOperations.notifyUploadFailed).toHaveBeenCalledWith(expect.objectContaining({ filename: 'a.jpg' }));
+    });
+
+    test('stops retrying after maxAttempts', async () => {
+        responses.push({ status: 500, body: { success: false, error: 'Server error' } });
+        responses.push({ status: 500, body: { success: false, error: 'Server error' } });
+
+        const summary = await uploadBatch([makeFile('a.jpg')], { retryDelay: 0, maxAttempts: 2 });
+
+        expect(requests).toHaveLength(2);
+        expect(summary.failed).toBe(1);
+    });
+
+    test('uploads one file at a time with uploadOne and maps conflicts to rejected', async () => {
+        const uploadOne = jest.fn()
+            .mockResolvedValueOnce({ success: true, data: { id: 3 } })
+            .mockResolvedValueOnce({ success: true, linked: true, data: { id: 1 } })
+            .mockRejectedValueOnce(new NetworkError('Image already exists', 409));
+
+        const summary = await uploadBatch([makeFile('a.jpg'), makeFile('b.jpg'), makeFile('c.jpg')], {
+            sharedLabels: [{ name: 'cat', confidence: 0.9 }],
+            concurrency: 1,
+            uploadOne
+        });
+
+        expect(requests).toHaveLength(0);
+        expect(uploadOne).toHaveBeenCalledTimes(3);
+        expect(uploadOne.mock.calls[0][1]).toEqual([{ name: 'cat', confidence: 0.9 }]);
+        expect(summary).toEqual({ total: 3, created: 1, linked: 1, rejected: 1, failed: 0 });
+        expect(dataOperations.notifyImageUpdated).toHaveBeenCalledWith({ id: 1 });
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Project Context
+ *
+ * React Context for the project (dataset) the user is working in
+ * Components add the selected project to their API requests through projectUrl
+ */
+
+'use client';
+
+import { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
+
+// Key under which the selected project is remembered in the browser
+const STORAGE_KEY = 'annotation-tool:project';
+
+export interface Project {
+    project_id: number;
+    name: string;
+    description?: string | null;
+    allowed_annotation_types: string[];
+    require_confidence: boolean;
+    image_count: number;
+    label_count: number;
+}
+
+interface ProjectContextType {
+    projects: Project[];
+    project: Project | null;
+    projectId: number | null;
+    selectProject: (projectId: number) => void;
+    refreshProjects: () => Promise<void>;
+    projectUrl: (url: string) => string;
+}
+
+interface ProjectProviderProps {
+    children: ReactNode;
+}
+
+/**
+ * Add a project query parameter to an API URL
+ * @param url - API path, with or without a query string
+ * @param projectId - Project to add, or null to leave the URL unchanged
+ * @returns URL scoped to the project
+ */
+export function withProject(url: string, projectId: number | null): string {
+    if (!projectId) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}project=${projectId}`;
+}
+
+// Without a provider (e.g. in component tests) requests are not scoped to a project
+const NO_PROJECT: ProjectContextType = {
+    projects: [],
+    project: null,
+    projectId: null,
+    selectProject: () => {},
+    refreshProjects: async () => {},
+    projectUrl: (url: string) => url
+};
+
+const ProjectContext = createContext<ProjectContextType>(NO_PROJECT);
+
+/**
+ * Project Provider Component
+ * Loads the projects and remembers the selected one across visits
+ */
+export function ProjectProvider({ children }: ProjectProviderProps) {
+    const [projects, setProjects] = useState<Project[]>([]);
+    const [projectId, setProjectId] = useState<number | null>(null);
+
+    const refreshProjects = useCallback(async () => {
+        try {
+            const response = await fetch('/api/projects');
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.details || data.error || 'Failed to load projects');
+            }
+
+            const loaded: Project[] = data.data || [];
+            setProjects(loaded);
+
+            // Keep the remembered project if it still exists, otherwise fall back to the first (default) project
+            setProjectId(current => {
+                const remembered = current ?? Number(localStorage.getItem(STORAGE_KEY));
+                return loaded.some(project => project.project_id === remembered)
+                    ? remembered
+                    : loaded[0]?.project_id ?? null;
+            });
+        } catch (error) {
+            console.error('Error loading projects:', error);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshProjects();
+    }, [refreshProjects]);
+
+    const selectProject = (id: number) => {
+        localStorage.setItem(STORAGE_KEY, String(id));
+        setProjectId(id);
+    };
+
+    // Stable per project, so effects can depend on it and reload only when another project is selected
+    const projectUrl = useCallback((url: string) => withProject(url, projectId), [projectId]);
+
+    const value: ProjectContextType = {
+        projects,
+        project: projects.find(project => project.project_id === projectId) || null,
+        projectId,
+        selectProject,
+        refreshProjects,
+        projectUrl
+    };
+
+    return (
+        <ProjectContext.Provider value={value}>
+            {children}
+        </ProjectContext.Provider>
+    );
+}
+
+/**
+ * Hook to use the project context
+ * @returns Selected project and helpers; requests are unscoped outside a ProjectProvider
+ */
+export function useProject(): ProjectContextType {
+    return useContext(ProjectContext);
+}
+
+export default ProjectContext;
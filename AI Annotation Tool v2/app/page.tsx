@@ -13,14 +13,19 @@ import AuthComponent from "./components/AuthComponent";
 import ChatBox from "./components/ChatBox";
 import DatabaseResetButton from "./components/DatabaseResetButton";
 import CsvExportImport from "./components/CsvExportImport";
+import CollectionsSidebar from "./components/CollectionsSidebar";
+import ProjectSwitcher from "./components/ProjectSwitcher";
 
 function HomeContent() {
   const { user, loading } = useAuth();
   const searchParams = useSearchParams();
   const searchQuery = searchParams.get('search') || '';
   const selectedLabel = searchParams.get('label') || '';
+  const filterQuery = searchParams.get('q') || '';
   const page = parseInt(searchParams.get('page') || '1');
   const [activeSection, setActiveSection] = useState('gallery');
+  // Bumped when a collection is opened so the search bar picks up the collection's filters
+  const [filterVersion, setFilterVersion] = useState(0);
 
   // Show authentication screen if not logged in
   if (!loading && !user) {
@@ -92,6 +97,8 @@ function HomeContent() {
               </div>
               <nav role="navigation" aria-label="Main navigation">
                 <div className="flex items-center space-x-2">
+                  <ProjectSwitcher />
+                  <div className="border-l border-gray-300 dark:border-gray-600 h-6 mx-3"></div>
                   <button
                     data-testid="upload-section"
                     onClick={() => setActiveSection('upload')}
@@ -259,21 +266,38 @@ function HomeContent() {
 
                 {/* Search and Gallery Content */}
                 <div className="bg-white/80 dark:bg-gray-900/80 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200/50 dark:border-gray-700/50 p-6">
-                  {/* Search and Filter Bar */}
-                  <div className="mb-6">
-                    <ComponentErrorBoundary componentName="SearchBar">
-                      <SearchBar />
-                    </ComponentErrorBoundary>
-                  </div>
+                  <div className="flex flex-col lg:flex-row gap-6">
+                    {/* Collections Sidebar (saved searches) */}
+                    <aside className="lg:w-64 lg:shrink-0 lg:border-r lg:border-gray-200 dark:lg:border-gray-700 lg:pr-6">
+                      <ComponentErrorBoundary componentName="CollectionsSidebar">
+                        <CollectionsSidebar
+                          searchQuery={searchQuery}
+                          selectedLabel={selectedLabel}
+                          filterQuery={filterQuery}
+                          onApply={() => setFilterVersion(version => version + 1)}
+                        />
+                      </ComponentErrorBoundary>
+                    </aside>
 
-                  {/* Image Gallery with Search Parameters */}
-                  <ComponentErrorBoundary componentName="ImageGallery">
-                    <ImageGallery
-                      page={page}
-                      searchQuery={searchQuery}
-                      selectedLabel={selectedLabel}
-                    />
-                  </ComponentErrorBoundary>
+                    <div className="flex-1 min-w-0">
+                      {/* Search and Filter Bar */}
+                      <div className="mb-6">
+                        <ComponentErrorBoundary componentName="SearchBar">
+                          <SearchBar key={filterVersion} />
+                        </ComponentErrorBoundary>
+                      </div>
+
+                      {/* Image Gallery with Search Parameters */}
+                      <ComponentErrorBoundary componentName="ImageGallery">
+                        <ImageGallery
+                          page={page}
+                          searchQuery={searchQuery}
+                          selectedLabel={selectedLabel}
+                          filterQuery={filterQuery}
+                        />
+                      </ComponentErrorBoundary>
+                    </div>
+                  </div>
                 </div>
               </section>
             )}
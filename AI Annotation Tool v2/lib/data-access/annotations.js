@@ -5,9 +5,114 @@
 
 const proxy = require('../database/proxy');
 const { query, queryOne, run } = require('../database/connection');
+const { validateData, validateRegion, validateGeometry, getGeometryBounds } = require('../database/schemas');
+const { getImageProject, assertAnnotationAllowed, assertProjectLabel } = require('./projects');
 
 /**
- * Update annotation confidence
+ * Work out the stored shape type, bounding box and serialized geometry for a new annotation
+ * Polygons and masks keep their bounding box in the bbox columns so region queries cover every shape
+ * Keypoints may come with an explicit box (e.g. the person); otherwise it is derived from the labeled points
+ * @param {Object|null} region - Bounding box {x, y, width, height} in normalized coordinates
+ * @param {Object|null} shape - Optional {type, geometry} for polygon, mask or keypoints annotations
+ * @param {Object|null} template - Keypoint template of the label, required for keypoints
+ * @returns {Object} { shapeType, region, geometry } ready for insertion
+ */
+function resolveShape(region, shape, template = null) {
+    if (shape && shape.type && shape.type !== 'label' && shape.type !== 'bbox') {
+        if (region && shape.type !== 'keypoints') {
+            throw new Error('Invalid geometry: provide either a region or a geometry, not both');
+        }
+
+        const geometryValidation = validateGeometry(shape.type, shape.geometry, template);
+        if (!geometryValidation.valid) {
+            throw new Error(`Invalid geometry: ${geometryValidation.errors.join(', ')}`);
+        }
+
+        if (region) {
+            const regionValidation = validateRegion(region);
+            if (!regionValidation.valid) {
+                throw new Error(`Invalid region: ${regionValidation.errors.join(', ')}`);
+            }
+        }
+
+        return {
+            shapeType: shape.type,
+            region: region || getGeometryBounds(shape.type, shape.geometry),
+            geometry: JSON.stringify(shape.geometry)
+        };
+    }
+
+    if (region) {
+        const regionValidation = validateRegion(region);
+        if (!regionValidation.valid) {
+            throw new Error(`Invalid region: ${regionValidation.errors.join(', ')}`);
+        }
+        return { shapeType: 'bbox', region, geometry: null };
+    }
+
+    if (shape && shape.type === 'bbox') {
+        throw new Error('Invalid region: bbox annotations require a region');
+    }
+
+    return { shapeType: 'label', region: null, geometry: null };
+}
+
+/**
+ * Load the keypoint template of a label
+ * @param {number} labelId - Label ID
+ * @returns {Object|null} Parsed template or null if the label has none
+ */
+function getKeypointTemplate(labelId) {
+    const label = queryOne('SELECT keypoint_template FROM labels WHERE label_id = ?', [labelId]);
+    return label && label.keypoint_template ? JSON.parse(label.keypoint_template) : null;
+}
+
+/**
+ * Check attribute values against the attribute schema of their label and serialize them for storage
+ * @param {number} labelId - Label ID
+ * @param {Object|null} attributes - Values keyed by attribute name; null or {} clears them
+ * @returns {string|null} JSON to store
+ * @throws {Error} If a value is not defined by the label's schema or has the wrong type
+ */
+function serializeAttributes(labelId, attributes) {
+    const isEmpty = attributes && typeof attributes === 'object' && !Array.isArray(attributes) &&
+        Object.keys(attributes).length === 0;
+    if (attributes === null || isEmpty) {
+        return null;
+    }
+
+    const label = queryOne('SELECT attribute_schema FROM labels WHERE label_id = ?', [labelId]);
+    const attributeSchema = label && label.attribute_schema ? JSON.parse(label.attribute_schema) : null;
+    const serialized = JSON.stringify(attributes);
+
+    const validation = validateData('annotations', { attributes: serialized }, { partial: true, attributeSchema });
+    if (!validation.valid) {
+        throw new Error(`Invalid attributes: ${validation.errors.join(', ')}`);
+    }
+    return serialized;
+}
+
+/**
+ * Parse the stored JSON columns (geometry, attributes and the joined label templates) on an annotation row
+ * @param {Object|undefined} annotation - Annotation row
+ * @returns {Object|undefined} Annotation with geometry, attributes, keypoint_template and attribute_schema as objects
+ */
+function parseJsonColumns(annotation) {
+    if (!annotation) {
+        return annotation;
+    }
+
+    const parsed = { ...annotation };
+    for (const column of ['geometry', 'attributes', 'keypoint_template', 'attribute_schema']) {
+        if (typeof parsed[column] === 'string') {
+            parsed[column] = JSON.parse(parsed[column]);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Update annotation confidence (applies to every annotation of the label on the image)
  * @param {number} imageId - Image ID
  * @param {number} labelId - Label ID
  * @param {number} confidence - New confidence value (0-1)
@@ -59,7 +164,7 @@ async function updateAnnotationConfidence(imageId, labelId, confidence, userEmai
 }
 
 /**
- * Delete an annotation
+ * Delete an annotation (removes the label and every region drawn with it from the image)
  * @param {number} imageId - Image ID
  * @param {number} labelId - Label ID
  * @returns {boolean} Success status
@@ -93,35 +198,68 @@ async function deleteAnnotation(imageId, labelId) {
 
 /**
  * Create a new annotation
+ * The shape type must be allowed by the image's project, and projects requiring a confidence reject a missing one
+ * The label must be in the vocabulary of the image's project
  * @param {number} imageId - Image ID
  * @param {number} labelId - Label ID
- * @param {number} confidence - Confidence value (0-1), defaults to 1.0
+ * @param {number|null} confidence - Confidence value (0-1); 1.0 when not given
  * @param {string} userEmail - User who is creating the annotation
+ * @param {Object|null} region - Optional bounding box {x, y, width, height} in normalized coordinates
+ * @param {Object|null} shape - Optional shape: {type: 'polygon'|'mask'|'keypoints', geometry}
+ * @param {Object|null} attributes - Optional values for the label's attribute schema, e.g. {occluded: true}
  * @returns {Object} Created annotation
  */
-async function createAnnotation(imageId, labelId, confidence = 1.0, userEmail = 'anonymous') {
+async function createAnnotation(imageId, labelId, confidence = null, userEmail = 'anonymous', region = null, shape = null, attributes = null) {
     try {
         // Validate confidence range
-        if (confidence < 0 || confidence > 1) {
+        if (confidence !== null && (confidence < 0 || confidence > 1)) {
             throw new Error('Confidence must be between 0 and 1');
         }
 
+        // Validate region or polygon/mask/keypoints geometry
+        const template = shape && shape.type === 'keypoints' ? getKeypointTemplate(labelId) : null;
+        const resolved = resolveShape(region, shape, template);
+
+        const project = getImageProject(imageId);
+        if (project) {
+            assertAnnotationAllowed(project, resolved.shapeType, confidence);
+            assertProjectLabel(project, labelId);
+        }
+
+        const serializedAttributes = serializeAttributes(labelId, attributes);
+
         return proxy.transaction(() => {
-            // Check for duplicate
-            const existing = queryOne(`
-                SELECT * FROM annotations
-                WHERE image_id = ? AND label_id = ?
-            `, [imageId, labelId]);
+            // Check for duplicate image-level label (multiple shapes with the same label are allowed)
+            if (resolved.shapeType === 'label') {
+                const existing = queryOne(`
+                    SELECT * FROM annotations
+                    WHERE image_id = ? AND label_id = ? AND shape_type = 'label'
+                `, [imageId, labelId]);
 
-            if (existing) {
-                throw new Error('Annotation already exists for this image and label');
+                if (existing) {
+                    throw new Error('Annotation already exists for this image and label');
+                }
             }
 
             // Create annotation with creator tracking using run() for INSERT statements
-            run(`
-                INSERT INTO annotations (image_id, label_id, confidence, created_by)
-                VALUES (?, ?, ?, ?)
-            `, [imageId, labelId, confidence, userEmail]);
+            const result = run(`
+                INSERT INTO annotations (
+                    image_id, label_id, confidence, created_by, shape_type, geometry,
+                    bbox_x, bbox_y, bbox_width, bbox_height, attributes
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                imageId,
+                labelId,
+                confidence ?? 1.0,
+                userEmail,
+                resolved.shapeType,
+                resolved.geometry,
+                resolved.region ? resolved.region.x : null,
+                resolved.region ? resolved.region.y : null,
+                resolved.region ? resolved.region.width : null,
+                resolved.region ? resolved.region.height : null,
+                serializedAttributes
+            ]);
 
             // Also update the image's last_edited_by field
             run(`
@@ -131,10 +269,10 @@ async function createAnnotation(imageId, labelId, confidence = 1.0, userEmail =
             `, [userEmail, imageId]);
 
             // Get the created annotation
-            return queryOne(`
+            return parseJsonColumns(queryOne(`
                 SELECT * FROM annotations
-                WHERE image_id = ? AND label_id = ?
-            `, [imageId, labelId]);
+                WHERE annotation_id = ?
+            `, [result.lastID]));
         });
     } catch (error) {
         console.error('Error creating annotation:', error);
@@ -145,6 +283,181 @@ async function createAnnotation(imageId, labelId, confidence = 1.0, userEmail =
     }
 }
 
+/**
+ * Get a single annotation by its ID
+ * @param {number} annotationId - Annotation ID
+ * @returns {Object|undefined} Annotation with label details or undefined if not found
+ */
+async function getAnnotationById(annotationId) {
+    try {
+        return parseJsonColumns(queryOne(`
+            SELECT
+                a.*,
+                l.label_name,
+                l.label_description,
+                l.keypoint_template,
+                l.attribute_schema,
+                l.color,
+                l.icon
+            FROM annotations a
+            JOIN labels l ON a.label_id = l.label_id
+            WHERE a.annotation_id = ?
+        `, [annotationId]));
+    } catch (error) {
+        console.error('Error getting annotation by ID:', error);
+        throw new Error(`Failed to get annotation: ${error.message}`);
+    }
+}
+
+/**
+ * Find the image a request about an annotation works on
+ * With an annotation ID the image always comes from the annotation, so a request cannot name another image
+ * @param {number|string|undefined} imageId - Image ID given with the request, if any
+ * @param {number|undefined} annotationId - Annotation ID given with the request, if any
+ * @returns {number|undefined} Image ID, or undefined if the annotation does not exist
+ * @throws {Error} If the given image ID is not the image of the annotation
+ */
+function resolveAnnotationImage(imageId, annotationId) {
+    if (!annotationId) {
+        return imageId;
+    }
+
+    const annotation = queryOne('SELECT image_id FROM annotations WHERE annotation_id = ?', [annotationId]);
+    if (!annotation) {
+        return undefined;
+    }
+    if (imageId && Number(imageId) !== annotation.image_id) {
+        throw new Error(`Invalid annotation: annotation ${annotationId} does not belong to image ${imageId}`);
+    }
+    return annotation.image_id;
+}
+
+/**
+ * Update a single annotation's confidence, region, polygon/mask/keypoints geometry or attribute values
+ * Setting or clearing a region is checked against the image's project like a new annotation
+ * @param {number} annotationId - Annotation ID
+ * @param {Object} updates - Fields to change: confidence (0-1), region ({x, y, width, height} or null)
+ *   for labels and boxes, geometry for polygons, masks and keypoints, or attributes (replaces all
+ *   values; null clears them)
+ * @param {string} userEmail - User who is making the update
+ * @returns {Object|undefined} Updated annotation or undefined if not found
+ */
+async function updateAnnotation(annotationId, updates, userEmail = 'anonymous') {
+    try {
+        const { confidence, region, geometry, attributes } = updates;
+
+        if (confidence !== undefined && (confidence < 0 || confidence > 1)) {
+            throw new Error('Confidence must be between 0 and 1');
+        }
+
+        if (region) {
+            const regionValidation = validateRegion(region);
+            if (!regionValidation.valid) {
+                throw new Error(`Invalid region: ${regionValidation.errors.join(', ')}`);
+            }
+        }
+
+        return proxy.transaction(() => {
+            const existing = queryOne('SELECT * FROM annotations WHERE annotation_id = ?', [annotationId]);
+            if (!existing) {
+                return undefined;
+            }
+
+            const hasGeometry = ['polygon', 'mask', 'keypoints'].includes(existing.shape_type);
+
+            // Shapes with geometry derive their box from it, so they can't be resized directly
+            if (hasGeometry && region !== undefined) {
+                throw new Error(`Invalid region: ${existing.shape_type} annotations are edited through their geometry`);
+            }
+            if (!hasGeometry && geometry !== undefined) {
+                throw new Error(`Invalid geometry: ${existing.shape_type} annotations have no geometry`);
+            }
+
+            // Setting or clearing a region changes the shape type, which the project must allow
+            if (region !== undefined) {
+                const project = getImageProject(existing.image_id);
+                if (project) {
+                    assertAnnotationAllowed(project, region ? 'bbox' : 'label', confidence !== undefined ? confidence : existing.confidence);
+                }
+            }
+
+            const fields = ['last_edited_by = ?'];
+            const params = [userEmail];
+
+            if (confidence !== undefined) {
+                fields.push('confidence = ?');
+                params.push(confidence);
+            }
+
+            // A null region turns a box back into an image-level label
+            if (region !== undefined) {
+                fields.push('shape_type = ?', 'bbox_x = ?', 'bbox_y = ?', 'bbox_width = ?', 'bbox_height = ?');
+                params.push(
+                    region ? 'bbox' : 'label',
+                    region ? region.x : null,
+                    region ? region.y : null,
+                    region ? region.width : null,
+                    region ? region.height : null
+                );
+            }
+
+            if (geometry !== undefined) {
+                const template = existing.shape_type === 'keypoints' ? getKeypointTemplate(existing.label_id) : null;
+                const resolved = resolveShape(null, { type: existing.shape_type, geometry }, template);
+                fields.push('geometry = ?', 'bbox_x = ?', 'bbox_y = ?', 'bbox_width = ?', 'bbox_height = ?');
+                params.push(
+                    resolved.geometry,
+                    resolved.region ? resolved.region.x : null,
+                    resolved.region ? resolved.region.y : null,
+                    resolved.region ? resolved.region.width : null,
+                    resolved.region ? resolved.region.height : null
+                );
+            }
+
+            if (attributes !== undefined) {
+                fields.push('attributes = ?');
+                params.push(serializeAttributes(existing.label_id, attributes));
+            }
+
+            run(`
+                UPDATE annotations
+                SET ${fields.join(', ')}
+                WHERE annotation_id = ?
+            `, [...params, annotationId]);
+
+            // Also update the image's last_edited_by field
+            run(`
+                UPDATE images
+                SET last_edited_by = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE image_id = ?
+            `, [userEmail, existing.image_id]);
+
+            return parseJsonColumns(queryOne('SELECT * FROM annotations WHERE annotation_id = ?', [annotationId]));
+        });
+    } catch (error) {
+        console.error('Error updating annotation:', error);
+        if (error.message.includes('UNIQUE constraint')) {
+            throw new Error('Annotation already exists for this image and label');
+        }
+        throw new Error(`Failed to update annotation: ${error.message}`);
+    }
+}
+
+/**
+ * Delete a single annotation by its ID
+ * @param {number} annotationId - Annotation ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+async function deleteAnnotationById(annotationId) {
+    try {
+        const result = run('DELETE FROM annotations WHERE annotation_id = ?', [annotationId]);
+        return result.changes > 0;
+    } catch (error) {
+        console.error('Error deleting annotation:', error);
+        throw new Error(`Failed to delete annotation: ${error.message}`);
+    }
+}
+
 /**
  * Get all annotations for an image
  * @param {number} imageId - Image ID
@@ -158,18 +471,29 @@ async function getAnnotationsByImage(imageId) {
                 a.image_id,
                 a.label_id,
                 a.confidence,
+                a.shape_type,
+                a.geometry,
+                a.bbox_x,
+                a.bbox_y,
+                a.bbox_width,
+                a.bbox_height,
                 a.created_at,
                 a.created_by,
                 a.last_edited_by,
+                a.attributes,
                 l.label_name,
-                l.label_description
+                l.label_description,
+                l.keypoint_template,
+                l.attribute_schema,
+                l.color,
+                l.icon
             FROM annotations a
             JOIN labels l ON a.label_id = l.label_id
             WHERE a.image_id = ?
             ORDER BY a.created_at DESC
         `, [imageId]);
 
-        return annotations;
+        return annotations.map(parseJsonColumns);
     } catch (error) {
         console.error('Error getting annotations by image:', error);
         throw new Error(`Failed to get annotations: ${error.message}`);
@@ -178,14 +502,13 @@ async function getAnnotationsByImage(imageId) {
 
 /**
  * Get label ID by label name (helper function)
+ * Aliases and case variants resolve to their canonical label, so "kitty" finds "cat".
  * @param {string} labelName - Label name
  * @returns {number|null} Label ID or null if not found
  */
 function getLabelIdByName(labelName) {
     try {
-        const label = queryOne(`
-            SELECT label_id FROM labels WHERE label_name = ?
-        `, [labelName]);
+        const label = proxy.labels.findByName(labelName);
 
         return label ? label.label_id : null;
     } catch (error) {
@@ -198,6 +521,10 @@ module.exports = {
     updateAnnotationConfidence,
     deleteAnnotation,
     createAnnotation,
+    getAnnotationById,
+    resolveAnnotationImage,
+    updateAnnotation,
+    deleteAnnotationById,
     getAnnotationsByImage,
     getLabelIdByName
 };
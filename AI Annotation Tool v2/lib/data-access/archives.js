@@ -0,0 +1,333 @@
+/**
+ * Data Access Layer for Archive Ingestion
+ * Imports a zip of images whose labels come from their folder names (ImageNet-style class/image.jpg)
+ * or from sidecar .json/.txt files next to each image; every image goes through the upload pipeline
+ */
+
+const path = require('path');
+const { query } = require('../database/connection');
+const { config } = require('../database/config');
+const { readZip } = require('../utils/zip');
+const { validateImageType, validateFileSize } = require('../utils/firebase-storage');
+const { computeImageHashes } = require('../utils/image-hash');
+const { findDuplicatesOf } = require('./duplicates');
+const { createImageFromUpload } = require('./uploads');
+const { DEFAULT_PROJECT_ID } = require('./projects');
+const { MIME_TYPES } = require('./imports');
+
+const SIDECAR_EXTENSIONS = ['.json', '.txt'];
+
+// Confidence of labels taken from folder names, and of sidecar labels without one
+const DEFAULT_CONFIDENCE = 1.0;
+
+/**
+ * Check whether an archive entry is operating system clutter rather than content
+ * @param {string} name - Entry path
+ * @returns {boolean} True for macOS resource forks, Finder and Explorer metadata
+ */
+function isJunkEntry(name) {
+  const base = path.posix.basename(name);
+  return name.startsWith('__MACOSX/') || base.startsWith('._') || base === '.DS_Store' || base === 'Thumbs.db';
+}
+
+/**
+ * Validate a label read from a sidecar file
+ * @param {string} name - Label name
+ * @param {*} confidence - Confidence between 0 and 1, or undefined for the default
+ * @returns {Object} { name, confidence }
+ */
+function toLabel(name, confidence) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (trimmed.length === 0 || trimmed.length > 100) {
+    throw new Error('label names must be 1 to 100 characters');
+  }
+
+  if (confidence === undefined || confidence === null) {
+    return { name: trimmed, confidence: DEFAULT_CONFIDENCE };
+  }
+
+  const value = Number(confidence);
+  if (!Number.isFinite(value) || value < 0 || value > 1) {
+    throw new Error(`confidence of '${trimmed}' must be between 0 and 1`);
+  }
+  return { name: trimmed, confidence: value };
+}
+
+/**
+ * Parse a JSON sidecar
+ * Accepts a list of labels, { labels: [...] } or { label, confidence }; each label is a name or { name, confidence }
+ * @param {string} text - File content
+ * @returns {Array<Object>} Labels { name, confidence }
+ */
+function parseJsonSidecar(text) {
+  const value = JSON.parse(text);
+  const toLabels = list => list.map(item => (typeof item === 'string'
+    ? toLabel(item)
+    : toLabel(item && (item.name ?? item.label), item && item.confidence)));
+
+  if (Array.isArray(value)) {
+    return toLabels(value);
+  }
+  if (value && Array.isArray(value.labels)) {
+    return toLabels(value.labels);
+  }
+  if (value && typeof value.label === 'string') {
+    return [toLabel(value.label, value.confidence)];
+  }
+
+  throw new Error('expected a list of labels, { "labels": [...] } or { "label": "..." }');
+}
+
+/**
+ * Parse a text sidecar: one label per line, optionally followed by a comma and a confidence
+ * Empty lines and lines starting with # are ignored
+ * @param {string} text - File content
+ * @returns {Array<Object>} Labels { name, confidence }
+ */
+function parseTextSidecar(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const comma = line.lastIndexOf(',');
+      if (comma !== -1 && line.slice(comma + 1).trim() !== '' && !isNaN(Number(line.slice(comma + 1)))) {
+        return toLabel(line.slice(0, comma), line.slice(comma + 1));
+      }
+      return toLabel(line);
+    });
+}
+
+/**
+ * Get the folder that contains every entry of the archive, e.g. the folder that was zipped
+ * @param {string[]} names - Entry paths
+ * @returns {string} The common top-level folder with a trailing slash, or '' when there is none
+ */
+function getCommonRoot(names) {
+  const first = names[0] && names[0].split('/')[0];
+  if (!first || names.some(name => !name.includes('/') || name.split('/')[0] !== first)) {
+    return '';
+  }
+  return `${first}/`;
+}
+
+/**
+ * Read a label archive and work out the labels of every image
+ * Images are matched with sidecars named after the image (cat.jpg.json or cat.json, and the .txt equivalents)
+ * in the same folder. The name of the folder holding an image is a label too, unless folderLabels is false;
+ * a single folder holding the whole archive is not. Sidecar confidences win over folder labels.
+ * Images over the 10MB limit are not inflated; their data is null
+ * @param {Buffer} buffer - Zip archive bytes
+ * @param {Object} [options] - { folderLabels = true }
+ * @returns {Object} { images: [{ file_name, data, size, mime_type, labels, error? }], ignored: [{ file_name, reason }] }
+ */
+function parseLabelArchive(buffer, options = {}) {
+  const folderLabels = options.folderLabels !== false;
+
+  let entries;
+  try {
+    // Oversized images are reported one by one instead of failing the whole archive
+    entries = readZip(buffer, { skipOversized: true }).filter(entry => !isJunkEntry(entry.name));
+  } catch (error) {
+    throw new Error(`Invalid archive: ${error.message}`);
+  }
+
+  const sidecars = new Map();
+  const files = [];
+  for (const entry of entries) {
+    if (SIDECAR_EXTENSIONS.includes(path.posix.extname(entry.name).toLowerCase())) {
+      sidecars.set(entry.name, entry);
+    } else {
+      files.push(entry);
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error('Invalid archive: no images found');
+  }
+
+  const root = getCommonRoot(entries.map(entry => entry.name));
+  const used = new Set();
+
+  const images = files.map(entry => {
+    const parsed = path.posix.parse(entry.name);
+    const image = {
+      file_name: entry.name,
+      data: entry.data,
+      size: entry.size,
+      mime_type: MIME_TYPES[parsed.ext.toLowerCase()] || 'application/octet-stream',
+      labels: []
+    };
+    const labels = new Map();
+
+    const folder = entry.name.startsWith(root) ? path.posix.dirname(entry.name.slice(root.length)) : parsed.dir;
+    if (folderLabels && folder !== '.' && folder !== '') {
+      try {
+        const label = toLabel(path.posix.basename(folder));
+        labels.set(label.name, label);
+      } catch (error) {
+        image.error = `Invalid folder label ${folder}: ${error.message}`;
+      }
+    }
+
+    const prefix = parsed.dir ? `${parsed.dir}/` : '';
+    const candidates = [`${entry.name}.json`, `${prefix}${parsed.name}.json`, `${entry.name}.txt`, `${prefix}${parsed.name}.txt`];
+    for (const name of candidates) {
+      const sidecar = sidecars.get(name);
+      if (!sidecar || image.error) {
+        continue;
+      }
+      used.add(name);
+
+      try {
+        if (!sidecar.data) {
+          throw new Error('file is too large');
+        }
+        const text = sidecar.data.toString('utf8');
+        const sidecarLabels = name.endsWith('.json') ? parseJsonSidecar(text) : parseTextSidecar(text);
+        sidecarLabels.forEach(label => labels.set(label.name, label));
+      } catch (error) {
+        image.error = `Invalid sidecar ${name}: ${error.message}`;
+      }
+    }
+
+    image.labels = Array.from(labels.values());
+    return image;
+  });
+
+  const ignored = Array.from(sidecars.keys())
+    .filter(name => !used.has(name))
+    .map(name => ({ file_name: name, reason: 'no matching image' }));
+
+  return { images, ignored };
+}
+
+/**
+ * Work out what the duplicate policy would do with an image, without storing anything
+ * @param {Buffer} data - Image bytes
+ * @param {string} policy - reject, warn or link
+ * @param {number} [projectId] - Project the image would be added to
+ * @returns {Promise<Object>} { status: 'created'|'linked'|'rejected', duplicate }
+ */
+async function previewDuplicatePolicy(data, policy, projectId) {
+  const duplicates = await findDuplicatesOf(await computeImageHashes(data), { projectId }).catch(() => []);
+  const existing = duplicates.find(duplicate => duplicate.match === 'exact');
+  if (!existing || policy === 'warn') {
+    return { status: 'created', duplicate: null };
+  }
+  return { status: policy === 'reject' ? 'rejected' : 'linked', duplicate: existing };
+}
+
+/**
+ * Import a label archive: validate every image, store it with the configured storage backend and
+ * create its record with its labels. Images are imported one by one, so a failing image does not undo the others.
+ * @param {Buffer} buffer - Zip archive bytes
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dryRun=false] - Only report what would happen
+ * @param {boolean} [options.folderLabels=true] - Use folder names as labels
+ * @param {string} [options.duplicatePolicy] - reject, warn or link; defaults to DUPLICATE_POLICY
+ * @param {string} [options.userEmail='archive-import'] - Email recorded as creator
+ * @param {string} [options.token] - Storage auth token
+ * @param {number} [options.projectId] - Project to import into; the default project when not given
+ * @returns {Promise<Object>} Report { format, dryRun, summary, labels, images, ignored }
+ */
+async function importLabelArchive(buffer, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const policy = options.duplicatePolicy || config.uploads.duplicatePolicy;
+  const userEmail = options.userEmail || 'archive-import';
+  const projectId = options.projectId || DEFAULT_PROJECT_ID;
+
+  const archive = parseLabelArchive(buffer, options);
+
+  try {
+    const existingLabels = new Set(query('SELECT label_name FROM labels').map(label => label.label_name));
+    const results = [];
+
+    for (const image of archive.images) {
+      const entry = { file_name: image.file_name, labels: image.labels };
+
+      if (image.error) {
+        results.push({ ...entry, action: 'skipped', reason: image.error });
+        continue;
+      }
+
+      if (!validateImageType(image.mime_type)) {
+        results.push({ ...entry, action: 'skipped', reason: 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP' });
+        continue;
+      }
+
+      if (image.size === 0 || !image.data || !validateFileSize(image.size)) {
+        results.push({ ...entry, action: 'skipped', reason: image.size === 0 ? 'File is empty' : 'File size exceeds 10MB limit' });
+        continue;
+      }
+
+      try {
+        if (dryRun) {
+          const preview = await previewDuplicatePolicy(image.data, policy, projectId);
+          results.push({ ...entry, action: preview.status, ...(preview.duplicate && { duplicate: preview.duplicate }) });
+          continue;
+        }
+
+        const result = await createImageFromUpload(
+          image.data,
+          { fileName: path.posix.basename(image.file_name), mimeType: image.mime_type, fileSize: image.data.length },
+          image.labels,
+          { userEmail, token: options.token, duplicatePolicy: policy, projectId }
+        );
+
+        results.push({
+          ...entry,
+          action: result.status,
+          image_id: result.image ? result.image.image_id : null,
+          ...(result.duplicate && { duplicate: result.duplicate })
+        });
+      } catch (error) {
+        console.error(`Archive import of ${image.file_name} failed:`, error);
+        results.push({ ...entry, action: 'failed', reason: error.message });
+      }
+    }
+
+    // Labels of the images that were (or would be) saved
+    const labelCounts = new Map();
+    results
+      .filter(result => result.action === 'created' || result.action === 'linked')
+      .forEach(result => result.labels.forEach(label => labelCounts.set(label.name, (labelCounts.get(label.name) || 0) + 1)));
+
+    const labels = Array.from(labelCounts, ([name, images]) => ({
+      name,
+      action: existingLabels.has(name) ? 'existing' : 'created',
+      images
+    }));
+
+    const count = (items, action) => items.filter(item => item.action === action).length;
+
+    return {
+      format: 'archive',
+      dryRun,
+      summary: {
+        images: {
+          created: count(results, 'created'),
+          linked: count(results, 'linked'),
+          rejected: count(results, 'rejected'),
+          skipped: count(results, 'skipped'),
+          failed: count(results, 'failed')
+        },
+        labels: {
+          created: count(labels, 'created'),
+          existing: count(labels, 'existing')
+        },
+        ignored: archive.ignored.length
+      },
+      labels,
+      images: results,
+      ignored: archive.ignored
+    };
+  } catch (error) {
+    console.error('Error in importLabelArchive:', error);
+    throw new Error(`Failed to import archive: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseLabelArchive,
+  importLabelArchive
+};
@@ -0,0 +1,581 @@
+/**
+ * Data Access Layer for JSON Lines Backups
+ * Writes a lossless backup (a labels header record, then one record per image with its annotations)
+ * and restores it with new IDs: labels map by name, images by file name, and conflicts are resolved
+ * by the chosen merge strategy
+ */
+
+const path = require('path');
+const { query, queryOne, run } = require('../database/connection');
+const proxy = require('../database/proxy');
+const {
+  validateRegion,
+  validateGeometry,
+  validateKeypointTemplate,
+  validateAttributeSchema,
+  validateAttributes,
+  SHAPE_TYPES,
+  LABEL_COLOR_PATTERN,
+  LABEL_HOTKEY_PATTERN
+} = require('../database/schemas');
+const { DEFAULT_PROJECT_ID, addProjectLabel, getImageProject, assertProjectLabel } = require('./projects');
+
+// Backup format version written to the header record
+const BACKUP_VERSION = 1;
+
+// Number of images loaded per query while writing a backup
+const BACKUP_BATCH_SIZE = 200;
+
+// Ways to resolve a label or image that already exists
+const MERGE_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+// Optional image columns restored as they are; backups written before a column existed restore it as NULL
+const IMAGE_DETAIL_COLUMNS = [
+  'thumbnail_path', 'preview_path',
+  'width', 'height', 'orientation', 'captured_at', 'camera_make', 'camera_model', 'gps_latitude', 'gps_longitude',
+  'content_hash', 'perceptual_hash'
+];
+
+/**
+ * Parse a JSON column, keeping the raw text if it is not valid JSON
+ * @param {string|null} value - Stored JSON text
+ * @returns {*} Parsed value, or null when empty
+ */
+function parseJsonColumn(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Serialize a JSON column for storage
+ * @param {*} value - Value from a backup record
+ * @returns {string|null} JSON text
+ */
+function toJsonColumn(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Generate a JSON Lines backup of all labels, images and annotations
+ * The first line is the labels header record; every following line is one image with its annotations.
+ * Images are read in batches, so large databases can be streamed.
+ * @param {Object} [options] - Backup options
+ * @param {number} [options.projectId] - Only back up this project's vocabulary and images
+ * @yields {string} JSON lines including the trailing line break
+ */
+async function* generateJsonlBackup(options = {}) {
+  const projectId = options.projectId || null;
+  const labels = projectId
+    ? query(`
+        SELECT l.* FROM labels l
+        JOIN project_labels pl ON pl.label_id = l.label_id AND pl.project_id = ?
+        ORDER BY l.label_id
+      `, [projectId])
+    : query('SELECT * FROM labels ORDER BY label_id');
+
+  yield JSON.stringify({
+    type: 'labels',
+    version: BACKUP_VERSION,
+    exported_at: new Date().toISOString(),
+    labels: labels.map(label => ({
+      ...label,
+      keypoint_template: parseJsonColumn(label.keypoint_template),
+      attribute_schema: parseJsonColumn(label.attribute_schema)
+    }))
+  }) + '\n';
+
+  const labelNames = new Map(labels.map(label => [label.label_id, label.label_name]));
+  let lastImageId = 0;
+
+  while (true) {
+    const images = projectId
+      ? query(
+        'SELECT * FROM images WHERE image_id > ? AND project_id = ? ORDER BY image_id LIMIT ?',
+        [lastImageId, projectId, BACKUP_BATCH_SIZE]
+      )
+      : query(
+        'SELECT * FROM images WHERE image_id > ? ORDER BY image_id LIMIT ?',
+        [lastImageId, BACKUP_BATCH_SIZE]
+      );
+
+    if (images.length === 0) {
+      break;
+    }
+
+    const annotations = query(`
+      SELECT * FROM annotations
+      WHERE image_id IN (${images.map(() => '?').join(', ')})
+      ORDER BY annotation_id
+    `, images.map(image => image.image_id));
+
+    const annotationsByImage = new Map(images.map(image => [image.image_id, []]));
+    for (const annotation of annotations) {
+      const { image_id: imageId, ...fields } = annotation;
+      annotationsByImage.get(imageId).push({
+        ...fields,
+        label_name: labelNames.get(annotation.label_id),
+        geometry: parseJsonColumn(annotation.geometry),
+        attributes: parseJsonColumn(annotation.attributes)
+      });
+    }
+
+    for (const image of images) {
+      yield JSON.stringify({ type: 'image', ...image, annotations: annotationsByImage.get(image.image_id) }) + '\n';
+    }
+
+    lastImageId = images[images.length - 1].image_id;
+  }
+}
+
+/**
+ * Read JSON Lines records from a stream
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} source - Byte or text stream, e.g. File.stream()
+ * @yields {Object} { record, line } for every non-empty line
+ */
+async function* readJsonLines(source) {
+  const decoder = new TextDecoder('utf-8');
+  let buffered = '';
+  let line = 0;
+
+  const parseLine = (text) => {
+    line++;
+    if (text.trim() === '') {
+      return null;
+    }
+
+    try {
+      return { record: JSON.parse(text), line };
+    } catch {
+      throw new Error(`Invalid backup: line ${line} is not valid JSON`);
+    }
+  };
+
+  for await (const chunk of source) {
+    buffered += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const text of lines) {
+      const parsed = parseLine(text);
+      if (parsed) {
+        yield parsed;
+      }
+    }
+  }
+
+  buffered += decoder.decode();
+  const parsed = parseLine(buffered);
+  if (parsed) {
+    yield parsed;
+  }
+}
+
+/**
+ * Validate an annotation record from a backup
+ * @param {Object} annotation - Annotation record
+ * @param {Object} label - Backup label it refers to
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBackupAnnotation(annotation, label) {
+  if (!SHAPE_TYPES.includes(annotation.shape_type)) {
+    return `unsupported shape type '${annotation.shape_type}'`;
+  }
+
+  const confidence = annotation.confidence === null || annotation.confidence === undefined ? 1.0 : annotation.confidence;
+  if (typeof confidence !== 'number' || confidence < 0 || confidence > 1) {
+    return `confidence must be a number between 0 and 1`;
+  }
+
+  // Backups written before attributes existed have none
+  if (annotation.attributes !== null && annotation.attributes !== undefined) {
+    const attributeCheck = validateAttributes(annotation.attributes, label.attribute_schema || null);
+    if (!attributeCheck.valid) {
+      return attributeCheck.errors.join(', ');
+    }
+  }
+
+  if (annotation.shape_type === 'label') {
+    return null;
+  }
+
+  const regionCheck = validateRegion({
+    x: annotation.bbox_x,
+    y: annotation.bbox_y,
+    width: annotation.bbox_width,
+    height: annotation.bbox_height
+  });
+  if (!regionCheck.valid) {
+    return regionCheck.errors.join(', ');
+  }
+
+  if (annotation.shape_type !== 'bbox') {
+    const geometryCheck = validateGeometry(annotation.shape_type, annotation.geometry, label.keypoint_template);
+    if (!geometryCheck.valid) {
+      return geometryCheck.errors.join(', ');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read and validate a JSON Lines backup
+ * Everything is checked before the restore starts, so a broken backup writes nothing
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} source - Backup stream
+ * @returns {Promise<Object>} Backup { version, labels, images }
+ */
+async function parseJsonlBackup(source) {
+  let header = null;
+  const labels = new Map();
+  const images = [];
+
+  for await (const { record, line } of readJsonLines(source)) {
+    if (!header) {
+      if (record.type !== 'labels' || !Array.isArray(record.labels)) {
+        throw new Error('Invalid backup: the first line must be the labels header record');
+      }
+      if (record.version > BACKUP_VERSION) {
+        throw new Error(`Invalid backup: version ${record.version} is newer than supported version ${BACKUP_VERSION}`);
+      }
+
+      for (const label of record.labels) {
+        if (!label || typeof label.label_name !== 'string' || !label.label_name.trim()) {
+          throw new Error(`Invalid backup: line ${line}: every label needs a label_name`);
+        }
+        if (label.keypoint_template) {
+          const templateCheck = validateKeypointTemplate(label.keypoint_template);
+          if (!templateCheck.valid) {
+            throw new Error(`Invalid backup: line ${line}: label '${label.label_name}': ${templateCheck.errors.join(', ')}`);
+          }
+        }
+        if (label.attribute_schema) {
+          const schemaCheck = validateAttributeSchema(label.attribute_schema);
+          if (!schemaCheck.valid) {
+            throw new Error(`Invalid backup: line ${line}: label '${label.label_name}': ${schemaCheck.errors.join(', ')}`);
+          }
+        }
+        if (label.color && !LABEL_COLOR_PATTERN.test(label.color)) {
+          throw new Error(`Invalid backup: line ${line}: label '${label.label_name}': color must be a hex color such as #1e90ff`);
+        }
+        if (label.hotkey && !LABEL_HOTKEY_PATTERN.test(label.hotkey)) {
+          throw new Error(`Invalid backup: line ${line}: label '${label.label_name}': hotkey must be a digit from 1 to 9 or a letter`);
+        }
+        labels.set(label.label_id, label);
+      }
+
+      header = record;
+      continue;
+    }
+
+    if (record.type !== 'image') {
+      throw new Error(`Invalid backup: line ${line}: unexpected record type '${record.type}'`);
+    }
+
+    for (const field of ['filename', 'file_path', 'mime_type']) {
+      if (typeof record[field] !== 'string' || !record[field]) {
+        throw new Error(`Invalid backup: line ${line}: image is missing '${field}'`);
+      }
+    }
+
+    if (!Array.isArray(record.annotations)) {
+      throw new Error(`Invalid backup: line ${line}: image '${record.filename}' has no annotations list`);
+    }
+
+    record.annotations.forEach((annotation, index) => {
+      const label = labels.get(annotation.label_id);
+      if (!label) {
+        throw new Error(`Invalid backup: line ${line}: annotation ${index + 1} refers to unknown label ${annotation.label_id}`);
+      }
+
+      const error = validateBackupAnnotation(annotation, label);
+      if (error) {
+        throw new Error(`Invalid backup: line ${line}: annotation ${index + 1} of '${record.filename}': ${error}`);
+      }
+    });
+
+    images.push(record);
+  }
+
+  if (!header) {
+    throw new Error('Invalid backup: the file is empty');
+  }
+
+  return { version: header.version, labels: [...labels.values()], images };
+}
+
+/**
+ * Find an unused name by appending _2, _3, ... before the extension
+ * @param {string} name - Name that is already taken
+ * @param {Function} isTaken - Returns true when a candidate name exists
+ * @returns {string} Free name
+ */
+function findFreeName(name, isTaken) {
+  const extension = path.extname(name);
+  const stem = name.slice(0, name.length - extension.length);
+
+  for (let counter = 2; ; counter++) {
+    const candidate = `${stem}_${counter}${extension}`;
+    if (!isTaken(candidate)) {
+      return candidate;
+    }
+  }
+}
+
+/**
+ * Check whether an existing label has the same definition as a backup label
+ * @param {Object} existing - Label row
+ * @param {Object} label - Backup label
+ * @returns {boolean} True when description, keypoint template and attribute schema match
+ */
+function isSameLabel(existing, label) {
+  return (existing.label_description || null) === (label.label_description || null) &&
+    (existing.keypoint_template || null) === toJsonColumn(label.keypoint_template) &&
+    (existing.attribute_schema || null) === toJsonColumn(label.attribute_schema);
+}
+
+/**
+ * Get the color, icon and hotkey of a backup label to restore
+ * A hotkey already assigned to another label is dropped, since a hotkey belongs to one label only.
+ * @param {Object} label - Backup label
+ * @param {number|null} labelId - Existing label the values are restored onto, or null for a new label
+ * @returns {Array} Color, icon and hotkey
+ */
+function getLabelAppearance(label, labelId) {
+  const hotkeyTaken = label.hotkey &&
+    queryOne('SELECT 1 FROM labels WHERE hotkey = ? AND label_id IS NOT ?', [label.hotkey, labelId]);
+  return [label.color || null, label.icon || null, label.hotkey && !hotkeyTaken ? label.hotkey : null];
+}
+
+/**
+ * Restore the labels of a backup
+ * @param {Array<Object>} labels - Backup labels
+ * @param {string} strategy - Merge strategy
+ * @returns {Array<Object>} Results { name, backup_id, label_id, action }
+ */
+function restoreLabels(labels, strategy) {
+  return labels.map(label => {
+    // Backup labels are matched by name, alias or case variant, like every other label lookup
+    const match = proxy.labels.findByName(label.label_name);
+    const existing = match && queryOne('SELECT * FROM labels WHERE label_id = ?', [match.label_id]);
+    let name = label.label_name;
+    let action = 'created';
+
+    if (existing) {
+      if (isSameLabel(existing, label) || strategy === 'skip') {
+        return { name, backup_id: label.label_id, label_id: existing.label_id, action: 'existing' };
+      }
+
+      if (strategy === 'overwrite') {
+        run(
+          'UPDATE labels SET label_description = ?, keypoint_template = ?, attribute_schema = ?, color = ?, icon = ?, hotkey = ? WHERE label_id = ?',
+          [
+            label.label_description || null,
+            toJsonColumn(label.keypoint_template),
+            toJsonColumn(label.attribute_schema),
+            ...getLabelAppearance(label, existing.label_id),
+            existing.label_id
+          ]
+        );
+        return { name, backup_id: label.label_id, label_id: existing.label_id, action: 'overwritten' };
+      }
+
+      name = findFreeName(label.label_name, candidate => Boolean(proxy.labels.findByName(candidate)));
+      action = 'renamed';
+    }
+
+    const labelId = run(`
+      INSERT INTO labels (label_name, label_description, keypoint_template, attribute_schema, color, icon, hotkey, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+    `, [
+      name,
+      label.label_description || null,
+      toJsonColumn(label.keypoint_template),
+      toJsonColumn(label.attribute_schema),
+      ...getLabelAppearance(label, null),
+      label.created_at || null
+    ]).lastID;
+
+    return { name, backup_id: label.label_id, label_id: Number(labelId), action };
+  });
+}
+
+/**
+ * Insert the annotations of a restored image
+ * @param {number} imageId - New image ID
+ * @param {Array<Object>} annotations - Backup annotations
+ * @param {Map<number, number>} labelIds - Backup label ID -> new label ID
+ * @throws {Error} If a label is not in the vocabulary of the image's project
+ */
+function insertAnnotations(imageId, annotations, labelIds) {
+  const project = annotations.length > 0 ? getImageProject(imageId) : undefined;
+
+  for (const annotation of annotations) {
+    assertProjectLabel(project, labelIds.get(annotation.label_id));
+    run(`
+      INSERT INTO annotations (
+        image_id, label_id, confidence, shape_type, geometry,
+        bbox_x, bbox_y, bbox_width, bbox_height,
+        created_at, created_by, last_edited_by, attributes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ?)
+    `, [
+      imageId,
+      labelIds.get(annotation.label_id),
+      annotation.confidence === null || annotation.confidence === undefined ? 1.0 : annotation.confidence,
+      annotation.shape_type,
+      toJsonColumn(annotation.geometry),
+      annotation.bbox_x ?? null,
+      annotation.bbox_y ?? null,
+      annotation.bbox_width ?? null,
+      annotation.bbox_height ?? null,
+      annotation.created_at || null,
+      annotation.created_by || null,
+      annotation.last_edited_by || null,
+      toJsonColumn(annotation.attributes)
+    ]);
+  }
+}
+
+/**
+ * Restore the images of a backup with their annotations
+ * Overwritten images stay in their project; created and renamed images are added to projectId
+ * @param {Array<Object>} images - Backup image records
+ * @param {Map<number, number>} labelIds - Backup label ID -> new label ID
+ * @param {string} strategy - Merge strategy
+ * @param {number} projectId - Project of the created images
+ * @returns {Array<Object>} Results { filename, backup_id, image_id, action, annotations }
+ */
+function restoreImages(images, labelIds, strategy, projectId) {
+  return images.map(image => {
+    const existing = queryOne('SELECT image_id FROM images WHERE filename = ?', [image.filename]);
+    const values = [
+      image.original_name || image.filename,
+      image.file_path,
+      image.file_size || 0,
+      image.mime_type,
+      image.uploaded_at || null,
+      image.updated_at || null,
+      image.created_by || null,
+      image.last_edited_by || null,
+      ...IMAGE_DETAIL_COLUMNS.map(column => image[column] ?? null)
+    ];
+
+    if (existing && strategy === 'skip') {
+      return { filename: image.filename, backup_id: image.image_id, image_id: existing.image_id, action: 'skipped', annotations: 0 };
+    }
+
+    if (existing && strategy === 'overwrite') {
+      run(`
+        UPDATE images
+        SET original_name = ?, file_path = ?, file_size = ?, mime_type = ?,
+            uploaded_at = COALESCE(?, uploaded_at), updated_at = COALESCE(?, CURRENT_TIMESTAMP),
+            created_by = ?, last_edited_by = ?,
+            ${IMAGE_DETAIL_COLUMNS.map(column => `${column} = ?`).join(', ')}
+        WHERE image_id = ?
+      `, [...values, existing.image_id]);
+      run('DELETE FROM annotations WHERE image_id = ?', [existing.image_id]);
+      insertAnnotations(existing.image_id, image.annotations, labelIds);
+
+      return { filename: image.filename, backup_id: image.image_id, image_id: existing.image_id, action: 'overwritten', annotations: image.annotations.length };
+    }
+
+    const filename = existing
+      ? findFreeName(image.filename, candidate => Boolean(queryOne('SELECT 1 FROM images WHERE filename = ?', [candidate])))
+      : image.filename;
+
+    const imageId = Number(run(`
+      INSERT INTO images (
+        filename, original_name, file_path, file_size, mime_type,
+        uploaded_at, updated_at, created_by, last_edited_by, ${IMAGE_DETAIL_COLUMNS.join(', ')}, project_id
+      ) VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP), ?, ?, ${IMAGE_DETAIL_COLUMNS.map(() => '?').join(', ')}, ?)
+    `, [filename, ...values, projectId]).lastID);
+    insertAnnotations(imageId, image.annotations, labelIds);
+
+    return { filename, backup_id: image.image_id, image_id: imageId, action: existing ? 'renamed' : 'created', annotations: image.annotations.length };
+  });
+}
+
+/**
+ * Restore a parsed backup in a single transaction
+ * IDs in the backup are never reused: labels are matched by name and images by file name, and every
+ * created record gets a new ID. Labels or images that already exist are handled by the strategy:
+ * - skip: keep the existing record (an existing image keeps its annotations and the backup's are ignored)
+ * - overwrite: update the existing record (an existing image's annotations are replaced by the backup's)
+ * - rename: create a new record named <name>_2, <name>_3, ...
+ * Labels with the same description and keypoint template as the existing one are always reused.
+ * Project IDs in the backup are ignored: new images and labels go to the project being restored into.
+ * Existing labels must already be in the vocabulary of the project of every image that uses them;
+ * otherwise nothing is restored.
+ * @param {Object} backup - Backup from parseJsonlBackup
+ * @param {Object} [options] - Restore options
+ * @param {string} [options.strategy='skip'] - 'skip', 'overwrite' or 'rename'
+ * @param {number} [options.projectId] - Project to restore into; the default project when not given
+ * @returns {Promise<Object>} Report { strategy, summary, labels, images }
+ */
+async function restoreJsonlBackup(backup, options = {}) {
+  try {
+    const strategy = options.strategy || 'skip';
+    const projectId = options.projectId || DEFAULT_PROJECT_ID;
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unsupported merge strategy '${strategy}'. Use ${MERGE_STRATEGIES.join(', ')}`);
+    }
+
+    const { labels, images } = proxy.transaction(() => {
+      const restoredLabels = restoreLabels(backup.labels, strategy);
+      restoredLabels
+        .filter(label => label.action === 'created' || label.action === 'renamed')
+        .forEach(label => addProjectLabel(projectId, label.label_id));
+
+      const labelIds = new Map(restoredLabels.map(label => [label.backup_id, label.label_id]));
+      return { labels: restoredLabels, images: restoreImages(backup.images, labelIds, strategy, projectId) };
+    });
+
+    const count = (items, action) => items.filter(item => item.action === action).length;
+
+    return {
+      strategy,
+      summary: {
+        labels: {
+          created: count(labels, 'created'),
+          existing: count(labels, 'existing'),
+          overwritten: count(labels, 'overwritten'),
+          renamed: count(labels, 'renamed')
+        },
+        images: {
+          created: count(images, 'created'),
+          skipped: count(images, 'skipped'),
+          overwritten: count(images, 'overwritten'),
+          renamed: count(images, 'renamed')
+        },
+        annotations: {
+          created: images.reduce((total, image) => total + image.annotations, 0),
+          skipped: images.reduce((total, image, index) =>
+            image.action === 'skipped' ? total + backup.images[index].annotations.length : total, 0)
+        }
+      },
+      labels,
+      images
+    };
+  } catch (error) {
+    console.error('Error in restoreJsonlBackup:', error);
+    throw new Error(`Failed to restore backup: ${error.message}`);
+  }
+}
+
+module.exports = {
+  MERGE_STRATEGIES,
+  generateJsonlBackup,
+  parseJsonlBackup,
+  restoreJsonlBackup
+};
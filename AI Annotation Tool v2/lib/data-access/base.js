@@ -27,30 +27,22 @@ class BaseDataAccess {
 
   /**
    * Find all records
+   * Ordering and pagination are done by the database, so only the requested rows are loaded
    * @param {Object} options - Query options
+   * @param {string|Object} [options.orderBy] - Column name, or { column, direction }
+   * @param {number} [options.limit] - Maximum number of records
+   * @param {number} [options.offset] - Number of records to skip
    * @returns {Promise<Array>} Array of records
    */
   async findAll(options = {}) {
     try {
       const { orderBy, limit, offset } = options;
       
-      let records = this.table.findAll();
-      
-      // Apply ordering
-      if (orderBy) {
-        records = this.applyOrdering(records, orderBy);
-      }
-      
-      // Apply pagination
-      if (offset) {
-        records = records.slice(offset);
-      }
-      
-      if (limit) {
-        records = records.slice(0, limit);
-      }
-      
-      return records;
+      return this.table.findAll({
+        orderBy: typeof orderBy === 'string' ? { column: orderBy } : orderBy,
+        limit,
+        offset
+      });
       
     } catch (error) {
       console.error(`Error in ${this.tableName}.findAll:`, error);
@@ -204,20 +196,24 @@ class BaseDataAccess {
    */
   async count(conditions = {}) {
     try {
-      const records = this.table.findAll();
+      const { queryOne } = require('../database/connection');
+      const { getSchema } = require('../database/schemas');
+      const columns = getSchema(this.tableName).columns;
       
-      if (Object.keys(conditions).length === 0) {
-        return records.length;
+      // Column names cannot be bound as parameters, so only schema columns are accepted
+      const entries = Object.entries(conditions);
+      for (const [key] of entries) {
+        if (!columns[key]) {
+          throw new Error(`Unknown column '${key}'`);
+        }
       }
       
-      // Apply conditions
-      const filtered = records.filter(record => {
-        return Object.entries(conditions).every(([key, value]) => {
-          return record[key] === value;
-        });
-      });
+      // IS compares like =, but also matches a NULL condition
+      const where = entries.length > 0
+        ? `WHERE ${entries.map(([key]) => `${key} IS ?`).join(' AND ')}`
+        : '';
       
-      return filtered.length;
+      return queryOne(`SELECT COUNT(*) AS count FROM ${this.tableName} ${where}`, entries.map(([, value]) => value)).count;
       
     } catch (error) {
       console.error(`Error in ${this.tableName}.count:`, error);
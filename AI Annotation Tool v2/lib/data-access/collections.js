@@ -0,0 +1,280 @@
+/**
+ * Collections Data Access Layer for AI Annotation Tool v2
+ * A collection is a saved gallery search: a name plus the search, label and query filters of GET /api/images.
+ * Its images are found by running the filter, so counts and exports always reflect the current library.
+ */
+
+const { query, queryOne, run } = require('../database/connection');
+const { parseImageQuery, compileImageQuery } = require('../utils/image-query');
+const { DEFAULT_PROJECT_ID } = require('./projects');
+
+// Filter fields a collection may set; at least one is required
+const COLLECTION_FILTER_FIELDS = ['search', 'label', 'query'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Validate and normalise collection fields
+ * Filter fields are trimmed and stored as NULL when empty; the query must parse.
+ * @param {Object} data - Fields to check
+ * @param {boolean} partial - Only check the fields that are present
+ * @returns {Object} Normalised fields
+ */
+function normalizeCollection(data, partial = false) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      throw new Error('Invalid collection: name is required and must be a non-empty string');
+    }
+    if (data.name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`Invalid collection: name cannot exceed ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (data.description !== undefined) {
+    if (data.description !== null && typeof data.description !== 'string') {
+      throw new Error('Invalid collection: description must be a string');
+    }
+    if (data.description && data.description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Invalid collection: description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    fields.description = data.description ? data.description.trim() : null;
+  }
+
+  for (const field of COLLECTION_FILTER_FIELDS) {
+    if (data[field] === undefined) {
+      continue;
+    }
+    if (data[field] !== null && typeof data[field] !== 'string') {
+      throw new Error(`Invalid collection: ${field} must be a string`);
+    }
+    fields[field] = data[field] && data[field].trim() ? data[field].trim() : null;
+  }
+
+  if (fields.query) {
+    // Throws 'Invalid query: ...' with the position of the problem
+    parseImageQuery(fields.query);
+  }
+
+  return fields;
+}
+
+/**
+ * Build the image conditions selecting the images of a collection
+ * Each filter means the same as the GET /api/images parameter of the same name; all of them must match.
+ * Only images of the collection's project are included.
+ * @param {Object} collection - Collection record
+ * @returns {Object} { conditions, params } for a query aliasing images as i
+ */
+function buildCollectionFilter(collection) {
+  const conditions = collection.project_id ? ['i.project_id = ?'] : [];
+  const params = collection.project_id ? [collection.project_id] : [];
+  const nodes = [];
+
+  if (collection.search) {
+    nodes.push({ type: 'text', value: collection.search });
+  }
+  if (collection.label) {
+    nodes.push({ type: 'term', field: 'label', operator: ':', value: collection.label });
+  }
+  if (collection.query) {
+    nodes.push(parseImageQuery(collection.query));
+  }
+
+  if (nodes.length === 0) {
+    return { conditions, params };
+  }
+
+  const compiled = compileImageQuery(nodes.length === 1 ? nodes[0] : { type: 'and', items: nodes });
+  return { conditions: [...conditions, `(${compiled.sql})`], params: [...params, ...compiled.params] };
+}
+
+/**
+ * Add the current number of matching images to a collection record
+ * @param {Object} collection - Collection record
+ * @returns {Object} Collection with image_count
+ */
+function withImageCount(collection) {
+  const { conditions, params } = buildCollectionFilter(collection);
+  const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  return {
+    ...collection,
+    image_count: queryOne(`SELECT COUNT(*) AS count FROM images i ${filter}`, params).count
+  };
+}
+
+/**
+ * Get all collections with their current image counts
+ * @param {number} [projectId] - Only list the collections of this project
+ * @returns {Promise<Array>} Collections ordered by name
+ */
+async function getAllCollections(projectId = null) {
+  try {
+    const collections = projectId
+      ? query('SELECT * FROM saved_searches WHERE project_id = ? ORDER BY name COLLATE NOCASE', [projectId])
+      : query('SELECT * FROM saved_searches ORDER BY name COLLATE NOCASE');
+
+    return collections.map(withImageCount);
+  } catch (error) {
+    console.error('Error in getAllCollections:', error);
+    throw new Error(`Failed to retrieve collections: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single collection with its current image count
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<Object|undefined>} Collection or undefined if not found
+ */
+async function getCollectionById(collectionId) {
+  try {
+    if (!collectionId || !Number.isInteger(collectionId)) {
+      throw new Error('Valid collection ID is required');
+    }
+
+    const collection = queryOne('SELECT * FROM saved_searches WHERE saved_search_id = ?', [collectionId]);
+    return collection ? withImageCount(collection) : undefined;
+  } catch (error) {
+    console.error('Error in getCollectionById:', error);
+    throw new Error(`Failed to retrieve collection: ${error.message}`);
+  }
+}
+
+/**
+ * Get the collection named by a collection query parameter, used to scope exports
+ * @param {string|null|undefined} value - Collection ID from the request
+ * @returns {Promise<Object|null|undefined>} The collection, null if it does not exist, or undefined when no value was given
+ */
+async function resolveCollectionScope(value) {
+  if (value === null || value === undefined || value.toString().trim() === '') {
+    return undefined;
+  }
+
+  const collectionId = Number(value);
+  if (!Number.isInteger(collectionId) || collectionId < 1) {
+    throw new Error(`Invalid collection ID: ${value}`);
+  }
+
+  return (await getCollectionById(collectionId)) || null;
+}
+
+/**
+ * Save a new collection
+ * @param {Object} collectionData - { name, description, search, label, query }
+ * @param {string} [userEmail] - User saving the collection
+ * @param {number} [projectId] - Project whose images the collection searches; the default project when not given
+ * @returns {Promise<Object>} Created collection with its image count
+ */
+async function createCollection(collectionData, userEmail = null, projectId = DEFAULT_PROJECT_ID) {
+  try {
+    const fields = normalizeCollection(collectionData || {});
+
+    if (!COLLECTION_FILTER_FIELDS.some(field => fields[field])) {
+      throw new Error('Invalid collection: at least one of search, label or query is required');
+    }
+
+    const result = run(`
+      INSERT INTO saved_searches (name, description, search, label, query, project_id, created_by, last_edited_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      fields.name,
+      fields.description || null,
+      fields.search || null,
+      fields.label || null,
+      fields.query || null,
+      projectId,
+      userEmail,
+      userEmail
+    ]);
+
+    return getCollectionById(result.lastID);
+  } catch (error) {
+    console.error('Error in createCollection:', error);
+
+    if (error.message.includes('UNIQUE constraint failed')) {
+      throw new Error('Collection with this name already exists');
+    }
+
+    throw new Error(`Failed to create collection: ${error.message}`);
+  }
+}
+
+/**
+ * Update a collection's name, description or filters
+ * @param {number} collectionId - The collection ID
+ * @param {Object} updateData - Fields to change
+ * @param {string} [userEmail] - User making the change
+ * @returns {Promise<Object|undefined>} Updated collection or undefined if not found
+ */
+async function updateCollection(collectionId, updateData, userEmail = null) {
+  try {
+    if (!collectionId || !Number.isInteger(collectionId)) {
+      throw new Error('Valid collection ID is required');
+    }
+
+    const fields = normalizeCollection(updateData || {}, true);
+    if (Object.keys(fields).length === 0) {
+      throw new Error('Invalid collection: no fields to update');
+    }
+
+    const existing = queryOne('SELECT * FROM saved_searches WHERE saved_search_id = ?', [collectionId]);
+    if (!existing) {
+      return undefined;
+    }
+
+    const updated = { ...existing, ...fields };
+    if (!COLLECTION_FILTER_FIELDS.some(field => updated[field])) {
+      throw new Error('Invalid collection: at least one of search, label or query is required');
+    }
+
+    const columns = Object.keys(fields);
+    run(`
+      UPDATE saved_searches
+      SET ${columns.map(column => `${column} = ?`).join(', ')}, last_edited_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE saved_search_id = ?
+    `, [...columns.map(column => fields[column]), userEmail, collectionId]);
+
+    return getCollectionById(collectionId);
+  } catch (error) {
+    console.error('Error in updateCollection:', error);
+
+    if (error.message.includes('UNIQUE constraint failed')) {
+      throw new Error('Collection with this name already exists');
+    }
+
+    throw new Error(`Failed to update collection: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a collection; its images are not affected
+ * @param {number} collectionId - The collection ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteCollection(collectionId) {
+  try {
+    if (!collectionId || !Number.isInteger(collectionId)) {
+      throw new Error('Valid collection ID is required');
+    }
+
+    return run('DELETE FROM saved_searches WHERE saved_search_id = ?', [collectionId]).changes > 0;
+  } catch (error) {
+    console.error('Error in deleteCollection:', error);
+    throw new Error(`Failed to delete collection: ${error.message}`);
+  }
+}
+
+module.exports = {
+  COLLECTION_FILTER_FIELDS,
+  buildCollectionFilter,
+  getAllCollections,
+  getCollectionById,
+  resolveCollectionScope,
+  createCollection,
+  updateCollection,
+  deleteCollection
+};
@@ -0,0 +1,346 @@
+/**
+ * Duplicate Detection Data Access Layer for AI Annotation Tool v2
+ * Finds images with the same content hash or a similar perceptual hash and merges duplicates with their annotations
+ */
+
+const { query, queryOne, run } = require('../database/connection');
+const proxy = require('../database/proxy');
+const { config } = require('../database/config');
+const { hammingDistance } = require('../utils/image-hash');
+
+// What an upload identical to an existing image does: fail, create it anyway and report the match, or return the existing image
+const DUPLICATE_POLICIES = ['reject', 'warn', 'link'];
+
+// Largest accepted perceptual hash distance; beyond half the bits, unrelated images start to match
+const MAX_DUPLICATE_THRESHOLD = 32;
+
+// Image columns included in duplicate matches and groups
+const IMAGE_SUMMARY_COLUMNS = `
+  i.image_id, i.filename, i.original_name, i.file_path, i.thumbnail_path, i.file_size, i.width, i.height,
+  i.uploaded_at, i.content_hash, i.perceptual_hash,
+  (SELECT COUNT(*) FROM annotations a WHERE a.image_id = i.image_id) AS annotation_count
+`;
+
+/**
+ * Build the condition limiting a duplicate search to one project
+ * @param {number} [projectId] - Project ID, or none for all images
+ * @returns {Object} { condition, params } to append to a WHERE clause on images aliased as i
+ */
+function projectCondition(projectId) {
+  return projectId ? { condition: ' AND i.project_id = ?', params: [projectId] } : { condition: '', params: [] };
+}
+
+/**
+ * Validate a perceptual hash distance threshold
+ * @param {number|string|undefined} threshold - Threshold from a request, or undefined for the configured default
+ * @returns {number} Threshold between 0 and 32
+ */
+function resolveThreshold(threshold) {
+  if (threshold === undefined || threshold === null || threshold === '') {
+    return config.uploads.duplicateThreshold;
+  }
+
+  const value = Number(threshold);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_DUPLICATE_THRESHOLD) {
+    throw new Error(`Threshold must be an integer between 0 and ${MAX_DUPLICATE_THRESHOLD}`);
+  }
+
+  return value;
+}
+
+/**
+ * Find existing images that duplicate an upload
+ * @param {Object} hashes - { content_hash, perceptual_hash } of the upload
+ * @param {Object} [options] - { threshold, excludeImageId, projectId }; with projectId only that project's images match
+ * @returns {Promise<Array>} Matches, exact first, each an image summary with match ('exact' or 'similar') and distance
+ */
+async function findDuplicatesOf(hashes, options = {}) {
+  try {
+    const threshold = resolveThreshold(options.threshold);
+    const excludeId = options.excludeImageId || 0;
+    const project = projectCondition(options.projectId);
+    const matches = [];
+
+    if (hashes.content_hash) {
+      const exact = query(`SELECT ${IMAGE_SUMMARY_COLUMNS} FROM images i WHERE i.content_hash = ? AND i.image_id != ?${project.condition} ORDER BY i.image_id`, [
+        hashes.content_hash,
+        excludeId,
+        ...project.params
+      ]);
+      matches.push(...exact.map(image => ({ ...image, match: 'exact', distance: 0 })));
+    }
+
+    if (hashes.perceptual_hash) {
+      const exactIds = new Set(matches.map(image => image.image_id));
+      const candidates = query(`SELECT i.image_id, i.perceptual_hash FROM images i WHERE i.perceptual_hash IS NOT NULL AND i.image_id != ?${project.condition}`, [
+        excludeId,
+        ...project.params
+      ]);
+      const similar = candidates
+        .filter(candidate => !exactIds.has(candidate.image_id))
+        .map(candidate => ({ image_id: candidate.image_id, distance: hammingDistance(hashes.perceptual_hash, candidate.perceptual_hash) }))
+        .filter(candidate => candidate.distance <= threshold)
+        .sort((a, b) => a.distance - b.distance || a.image_id - b.image_id);
+
+      for (const { image_id, distance } of similar) {
+        const image = queryOne(`SELECT ${IMAGE_SUMMARY_COLUMNS} FROM images i WHERE i.image_id = ?`, [image_id]);
+        matches.push({ ...image, match: 'similar', distance });
+      }
+    }
+
+    return matches;
+
+  } catch (error) {
+    console.error('Error in findDuplicatesOf:', error);
+    throw new Error(`Failed to find duplicates: ${error.message}`);
+  }
+}
+
+/**
+ * Group all hashed images into sets of duplicates
+ * Images are linked when their content hashes are equal or their perceptual hashes differ by at most the threshold;
+ * a group is every image reachable through such links, so its outer members may be further apart than the threshold
+ * @param {Object} [options] - { threshold, projectId }; with projectId only that project's images are grouped
+ * @returns {Promise<Object>} { threshold, groups: [{ images, exact, max_distance }], hashed_images, unhashed_images }
+ */
+async function findDuplicateGroups(options = {}) {
+  try {
+    const threshold = resolveThreshold(options.threshold);
+    const project = projectCondition(options.projectId);
+    const images = query(`
+      SELECT ${IMAGE_SUMMARY_COLUMNS} FROM images i
+      WHERE (i.content_hash IS NOT NULL OR i.perceptual_hash IS NOT NULL)${project.condition}
+      ORDER BY i.image_id
+    `, project.params);
+    const unhashed = queryOne(`SELECT COUNT(*) AS count FROM images i WHERE i.content_hash IS NULL AND i.perceptual_hash IS NULL${project.condition}`, project.params).count;
+
+    // Union-find over image indexes
+    const parent = images.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    const byContentHash = new Map();
+    images.forEach((image, index) => {
+      if (image.content_hash) {
+        if (byContentHash.has(image.content_hash)) {
+          union(index, byContentHash.get(image.content_hash));
+        } else {
+          byContentHash.set(image.content_hash, index);
+        }
+      }
+    });
+
+    const hashed = images.map((image, index) => ({ index, hash: image.perceptual_hash })).filter(entry => entry.hash);
+    for (let i = 0; i < hashed.length; i++) {
+      for (let j = i + 1; j < hashed.length; j++) {
+        if (hammingDistance(hashed[i].hash, hashed[j].hash) <= threshold) {
+          union(hashed[i].index, hashed[j].index);
+        }
+      }
+    }
+
+    const members = new Map();
+    images.forEach((image, index) => {
+      const root = find(index);
+      if (!members.has(root)) {
+        members.set(root, []);
+      }
+      members.get(root).push(image);
+    });
+
+    const groups = [...members.values()]
+      .filter(group => group.length > 1)
+      .map(group => {
+        let maxDistance = 0;
+        for (let i = 0; i < group.length; i++) {
+          for (let j = i + 1; j < group.length; j++) {
+            if (group[i].content_hash && group[i].content_hash === group[j].content_hash) {
+              continue;
+            }
+            if (group[i].perceptual_hash && group[j].perceptual_hash) {
+              maxDistance = Math.max(maxDistance, hammingDistance(group[i].perceptual_hash, group[j].perceptual_hash));
+            }
+          }
+        }
+
+        return {
+          images: group,
+          exact: group.every(image => image.content_hash && image.content_hash === group[0].content_hash),
+          max_distance: maxDistance
+        };
+      })
+      .sort((a, b) => b.images.length - a.images.length || a.images[0].image_id - b.images[0].image_id);
+
+    return {
+      threshold,
+      groups,
+      hashed_images: images.length,
+      unhashed_images: unhashed
+    };
+
+  } catch (error) {
+    console.error('Error in findDuplicateGroups:', error);
+    throw new Error(`Failed to find duplicate groups: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether two annotations describe the same shape
+ * @param {Object} a - Annotation row
+ * @param {Object} b - Annotation row
+ * @returns {boolean} True if label, shape type, geometry and box are equal
+ */
+function isSameShape(a, b) {
+  return a.label_id === b.label_id &&
+    a.shape_type === b.shape_type &&
+    a.geometry === b.geometry &&
+    ['bbox_x', 'bbox_y', 'bbox_width', 'bbox_height'].every(column => a[column] === b[column]);
+}
+
+/**
+ * Merge duplicate images into one image, moving their annotations to it and deleting the duplicates
+ * Image-level labels present on both keep the higher confidence; shapes identical to one already on the kept image are dropped
+ * Stored files are not touched; the caller deletes the returned file paths from storage
+ * All images must belong to the same project; with options.projectId it must be that project
+ * @param {number} keepId - Image that remains
+ * @param {Array<number>} mergeIds - Images merged into it
+ * @param {Object} [options] - { userEmail, projectId }
+ * @returns {Promise<Object>} { image_id, merged: [{ image_id, filename, file_path, thumbnail_path, preview_path }], annotations: { moved, combined, skipped } }
+ */
+async function mergeDuplicateImages(keepId, mergeIds, options = {}) {
+  try {
+    if (!Number.isInteger(keepId)) {
+      throw new Error('Valid image ID to keep is required');
+    }
+    if (!Array.isArray(mergeIds) || mergeIds.length === 0 || !mergeIds.every(Number.isInteger)) {
+      throw new Error('At least one valid image ID to merge is required');
+    }
+    if (mergeIds.includes(keepId)) {
+      throw new Error('The kept image cannot be merged into itself');
+    }
+
+    return proxy.transaction(() => {
+      const keep = queryOne('SELECT image_id, project_id FROM images WHERE image_id = ?', [keepId]);
+      if (!keep || (options.projectId && keep.project_id !== options.projectId)) {
+        throw new Error(`Image ${keepId} not found`);
+      }
+
+      const counts = { moved: 0, combined: 0, skipped: 0 };
+      const merged = [];
+
+      for (const mergeId of [...new Set(mergeIds)]) {
+        const image = queryOne('SELECT image_id, filename, file_path, thumbnail_path, preview_path, project_id FROM images WHERE image_id = ?', [mergeId]);
+        if (!image) {
+          throw new Error(`Image ${mergeId} not found`);
+        }
+        if (image.project_id !== keep.project_id) {
+          throw new Error(`Image ${mergeId} belongs to another project than image ${keepId}`);
+        }
+        delete image.project_id;
+
+        const kept = query('SELECT * FROM annotations WHERE image_id = ?', [keepId]);
+        for (const annotation of query('SELECT * FROM annotations WHERE image_id = ?', [mergeId])) {
+          if (annotation.shape_type === 'label') {
+            const existing = kept.find(other => other.shape_type === 'label' && other.label_id === annotation.label_id);
+            if (existing) {
+              if (annotation.confidence > existing.confidence) {
+                run('UPDATE annotations SET confidence = ?, last_edited_by = ? WHERE annotation_id = ?', [
+                  annotation.confidence,
+                  options.userEmail || null,
+                  existing.annotation_id
+                ]);
+              }
+              counts.combined++;
+              continue;
+            }
+          } else if (kept.some(other => isSameShape(other, annotation))) {
+            counts.skipped++;
+            continue;
+          }
+
+          run('UPDATE annotations SET image_id = ? WHERE annotation_id = ?', [keepId, annotation.annotation_id]);
+          counts.moved++;
+        }
+
+        run('DELETE FROM annotations WHERE image_id = ?', [mergeId]);
+        run('DELETE FROM images WHERE image_id = ?', [mergeId]);
+        merged.push(image);
+      }
+
+      run('UPDATE images SET updated_at = CURRENT_TIMESTAMP, last_edited_by = ? WHERE image_id = ?', [options.userEmail || null, keepId]);
+
+      return { image_id: keepId, merged, annotations: counts };
+    });
+
+  } catch (error) {
+    console.error('Error in mergeDuplicateImages:', error);
+    throw new Error(`Failed to merge images: ${error.message}`);
+  }
+}
+
+/**
+ * Compute the content and perceptual hashes of images uploaded before hashes were recorded
+ * @param {Object} [options] - Backfill options
+ * @param {boolean} [options.force=false] - Recompute the hashes of images that already have them
+ * @param {Function} [options.onProgress] - Called with { image_id, filename, error } after each image
+ * @returns {Promise<Object>} { processed, hashed, failed, errors: [{ image_id, filename, error }] }
+ */
+async function backfillImageHashes(options = {}) {
+  try {
+    const { readStoredFile } = require('../storage');
+    const { computeImageHashes } = require('../utils/image-hash');
+
+    const images = query(`
+      SELECT image_id, filename, file_path
+      FROM images
+      ${options.force ? '' : 'WHERE content_hash IS NULL OR perceptual_hash IS NULL'}
+      ORDER BY image_id
+    `);
+
+    const result = { processed: 0, hashed: 0, failed: 0, errors: [] };
+
+    for (const image of images) {
+      result.processed++;
+
+      try {
+        const data = await readStoredFile(image.file_path);
+        if (!data) {
+          throw new Error(`File could not be read from ${image.file_path}`);
+        }
+
+        proxy.images.update(image.image_id, await computeImageHashes(data));
+
+        result.hashed++;
+        options.onProgress?.({ image_id: image.image_id, filename: image.filename, error: null });
+      } catch (error) {
+        result.failed++;
+        result.errors.push({ image_id: image.image_id, filename: image.filename, error: error.message });
+        options.onProgress?.({ image_id: image.image_id, filename: image.filename, error: error.message });
+      }
+    }
+
+    return result;
+
+  } catch (error) {
+    console.error('Error in backfillImageHashes:', error);
+    throw new Error(`Failed to backfill image hashes: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  MAX_DUPLICATE_THRESHOLD,
+  resolveThreshold,
+  findDuplicatesOf,
+  findDuplicateGroups,
+  mergeDuplicateImages,
+  backfillImageHashes
+};
@@ -0,0 +1,739 @@
+/**
+ * Data Access Layer for Dataset Exports
+ * Selects images and annotations for export and converts them to the COCO, YOLO and Pascal VOC formats
+ */
+
+const path = require('path');
+const { query } = require('../database/connection');
+const proxy = require('../database/proxy');
+const { getImageDimensions, fetchImageDimensions } = require('../utils/image-dimensions');
+const { readStoredFile } = require('../storage');
+const { buildCollectionFilter, resolveCollectionScope } = require('./collections');
+const { resolveProjectScope, getProjectErrorStatus } = require('./projects');
+
+// Number of images whose dimensions are looked up in parallel
+const DIMENSION_LOOKUP_CONCURRENCY = 4;
+
+/**
+ * Resolve the label names of a label filter to the names the labels are stored under
+ * Aliases (old names of renamed and merged labels) and case variants match like labels.findByName; unknown names are kept
+ * @param {string[]} names - Label names from the filter
+ * @returns {string[]} Stored label names
+ */
+function resolveLabelNames(names) {
+  return names.map(name => {
+    const label = proxy.labels.findByName(name);
+    return label ? label.label_name : name;
+  });
+}
+
+/**
+ * Build the image conditions shared by the export queries
+ * @param {Object} filters - Export filters
+ * @param {string[]} [filters.labels] - Only include images annotated with one of these label names
+ * @param {string} [filters.from] - Only include images uploaded on or after this date/time
+ * @param {string} [filters.to] - Only include images uploaded on or before this date (whole day) or date/time
+ * @param {number[]} [filters.imageIds] - Only include these images
+ * @param {Object} [filters.collection] - Only include the images of this collection (saved search)
+ * @param {number} [filters.projectId] - Only include the images of this project
+ * @returns {Object} { conditions, params } for a query aliasing images as i
+ */
+function buildImageFilter(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.projectId) {
+    conditions.push('i.project_id = ?');
+    params.push(filters.projectId);
+  }
+
+  if (filters.imageIds && filters.imageIds.length > 0) {
+    conditions.push(`i.image_id IN (${filters.imageIds.map(() => '?').join(', ')})`);
+    params.push(...filters.imageIds);
+  }
+
+  if (filters.from) {
+    conditions.push('datetime(i.uploaded_at) >= datetime(?)');
+    params.push(filters.from);
+  }
+
+  if (filters.to) {
+    // A bare date includes the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+      conditions.push('date(i.uploaded_at) <= date(?)');
+    } else {
+      conditions.push('datetime(i.uploaded_at) <= datetime(?)');
+    }
+    params.push(filters.to);
+  }
+
+  if (filters.labels && filters.labels.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM annotations fa
+      JOIN labels fl ON fa.label_id = fl.label_id
+      WHERE fa.image_id = i.image_id AND fl.label_name IN (${filters.labels.map(() => '?').join(', ')})
+    )`);
+    params.push(...resolveLabelNames(filters.labels));
+  }
+
+  if (filters.collection) {
+    const collectionFilter = buildCollectionFilter(filters.collection);
+    conditions.push(...collectionFilter.conditions);
+    params.push(...collectionFilter.params);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Read the export filters from the query string of an export request
+ * Labels may be passed comma-separated (?labels=cat,dog) or repeated (?label=cat&label=dog);
+ * ?project=ID and ?collection=ID limit the export to a project or to the images of a saved search
+ * @param {Request} request - Export request
+ * @returns {Promise<Object>} Export filters { labels, from, to, collection, projectId } (see buildImageFilter)
+ * @throws {Error} For an invalid date, project or collection; getExportErrorStatus gives its HTTP status
+ */
+async function parseExportFilters(request) {
+  const { searchParams } = new URL(request.url);
+
+  const labels = [
+    ...searchParams.getAll('label'),
+    ...(searchParams.get('labels') || '').split(',')
+  ].map(label => label.trim()).filter(Boolean);
+  const from = searchParams.get('from') || undefined;
+  const to = searchParams.get('to') || undefined;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(Date.parse(value))) {
+      throw new Error(`Invalid '${name}' date: ${value}`);
+    }
+  }
+
+  const project = await resolveProjectScope(searchParams.get('project'));
+
+  const collectionParam = searchParams.get('collection');
+  const collection = await resolveCollectionScope(collectionParam);
+  if (collection === null) {
+    throw new Error(`Collection not found: ${collectionParam}`);
+  }
+
+  return { labels, from, to, collection, projectId: project ? project.project_id : undefined };
+}
+
+/**
+ * Get the HTTP status for an error raised by parseExportFilters
+ * @param {Error} error - Error from parseExportFilters
+ * @returns {number|undefined} 400 for an invalid date, project or collection ID, 404 for an unknown project
+ *   or collection, otherwise undefined
+ */
+function getExportErrorStatus(error) {
+  if (/^Invalid '(from|to)' date/.test(error.message) || error.message.startsWith('Invalid collection ID')) {
+    return 400;
+  }
+  if (error.message.startsWith('Collection not found')) {
+    return 404;
+  }
+  return getProjectErrorStatus(error);
+}
+
+/**
+ * Join query conditions into a WHERE clause
+ * @param {string[]} conditions - SQL conditions
+ * @returns {string} WHERE clause, or an empty string when there are no conditions
+ */
+function toWhereClause(conditions) {
+  return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Get the images selected by the export filters
+ * @param {Object} filters - Export filters (see buildImageFilter)
+ * @returns {Promise<Array>} Image rows ordered by ID
+ */
+async function getExportImages(filters = {}) {
+  try {
+    const { conditions, params } = buildImageFilter(filters);
+
+    return query(`
+      SELECT i.*
+      FROM images i
+      ${toWhereClause(conditions)}
+      ORDER BY i.image_id
+    `, params);
+  } catch (error) {
+    console.error('Error in getExportImages:', error);
+    throw new Error(`Failed to retrieve images for export: ${error.message}`);
+  }
+}
+
+/**
+ * Get the annotations and their labels for the images selected by the export filters
+ * @param {Object} filters - Export filters (see buildImageFilter); the label filter also limits annotations
+ * @returns {Promise<Array>} Annotation rows with label_name and parsed geometry/attributes/keypoint_template
+ */
+async function getExportAnnotations(filters = {}) {
+  try {
+    const { conditions, params } = buildImageFilter(filters);
+
+    if (filters.labels && filters.labels.length > 0) {
+      conditions.push(`l.label_name IN (${filters.labels.map(() => '?').join(', ')})`);
+      params.push(...resolveLabelNames(filters.labels));
+    }
+
+    const annotations = query(`
+      SELECT
+        a.*,
+        l.label_name,
+        l.keypoint_template
+      FROM annotations a
+      JOIN labels l ON a.label_id = l.label_id
+      JOIN images i ON a.image_id = i.image_id
+      ${toWhereClause(conditions)}
+      ORDER BY a.annotation_id
+    `, params);
+
+    return annotations.map(annotation => ({
+      ...annotation,
+      geometry: annotation.geometry ? JSON.parse(annotation.geometry) : null,
+      attributes: annotation.attributes ? JSON.parse(annotation.attributes) : null,
+      keypoint_template: annotation.keypoint_template ? JSON.parse(annotation.keypoint_template) : null
+    }));
+  } catch (error) {
+    console.error('Error in getExportAnnotations:', error);
+    throw new Error(`Failed to retrieve annotations for export: ${error.message}`);
+  }
+}
+
+/**
+ * Get the labels used by the exported annotations, or every label when no label filter is set
+ * With a project filter only the project's vocabulary is included
+ * @param {Object} filters - Export filters (see buildImageFilter)
+ * @returns {Promise<Array>} Label rows with parsed keypoint_template and attribute_schema, ordered by ID
+ */
+async function getExportLabels(filters = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (filters.labels && filters.labels.length > 0) {
+      conditions.push(`label_name IN (${filters.labels.map(() => '?').join(', ')})`);
+      params.push(...resolveLabelNames(filters.labels));
+    }
+
+    if (filters.projectId) {
+      conditions.push('label_id IN (SELECT label_id FROM project_labels WHERE project_id = ?)');
+      params.push(filters.projectId);
+    }
+
+    const labels = query(`SELECT * FROM labels ${toWhereClause(conditions)} ORDER BY label_id`, params);
+
+    return labels.map(label => ({
+      ...label,
+      keypoint_template: label.keypoint_template ? JSON.parse(label.keypoint_template) : null,
+      attribute_schema: label.attribute_schema ? JSON.parse(label.attribute_schema) : null
+    }));
+  } catch (error) {
+    console.error('Error in getExportLabels:', error);
+    throw new Error(`Failed to retrieve labels for export: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve pixel dimensions for each exported image
+ * Uses stored width/height when available, then the size of a full-image mask, then the image header
+ * @param {Array} images - Image rows
+ * @param {Array} annotations - Annotation rows for those images
+ * @returns {Promise<Map>} Map of image_id to { width, height } (missing when unknown)
+ */
+async function resolveImageDimensions(images, annotations) {
+  const dimensions = new Map();
+
+  for (const image of images) {
+    if (image.width && image.height) {
+      dimensions.set(image.image_id, { width: image.width, height: image.height });
+    }
+  }
+
+  for (const annotation of annotations) {
+    if (annotation.shape_type === 'mask' && !dimensions.has(annotation.image_id)) {
+      const [height, width] = annotation.geometry.size;
+      dimensions.set(annotation.image_id, { width, height });
+    }
+  }
+
+  const pending = images.filter(image => !dimensions.has(image.image_id));
+  for (let i = 0; i < pending.length; i += DIMENSION_LOOKUP_CONCURRENCY) {
+    const batch = pending.slice(i, i + DIMENSION_LOOKUP_CONCURRENCY);
+    const results = await Promise.all(batch.map(image => fetchImageDimensions(image.file_path)));
+    batch.forEach((image, index) => {
+      if (results[index]) {
+        dimensions.set(image.image_id, results[index]);
+      }
+    });
+  }
+
+  return dimensions;
+}
+
+/**
+ * Area of a polygon given as a flat [x1, y1, x2, y2, ...] list (shoelace formula)
+ * @param {number[]} coordinates - Flat polygon coordinates
+ * @returns {number} Polygon area
+ */
+function polygonArea(coordinates) {
+  let twiceArea = 0;
+  for (let i = 0; i < coordinates.length; i += 2) {
+    const j = (i + 2) % coordinates.length;
+    twiceArea += coordinates[i] * coordinates[j + 1] - coordinates[j] * coordinates[i + 1];
+  }
+  return Math.abs(twiceArea) / 2;
+}
+
+/**
+ * Round a pixel value to two decimals to keep the JSON compact
+ * @param {number} value - Pixel value
+ * @returns {number} Rounded value
+ */
+function roundPixels(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert one annotation row to a COCO annotation
+ * @param {Object} annotation - Annotation row with parsed geometry
+ * @param {Object} size - Image { width, height } in pixels
+ * @returns {Object} COCO annotation
+ */
+function toCocoAnnotation(annotation, { width, height }) {
+  // Keypoints spanning no area are stored without a box
+  const bbox = annotation.bbox_x === null
+    ? [0, 0, 0, 0]
+    : [
+      roundPixels(annotation.bbox_x * width),
+      roundPixels(annotation.bbox_y * height),
+      roundPixels(annotation.bbox_width * width),
+      roundPixels(annotation.bbox_height * height)
+    ];
+
+  const cocoAnnotation = {
+    id: annotation.annotation_id,
+    image_id: annotation.image_id,
+    category_id: annotation.label_id,
+    bbox,
+    area: roundPixels(bbox[2] * bbox[3]),
+    segmentation: [],
+    iscrowd: 0,
+    score: annotation.confidence
+  };
+
+  if (annotation.shape_type === 'polygon') {
+    const coordinates = annotation.geometry.points.flatMap(([x, y]) => [roundPixels(x * width), roundPixels(y * height)]);
+    cocoAnnotation.segmentation = [coordinates];
+    cocoAnnotation.area = roundPixels(polygonArea(coordinates));
+  }
+
+  if (annotation.shape_type === 'mask') {
+    // RLE masks are stored in COCO's own uncompressed format; area is counted in image pixels
+    const [maskHeight, maskWidth] = annotation.geometry.size;
+    const foreground = annotation.geometry.counts.reduce((sum, run, index) => index % 2 === 1 ? sum + run : sum, 0);
+    cocoAnnotation.segmentation = { size: annotation.geometry.size, counts: annotation.geometry.counts };
+    cocoAnnotation.area = roundPixels(foreground * (width * height) / (maskWidth * maskHeight));
+    cocoAnnotation.iscrowd = 1;
+  }
+
+  if (annotation.shape_type === 'keypoints') {
+    const points = annotation.geometry.points;
+    cocoAnnotation.keypoints = points.flatMap(([x, y, visibility]) => visibility === 0
+      ? [0, 0, 0]
+      : [roundPixels(x * width), roundPixels(y * height), visibility]);
+    cocoAnnotation.num_keypoints = points.filter(point => point[2] > 0).length;
+  }
+
+  if (annotation.attributes) {
+    cocoAnnotation.attributes = annotation.attributes;
+  }
+
+  return cocoAnnotation;
+}
+
+/**
+ * Collect the attribute values of an image's image-level labels
+ * Image-level labels have no region, so exports attach their attributes to the image instead
+ * @param {Array} annotations - Annotation rows with parsed attributes
+ * @returns {Object|null} Attribute values keyed by label name, or null when no image-level label has any
+ */
+function getImageLabelAttributes(annotations) {
+  const labelled = annotations.filter(annotation => annotation.shape_type === 'label' && annotation.attributes);
+  return labelled.length > 0
+    ? Object.fromEntries(labelled.map(annotation => [annotation.label_name, annotation.attributes]))
+    : null;
+}
+
+/**
+ * Build a COCO instances dataset from the database
+ * Boxes, polygons, masks and keypoints become COCO annotations; image-level labels have no region
+ * and are only represented through categories. Confidence is exported as score.
+ * Attribute values go on the annotations (and, for image-level labels, on the image keyed by label name);
+ * attribute schemas go on the categories. Images whose size cannot be read are left out and listed in info.warnings.
+ * @param {Object} filters - Export filters
+ * @param {string[]} [filters.labels] - Restrict to these label names
+ * @param {string} [filters.from] - Uploaded on or after this date/time
+ * @param {string} [filters.to] - Uploaded on or before this date/time
+ * @returns {Promise<Object>} COCO dataset { info, licenses, images, categories, annotations }
+ */
+async function buildCocoDataset(filters = {}) {
+  try {
+    const images = await getExportImages(filters);
+    const labels = await getExportLabels(filters);
+    const allAnnotations = await getExportAnnotations(filters);
+    const annotations = allAnnotations.filter(annotation => annotation.shape_type !== 'label');
+    const dimensions = await resolveImageDimensions(images, annotations);
+    const warnings = [];
+
+    const cocoAnnotations = [];
+    for (const annotation of annotations) {
+      const size = dimensions.get(annotation.image_id);
+      if (!size) {
+        continue;
+      }
+      cocoAnnotations.push(toCocoAnnotation(annotation, size));
+    }
+
+    // COCO requires a width and height for every image
+    const sizedImages = images.filter(image => dimensions.has(image.image_id));
+    const unsized = images.filter(image => !dimensions.has(image.image_id));
+    if (unsized.length > 0) {
+      warnings.push(`Image dimensions unknown for image IDs ${unsized.map(image => image.image_id).join(', ')}; these images and their annotations were skipped`);
+    }
+
+    const labelAttributes = new Map();
+    for (const annotation of allAnnotations) {
+      if (annotation.shape_type === 'label' && annotation.attributes) {
+        labelAttributes.set(annotation.image_id, [...(labelAttributes.get(annotation.image_id) || []), annotation]);
+      }
+    }
+
+    const now = new Date();
+
+    return {
+      info: {
+        description: 'AI Annotation Tool export',
+        version: '1.0',
+        year: now.getFullYear(),
+        date_created: now.toISOString(),
+        ...(warnings.length > 0 && { warnings })
+      },
+      licenses: [],
+      images: sizedImages.map(image => ({
+        id: image.image_id,
+        file_name: image.original_name || image.filename,
+        width: dimensions.get(image.image_id).width,
+        height: dimensions.get(image.image_id).height,
+        coco_url: image.file_path,
+        date_captured: image.uploaded_at,
+        ...(labelAttributes.has(image.image_id) && {
+          attributes: getImageLabelAttributes(labelAttributes.get(image.image_id))
+        })
+      })),
+      categories: labels.map(label => ({
+        id: label.label_id,
+        name: label.label_name,
+        supercategory: 'none',
+        ...(label.keypoint_template && {
+          keypoints: label.keypoint_template.keypoints,
+          skeleton: label.keypoint_template.skeleton
+        }),
+        ...(label.attribute_schema && { attributes: label.attribute_schema })
+      })),
+      annotations: cocoAnnotations
+    };
+  } catch (error) {
+    console.error('Error in buildCocoDataset:', error);
+    throw new Error(`Failed to build COCO dataset: ${error.message}`);
+  }
+}
+
+/**
+ * Assign each image a unique base name for its files inside an archive
+ * @param {Array} images - Image rows
+ * @returns {Map} Map of image_id to { stem, extension }
+ */
+function assignArchiveNames(images) {
+  const names = new Map();
+  const used = new Set();
+
+  for (const image of images) {
+    const parsed = path.parse(image.filename);
+    // Stored filenames are unique, but a.jpg and a.png would still share a label file name
+    const stem = used.has(parsed.name) ? `${parsed.name}_${image.image_id}` : parsed.name;
+    used.add(stem);
+    names.set(image.image_id, { stem, extension: parsed.ext });
+  }
+
+  return names;
+}
+
+/**
+ * Format a normalized coordinate for a YOLO label file
+ * @param {number} value - Value between 0 and 1
+ * @returns {string} Value with six decimals
+ */
+function formatYoloValue(value) {
+  return Math.min(Math.max(value, 0), 1).toFixed(6);
+}
+
+/**
+ * Select the annotations of one image that become YOLO label file lines
+ * @param {Array} annotations - Annotation rows of the image
+ * @param {Map} classIndexes - Map of label_id to zero-based class index
+ * @returns {Array} Annotations with a region and an exported class, in line order
+ */
+function getYoloAnnotations(annotations, classIndexes) {
+  return annotations.filter(annotation => annotation.bbox_x !== null && classIndexes.has(annotation.label_id));
+}
+
+/**
+ * Convert the region annotations of one image to YOLO label file lines
+ * Every shape is exported as its bounding box: class x_center y_center width height (normalized)
+ * @param {Array} annotations - Annotation rows of the image
+ * @param {Map} classIndexes - Map of label_id to zero-based class index
+ * @returns {string} Label file content
+ */
+function toYoloLabelFile(annotations, classIndexes) {
+  return getYoloAnnotations(annotations, classIndexes)
+    .map(annotation => [
+      classIndexes.get(annotation.label_id),
+      formatYoloValue(annotation.bbox_x + annotation.bbox_width / 2),
+      formatYoloValue(annotation.bbox_y + annotation.bbox_height / 2),
+      formatYoloValue(annotation.bbox_width),
+      formatYoloValue(annotation.bbox_height)
+    ].join(' '))
+    .map(line => `${line}\n`)
+    .join('');
+}
+
+/**
+ * Build the attribute file that accompanies a YOLO label file
+ * YOLO lines have no room for attributes, so they are kept in attributes/<name>.json:
+ * { labels: { <label name>: {...} }, objects: [{...} or null, one per label file line] }
+ * @param {Array} annotations - Annotation rows of the image
+ * @param {Map} classIndexes - Map of label_id to zero-based class index
+ * @returns {string|null} JSON content, or null when the image has no attribute values
+ */
+function toYoloAttributeFile(annotations, classIndexes) {
+  const labels = getImageLabelAttributes(annotations.filter(annotation => classIndexes.has(annotation.label_id)));
+  const objects = getYoloAnnotations(annotations, classIndexes).map(annotation => annotation.attributes);
+
+  if (!labels && objects.every(attributes => attributes === null)) {
+    return null;
+  }
+  return `${JSON.stringify({ labels: labels || {}, objects }, null, 2)}\n`;
+}
+
+/**
+ * Escape text for use in XML content
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Convert attribute values to a VOC <attributes> element (the layout CVAT uses)
+ * @param {Object|null} attributes - Attribute values keyed by name
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML lines, or an empty string when there are no values
+ */
+function toVocAttributes(attributes, indent) {
+  if (!attributes || Object.keys(attributes).length === 0) {
+    return '';
+  }
+
+  const items = Object.entries(attributes).map(([name, value]) => `${indent}  <attribute>
+${indent}    <name>${escapeXml(name)}</name>
+${indent}    <value>${escapeXml(value)}</value>
+${indent}  </attribute>
+`);
+  return `${indent}<attributes>
+${items.join('')}${indent}</attributes>
+`;
+}
+
+/**
+ * Convert one image and its region annotations to a Pascal VOC annotation document
+ * Every shape is exported as its bounding box in pixels; objects are omitted when the size is unknown
+ * Attribute values of image-level labels are listed under <labels>, since VOC objects need a box
+ * @param {Object} image - Image row
+ * @param {string} fileName - Image file name inside the archive
+ * @param {Object|null} size - Image { width, height } in pixels, or null when unknown
+ * @param {Array} annotations - Annotation rows of the image
+ * @returns {string} VOC XML
+ */
+function toVocXml(image, fileName, size, annotations) {
+  const labelAttributes = Object.entries(getImageLabelAttributes(annotations) || {})
+    .map(([labelName, attributes]) => `    <label>
+      <name>${escapeXml(labelName)}</name>
+${toVocAttributes(attributes, '      ')}    </label>
+`);
+  const labels = labelAttributes.length > 0 ? `  <labels>\n${labelAttributes.join('')}  </labels>\n` : '';
+
+  const objects = size
+    ? annotations
+      .filter(annotation => annotation.bbox_x !== null)
+      .map(annotation => `  <object>
+    <name>${escapeXml(annotation.label_name)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${roundPixels(annotation.bbox_x * size.width)}</xmin>
+      <ymin>${roundPixels(annotation.bbox_y * size.height)}</ymin>
+      <xmax>${roundPixels((annotation.bbox_x + annotation.bbox_width) * size.width)}</xmax>
+      <ymax>${roundPixels((annotation.bbox_y + annotation.bbox_height) * size.height)}</ymax>
+    </bndbox>
+${toVocAttributes(annotation.attributes, '    ')}  </object>
+`)
+    : [];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+  <folder>JPEGImages</folder>
+  <filename>${escapeXml(fileName)}</filename>
+  <path>${escapeXml(image.file_path)}</path>
+  <source>
+    <database>AI Annotation Tool</database>
+  </source>
+  <size>
+    <width>${size ? size.width : 0}</width>
+    <height>${size ? size.height : 0}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>
+${labels}${objects.join('')}</annotation>
+`;
+}
+
+/**
+ * Generate the entries of a YOLO detection archive, one image at a time
+ * Layout: classes.txt (class index = line number), labels/<name>.txt, attributes/<name>.json for images
+ * with attribute values and, optionally, images/<name>.<ext>
+ * @param {Object} filters - Export filters (see buildImageFilter)
+ * @param {Object} [options] - Archive options
+ * @param {boolean} [options.includeImages=false] - Add the image bytes read from file_path
+ * @yields {Object} Zip entries { name, data }
+ */
+async function* generateYoloEntries(filters = {}, options = {}) {
+  try {
+    const labels = await getExportLabels(filters);
+    const images = await getExportImages(filters);
+    const names = assignArchiveNames(images);
+    const classIndexes = new Map(labels.map((label, index) => [label.label_id, index]));
+    const warnings = [];
+
+    yield { name: 'classes.txt', data: labels.map(label => `${label.label_name}\n`).join('') };
+
+    for (const image of images) {
+      const { stem, extension } = names.get(image.image_id);
+      const annotations = await getExportAnnotations({ ...filters, imageIds: [image.image_id] });
+
+      yield { name: `labels/${stem}.txt`, data: toYoloLabelFile(annotations, classIndexes) };
+
+      const attributeFile = toYoloAttributeFile(annotations, classIndexes);
+      if (attributeFile) {
+        yield { name: `attributes/${stem}.json`, data: attributeFile };
+      }
+
+      if (options.includeImages) {
+        const bytes = await readStoredFile(image.file_path);
+        if (bytes) {
+          yield { name: `images/${stem}${extension}`, data: bytes };
+        } else {
+          warnings.push(`Image ${image.image_id} could not be read from ${image.file_path}`);
+        }
+      }
+    }
+
+    if (warnings.length > 0) {
+      yield { name: 'export_warnings.txt', data: warnings.map(warning => `${warning}\n`).join('') };
+    }
+  } catch (error) {
+    console.error('Error in generateYoloEntries:', error);
+    throw new Error(`Failed to build YOLO archive: ${error.message}`);
+  }
+}
+
+/**
+ * Generate the entries of a Pascal VOC archive, one image at a time
+ * Layout: labels.txt, Annotations/<name>.xml, ImageSets/Main/default.txt and, optionally, JPEGImages/<name>.<ext>
+ * @param {Object} filters - Export filters (see buildImageFilter)
+ * @param {Object} [options] - Archive options
+ * @param {boolean} [options.includeImages=false] - Add the image bytes read from file_path
+ * @yields {Object} Zip entries { name, data }
+ */
+async function* generateVocEntries(filters = {}, options = {}) {
+  try {
+    const labels = await getExportLabels(filters);
+    const images = await getExportImages(filters);
+    const names = assignArchiveNames(images);
+    const warnings = [];
+
+    yield { name: 'labels.txt', data: labels.map(label => `${label.label_name}\n`).join('') };
+
+    for (const image of images) {
+      const { stem, extension } = names.get(image.image_id);
+      const imageAnnotations = await getExportAnnotations({ ...filters, imageIds: [image.image_id] });
+      const annotations = imageAnnotations.filter(annotation => annotation.shape_type !== 'label');
+
+      let bytes = null;
+      if (options.includeImages) {
+        bytes = await readStoredFile(image.file_path);
+        if (!bytes) {
+          warnings.push(`Image ${image.image_id} could not be read from ${image.file_path}`);
+        }
+      }
+
+      // Downloaded bytes already contain the header, so only look it up separately when they are missing
+      const size = (bytes && getImageDimensions(bytes))
+        || (await resolveImageDimensions([image], annotations)).get(image.image_id)
+        || null;
+      if (!size && annotations.length > 0) {
+        warnings.push(`Image dimensions unknown for image ${image.image_id}; its annotations were skipped`);
+      }
+
+      yield { name: `Annotations/${stem}.xml`, data: toVocXml(image, `${stem}${extension}`, size, imageAnnotations) };
+
+      if (bytes) {
+        yield { name: `JPEGImages/${stem}${extension}`, data: bytes };
+      }
+    }
+
+    yield {
+      name: 'ImageSets/Main/default.txt',
+      data: images.map(image => `${names.get(image.image_id).stem}\n`).join('')
+    };
+
+    if (warnings.length > 0) {
+      yield { name: 'export_warnings.txt', data: warnings.map(warning => `${warning}\n`).join('') };
+    }
+  } catch (error) {
+    console.error('Error in generateVocEntries:', error);
+    throw new Error(`Failed to build VOC archive: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseExportFilters,
+  getExportErrorStatus,
+  getExportImages,
+  getExportAnnotations,
+  getExportLabels,
+  buildCocoDataset,
+  generateYoloEntries,
+  generateVocEntries
+};
@@ -5,6 +5,7 @@
 
 const proxy = require('../database/proxy');
 const { validateData } = require('../database/schemas');
+const { parseImageQuery, compileImageQuery, toSearchQuery, LABEL_SUBTREE_CONDITION } = require('../utils/image-query');
 
 /**
  * Get all images with their labels and statistics
@@ -29,6 +30,180 @@ async function getAllImages() {
   }
 }
 
+/**
+ * Encode the position of an image in the listing order as an opaque cursor
+ * @param {Object} image - Image row with uploaded_at and image_id, and search_rank when searching
+ * @param {boolean} [ranked=false] - Whether the listing is ordered by search rank
+ * @returns {string} Cursor for listImages
+ */
+function encodeImageCursor(image, ranked = false) {
+  const position = [ranked ? image.search_rank : image.uploaded_at, image.image_id];
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeImageCursor
+ * @param {string} cursor - Cursor
+ * @param {boolean} [ranked=false] - Whether the listing is ordered by search rank
+ * @returns {Object} { uploadedAt, imageId } or { rank, imageId } when ranked
+ */
+function decodeImageCursor(cursor, ranked = false) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    position = null;
+  }
+
+  const validKey = ranked
+    ? typeof position?.[0] === 'number'
+    : position?.[0] === null || typeof position?.[0] === 'string';
+
+  if (!Array.isArray(position) || position.length !== 2 || !validKey || !Number.isInteger(position[1])) {
+    throw new Error('Invalid cursor');
+  }
+
+  return ranked ? { rank: position[0], imageId: position[1] } : { uploadedAt: position[0], imageId: position[1] };
+}
+
+/**
+ * List one page of images with their labels
+ * Filtering, counting, ordering and paging run in SQL, and labels are only collected for the images of the page.
+ * Images are listed newest first; with a search they are listed by relevance (image_search full-text index,
+ * names weigh more than label names and label descriptions, search_rank is lower for better matches) and every
+ * word matches as a prefix.
+ * With a cursor (nextCursor of the previous page) the page is found by keyset, which stays fast on deep pages;
+ * otherwise page is used with LIMIT/OFFSET.
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.page=1] - Page number, ignored when a cursor is given
+ * @param {number} [options.limit=10] - Images per page
+ * @param {string} [options.search] - Words in the image names, label names or label descriptions
+ * @param {string} [options.label] - Label name the images must have, directly or through a label below it
+ * @param {string} [options.q] - Query in the image query language, e.g. label:cat AND confidence<0.6 (see lib/utils/image-query.js)
+ * @param {string} [options.cursor] - Position to continue after
+ * @param {number} [options.projectId] - Only list the images of this project
+ * @returns {Promise<Object>} { images, pagination: { page, limit, totalImages, totalPages, hasNextPage, hasPrevPage, nextCursor } }
+ */
+async function listImages(options = {}) {
+  try {
+    const { query, queryOne } = require('../database/connection');
+
+    const limit = Math.max(parseInt(options.limit) || 10, 1);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const search = (options.search || '').trim();
+    const label = (options.label || '').trim();
+    const queryText = (options.q || '').trim();
+    const ranked = search !== '';
+    const cursor = options.cursor ? decodeImageCursor(options.cursor, ranked) : null;
+
+    let source = 'images i';
+    const conditions = [];
+    const params = [];
+
+    if (ranked) {
+      const searchQuery = toSearchQuery(search);
+      source = 'images i JOIN image_search s ON s.rowid = i.image_id';
+      if (searchQuery) {
+        conditions.push('image_search MATCH ?');
+        params.push(searchQuery);
+      } else {
+        // Text without any word matches nothing
+        conditions.push('0');
+      }
+    }
+
+    if (options.projectId) {
+      conditions.push('i.project_id = ?');
+      params.push(options.projectId);
+    }
+
+    if (label) {
+      conditions.push(LABEL_SUBTREE_CONDITION);
+      params.push(label);
+    }
+
+    if (queryText) {
+      const compiled = compileImageQuery(parseImageQuery(queryText));
+      conditions.push(`(${compiled.sql})`);
+      params.push(...compiled.params);
+    }
+
+    const filter = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const totalImages = queryOne(`SELECT COUNT(*) AS count FROM ${source} ${filter}`, params).count;
+
+    // Images after the cursor in listing order: (rank, image_id DESC) when searching,
+    // otherwise (uploaded_at DESC, image_id DESC) with NULL upload times last
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor && ranked) {
+      pageConditions.push('(s.rank > ? OR (s.rank = ? AND i.image_id < ?))');
+      pageParams.push(cursor.rank, cursor.rank, cursor.imageId);
+    } else if (cursor && cursor.uploadedAt === null) {
+      pageConditions.push('(i.uploaded_at IS NULL AND i.image_id < ?)');
+      pageParams.push(cursor.imageId);
+    } else if (cursor) {
+      pageConditions.push('(i.uploaded_at < ? OR (i.uploaded_at = ? AND i.image_id < ?) OR i.uploaded_at IS NULL)');
+      pageParams.push(cursor.uploadedAt, cursor.uploadedAt, cursor.imageId);
+    }
+    const pageFilter = pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : '';
+    const innerOrder = ranked ? 's.rank, i.image_id DESC' : 'i.uploaded_at DESC, i.image_id DESC';
+    const outerOrder = ranked ? 'p.search_rank, p.image_id DESC' : 'p.uploaded_at DESC, p.image_id DESC';
+
+    // One extra row tells whether another page follows. Each label counts once per image,
+    // with its highest confidence, however many regions it marks
+    const rows = query(`
+      WITH p AS (
+        SELECT i.*${ranked ? ', s.rank AS search_rank' : ''}
+        FROM ${source}
+        ${pageFilter}
+        ORDER BY ${innerOrder}
+        LIMIT ? OFFSET ?
+      ),
+      image_labels AS (
+        SELECT image_id, label_id, MAX(confidence) AS confidence
+        FROM annotations
+        WHERE image_id IN (SELECT image_id FROM p)
+        GROUP BY image_id, label_id
+      )
+      SELECT
+        p.*,
+        GROUP_CONCAT(l.label_name) as labels,
+        GROUP_CONCAT(a.confidence) as confidences
+      FROM p
+      LEFT JOIN image_labels a ON p.image_id = a.image_id
+      LEFT JOIN labels l ON a.label_id = l.label_id
+      GROUP BY p.image_id
+      ORDER BY ${outerOrder}
+    `, [...pageParams, limit + 1, cursor ? 0 : (page - 1) * limit]);
+
+    const hasNextPage = rows.length > limit;
+    const images = rows.slice(0, limit).map(image => ({
+      ...image,
+      id: image.image_id, // Add id field for compatibility
+      labels: image.labels ? image.labels.split(',') : [],
+      confidences: image.confidences ? image.confidences.split(',').map(Number) : [],
+      label_count: image.labels ? image.labels.split(',').length : 0
+    }));
+
+    return {
+      images,
+      pagination: {
+        page: cursor ? null : page,
+        limit,
+        totalImages,
+        totalPages: Math.ceil(totalImages / limit),
+        hasNextPage,
+        hasPrevPage: cursor ? true : page > 1,
+        nextCursor: hasNextPage ? encodeImageCursor(images[images.length - 1], ranked) : null
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in listImages:', error);
+    throw new Error(`Failed to list images: ${error.message}`);
+  }
+}
+
 /**
  * Get a single image by ID with all its annotations
  * @param {number} imageId - The image ID
@@ -196,6 +371,9 @@ async function searchImagesByLabel(labelName) {
     }
     
     const { query } = require('../database/connection');
+
+    // Old names (aliases) and case variants find the label under its current name
+    const label = proxy.labels.findByName(labelName);
     
     const images = query(`
       SELECT DISTINCT 
@@ -210,7 +388,7 @@ async function searchImagesByLabel(labelName) {
       WHERE l.label_name = ?
       GROUP BY i.image_id
       ORDER BY i.uploaded_at DESC
-    `, [labelName]);
+    `, [label ? label.label_name : labelName]);
     
     // Process the results to format labels properly
     return images.map(image => ({
@@ -315,13 +493,71 @@ async function addAnnotationToImage(imageId, labelId, confidence = 1.0) {
   }
 }
 
+/**
+ * Generate thumbnails and previews for images stored before thumbnails were created on upload
+ * Images whose file cannot be read or decoded are reported and left unchanged
+ * @param {Object} [options] - Backfill options
+ * @param {boolean} [options.force=false] - Regenerate the variants of images that already have them
+ * @param {string} [options.token] - Auth token for storage backends that need one
+ * @param {Function} [options.onProgress] - Called with { image_id, filename, error } after each image
+ * @returns {Promise<Object>} { processed, generated, failed, errors: [{ image_id, filename, error }] }
+ */
+async function backfillThumbnails(options = {}) {
+  try {
+    const { query } = require('../database/connection');
+    const { readStoredFile } = require('../storage');
+    const { createThumbnails, deleteThumbnails } = require('../utils/thumbnails');
+
+    const images = query(`
+      SELECT image_id, filename, file_path, thumbnail_path, preview_path
+      FROM images
+      ${options.force ? '' : 'WHERE thumbnail_path IS NULL OR preview_path IS NULL'}
+      ORDER BY image_id
+    `);
+
+    const result = { processed: 0, generated: 0, failed: 0, errors: [] };
+
+    for (const image of images) {
+      result.processed++;
+
+      try {
+        const data = await readStoredFile(image.file_path);
+        if (!data) {
+          throw new Error(`File could not be read from ${image.file_path}`);
+        }
+
+        const paths = await createThumbnails(data, { fileName: image.filename, token: options.token });
+
+        // Thumbnails are derived data, so updated_at keeps tracking user edits
+        proxy.images.update(image.image_id, paths);
+        await deleteThumbnails(image, { token: options.token });
+
+        result.generated++;
+        options.onProgress?.({ image_id: image.image_id, filename: image.filename, error: null });
+      } catch (error) {
+        result.failed++;
+        result.errors.push({ image_id: image.image_id, filename: image.filename, error: error.message });
+        options.onProgress?.({ image_id: image.image_id, filename: image.filename, error: error.message });
+      }
+    }
+
+    return result;
+
+  } catch (error) {
+    console.error('Error in backfillThumbnails:', error);
+    throw new Error(`Failed to backfill thumbnails: ${error.message}`);
+  }
+}
+
 module.exports = {
   getAllImages,
+  listImages,
   getImageById,
   createImage,
   updateImage,
   deleteImage,
   searchImagesByLabel,
   getImageStats,
-  addAnnotationToImage
+  addAnnotationToImage,
+  backfillThumbnails
 };
\ No newline at end of file
@@ -0,0 +1,767 @@
+/**
+ * Data Access Layer for Dataset Imports
+ * Parses COCO, YOLO and Pascal VOC datasets into a common shape list, then plans and applies
+ * the import: categories map to labels, images match existing records or are created, and
+ * annotations are validated before anything is written
+ */
+
+const path = require('path');
+const { query, run } = require('../database/connection');
+const proxy = require('../database/proxy');
+const { validateRegion, validateGeometry, validateKeypointTemplate, getGeometryBounds } = require('../database/schemas');
+const { readZip } = require('../utils/zip');
+const { DEFAULT_PROJECT_ID, addProjectLabel, hasProjectLabel } = require('./projects');
+
+// MIME types of images created from dataset file names
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Clamp a normalized coordinate to the image
+ * @param {number} value - Coordinate
+ * @returns {number} Value between 0 and 1
+ */
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+/**
+ * Convert a pixel box to a normalized region, clipped to the image
+ * @param {number} x - Left edge in pixels
+ * @param {number} y - Top edge in pixels
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} size - Image { width, height } in pixels
+ * @returns {Object} Region { x, y, width, height } in 0-1 coordinates
+ */
+function toRegion(x, y, width, height, size) {
+  // Clip one axis of the box; the extent is only recomputed when clipping changed it
+  const clip = (start, extent, total) => {
+    const from = clamp(start / total);
+    const to = clamp((start + extent) / total);
+    return [from, start < 0 || to === 1 ? to - from : extent / total];
+  };
+
+  const [left, normalizedWidth] = clip(x, width, size.width);
+  const [top, normalizedHeight] = clip(y, height, size.height);
+  return { x: left, y: top, width: normalizedWidth, height: normalizedHeight };
+}
+
+/**
+ * Decode a compressed COCO RLE string into run lengths (the LEB128-like format of pycocotools)
+ * @param {string} encoded - Compressed counts
+ * @returns {number[]} Uncompressed run lengths
+ */
+function decodeRleString(encoded) {
+  const counts = [];
+  let position = 0;
+
+  while (position < encoded.length) {
+    let value = 0;
+    let shift = 0;
+    let more = true;
+
+    while (more) {
+      const chunk = encoded.charCodeAt(position) - 48;
+      value |= (chunk & 0x1F) << (5 * shift);
+      more = (chunk & 0x20) !== 0;
+      position++;
+      shift++;
+      if (!more && (chunk & 0x10)) {
+        value |= -1 << (5 * shift);
+      }
+    }
+
+    // Runs after the second are stored as differences
+    if (counts.length > 2) {
+      value += counts[counts.length - 2];
+    }
+    counts.push(value);
+  }
+
+  return counts;
+}
+
+/**
+ * Build a normalized keypoint template from a COCO category
+ * @param {Object} category - COCO category
+ * @returns {Object|null} Template { keypoints, skeleton } or null when the category has no keypoints
+ */
+function toKeypointTemplate(category) {
+  if (!Array.isArray(category.keypoints) || category.keypoints.length === 0) {
+    return null;
+  }
+  return { keypoints: category.keypoints, skeleton: Array.isArray(category.skeleton) ? category.skeleton : [] };
+}
+
+/**
+ * Convert one COCO annotation to shapes
+ * Keypoints and each segmentation polygon become separate shapes; otherwise the box is imported
+ * @param {Object} annotation - COCO annotation
+ * @param {Object} size - Image { width, height } in pixels
+ * @returns {Array<Object>} Shapes { shape_type, region, geometry }
+ */
+function cocoAnnotationToShapes(annotation, size) {
+  const shapes = [];
+  const bbox = Array.isArray(annotation.bbox) && annotation.bbox.length === 4
+    ? toRegion(...annotation.bbox, size)
+    : null;
+
+  if (Array.isArray(annotation.keypoints) && annotation.keypoints.length > 0) {
+    const points = [];
+    for (let i = 0; i < annotation.keypoints.length; i += 3) {
+      const visibility = annotation.keypoints[i + 2];
+      points.push(visibility === 0
+        ? [0, 0, 0]
+        : [clamp(annotation.keypoints[i] / size.width), clamp(annotation.keypoints[i + 1] / size.height), visibility]);
+    }
+    shapes.push({ shape_type: 'keypoints', region: bbox && bbox.width > 0 && bbox.height > 0 ? bbox : null, geometry: { points } });
+  }
+
+  const segmentation = annotation.segmentation;
+  if (Array.isArray(segmentation)) {
+    for (const ring of segmentation) {
+      const points = [];
+      for (let i = 0; i + 1 < ring.length; i += 2) {
+        points.push([clamp(ring[i] / size.width), clamp(ring[i + 1] / size.height)]);
+      }
+      shapes.push({ shape_type: 'polygon', geometry: { points } });
+    }
+  } else if (segmentation && typeof segmentation === 'object') {
+    const counts = typeof segmentation.counts === 'string' ? decodeRleString(segmentation.counts) : segmentation.counts;
+    shapes.push({ shape_type: 'mask', geometry: { size: segmentation.size, counts } });
+  }
+
+  if (shapes.length === 0) {
+    shapes.push({ shape_type: 'bbox', region: bbox });
+  }
+
+  return shapes;
+}
+
+/**
+ * Parse a COCO instances/keypoints JSON file
+ * @param {string} text - File content
+ * @returns {Object} Dataset { format, categories, images } (see importDataset)
+ */
+function parseCocoDataset(text) {
+  let coco;
+  try {
+    coco = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid dataset: COCO file is not valid JSON (${error.message})`);
+  }
+
+  if (!coco || !Array.isArray(coco.images) || !Array.isArray(coco.categories)) {
+    throw new Error('Invalid dataset: COCO file must contain images and categories arrays');
+  }
+
+  const categoryNames = new Map();
+  const categories = [];
+  for (const category of coco.categories) {
+    categoryNames.set(category.id, category.name);
+    categories.push({ name: category.name, keypoint_template: toKeypointTemplate(category) });
+  }
+
+  const imagesById = new Map();
+  const images = coco.images.map(image => {
+    const entry = {
+      file_name: image.file_name,
+      url: image.coco_url || image.flickr_url || null,
+      width: image.width,
+      height: image.height,
+      shapes: []
+    };
+    imagesById.set(image.id, entry);
+    return entry;
+  });
+
+  (coco.annotations || []).forEach((annotation, index) => {
+    const image = imagesById.get(annotation.image_id);
+    const label = categoryNames.get(annotation.category_id);
+    const source = `annotation ${annotation.id !== undefined ? annotation.id : index + 1}`;
+
+    if (!image) {
+      return;
+    }
+
+    if (!label) {
+      image.shapes.push({ source, error: `unknown category_id ${annotation.category_id}` });
+      return;
+    }
+
+    if (!(image.width > 0 && image.height > 0)) {
+      image.shapes.push({ source, label, error: 'image width and height are required to convert pixel coordinates' });
+      return;
+    }
+
+    const confidence = typeof annotation.score === 'number' ? clamp(annotation.score) : 1.0;
+    for (const shape of cocoAnnotationToShapes(annotation, image)) {
+      image.shapes.push({ source, label, confidence, ...shape });
+    }
+  });
+
+  return { format: 'coco', categories, images };
+}
+
+/**
+ * Read class names from the files of a YOLO dataset
+ * Accepts classes.txt / *.names (one name per line) or the names of an Ultralytics data.yaml
+ * @param {Array<Object>} entries - Archive entries { name, data }
+ * @returns {string[]} Class names by index
+ */
+function readYoloClasses(entries) {
+  const namesFile = entries.find(entry => /(^|\/)classes\.txt$/.test(entry.name))
+    || entries.find(entry => entry.name.endsWith('.names'));
+  if (namesFile) {
+    return namesFile.data.toString('utf8').split(/\r?\n/).map(name => name.trim()).filter(Boolean);
+  }
+
+  const yamlFile = entries.find(entry => /(^|\/)(data|dataset)\.ya?ml$/.test(entry.name));
+  if (yamlFile) {
+    const yaml = yamlFile.data.toString('utf8');
+    const unquote = value => value.trim().replace(/^['"]|['"]$/g, '');
+
+    // Inline list: names: ['cat', 'dog']
+    const inline = yaml.match(/^names:\s*\[(.*)\]\s*$/m);
+    if (inline) {
+      return inline[1].split(',').map(unquote).filter(Boolean);
+    }
+
+    // Block list (- cat) or index mapping (0: cat) under names:
+    const block = yaml.match(/^names:\s*\r?\n((?:[ \t]+.*\r?\n?)*)/m);
+    if (block) {
+      const names = [];
+      block[1].split(/\r?\n/).forEach(line => {
+        const item = line.match(/^\s*(?:-\s*(.+)|(\d+)\s*:\s*(.+))$/);
+        if (item) {
+          names[item[2] !== undefined ? Number(item[2]) : names.length] = unquote(item[1] || item[3]);
+        }
+      });
+      return names;
+    }
+  }
+
+  throw new Error('Invalid dataset: YOLO archive must contain classes.txt, a .names file or data.yaml');
+}
+
+/**
+ * Parse a zipped YOLO dataset (detection boxes or segmentation polygons)
+ * Label files are matched to images by file name without extension
+ * @param {Buffer} buffer - Zip archive bytes
+ * @returns {Object} Dataset { format, categories, images } (see importDataset)
+ */
+function parseYoloArchive(buffer) {
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    throw new Error(`Invalid dataset: ${error.message}`);
+  }
+
+  const classes = readYoloClasses(entries);
+  const labelFiles = entries.filter(entry => entry.name.endsWith('.txt')
+    && !/(^|\/)classes\.txt$/.test(entry.name)
+    && !/(^|\/)(train|val|test)\.txt$/.test(entry.name));
+
+  const images = labelFiles.map(entry => {
+    const image = { file_name: path.posix.parse(entry.name).name, matchStem: true, url: null, shapes: [] };
+
+    entry.data.toString('utf8').split(/\r?\n/).forEach((line, index) => {
+      const values = line.trim().split(/\s+/).filter(Boolean).map(Number);
+      const source = `line ${index + 1}`;
+      if (values.length === 0) {
+        return;
+      }
+
+      const label = classes[values[0]];
+      if (!Number.isInteger(values[0]) || !label) {
+        image.shapes.push({ source, error: `unknown class index ${values[0]}` });
+        return;
+      }
+
+      if (values.length === 5) {
+        const [, centerX, centerY, width, height] = values;
+        image.shapes.push({
+          source,
+          label,
+          shape_type: 'bbox',
+          region: {
+            x: clamp(centerX - width / 2),
+            y: clamp(centerY - height / 2),
+            width: clamp(centerX + width / 2) - clamp(centerX - width / 2),
+            height: clamp(centerY + height / 2) - clamp(centerY - height / 2)
+          }
+        });
+      } else if (values.length >= 7 && values.length % 2 === 1) {
+        const points = [];
+        for (let i = 1; i < values.length; i += 2) {
+          points.push([clamp(values[i]), clamp(values[i + 1])]);
+        }
+        image.shapes.push({ source, label, shape_type: 'polygon', geometry: { points } });
+      } else {
+        image.shapes.push({ source, label, error: `expected 5 values or a polygon, got ${values.length}` });
+      }
+    });
+
+    return image;
+  });
+
+  return {
+    format: 'yolo',
+    categories: classes.filter(Boolean).map(name => ({ name, keypoint_template: null })),
+    images
+  };
+}
+
+/**
+ * Decode the XML entities used in VOC text content
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the text of the first child element with the given tag
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Tag name
+ * @returns {string|null} Trimmed text, or null when the tag is missing
+ */
+function getXmlText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/**
+ * Parse one Pascal VOC annotation document
+ * @param {string} xml - VOC XML
+ * @param {string} source - File name for messages
+ * @returns {Object} Dataset image { file_name, url, width, height, shapes }
+ */
+function parseVocDocument(xml, source) {
+  const sizeXml = getXmlText(xml, 'size') || '';
+  const size = { width: Number(getXmlText(sizeXml, 'width')), height: Number(getXmlText(sizeXml, 'height')) };
+  const filePath = getXmlText(xml, 'path');
+  const image = {
+    file_name: getXmlText(xml, 'filename') || path.posix.parse(source).name,
+    matchStem: !getXmlText(xml, 'filename'),
+    url: filePath && /^https?:\/\//i.test(filePath) ? filePath : null,
+    width: size.width || null,
+    height: size.height || null,
+    shapes: []
+  };
+
+  const objects = xml.match(/<object>[\s\S]*?<\/object>/g) || [];
+  objects.forEach((objectXml, index) => {
+    const label = getXmlText(objectXml, 'name');
+    const box = getXmlText(objectXml, 'bndbox');
+    const shapeSource = `object ${index + 1}`;
+
+    if (!label || !box) {
+      image.shapes.push({ source: shapeSource, label, error: 'object needs a name and a bndbox' });
+      return;
+    }
+
+    if (!(size.width > 0 && size.height > 0)) {
+      image.shapes.push({ source: shapeSource, label, error: 'image size is required to convert pixel coordinates' });
+      return;
+    }
+
+    const [xmin, ymin, xmax, ymax] = ['xmin', 'ymin', 'xmax', 'ymax'].map(tag => Number(getXmlText(box, tag)));
+    image.shapes.push({
+      source: shapeSource,
+      label,
+      shape_type: 'bbox',
+      region: toRegion(xmin, ymin, xmax - xmin, ymax - ymin, size)
+    });
+  });
+
+  return image;
+}
+
+/**
+ * Parse a Pascal VOC dataset: a single XML annotation file or a zip of them (e.g. Annotations/*.xml)
+ * @param {Buffer} buffer - File bytes
+ * @param {string} fileName - Uploaded file name, used to tell XML from zip
+ * @returns {Object} Dataset { format, categories, images } (see importDataset)
+ */
+function parseVocFiles(buffer, fileName) {
+  let documents;
+  if (fileName.toLowerCase().endsWith('.xml')) {
+    documents = [{ name: fileName, data: buffer }];
+  } else {
+    try {
+      documents = readZip(buffer).filter(entry => entry.name.toLowerCase().endsWith('.xml'));
+    } catch (error) {
+      throw new Error(`Invalid dataset: ${error.message}`);
+    }
+  }
+
+  const images = documents.map(document => {
+    const xml = document.data.toString('utf8');
+    if (!/<annotation[\s>]/.test(xml)) {
+      throw new Error(`Invalid dataset: ${document.name} is not a VOC annotation file`);
+    }
+    return parseVocDocument(xml, document.name);
+  });
+
+  const names = new Set(images.flatMap(image => image.shapes.map(shape => shape.label).filter(Boolean)));
+
+  return {
+    format: 'voc',
+    categories: [...names].map(name => ({ name, keypoint_template: null })),
+    images
+  };
+}
+
+/**
+ * Index existing images by file name, original name and name without extension
+ * @param {number} projectId - Only index the images of this project
+ * @returns {Object} { byName, byStem } maps of name to image rows
+ */
+function indexExistingImages(projectId) {
+  const byName = new Map();
+  const byStem = new Map();
+  const add = (map, key, image) => {
+    const matches = map.get(key) || [];
+    if (!matches.some(match => match.image_id === image.image_id)) {
+      matches.push(image);
+    }
+    map.set(key, matches);
+  };
+
+  for (const image of query('SELECT image_id, filename, original_name FROM images WHERE project_id = ?', [projectId])) {
+    for (const name of [image.filename, image.original_name]) {
+      add(byName, name, image);
+      add(byStem, path.parse(name).name, image);
+    }
+  }
+
+  return { byName, byStem };
+}
+
+/**
+ * Check whether two annotations describe the same shape
+ * @param {Object} existing - Stored annotation row
+ * @param {Object} planned - Planned annotation { label_id, shape_type, region, geometry }
+ * @returns {boolean} True if the planned annotation is already stored
+ */
+function isSameAnnotation(existing, planned) {
+  if (existing.label_id !== planned.label_id || existing.shape_type !== planned.shape_type) {
+    return false;
+  }
+
+  const close = (a, b) => (a === null && b === null) || (a !== null && b !== null && Math.abs(a - b) < 1e-6);
+  const region = planned.region || { x: null, y: null, width: null, height: null };
+
+  return close(existing.bbox_x, region.x)
+    && close(existing.bbox_y, region.y)
+    && close(existing.bbox_width, region.width)
+    && close(existing.bbox_height, region.height)
+    && (existing.geometry || null) === (planned.geometry ? JSON.stringify(planned.geometry) : null);
+}
+
+/**
+ * Work out what an import would do without writing anything
+ * @param {Object} dataset - Parsed dataset (see importDataset)
+ * @param {number} projectId - Project whose images are matched and whose vocabulary existing labels must be in
+ * @returns {Object} Plan { labels, images } with an action per label, image and annotation
+ */
+function planImport(dataset, projectId) {
+  // Labels: map categories to existing labels by name, alias or case variant
+  const labels = new Map();
+  for (const category of dataset.categories) {
+    if (!category.name || labels.has(category.name)) {
+      continue;
+    }
+
+    const existing = proxy.labels.findByName(category.name);
+    const template = category.keypoint_template;
+    const entry = { name: category.name, label_id: existing ? existing.label_id : null, template, action: existing ? 'existing' : 'created' };
+
+    if (existing && !hasProjectLabel(projectId, existing.label_id)) {
+      entry.action = 'conflicted';
+      entry.reason = 'label is not in the vocabulary of the project';
+    } else if (template && !validateKeypointTemplate(template).valid) {
+      entry.action = 'conflicted';
+      entry.reason = `invalid keypoint template: ${validateKeypointTemplate(template).errors.join(', ')}`;
+    } else if (existing && template) {
+      const stored = existing.keypoint_template;
+      if (!stored) {
+        entry.action = 'updated';
+        entry.reason = 'keypoint template added';
+      } else if (stored.keypoints.length !== template.keypoints.length) {
+        entry.action = 'conflicted';
+        entry.reason = `existing label has ${stored.keypoints.length} keypoints, dataset has ${template.keypoints.length}`;
+      } else {
+        entry.template = stored;
+      }
+    } else if (existing && existing.keypoint_template) {
+      entry.template = existing.keypoint_template;
+    }
+
+    labels.set(category.name, entry);
+  }
+
+  const { byName, byStem } = indexExistingImages(projectId);
+  const seen = new Set();
+
+  const images = dataset.images.map(datasetImage => {
+    const name = datasetImage.file_name ? String(datasetImage.file_name) : '';
+    // Dataset file names may carry a folder (e.g. train/cat.jpg); stored names never do
+    const matches = (datasetImage.matchStem ? byStem.get(name) : byName.get(path.posix.basename(name))) || [];
+    const image = { file_name: name, image_id: null, url: datasetImage.url, annotations: [] };
+
+    if (!name) {
+      image.action = 'skipped';
+      image.reason = 'image has no file name';
+    } else if (seen.has(name)) {
+      image.action = 'conflicted';
+      image.reason = 'file name appears more than once in the dataset';
+    } else if (matches.length > 1) {
+      image.action = 'conflicted';
+      image.reason = `matches ${matches.length} existing images (IDs ${matches.map(match => match.image_id).join(', ')})`;
+    } else if (matches.length === 1) {
+      image.action = 'matched';
+      image.image_id = matches[0].image_id;
+    } else if (datasetImage.url) {
+      image.action = 'created';
+    } else {
+      image.action = 'skipped';
+      image.reason = 'no existing image with this name and no URL to create it from';
+    }
+    seen.add(name);
+
+    const existingAnnotations = image.image_id
+      ? query('SELECT * FROM annotations WHERE image_id = ?', [image.image_id])
+      : [];
+
+    for (const shape of datasetImage.shapes) {
+      const annotation = { source: shape.source, label: shape.label, shape_type: shape.shape_type };
+      image.annotations.push(annotation);
+      const label = labels.get(shape.label);
+
+      if (image.action === 'skipped' || image.action === 'conflicted') {
+        annotation.action = 'skipped';
+        annotation.reason = `image ${image.action}`;
+        continue;
+      }
+
+      if (shape.error) {
+        annotation.action = 'skipped';
+        annotation.reason = shape.error;
+        continue;
+      }
+
+      if (!label) {
+        annotation.action = 'skipped';
+        annotation.reason = `label '${shape.label}' is not a dataset category`;
+        continue;
+      }
+
+      if (label.action === 'conflicted') {
+        annotation.action = 'conflicted';
+        annotation.reason = `label '${shape.label}': ${label.reason}`;
+        continue;
+      }
+
+      const errors = [
+        ...(shape.shape_type === 'bbox' ? [] : validateGeometry(shape.shape_type, shape.geometry, label.template).errors),
+        ...(shape.region || shape.shape_type === 'bbox' ? validateRegion(shape.region).errors : [])
+      ];
+      if (errors.length > 0) {
+        annotation.action = 'skipped';
+        annotation.reason = errors.join(', ');
+        continue;
+      }
+
+      annotation.label_id = label.label_id;
+      annotation.confidence = typeof shape.confidence === 'number' ? shape.confidence : 1.0;
+      annotation.geometry = shape.geometry || null;
+      annotation.region = shape.shape_type === 'bbox' || shape.region
+        ? shape.region
+        : getGeometryBounds(shape.shape_type, shape.geometry);
+
+      if (label.label_id && existingAnnotations.some(existing => isSameAnnotation(existing, annotation))) {
+        annotation.action = 'skipped';
+        annotation.reason = 'identical annotation already exists';
+        continue;
+      }
+
+      annotation.action = 'created';
+    }
+
+    return image;
+  });
+
+  return { labels: [...labels.values()], images };
+}
+
+/**
+ * Write a planned import in one transaction
+ * @param {Object} plan - Plan from planImport; label and image IDs are filled in as records are created
+ * @param {string} userEmail - Email recorded as creator
+ * @param {number} projectId - Project of the created images; imported labels join its vocabulary
+ */
+function applyImport(plan, userEmail, projectId) {
+  proxy.transaction(() => {
+    const labelIds = new Map();
+
+    for (const label of plan.labels) {
+      if (label.action === 'conflicted') {
+        continue;
+      }
+
+      const record = proxy.labels.findByNameOrCreate(label.name, null, label.template);
+      if (label.action === 'updated') {
+        proxy.labels.update(record.label_id, { keypoint_template: JSON.stringify(label.template) });
+      }
+      label.label_id = Number(record.label_id);
+      labelIds.set(label.name, label.label_id);
+      addProjectLabel(projectId, label.label_id);
+    }
+
+    for (const image of plan.images) {
+      const annotations = image.annotations.filter(annotation => annotation.action === 'created');
+
+      if (image.action === 'created') {
+        const extension = path.extname(image.file_name).toLowerCase();
+        image.image_id = run(`
+          INSERT INTO images (filename, original_name, file_path, file_size, mime_type, project_id, created_by)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          path.basename(image.file_name),
+          image.file_name,
+          image.url,
+          0,
+          MIME_TYPES[extension] || 'image/jpeg',
+          projectId,
+          userEmail
+        ]).lastID;
+      } else if (image.action !== 'matched' || annotations.length === 0) {
+        continue;
+      }
+
+      for (const annotation of annotations) {
+        run(`
+          INSERT INTO annotations (
+            image_id, label_id, confidence, shape_type, geometry,
+            bbox_x, bbox_y, bbox_width, bbox_height, created_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          image.image_id,
+          labelIds.get(annotation.label),
+          annotation.confidence,
+          annotation.shape_type,
+          annotation.geometry ? JSON.stringify(annotation.geometry) : null,
+          annotation.region ? annotation.region.x : null,
+          annotation.region ? annotation.region.y : null,
+          annotation.region ? annotation.region.width : null,
+          annotation.region ? annotation.region.height : null,
+          userEmail
+        ]);
+      }
+
+      run(`
+        UPDATE images
+        SET last_edited_by = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE image_id = ?
+      `, [userEmail, image.image_id]);
+    }
+  });
+}
+
+/**
+ * Import a parsed dataset, or preview the import when dryRun is set
+ * Categories map to labels by name; images match existing records by file name (YOLO: without extension)
+ * and are only created when the dataset provides a URL. Invalid and already stored annotations are skipped;
+ * annotations whose label has an incompatible keypoint template are reported as conflicts.
+ * Only images of the target project are matched; the project's annotation settings are not applied to imports.
+ * Existing labels outside the project's vocabulary are reported as conflicts; new labels join it.
+ * @param {Object} dataset - Dataset from parseCocoDataset, parseYoloArchive or parseVocFiles
+ * @param {string} dataset.format - Source format
+ * @param {Array<Object>} dataset.categories - Categories { name, keypoint_template }
+ * @param {Array<Object>} dataset.images - Images { file_name, matchStem?, url, shapes: [{ label, shape_type, region?, geometry?, confidence?, error? }] }
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.dryRun=false] - Only report what would happen
+ * @param {string} [options.userEmail='dataset-import'] - Email recorded as creator
+ * @param {number} [options.projectId] - Project to import into; the default project when not given
+ * @returns {Promise<Object>} Report { format, dryRun, summary, labels, images }
+ */
+async function importDataset(dataset, options = {}) {
+  try {
+    const dryRun = Boolean(options.dryRun);
+    const projectId = options.projectId || DEFAULT_PROJECT_ID;
+    const plan = planImport(dataset, projectId);
+
+    if (!dryRun) {
+      applyImport(plan, options.userEmail || 'dataset-import', projectId);
+    }
+
+    const count = (items, action) => items.filter(item => item.action === action).length;
+    const annotations = plan.images.flatMap(image => image.annotations);
+
+    return {
+      format: dataset.format,
+      dryRun,
+      summary: {
+        labels: {
+          created: count(plan.labels, 'created'),
+          updated: count(plan.labels, 'updated'),
+          existing: count(plan.labels, 'existing'),
+          conflicted: count(plan.labels, 'conflicted')
+        },
+        images: {
+          created: count(plan.images, 'created'),
+          matched: count(plan.images, 'matched'),
+          skipped: count(plan.images, 'skipped'),
+          conflicted: count(plan.images, 'conflicted')
+        },
+        annotations: {
+          created: count(annotations, 'created'),
+          skipped: count(annotations, 'skipped'),
+          conflicted: count(annotations, 'conflicted')
+        }
+      },
+      labels: plan.labels.map(({ name, label_id, action, reason }) => ({ name, label_id, action, ...(reason && { reason }) })),
+      images: plan.images.map(image => ({
+        file_name: image.file_name,
+        image_id: image.image_id,
+        action: image.action,
+        ...(image.reason && { reason: image.reason }),
+        annotations: {
+          created: count(image.annotations, 'created'),
+          skipped: count(image.annotations, 'skipped'),
+          conflicted: count(image.annotations, 'conflicted')
+        },
+        // Only annotations that will not be imported need an explanation
+        issues: image.annotations
+          .filter(annotation => annotation.action !== 'created' && annotation.reason !== `image ${image.action}`)
+          .map(annotation => ({ source: annotation.source, label: annotation.label, action: annotation.action, reason: annotation.reason }))
+      }))
+    };
+  } catch (error) {
+    console.error('Error in importDataset:', error);
+    throw new Error(`Failed to import dataset: ${error.message}`);
+  }
+}
+
+module.exports = {
+  MIME_TYPES,
+  parseCocoDataset,
+  parseYoloArchive,
+  parseVocFiles,
+  importDataset
+};
@@ -1,19 +1,289 @@
 /**
  * Labels Data Access Layer for AI Annotation Tool v2
  * Provides high-level interface for label operations with duplicate handling
+ * Labels form a taxonomy through parent_label_id (vehicle > car > sedan); it is kept free of cycles here.
+ * Aliases (label_aliases) are other names of a label; renames and merges keep the old names as aliases.
  */
 
 const proxy = require('../database/proxy');
-const { validateData } = require('../database/schemas');
+const {
+  validateData,
+  validateKeypointTemplate,
+  validateAttributeSchema,
+  validateAttributes,
+  LABEL_COLOR_PATTERN,
+  LABEL_HOTKEY_PATTERN,
+  MAX_LABEL_ICON_LENGTH
+} = require('../database/schemas');
+const { DEFAULT_PROJECT_ID, addProjectLabel } = require('./projects');
+
+/**
+ * Check a keypoint template supplied by a caller
+ * @param {Object|null} template - Template to check; null clears it
+ * @throws {Error} If the template is invalid
+ */
+function assertValidKeypointTemplate(template) {
+  if (template === null) {
+    return;
+  }
+
+  const validation = validateKeypointTemplate(template);
+  if (!validation.valid) {
+    throw new Error(`Invalid keypoint template: ${validation.errors.join(', ')}`);
+  }
+}
+
+/**
+ * Check an attribute schema supplied by a caller
+ * @param {Array|null} schema - Attribute definitions to check; null clears them
+ * @throws {Error} If the schema is invalid
+ */
+function assertValidAttributeSchema(schema) {
+  if (schema === null) {
+    return;
+  }
+
+  const validation = validateAttributeSchema(schema);
+  if (!validation.valid) {
+    throw new Error(`Invalid attribute schema: ${validation.errors.join(', ')}`);
+  }
+}
+
+/**
+ * Check and normalize the color, icon and hotkey of a label update
+ * Colors and hotkeys are stored lowercase; null or an empty string clears a field.
+ * @param {Object} updateData - Label update; its color, icon and hotkey are replaced by the normalized values
+ * @throws {Error} If a color, icon or hotkey is invalid
+ */
+function normalizeLabelAppearance(updateData) {
+  for (const field of ['color', 'icon', 'hotkey']) {
+    const value = updateData[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (value !== null && typeof value !== 'string') {
+      throw new Error(`Invalid ${field}: must be a string or null`);
+    }
+    updateData[field] = value && value.trim() ? value.trim() : null;
+  }
+
+  if (updateData.color) {
+    updateData.color = updateData.color.toLowerCase();
+    if (!LABEL_COLOR_PATTERN.test(updateData.color)) {
+      throw new Error('Invalid color: must be a hex color such as #1e90ff');
+    }
+  }
+
+  if (updateData.icon && updateData.icon.length > MAX_LABEL_ICON_LENGTH) {
+    throw new Error(`Invalid icon: cannot exceed ${MAX_LABEL_ICON_LENGTH} characters`);
+  }
+
+  if (updateData.hotkey) {
+    updateData.hotkey = updateData.hotkey.toLowerCase();
+    if (!LABEL_HOTKEY_PATTERN.test(updateData.hotkey)) {
+      throw new Error('Invalid hotkey: must be a digit from 1 to 9 or a letter');
+    }
+  }
+}
+
+/**
+ * Check that a hotkey is not assigned to another label
+ * @param {number} labelId - Label the hotkey is assigned to
+ * @param {string} hotkey - Normalized hotkey
+ * @throws {Error} If another label already uses the hotkey
+ */
+function assertHotkeyFree(labelId, hotkey) {
+  const { queryOne } = require('../database/connection');
+  const other = queryOne('SELECT label_name FROM labels WHERE hotkey = ? AND label_id != ?', [hotkey, labelId]);
+  if (other) {
+    throw new Error(`Hotkey '${hotkey}' is already assigned to label '${other.label_name}'`);
+  }
+}
+
+/**
+ * Check that the attribute values already stored on a label's annotations fit an attribute schema
+ * @param {number} labelId - Label whose annotations are checked
+ * @param {Array|null} schema - Attribute schema the values must fit
+ * @param {string} message - Start of the error message
+ * @throws {Error} If an annotation has a value the schema does not allow
+ */
+function assertAttributesFit(labelId, schema, message) {
+  const { query } = require('../database/connection');
+  const annotations = query(`
+    SELECT annotation_id, attributes FROM annotations
+    WHERE label_id = ? AND attributes IS NOT NULL
+  `, [labelId]);
+
+  for (const annotation of annotations) {
+    const validation = validateAttributes(JSON.parse(annotation.attributes), schema);
+    if (!validation.valid) {
+      throw new Error(`${message} (annotation ${annotation.annotation_id}: ${validation.errors.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Parse a label's keypoint template and attribute schema from their stored JSON
+ * @param {Object|undefined} label - Label row
+ * @returns {Object|undefined} Label with keypoint_template and attribute_schema as objects
+ */
+function parseKeypointTemplate(label) {
+  if (!label) {
+    return label;
+  }
+
+  const parsed = { ...label };
+  for (const column of ['keypoint_template', 'attribute_schema']) {
+    if (typeof parsed[column] === 'string') {
+      parsed[column] = JSON.parse(parsed[column]);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Get the IDs of a label and every label below it in the taxonomy
+ * @param {number} labelId - Root of the subtree
+ * @returns {Array<number>} Label IDs, the root first
+ */
+function getLabelSubtreeIds(labelId) {
+  const { query } = require('../database/connection');
+
+  return query(`
+    WITH RECURSIVE subtree(label_id) AS (
+      SELECT ?
+      UNION
+      SELECT l.label_id FROM labels l JOIN subtree s ON l.parent_label_id = s.label_id
+    )
+    SELECT label_id FROM subtree
+  `, [labelId]).map(row => row.label_id);
+}
+
+/**
+ * Check a parent for a label
+ * @param {number|null} labelId - Label getting the parent, or null for a new label
+ * @param {number|null} parentId - Proposed parent; null makes the label top-level
+ * @throws {Error} If the parent does not exist or would put the label below itself
+ */
+function assertValidParent(labelId, parentId) {
+  if (parentId === null) {
+    return;
+  }
+
+  if (!Number.isInteger(parentId) || parentId < 1) {
+    throw new Error('Invalid parent label: parent_label_id must be a positive integer or null');
+  }
+
+  const parent = proxy.labels.findById(parentId);
+  if (!parent) {
+    throw new Error(`Invalid parent label: label ${parentId} does not exist`);
+  }
+
+  if (labelId !== null && getLabelSubtreeIds(labelId).includes(parentId)) {
+    throw new Error(parentId === labelId
+      ? 'Invalid parent label: a label cannot be its own parent'
+      : `Invalid parent label: '${parent.label_name}' is below this label, which would create a cycle`);
+  }
+}
+
+/**
+ * Get the aliases of a label
+ * @param {number} labelId - Label ID
+ * @returns {Array<string>} Aliases in alphabetical order
+ */
+function getLabelAliases(labelId) {
+  const { query } = require('../database/connection');
+
+  return query('SELECT alias FROM label_aliases WHERE label_id = ? ORDER BY alias COLLATE NOCASE', [labelId])
+    .map(row => row.alias);
+}
+
+/**
+ * Replace the aliases of a label; call inside a transaction
+ * An alias cannot be a case variant of the label's own name, the name of another label or an alias of another label.
+ * @param {Object} label - Label row
+ * @param {Array<string>} aliases - New aliases
+ * @param {string|null} userEmail - User setting the aliases
+ * @throws {Error} If an alias is invalid or taken
+ */
+function setLabelAliases(label, aliases, userEmail) {
+  const { queryOne, run } = require('../database/connection');
+
+  if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string')) {
+    throw new Error('Invalid alias: aliases must be an array of names');
+  }
+
+  const names = [];
+  for (const alias of aliases.map(alias => alias.trim())) {
+    if (alias.length === 0 || alias.length > 100) {
+      throw new Error('Invalid alias: aliases must be 1 to 100 characters');
+    }
+    if (alias.toLowerCase() === label.label_name.toLowerCase()) {
+      throw new Error(`Invalid alias: '${alias}' is the name of this label`);
+    }
+
+    const named = queryOne('SELECT label_name FROM labels WHERE label_name = ? COLLATE NOCASE AND label_id != ?', [alias, label.label_id]);
+    if (named) {
+      throw new Error(`Invalid alias: '${alias}' is the name of label '${named.label_name}'`);
+    }
+
+    const aliased = queryOne(`
+      SELECT l.label_name FROM label_aliases a JOIN labels l ON l.label_id = a.label_id
+      WHERE a.alias = ? AND a.label_id != ?
+    `, [alias, label.label_id]);
+    if (aliased) {
+      throw new Error(`Invalid alias: '${alias}' is already an alias of '${aliased.label_name}'`);
+    }
+
+    if (!names.some(name => name.toLowerCase() === alias.toLowerCase())) {
+      names.push(alias);
+    }
+  }
+
+  // Aliases that stay keep their original creator
+  const kept = new Set(getLabelAliases(label.label_id).map(alias => alias.toLowerCase()));
+  run(`DELETE FROM label_aliases WHERE label_id = ? AND alias NOT IN (${names.map(() => '?').join(', ') || 'NULL'})`, [label.label_id, ...names]);
+  for (const alias of names.filter(name => !kept.has(name.toLowerCase()))) {
+    run('INSERT INTO label_aliases (alias, label_id, created_by) VALUES (?, ?, ?)', [alias, label.label_id, userEmail]);
+  }
+}
+
+/**
+ * Keep the former name of a renamed label as an alias; call inside a transaction
+ * A new name that was one of the label's aliases stops being an alias, and a new name cannot be another label's alias.
+ * @param {Object} label - Label row before the rename
+ * @param {string} newName - New label name
+ * @param {string|null} userEmail - User renaming the label
+ * @throws {Error} If the new name is an alias of another label
+ */
+function redirectRenamedLabel(label, newName, userEmail) {
+  const { queryOne, run } = require('../database/connection');
+
+  const aliased = queryOne(`
+    SELECT l.label_name FROM label_aliases a JOIN labels l ON l.label_id = a.label_id
+    WHERE a.alias = ? AND a.label_id != ?
+  `, [newName, label.label_id]);
+  if (aliased) {
+    throw new Error(`Label with this name already exists (alias of '${aliased.label_name}')`);
+  }
+
+  run('DELETE FROM label_aliases WHERE alias = ?', [newName]);
+  if (label.label_name.toLowerCase() !== newName.toLowerCase()) {
+    run('INSERT OR IGNORE INTO label_aliases (alias, label_id, created_by) VALUES (?, ?, ?)', [label.label_name, label.label_id, userEmail]);
+  }
+}
 
 /**
  * Get all labels with usage statistics
+ * Besides the label's own usage_count and avg_confidence, subtree_usage_count and subtree_avg_confidence
+ * include the annotations of every label below it.
+ * @param {number} [projectId] - Only list this project's vocabulary, counting usage on its images
  * @returns {Promise<Array>} Array of labels with usage information
  */
-async function getAllLabels() {
+async function getAllLabels(projectId = null) {
   try {
     // Use proxy method for labels with usage stats
-    const labels = proxy.labels.findWithUsageStats();
+    const labels = proxy.labels.findWithUsageStats(projectId);
     
     return labels;
     
@@ -25,10 +295,12 @@ async function getAllLabels() {
 
 /**
  * Create a new label with duplicate handling (edge case)
- * @param {Object} labelData - Label data to insert
+ * An existing label with the same name is returned unchanged, including its parent.
+ * @param {Object} labelData - Label data to insert, optionally with parent_label_id
+ * @param {number} [projectId] - Project whose vocabulary the label joins; the default project when not given
  * @returns {Promise<Object>} Created or existing label record
  */
-async function createLabel(labelData) {
+async function createLabel(labelData, projectId = DEFAULT_PROJECT_ID) {
   try {
     // Validate required fields
     if (!labelData.label_name || typeof labelData.label_name !== 'string') {
@@ -45,9 +317,25 @@ async function createLabel(labelData) {
       throw new Error('Label validation failed: Label name cannot exceed 100 characters');
     }
     
+    // Keypoint templates and attribute schemas are validated as objects and stored as JSON
+    const keypointTemplate = labelData.keypoint_template || null;
+    assertValidKeypointTemplate(keypointTemplate);
+
+    // An empty attribute schema is stored as none
+    let attributeSchema = labelData.attribute_schema || null;
+    assertValidAttributeSchema(attributeSchema);
+    if (attributeSchema && attributeSchema.length === 0) {
+      attributeSchema = null;
+    }
+
+    const parentId = labelData.parent_label_id ?? null;
+
     const processedData = {
       ...labelData,
-      label_name: trimmedName
+      label_name: trimmedName,
+      keypoint_template: keypointTemplate ? JSON.stringify(keypointTemplate) : null,
+      attribute_schema: attributeSchema ? JSON.stringify(attributeSchema) : null,
+      parent_label_id: parentId
     };
     
     // Validate data against schema
@@ -58,10 +346,19 @@ async function createLabel(labelData) {
     
     // Handle duplicates gracefully using proxy method
     return proxy.transaction(() => {
-      return proxy.labels.findByNameOrCreate(
+      assertValidParent(null, parentId);
+
+      const label = proxy.labels.findByNameOrCreate(
         processedData.label_name, 
-        processedData.label_description
+        processedData.label_description,
+        keypointTemplate,
+        parentId,
+        attributeSchema
       );
+
+      addProjectLabel(projectId, Number(label.label_id));
+
+      return label;
     });
     
   } catch (error) {
@@ -69,13 +366,19 @@ async function createLabel(labelData) {
     throw new Error(`Failed to create label: ${error.message}`);
   }
 }
+
 /**
  * Update an existing label record
+ * A new parent_label_id must exist and must not be the label itself or one of the labels below it.
+ * A renamed label keeps its former name as an alias; an aliases array replaces the label's aliases.
+ * A new attribute_schema must still fit the attribute values already filled in on the label's annotations.
+ * A color (#rrggbb), icon or hotkey (1-9, a-z) can be set or cleared with null; a hotkey belongs to one label only.
  * @param {number} labelId - The label ID to update
- * @param {Object} updateData - Data to update
- * @returns {Promise<Object|undefined>} Updated label record or undefined if not found
+ * @param {Object} updateData - Data to update, optionally with aliases
+ * @param {string} [userEmail] - User making the change, recorded on new aliases
+ * @returns {Promise<Object|undefined>} Updated label record (with its aliases) or undefined if not found
  */
-async function updateLabel(labelId, updateData) {
+async function updateLabel(labelId, updateData, userEmail = null) {
   try {
     if (!labelId || !Number.isInteger(labelId)) {
       throw new Error('Valid label ID is required');
@@ -84,6 +387,10 @@ async function updateLabel(labelId, updateData) {
     if (!updateData || Object.keys(updateData).length === 0) {
       throw new Error('Update data is required');
     }
+
+    // Aliases are kept in their own table
+    const { aliases, ...columns } = updateData;
+    updateData = columns;
     
     // Process label name if provided
     if (updateData.label_name) {
@@ -96,6 +403,21 @@ async function updateLabel(labelId, updateData) {
       }
       updateData.label_name = trimmedName;
     }
+
+    // Keypoint templates are validated as objects and stored as JSON
+    const keypointTemplate = updateData.keypoint_template;
+    if (keypointTemplate !== undefined) {
+      assertValidKeypointTemplate(keypointTemplate);
+      updateData.keypoint_template = keypointTemplate ? JSON.stringify(keypointTemplate) : null;
+    }
+
+    const attributeSchema = updateData.attribute_schema;
+    if (attributeSchema !== undefined) {
+      assertValidAttributeSchema(attributeSchema);
+      updateData.attribute_schema = attributeSchema && attributeSchema.length > 0 ? JSON.stringify(attributeSchema) : null;
+    }
+
+    normalizeLabelAppearance(updateData);
     
     // Validate update data against schema (partial validation)
     const validation = validateData('labels', updateData, { partial: true });
@@ -111,11 +433,47 @@ async function updateLabel(labelId, updateData) {
         return undefined;
       }
       
+      if (updateData.parent_label_id !== undefined) {
+        assertValidParent(labelId, updateData.parent_label_id);
+      }
+
+      if (updateData.label_name !== undefined && updateData.label_name !== existing.label_name) {
+        redirectRenamedLabel(existing, updateData.label_name, userEmail);
+      }
+
+      if (updateData.hotkey) {
+        assertHotkeyFree(labelId, updateData.hotkey);
+      }
+
+      // Existing poses must still line up with the template's keypoints
+      if (keypointTemplate !== undefined) {
+        const { queryOne } = require('../database/connection');
+        const poses = queryOne(`
+          SELECT COUNT(*) as count FROM annotations
+          WHERE label_id = ? AND shape_type = 'keypoints'
+        `, [labelId]);
+        const previousCount = existing.keypoint_template ? existing.keypoint_template.keypoints.length : 0;
+        const nextCount = keypointTemplate ? keypointTemplate.keypoints.length : 0;
+
+        if (poses.count > 0 && previousCount !== nextCount) {
+          throw new Error(`Keypoint template must keep ${previousCount} keypoints while ${poses.count} keypoint annotations use it`);
+        }
+      }
+
+      // Attribute values filled in on existing annotations must stay valid
+      if (attributeSchema !== undefined) {
+        assertAttributesFit(labelId, attributeSchema, 'Invalid attribute schema: existing attribute values do not fit it');
+      }
+      
       // Update the record
       proxy.labels.update(labelId, updateData);
+
+      if (aliases !== undefined) {
+        setLabelAliases(proxy.labels.findById(labelId), aliases, userEmail);
+      }
       
       // Return the updated record
-      return proxy.labels.findById(labelId);
+      return { ...proxy.labels.findById(labelId), aliases: getLabelAliases(labelId) };
     });
     
   } catch (error) {
@@ -132,6 +490,7 @@ async function updateLabel(labelId, updateData) {
 
 /**
  * Delete a label and cascade to annotations
+ * Labels directly below it move up to its parent, so the rest of the taxonomy is kept.
  * @param {number} labelId - The label ID to delete
  * @returns {Promise<boolean>} True if deleted, false if not found
  */
@@ -154,6 +513,10 @@ async function deleteLabel(labelId) {
       for (const annotation of annotations) {
         proxy.annotations.delete(annotation.annotation_id);
       }
+
+      const { run } = require('../database/connection');
+      run('UPDATE labels SET parent_label_id = ? WHERE parent_label_id = ?', [existing.parent_label_id ?? null, labelId]);
+      run('DELETE FROM label_aliases WHERE label_id = ?', [labelId]);
       
       // Delete the label
       const result = proxy.labels.delete(labelId);
@@ -166,6 +529,123 @@ async function deleteLabel(labelId) {
     throw new Error(`Failed to delete label: ${error.message}`);
   }
 }
+
+/**
+ * Merge labels into a target label, e.g. "Cat" and "kitty" into "cat"
+ * Annotations move to the target. When an image has the target and a source as image-level labels,
+ * one annotation is kept with the higher confidence. Attribute values of the sources must fit the target's
+ * attribute schema. The source names become aliases of the target,
+ * their aliases and project vocabularies move to it and the labels below them move below the target.
+ * The sources are then deleted. All changes happen in one transaction.
+ * @param {number} targetId - Label to keep
+ * @param {Array<number>} sourceIds - Labels to merge into it
+ * @param {string} [userEmail] - User merging the labels
+ * @returns {Promise<Object>} { label, merged, annotations: { moved, combined } }
+ */
+async function mergeLabels(targetId, sourceIds, userEmail = null) {
+  try {
+    if (!Number.isInteger(targetId)) {
+      throw new Error('Valid target label ID is required');
+    }
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !sourceIds.every(Number.isInteger)) {
+      throw new Error('At least one valid source label ID is required');
+    }
+    if (sourceIds.includes(targetId)) {
+      throw new Error('A label cannot be merged into itself');
+    }
+
+    const { query, queryOne, run } = require('../database/connection');
+    const keypointCount = label => label.keypoint_template ? label.keypoint_template.keypoints.length : 0;
+
+    return proxy.transaction(() => {
+      const target = proxy.labels.findById(targetId);
+      if (!target) {
+        throw new Error(`Label ${targetId} not found`);
+      }
+
+      const sources = [...new Set(sourceIds)].map(sourceId => {
+        const source = proxy.labels.findById(sourceId);
+        if (!source) {
+          throw new Error(`Label ${sourceId} not found`);
+        }
+        return source;
+      });
+
+      const counts = { moved: 0, combined: 0 };
+
+      for (const source of sources) {
+        // Poses must line up with the target's keypoints
+        const poses = queryOne(`SELECT COUNT(*) as count FROM annotations WHERE label_id = ? AND shape_type = 'keypoints'`, [source.label_id]);
+        if (poses.count > 0 && keypointCount(source) !== keypointCount(target)) {
+          throw new Error(`Invalid merge: the keypoint annotations of '${source.label_name}' do not fit the keypoint template of '${target.label_name}'`);
+        }
+        assertAttributesFit(
+          source.label_id,
+          target.attribute_schema,
+          `Invalid merge: the attribute values of '${source.label_name}' do not fit the attribute schema of '${target.label_name}'`
+        );
+
+        for (const annotation of query('SELECT * FROM annotations WHERE label_id = ?', [source.label_id])) {
+          if (annotation.shape_type === 'label') {
+            const existing = queryOne(`
+              SELECT annotation_id, confidence, attributes FROM annotations
+              WHERE image_id = ? AND label_id = ? AND shape_type = 'label'
+            `, [annotation.image_id, targetId]);
+
+            if (existing) {
+              if (annotation.confidence > existing.confidence) {
+                run('UPDATE annotations SET confidence = ?, last_edited_by = ? WHERE annotation_id = ?', [
+                  annotation.confidence,
+                  userEmail,
+                  existing.annotation_id
+                ]);
+              }
+              // The target's attribute values win; the source's fill in when the target has none
+              if (!existing.attributes && annotation.attributes) {
+                run('UPDATE annotations SET attributes = ? WHERE annotation_id = ?', [annotation.attributes, existing.annotation_id]);
+              }
+              run('DELETE FROM annotations WHERE annotation_id = ?', [annotation.annotation_id]);
+              counts.combined++;
+              continue;
+            }
+          }
+
+          run('UPDATE annotations SET label_id = ?, last_edited_by = ? WHERE annotation_id = ?', [targetId, userEmail, annotation.annotation_id]);
+          counts.moved++;
+        }
+
+        run('INSERT OR IGNORE INTO project_labels (project_id, label_id) SELECT project_id, ? FROM project_labels WHERE label_id = ?', [targetId, source.label_id]);
+
+        run('UPDATE label_aliases SET label_id = ? WHERE label_id = ?', [targetId, source.label_id]);
+        if (source.label_name.toLowerCase() !== target.label_name.toLowerCase()) {
+          run('INSERT OR IGNORE INTO label_aliases (alias, label_id, created_by) VALUES (?, ?, ?)', [source.label_name, targetId, userEmail]);
+        }
+
+        // A target anywhere below the source takes the source's place first, so the children cannot form a cycle
+        if (getLabelSubtreeIds(source.label_id).includes(targetId)) {
+          const sourceParent = queryOne('SELECT parent_label_id FROM labels WHERE label_id = ?', [source.label_id]).parent_label_id;
+          run('UPDATE labels SET parent_label_id = ? WHERE label_id = ?', [sourceParent, targetId]);
+        }
+        // Children move below the target
+        run('UPDATE labels SET parent_label_id = ? WHERE parent_label_id = ? AND label_id != ?', [targetId, source.label_id, targetId]);
+
+        run('DELETE FROM project_labels WHERE label_id = ?', [source.label_id]);
+        proxy.labels.delete(source.label_id);
+      }
+
+      return {
+        label: { ...proxy.labels.findById(targetId), aliases: getLabelAliases(targetId) },
+        merged: sources.map(source => ({ label_id: source.label_id, label_name: source.label_name })),
+        annotations: counts
+      };
+    });
+
+  } catch (error) {
+    console.error('Error in mergeLabels:', error);
+    throw new Error(`Failed to merge labels: ${error.message}`);
+  }
+}
+
 /**
  * Search labels by name or description
  * @param {string} searchTerm - Term to search for
@@ -191,7 +671,7 @@ async function searchLabels(searchTerm) {
       ORDER BY usage_count DESC, l.label_name
     `, [`%${searchTerm}%`, `%${searchTerm}%`]);
     
-    return labels;
+    return labels.map(parseKeypointTemplate);
     
   } catch (error) {
     console.error('Error in searchLabels:', error);
@@ -223,7 +703,7 @@ async function getLabelByName(labelName) {
       GROUP BY l.label_id
     `, [labelName.trim()]);
     
-    return label;
+    return parseKeypointTemplate(label);
     
   } catch (error) {
     console.error('Error in getLabelByName:', error);
@@ -265,10 +745,13 @@ async function getLabelStats() {
 }
 
 module.exports = {
+  getLabelSubtreeIds,
+  getLabelAliases,
   getAllLabels,
   createLabel,
   updateLabel,
   deleteLabel,
+  mergeLabels,
   searchLabels,
   getLabelByName,
   getLabelStats
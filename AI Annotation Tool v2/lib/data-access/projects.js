@@ -0,0 +1,406 @@
+/**
+ * Projects Data Access Layer for AI Annotation Tool v2
+ * A project is a separate dataset: its own images, label vocabulary, saved searches and annotation settings.
+ * Project 1 is the default project, which holds everything created without a project.
+ */
+
+const { query, queryOne, run, transaction } = require('../database/connection');
+const { SHAPE_TYPES } = require('../database/schemas');
+
+const DEFAULT_PROJECT_ID = 1;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Parse the stored settings columns of a project row
+ * @param {Object|undefined} project - Project row
+ * @returns {Object|undefined} Project with allowed_annotation_types as an array and require_confidence as a boolean
+ */
+function parseProject(project) {
+  if (!project) {
+    return project;
+  }
+
+  return {
+    ...project,
+    allowed_annotation_types: JSON.parse(project.allowed_annotation_types),
+    require_confidence: Boolean(project.require_confidence)
+  };
+}
+
+/**
+ * Validate and normalise project fields
+ * @param {Object} data - Fields to check
+ * @param {boolean} partial - Only check the fields that are present
+ * @returns {Object} Fields ready to be stored
+ */
+function normalizeProject(data, partial = false) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== 'string' || data.name.trim().length === 0) {
+      throw new Error('Invalid project: name is required and must be a non-empty string');
+    }
+    if (data.name.trim().length > MAX_NAME_LENGTH) {
+      throw new Error(`Invalid project: name cannot exceed ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (data.description !== undefined) {
+    if (data.description !== null && typeof data.description !== 'string') {
+      throw new Error('Invalid project: description must be a string');
+    }
+    if (data.description && data.description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Invalid project: description cannot exceed ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    fields.description = data.description ? data.description.trim() : null;
+  }
+
+  if (data.allowed_annotation_types !== undefined) {
+    const types = data.allowed_annotation_types;
+    if (!Array.isArray(types) || types.length === 0) {
+      throw new Error('Invalid project: allowed_annotation_types must be a non-empty array');
+    }
+    const unknown = types.filter(type => !SHAPE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid project: unknown annotation type '${unknown[0]}'. Allowed types: ${SHAPE_TYPES.join(', ')}`);
+    }
+    // Stored in the canonical order without repeats
+    fields.allowed_annotation_types = JSON.stringify(SHAPE_TYPES.filter(type => types.includes(type)));
+  }
+
+  if (data.require_confidence !== undefined) {
+    if (typeof data.require_confidence !== 'boolean') {
+      throw new Error('Invalid project: require_confidence must be a boolean');
+    }
+    fields.require_confidence = data.require_confidence ? 1 : 0;
+  }
+
+  return fields;
+}
+
+/**
+ * Get all projects with their image and label counts
+ * @returns {Promise<Array>} Projects, the default project first and the others by name
+ */
+async function getAllProjects() {
+  try {
+    return query(`
+      SELECT
+        p.*,
+        (SELECT COUNT(*) FROM images i WHERE i.project_id = p.project_id) AS image_count,
+        (SELECT COUNT(*) FROM project_labels pl WHERE pl.project_id = p.project_id) AS label_count
+      FROM projects p
+      ORDER BY p.project_id != ?, p.name COLLATE NOCASE
+    `, [DEFAULT_PROJECT_ID]).map(parseProject);
+  } catch (error) {
+    console.error('Error in getAllProjects:', error);
+    throw new Error(`Failed to retrieve projects: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single project with its image and label counts
+ * @param {number} projectId - The project ID
+ * @returns {Promise<Object|undefined>} Project or undefined if not found
+ */
+async function getProjectById(projectId) {
+  try {
+    if (!projectId || !Number.isInteger(projectId)) {
+      throw new Error('Valid project ID is required');
+    }
+
+    return parseProject(queryOne(`
+      SELECT
+        p.*,
+        (SELECT COUNT(*) FROM images i WHERE i.project_id = p.project_id) AS image_count,
+        (SELECT COUNT(*) FROM project_labels pl WHERE pl.project_id = p.project_id) AS label_count
+      FROM projects p
+      WHERE p.project_id = ?
+    `, [projectId]));
+  } catch (error) {
+    console.error('Error in getProjectById:', error);
+    throw new Error(`Failed to retrieve project: ${error.message}`);
+  }
+}
+
+/**
+ * Get the project named by a project query parameter
+ * Routes treat a missing parameter as "all projects" when reading and as the default project when writing.
+ * @param {string|null|undefined} value - Project ID from the request
+ * @returns {Promise<Object|undefined>} The project, or undefined when no value was given
+ */
+async function resolveProjectScope(value) {
+  if (value === null || value === undefined || value.toString().trim() === '') {
+    return undefined;
+  }
+
+  const projectId = Number(value);
+  if (!Number.isInteger(projectId) || projectId < 1) {
+    throw new Error(`Invalid project ID: ${value}`);
+  }
+
+  const project = await getProjectById(projectId);
+  if (!project) {
+    throw new Error(`Project not found: ${value}`);
+  }
+
+  return project;
+}
+
+/**
+ * Get the HTTP status for an error raised while resolving a project scope
+ * @param {Error} error - Error from resolveProjectScope
+ * @returns {number|undefined} 400 for an invalid ID, 404 for an unknown project, otherwise undefined
+ */
+function getProjectErrorStatus(error) {
+  if (error.message.startsWith('Invalid project ID')) {
+    return 400;
+  }
+  if (error.message.startsWith('Project not found')) {
+    return 404;
+  }
+  return undefined;
+}
+
+/**
+ * Get the project an image belongs to
+ * @param {number} imageId - Image ID
+ * @returns {Object|undefined} Project, or undefined if the image does not exist
+ */
+function getImageProject(imageId) {
+  return parseProject(queryOne(`
+    SELECT p.* FROM projects p
+    JOIN images i ON i.project_id = p.project_id
+    WHERE i.image_id = ?
+  `, [imageId]));
+}
+
+/**
+ * Check a new annotation against the settings of its project
+ * @param {Object} project - Project record
+ * @param {string} shapeType - Shape type of the annotation
+ * @param {number|null|undefined} confidence - Confidence given for the annotation, if any
+ */
+function assertAnnotationAllowed(project, shapeType, confidence) {
+  if (!project.allowed_annotation_types.includes(shapeType)) {
+    throw new Error(`Invalid annotation: project '${project.name}' does not allow ${shapeType} annotations`);
+  }
+  if (project.require_confidence && (confidence === null || confidence === undefined)) {
+    throw new Error(`Invalid annotation: project '${project.name}' requires a confidence for every annotation`);
+  }
+}
+
+/**
+ * Check that a new annotation uses a label from its project's vocabulary
+ * @param {Object} project - Project record
+ * @param {number} labelId - Label of the annotation
+ */
+function assertProjectLabel(project, labelId) {
+  if (!hasProjectLabel(project.project_id, labelId)) {
+    const label = queryOne('SELECT label_name FROM labels WHERE label_id = ?', [labelId]);
+    throw new Error(`Invalid annotation: label '${label ? label.label_name : labelId}' is not in the vocabulary of project '${project.name}'`);
+  }
+}
+
+/**
+ * Add a label to a project's vocabulary
+ * Labels used on a project's images are added automatically by a trigger; this covers labels created up front.
+ * @param {number} projectId - Project ID
+ * @param {number} labelId - Label ID
+ */
+function addProjectLabel(projectId, labelId) {
+  run('INSERT OR IGNORE INTO project_labels (project_id, label_id) VALUES (?, ?)', [projectId, labelId]);
+}
+
+/**
+ * Check whether a label is in a project's vocabulary
+ * @param {number} projectId - Project ID
+ * @param {number} labelId - Label ID
+ * @returns {boolean} True if the project uses the label
+ */
+function hasProjectLabel(projectId, labelId) {
+  return Boolean(queryOne('SELECT 1 FROM project_labels WHERE project_id = ? AND label_id = ?', [projectId, labelId]));
+}
+
+/**
+ * Remove a label from a project's vocabulary
+ * The label itself is kept for other projects. Labels still used on the project's images cannot be removed.
+ * @param {number} projectId - Project ID
+ * @param {number} labelId - Label ID
+ * @returns {boolean} True if removed, false if the label was not in the vocabulary
+ */
+function removeProjectLabel(projectId, labelId) {
+  const { count } = queryOne(`
+    SELECT COUNT(*) AS count FROM annotations a
+    JOIN images i ON i.image_id = a.image_id
+    WHERE i.project_id = ? AND a.label_id = ?
+  `, [projectId, labelId]);
+
+  if (count > 0) {
+    throw new Error(`Invalid project: the label is still used by ${count} annotations in this project`);
+  }
+
+  return run('DELETE FROM project_labels WHERE project_id = ? AND label_id = ?', [projectId, labelId]).changes > 0;
+}
+
+/**
+ * Move images to another project
+ * The labels of their annotations join the target project's vocabulary; the annotations are kept as they are.
+ * @param {Array<number>} imageIds - Images to move
+ * @param {number} projectId - Target project
+ * @returns {Promise<number>} Number of images moved
+ */
+async function moveImagesToProject(imageIds, projectId) {
+  try {
+    if (!Array.isArray(imageIds) || imageIds.length === 0 || !imageIds.every(Number.isInteger)) {
+      throw new Error('At least one valid image ID is required');
+    }
+
+    const project = await getProjectById(projectId);
+    if (!project) {
+      throw new Error(`Project not found: ${projectId}`);
+    }
+
+    const placeholders = imageIds.map(() => '?').join(', ');
+
+    return transaction(() => {
+      const moved = run(`
+        UPDATE images
+        SET project_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE image_id IN (${placeholders}) AND project_id != ?
+      `, [projectId, ...imageIds, projectId]).changes;
+
+      run(`
+        INSERT OR IGNORE INTO project_labels (project_id, label_id)
+        SELECT DISTINCT ?, label_id FROM annotations WHERE image_id IN (${placeholders})
+      `, [projectId, ...imageIds]);
+
+      return moved;
+    });
+  } catch (error) {
+    console.error('Error in moveImagesToProject:', error);
+    throw new Error(`Failed to move images: ${error.message}`);
+  }
+}
+
+/**
+ * Create a project
+ * @param {Object} projectData - { name, description, allowed_annotation_types, require_confidence }
+ * @param {string} [userEmail] - User creating the project
+ * @returns {Promise<Object>} Created project
+ */
+async function createProject(projectData, userEmail = null) {
+  try {
+    const fields = { ...normalizeProject(projectData || {}), created_by: userEmail, last_edited_by: userEmail };
+    const columns = Object.keys(fields);
+
+    const result = run(`
+      INSERT INTO projects (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `, columns.map(column => fields[column]));
+
+    return getProjectById(Number(result.lastID));
+  } catch (error) {
+    console.error('Error in createProject:', error);
+
+    if (error.message.includes('UNIQUE constraint failed')) {
+      throw new Error('Project with this name already exists');
+    }
+
+    throw new Error(`Failed to create project: ${error.message}`);
+  }
+}
+
+/**
+ * Update a project's name, description or settings
+ * Settings apply to annotations created afterwards; existing annotations are kept.
+ * @param {number} projectId - The project ID
+ * @param {Object} updateData - Fields to change
+ * @param {string} [userEmail] - User making the change
+ * @returns {Promise<Object|undefined>} Updated project or undefined if not found
+ */
+async function updateProject(projectId, updateData, userEmail = null) {
+  try {
+    if (!projectId || !Number.isInteger(projectId)) {
+      throw new Error('Valid project ID is required');
+    }
+
+    const fields = normalizeProject(updateData || {}, true);
+    if (Object.keys(fields).length === 0) {
+      throw new Error('Invalid project: no fields to update');
+    }
+
+    const columns = Object.keys(fields);
+    const result = run(`
+      UPDATE projects
+      SET ${columns.map(column => `${column} = ?`).join(', ')}, last_edited_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE project_id = ?
+    `, [...columns.map(column => fields[column]), userEmail, projectId]);
+
+    return result.changes > 0 ? getProjectById(projectId) : undefined;
+  } catch (error) {
+    console.error('Error in updateProject:', error);
+
+    if (error.message.includes('UNIQUE constraint failed')) {
+      throw new Error('Project with this name already exists');
+    }
+
+    throw new Error(`Failed to update project: ${error.message}`);
+  }
+}
+
+/**
+ * Delete an empty project with its vocabulary and saved searches
+ * The default project and projects that still have images cannot be deleted.
+ * @param {number} projectId - The project ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+async function deleteProject(projectId) {
+  try {
+    if (!projectId || !Number.isInteger(projectId)) {
+      throw new Error('Valid project ID is required');
+    }
+
+    if (projectId === DEFAULT_PROJECT_ID) {
+      throw new Error('Invalid project: the default project cannot be deleted');
+    }
+
+    const project = await getProjectById(projectId);
+    if (!project) {
+      return false;
+    }
+
+    if (project.image_count > 0) {
+      throw new Error(`Invalid project: '${project.name}' still has ${project.image_count} images`);
+    }
+
+    return transaction(() => {
+      run('DELETE FROM saved_searches WHERE project_id = ?', [projectId]);
+      return run('DELETE FROM projects WHERE project_id = ?', [projectId]).changes > 0;
+    });
+  } catch (error) {
+    console.error('Error in deleteProject:', error);
+    throw new Error(`Failed to delete project: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROJECT_ID,
+  getAllProjects,
+  getProjectById,
+  resolveProjectScope,
+  getProjectErrorStatus,
+  getImageProject,
+  assertAnnotationAllowed,
+  assertProjectLabel,
+  addProjectLabel,
+  hasProjectLabel,
+  removeProjectLabel,
+  moveImagesToProject,
+  createProject,
+  updateProject,
+  deleteProject
+};
@@ -0,0 +1,421 @@
+/**
+ * Annotations Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify image-level, bounding-box, polygon, mask and keypoint annotation handling,
+ * and attribute values checked against the label's attribute schema
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Annotations Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'annotations_test.db');
+
+  let annotations;
+  let imageId;
+  let labelId;
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    annotations = require('../annotations');
+
+    const { run } = require('../../database/connection');
+    imageId = run(
+      'INSERT INTO images (filename, original_name, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?)',
+      ['regions-test.jpg', 'regions-test.jpg', '/uploads/regions-test.jpg', 1000, 'image/jpeg']
+    ).lastID;
+    labelId = run('INSERT INTO labels (label_name) VALUES (?)', ['region-test-label']).lastID;
+    run('INSERT INTO project_labels (project_id, label_id) VALUES (1, ?)', [labelId]);
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('createAnnotation() with regions', function() {
+    it('should create an image-level annotation without a region', async function() {
+      const result = await annotations.createAnnotation(imageId, labelId, 0.9, 'tester@example.com');
+
+      expect(result).to.have.property('annotation_id');
+      expect(result.bbox_x).to.be.null;
+      expect(result.created_by).to.equal('tester@example.com');
+    });
+
+    it('should reject a duplicate image-level annotation', async function() {
+      try {
+        await annotations.createAnnotation(imageId, labelId, 0.5);
+        throw new Error('Should have thrown duplicate error');
+      } catch (error) {
+        expect(error.message).to.include('already exists');
+      }
+    });
+
+    it('should allow multiple regions with the same label on one image', async function() {
+      const first = await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', {
+        x: 0.1, y: 0.1, width: 0.2, height: 0.3
+      });
+      const second = await annotations.createAnnotation(imageId, labelId, 0.8, 'tester@example.com', {
+        x: 0.5, y: 0.4, width: 0.5, height: 0.6
+      });
+
+      expect(first.annotation_id).to.not.equal(second.annotation_id);
+      expect(first).to.include({ bbox_x: 0.1, bbox_y: 0.1, bbox_width: 0.2, bbox_height: 0.3 });
+      expect(second).to.include({ bbox_x: 0.5, bbox_y: 0.4, bbox_width: 0.5, bbox_height: 0.6 });
+
+      const all = await annotations.getAnnotationsByImage(imageId);
+      expect(all.filter(a => a.bbox_x !== null)).to.have.lengthOf(2);
+    });
+
+    it('should reject regions outside the image bounds', async function() {
+      try {
+        await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', {
+          x: 0.8, y: 0.1, width: 0.5, height: 0.2
+        });
+        throw new Error('Should have thrown region error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid region');
+      }
+    });
+  });
+
+  describe('updateAnnotation() and deleteAnnotationById()', function() {
+    let regionAnnotation;
+
+    before(async function() {
+      regionAnnotation = await annotations.createAnnotation(imageId, labelId, 0.7, 'tester@example.com', {
+        x: 0, y: 0, width: 0.25, height: 0.25
+      });
+    });
+
+    it('should move and resize a region', async function() {
+      const updated = await annotations.updateAnnotation(regionAnnotation.annotation_id, {
+        region: { x: 0.25, y: 0.5, width: 0.5, height: 0.5 }
+      }, 'editor@example.com');
+
+      expect(updated).to.include({ bbox_x: 0.25, bbox_y: 0.5, bbox_width: 0.5, bbox_height: 0.5 });
+      expect(updated.confidence).to.equal(0.7);
+      expect(updated.last_edited_by).to.equal('editor@example.com');
+    });
+
+    it('should return undefined when updating a missing annotation', async function() {
+      const updated = await annotations.updateAnnotation(999999, { confidence: 0.5 });
+      expect(updated).to.be.undefined;
+    });
+
+    it('should delete only the targeted region', async function() {
+      const before = await annotations.getAnnotationsByImage(imageId);
+      const deleted = await annotations.deleteAnnotationById(regionAnnotation.annotation_id);
+      const after = await annotations.getAnnotationsByImage(imageId);
+
+      expect(deleted).to.be.true;
+      expect(after).to.have.lengthOf(before.length - 1);
+      expect(await annotations.getAnnotationById(regionAnnotation.annotation_id)).to.be.undefined;
+    });
+  });
+
+  describe('resolveAnnotationImage()', function() {
+    it('should take the image from the annotation and reject a different image ID', async function() {
+      const annotation = await annotations.createAnnotation(imageId, labelId, 0.5, 'test@example.com', { x: 0.5, y: 0.5, width: 0.1, height: 0.1 });
+
+      expect(annotations.resolveAnnotationImage(undefined, annotation.annotation_id)).to.equal(imageId);
+      expect(annotations.resolveAnnotationImage(String(imageId), annotation.annotation_id)).to.equal(imageId);
+      expect(annotations.resolveAnnotationImage(imageId, 999999)).to.be.undefined;
+      expect(annotations.resolveAnnotationImage(imageId + 1000, undefined)).to.equal(imageId + 1000);
+      expect(() => annotations.resolveAnnotationImage(imageId + 1000, annotation.annotation_id))
+        .to.throw(`Invalid annotation: annotation ${annotation.annotation_id} does not belong to image ${imageId + 1000}`);
+    });
+  });
+
+  describe('polygon and mask shapes', function() {
+    let polygonAnnotation;
+
+    it('should store a polygon with its geometry and derived bounding box', async function() {
+      polygonAnnotation = await annotations.createAnnotation(imageId, labelId, 0.9, 'tester@example.com', null, {
+        type: 'polygon',
+        geometry: { points: [[0.2, 0.1], [0.6, 0.3], [0.3, 0.7]] }
+      });
+
+      expect(polygonAnnotation.shape_type).to.equal('polygon');
+      expect(polygonAnnotation.geometry).to.deep.equal({ points: [[0.2, 0.1], [0.6, 0.3], [0.3, 0.7]] });
+      expect(polygonAnnotation.bbox_x).to.be.closeTo(0.2, 1e-9);
+      expect(polygonAnnotation.bbox_y).to.be.closeTo(0.1, 1e-9);
+      expect(polygonAnnotation.bbox_width).to.be.closeTo(0.4, 1e-9);
+      expect(polygonAnnotation.bbox_height).to.be.closeTo(0.6, 1e-9);
+    });
+
+    it('should reject polygons with fewer than 3 points', async function() {
+      try {
+        await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', null, {
+          type: 'polygon',
+          geometry: { points: [[0.1, 0.1], [0.2, 0.2]] }
+        });
+        throw new Error('Should have thrown geometry error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid geometry');
+      }
+    });
+
+    it('should reject polygons that enclose no area', async function() {
+      for (const points of [
+        [[0.1, 0.5], [0.5, 0.5], [0.9, 0.5]],
+        [[0.1, 0.1], [0.5, 0.5], [0.9, 0.9]],
+        [[0.3, 0.3], [0.3, 0.3], [0.3, 0.3]]
+      ]) {
+        try {
+          await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', null, {
+            type: 'polygon',
+            geometry: { points }
+          });
+          throw new Error('Should have thrown geometry error');
+        } catch (error) {
+          expect(error.message).to.include('Invalid geometry: Polygon must enclose a non-zero area');
+        }
+      }
+    });
+
+    it('should move a polygon vertex and recompute the bounding box', async function() {
+      const updated = await annotations.updateAnnotation(polygonAnnotation.annotation_id, {
+        geometry: { points: [[0.2, 0.1], [0.9, 0.3], [0.3, 0.7]] }
+      }, 'editor@example.com');
+
+      expect(updated.geometry.points[1]).to.deep.equal([0.9, 0.3]);
+      expect(updated.bbox_width).to.be.closeTo(0.7, 1e-9);
+    });
+
+    it('should not resize a polygon through its region', async function() {
+      try {
+        await annotations.updateAnnotation(polygonAnnotation.annotation_id, {
+          region: { x: 0, y: 0, width: 0.5, height: 0.5 }
+        });
+        throw new Error('Should have thrown region error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid region');
+      }
+    });
+
+    it('should store an RLE mask and derive its bounding box', async function() {
+      // 4x4 mask, column-major: column 1 rows 1-2 and column 2 rows 1-2 are foreground
+      const mask = await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', null, {
+        type: 'mask',
+        geometry: { size: [4, 4], counts: [5, 2, 2, 2, 5] }
+      });
+
+      expect(mask.shape_type).to.equal('mask');
+      expect(mask).to.include({ bbox_x: 0.25, bbox_y: 0.25, bbox_width: 0.5, bbox_height: 0.5 });
+
+      const stored = await annotations.getAnnotationsByImage(imageId);
+      expect(stored.find(a => a.annotation_id === mask.annotation_id).geometry)
+        .to.deep.equal({ size: [4, 4], counts: [5, 2, 2, 2, 5] });
+    });
+
+    it('should reject masks whose counts do not cover the image', async function() {
+      try {
+        await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', null, {
+          type: 'mask',
+          geometry: { size: [4, 4], counts: [5, 2] }
+        });
+        throw new Error('Should have thrown geometry error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid geometry');
+      }
+    });
+  });
+
+  describe('keypoint templates and poses', function() {
+    const template = {
+      keypoints: ['head', 'left_hand', 'right_hand'],
+      skeleton: [[1, 2], [1, 3]]
+    };
+    let labels;
+    let poseLabel;
+
+    before(async function() {
+      labels = require('../labels');
+      poseLabel = await labels.createLabel({ label_name: 'pose-test', keypoint_template: template });
+    });
+
+    it('should store and return the keypoint template on the label', async function() {
+      expect(poseLabel.keypoint_template).to.deep.equal(template);
+
+      const fetched = await labels.getLabelByName('pose-test');
+      expect(fetched.keypoint_template).to.deep.equal(template);
+    });
+
+    it('should reject templates whose skeleton references unknown keypoints', async function() {
+      try {
+        await labels.createLabel({
+          label_name: 'bad-pose-test',
+          keypoint_template: { keypoints: ['a', 'b'], skeleton: [[1, 3]] }
+        });
+        throw new Error('Should have thrown template error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid keypoint template');
+      }
+    });
+
+    it('should store keypoints with visibility flags and a derived bounding box', async function() {
+      const pose = await annotations.createAnnotation(imageId, poseLabel.label_id, 1.0, 'tester@example.com', null, {
+        type: 'keypoints',
+        geometry: { points: [[0.5, 0.2, 2], [0.3, 0.6, 1], [0, 0, 0]] }
+      });
+
+      expect(pose.shape_type).to.equal('keypoints');
+      expect(pose.geometry.points[2]).to.deep.equal([0, 0, 0]);
+      expect(pose).to.include({ bbox_x: 0.3, bbox_y: 0.2 });
+
+      const stored = await annotations.getAnnotationById(pose.annotation_id);
+      expect(stored.keypoint_template).to.deep.equal(template);
+    });
+
+    it('should reject keypoints that do not match the template', async function() {
+      try {
+        await annotations.createAnnotation(imageId, poseLabel.label_id, 1.0, 'tester@example.com', null, {
+          type: 'keypoints',
+          geometry: { points: [[0.5, 0.2, 2]] }
+        });
+        throw new Error('Should have thrown geometry error');
+      } catch (error) {
+        expect(error.message).to.include('exactly 3 points');
+      }
+    });
+
+    it('should reject keypoints on a label without a template', async function() {
+      try {
+        await annotations.createAnnotation(imageId, labelId, 1.0, 'tester@example.com', null, {
+          type: 'keypoints',
+          geometry: { points: [[0.5, 0.2, 2]] }
+        });
+        throw new Error('Should have thrown geometry error');
+      } catch (error) {
+        expect(error.message).to.include('keypoint template');
+      }
+    });
+
+    it('should not change the keypoint count while poses use the template', async function() {
+      try {
+        await labels.updateLabel(poseLabel.label_id, {
+          label_name: 'pose-test',
+          keypoint_template: { keypoints: ['head'], skeleton: [] }
+        });
+        throw new Error('Should have thrown template error');
+      } catch (error) {
+        expect(error.message).to.include('must keep 3 keypoints');
+      }
+    });
+  });
+
+  describe('label attributes', function() {
+    const schema = [
+      { name: 'occluded', type: 'boolean' },
+      { name: 'color', type: 'enum', values: ['red', 'blue'] },
+      { name: 'count', type: 'integer' }
+    ];
+    let labels;
+    let attributeLabel;
+
+    before(async function() {
+      labels = require('../labels');
+      attributeLabel = await labels.createLabel({ label_name: 'attribute-test', attribute_schema: schema });
+    });
+
+    it('should store and return the attribute schema on the label', async function() {
+      const label = await labels.getLabelByName('attribute-test');
+      expect(label.attribute_schema).to.deep.equal(schema);
+    });
+
+    it('should reject invalid attribute schemas', async function() {
+      try {
+        await labels.createLabel({
+          label_name: 'bad-attributes',
+          attribute_schema: [{ name: 'color', type: 'enum' }, { name: 'color', type: 'text' }]
+        });
+        throw new Error('Should have thrown attribute schema error');
+      } catch (error) {
+        expect(error.message).to.include('Invalid attribute schema');
+        expect(error.message).to.include('must list its values');
+        expect(error.message).to.include('defined more than once');
+      }
+    });
+
+    it('should store attribute values that fit the schema', async function() {
+      const annotation = await annotations.createAnnotation(
+        imageId, attributeLabel.label_id, 0.9, 'tester@example.com', { x: 0.1, y: 0.1, width: 0.2, height: 0.2 }, null,
+        { occluded: true, color: 'red' }
+      );
+
+      expect(annotation.attributes).to.deep.equal({ occluded: true, color: 'red' });
+
+      const updated = await annotations.updateAnnotation(annotation.annotation_id, { attributes: { count: 3 } }, 'editor@example.com');
+      expect(updated.attributes).to.deep.equal({ count: 3 });
+
+      const cleared = await annotations.updateAnnotation(annotation.annotation_id, { attributes: null }, 'editor@example.com');
+      expect(cleared.attributes).to.equal(null);
+    });
+
+    it('should reject unknown attributes and values of the wrong type', async function() {
+      for (const attributes of [{ truncated: true }, { occluded: 'yes' }, { color: 'green' }, { count: 1.5 }]) {
+        try {
+          await annotations.createAnnotation(imageId, attributeLabel.label_id, 0.9, 'tester@example.com', null, null, attributes);
+          throw new Error('Should have thrown attributes error');
+        } catch (error) {
+          expect(error.message).to.include('Invalid attributes');
+        }
+      }
+    });
+
+    it('should reject attributes on a label without a schema', async function() {
+      try {
+        await annotations.createAnnotation(imageId, labelId, 0.9, 'tester@example.com', { x: 0.5, y: 0.5, width: 0.1, height: 0.1 }, null, { occluded: true });
+        throw new Error('Should have thrown attributes error');
+      } catch (error) {
+        expect(error.message).to.include("Attribute 'occluded' is not defined for this label");
+      }
+    });
+
+    it('should not change the schema in a way existing values no longer fit', async function() {
+      await annotations.createAnnotation(imageId, attributeLabel.label_id, 0.9, 'tester@example.com', null, null, { color: 'blue' });
+
+      try {
+        await labels.updateLabel(attributeLabel.label_id, {
+          attribute_schema: [{ name: 'color', type: 'enum', values: ['red'] }]
+        });
+        throw new Error('Should have thrown attribute schema error');
+      } catch (error) {
+        expect(error.message).to.include('existing attribute values do not fit');
+      }
+
+      const widened = await labels.updateLabel(attributeLabel.label_id, {
+        attribute_schema: [...schema, { name: 'note', type: 'text' }]
+      });
+      expect(widened.attribute_schema).to.have.lengthOf(4);
+    });
+  });
+});
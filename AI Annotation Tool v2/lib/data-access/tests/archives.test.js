@@ -0,0 +1,250 @@
+/**
+ * Archive Ingestion Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify folder and sidecar labels, validation of archive entries and the import report
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createLocalStorage } = require('../../storage/local');
+const { resetStorage } = require('../../storage');
+
+/**
+ * Create a solid-colour JPEG
+ */
+function createJpeg(background) {
+  return sharp({ create: { width: 64, height: 48, channels: 3, background } }).jpeg().toBuffer();
+}
+
+describe('Archive Ingestion Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'archives_test.db');
+
+  let archivesAccess;
+  let generateZip;
+  let query;
+  let run;
+  let root;
+  let storage;
+  let red;
+  let green;
+  let blue;
+
+  /**
+   * Build a zip archive buffer from { name: content } pairs
+   */
+  async function zip(files) {
+    const chunks = [];
+    for await (const chunk of generateZip(Object.entries(files).map(([name, data]) => ({ name, data })))) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Get the label names of an image
+   */
+  function labelsOf(imageId) {
+    return query(`
+      SELECT l.label_name, a.confidence FROM annotations a
+      JOIN labels l ON a.label_id = l.label_id
+      WHERE a.image_id = ? ORDER BY l.label_name
+    `, [imageId]);
+  }
+
+  before(async function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-test-'));
+    storage = createLocalStorage({ root, folder: 'Annotations' });
+    resetStorage(storage);
+
+    archivesAccess = require('../archives');
+    ({ generateZip } = require('../../utils/zip'));
+    ({ query, run } = require('../../database/connection'));
+
+    red = await createJpeg('#cc3333');
+    green = await createJpeg('#33cc33');
+    blue = await createJpeg('#3333cc');
+  });
+
+  beforeEach(function() {
+    // Start from empty tables rather than the seeded sample data
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+    run("INSERT INTO labels (label_name) VALUES ('cat')");
+    run('INSERT OR IGNORE INTO project_labels (project_id, label_id) SELECT 1, label_id FROM labels');
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+    resetStorage();
+    fs.rmSync(root, { recursive: true, force: true });
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('parseLabelArchive()', function() {
+    it('should use folder names as labels, ignoring a folder that holds the whole archive', async function() {
+      const archive = await zip({
+        'vendor/cat/1.jpg': red,
+        'vendor/dog/2.jpg': green,
+        'vendor/3.jpg': blue
+      });
+
+      const { images } = archivesAccess.parseLabelArchive(archive);
+
+      expect(images.map(image => image.labels.map(label => label.name))).to.deep.equal([['cat'], ['dog'], []]);
+      expect(images[0]).to.include({ file_name: 'vendor/cat/1.jpg', mime_type: 'image/jpeg' });
+    });
+
+    it('should read JSON and text sidecars and let them override folder labels', async function() {
+      const archive = await zip({
+        'cat/1.jpg': red,
+        'cat/1.json': JSON.stringify({ labels: ['indoor', { name: 'cat', confidence: 0.7 }] }),
+        'dog/2.jpg': green,
+        'dog/2.jpg.txt': '# reviewed\nleash, 0.5\nbrown\n'
+      });
+
+      const { images } = archivesAccess.parseLabelArchive(archive);
+
+      expect(images[0].labels).to.deep.equal([{ name: 'cat', confidence: 0.7 }, { name: 'indoor', confidence: 1 }]);
+      expect(images[1].labels).to.deep.equal([
+        { name: 'dog', confidence: 1 },
+        { name: 'leash', confidence: 0.5 },
+        { name: 'brown', confidence: 1 }
+      ]);
+    });
+
+    it('should skip folder labels when folderLabels is false', async function() {
+      const archive = await zip({ 'cat/1.jpg': red, 'dog/2.jpg': green, 'dog/2.json': '["puppy"]' });
+
+      const { images } = archivesAccess.parseLabelArchive(archive, { folderLabels: false });
+
+      expect(images.map(image => image.labels.map(label => label.name))).to.deep.equal([[], ['puppy']]);
+    });
+
+    it('should report invalid sidecars, unmatched sidecars and ignore operating system files', async function() {
+      const archive = await zip({
+        'a.jpg': red,
+        'a.json': '{"labels": [{"name": "cat", "confidence": 3}]}',
+        'notes.txt': 'for review',
+        '__MACOSX/._a.jpg': 'x',
+        '.DS_Store': 'x'
+      });
+
+      const { images, ignored } = archivesAccess.parseLabelArchive(archive);
+
+      expect(images).to.have.length(1);
+      expect(images[0].error).to.include('Invalid sidecar a.json');
+      expect(ignored).to.deep.equal([{ file_name: 'notes.txt', reason: 'no matching image' }]);
+    });
+
+    it('should reject archives that are not zips or hold no images', async function() {
+      expect(() => archivesAccess.parseLabelArchive(Buffer.from('not a zip'))).to.throw('Invalid archive');
+      expect(() => archivesAccess.parseLabelArchive(Buffer.alloc(0))).to.throw('Invalid archive');
+
+      const archive = await zip({ 'labels.txt': 'cat' });
+      expect(() => archivesAccess.parseLabelArchive(archive)).to.throw('Invalid archive: no images found');
+    });
+  });
+
+  describe('importLabelArchive()', function() {
+    it('should store valid images with their labels and report the rest', async function() {
+      const archive = await zip({
+        'cat/1.jpg': red,
+        'bird/2.png.json': '["wing"]',
+        'dog/2.jpg': green,
+        'dog/readme.md': 'not an image',
+        'dog/empty.jpg': Buffer.alloc(0)
+      });
+
+      const report = await archivesAccess.importLabelArchive(archive, { userEmail: 'vendor@example.com' });
+
+      expect(report.format).to.equal('archive');
+      expect(report.summary.images).to.deep.equal({ created: 2, linked: 0, rejected: 0, skipped: 2, failed: 0 });
+      expect(report.summary.labels).to.deep.equal({ created: 1, existing: 1 });
+      expect(report.labels).to.deep.include({ name: 'dog', action: 'created', images: 1 });
+      expect(report.ignored).to.deep.equal([{ file_name: 'bird/2.png.json', reason: 'no matching image' }]);
+
+      const skipped = report.images.filter(image => image.action === 'skipped');
+      expect(skipped.map(image => image.reason)).to.deep.equal([
+        'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP',
+        'File is empty'
+      ]);
+
+      const cat = report.images.find(image => image.file_name === 'cat/1.jpg');
+      const stored = query('SELECT * FROM images WHERE image_id = ?', [cat.image_id])[0];
+      expect(stored).to.include({ original_name: '1.jpg', created_by: 'vendor@example.com' });
+      expect(await storage.exists(stored.file_path)).to.be.true;
+      expect(labelsOf(cat.image_id)).to.deep.equal([{ label_name: 'cat', confidence: 1 }]);
+    });
+
+    it('should skip images over the size limit without extracting them', async function() {
+      const archive = await zip({ 'cat/1.jpg': red, 'cat/huge.jpg': Buffer.alloc(11 * 1024 * 1024) });
+      expect(archive.length).to.be.below(100 * 1024);
+
+      const { images } = archivesAccess.parseLabelArchive(archive);
+      expect(images.find(image => image.file_name === 'cat/huge.jpg')).to.include({ data: null, size: 11 * 1024 * 1024 });
+
+      const report = await archivesAccess.importLabelArchive(archive, { dryRun: true });
+      expect(report.images.find(image => image.file_name === 'cat/huge.jpg')).to.include({
+        action: 'skipped',
+        reason: 'File size exceeds 10MB limit'
+      });
+    });
+
+    it('should apply the duplicate policy to images already in the library', async function() {
+      await archivesAccess.importLabelArchive(await zip({ 'cat/1.jpg': red, 'dog/2.jpg': green }));
+
+      const report = await archivesAccess.importLabelArchive(await zip({ 'pets/1.jpg': red, 'wild/2.jpg': blue }), {
+        duplicatePolicy: 'link'
+      });
+
+      expect(report.summary.images).to.include({ created: 1, linked: 1 });
+      const linked = report.images.find(image => image.action === 'linked');
+      expect(labelsOf(linked.duplicate.image_id).map(label => label.label_name)).to.deep.equal(['cat', 'pets']);
+    });
+
+    it('should not store anything in a dry run', async function() {
+      await archivesAccess.importLabelArchive(await zip({ 'cat/1.jpg': red }));
+
+      const report = await archivesAccess.importLabelArchive(await zip({ 'a/1.jpg': red, 'b/2.jpg': green }), {
+        dryRun: true,
+        duplicatePolicy: 'reject'
+      });
+
+      expect(report.dryRun).to.be.true;
+      expect(report.summary.images).to.include({ created: 1, rejected: 1 });
+      expect(query('SELECT * FROM images')).to.have.length(1);
+      expect(query("SELECT * FROM labels WHERE label_name IN ('a', 'b')")).to.have.length(0);
+    });
+  });
+});
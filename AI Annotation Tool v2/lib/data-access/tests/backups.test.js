@@ -0,0 +1,291 @@
+/**
+ * Backup Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify the JSON Lines backup, its validation and the restore merge strategies
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Backup Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'backups_test.db');
+
+  let backupsAccess;
+  let query;
+  let run;
+  let backupText;
+
+  const ANNOTATION_FIELDS = 'confidence, shape_type, geometry, bbox_x, bbox_y, bbox_width, bbox_height, created_at, created_by, last_edited_by, attributes';
+
+  /**
+   * Collect a generated backup into a single string
+   */
+  async function collect(generator) {
+    let text = '';
+    for await (const line of generator) {
+      text += line;
+    }
+    return text;
+  }
+
+  /**
+   * Parse and restore backup text, delivered in small chunks like an upload stream
+   */
+  async function restore(text, strategy) {
+    const chunks = text.match(/[\s\S]{1,64}/g).map(chunk => Buffer.from(chunk, 'utf8'));
+    const backup = await backupsAccess.parseJsonlBackup(chunks);
+    return backupsAccess.restoreJsonlBackup(backup, { strategy });
+  }
+
+  /**
+   * Read all annotations with their image file name and label name, without IDs
+   */
+  function snapshot() {
+    return query(`
+      SELECT i.filename, l.label_name, ${ANNOTATION_FIELDS.split(', ').map(field => `a.${field}`).join(', ')}
+      FROM annotations a
+      JOIN images i ON i.image_id = a.image_id
+      JOIN labels l ON l.label_id = a.label_id
+      ORDER BY i.filename, a.created_at, a.shape_type
+    `);
+  }
+
+  before(async function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    backupsAccess = require('../backups');
+    ({ query, run } = require('../../database/connection'));
+
+    // Start from empty tables rather than the seeded sample data
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+
+    const catId = run(`
+      INSERT INTO labels (label_name, label_description, attribute_schema, color, icon, hotkey, created_at)
+      VALUES ('cat', 'A cat', ?, '#ff8800', '🐱', 'c', '2024-01-01 08:00:00')
+    `, [JSON.stringify([{ name: 'occluded', type: 'boolean' }])]).lastID;
+    const personId = run('INSERT INTO labels (label_name, keypoint_template) VALUES (?, ?)', [
+      'person',
+      JSON.stringify({ keypoints: ['head', 'foot'], skeleton: [[1, 2]] })
+    ]).lastID;
+
+    const imageId = run(`
+      INSERT INTO images (filename, original_name, file_path, file_size, mime_type, uploaded_at, updated_at, created_by, last_edited_by, width, height, camera_model)
+      VALUES ('street.jpg', 'Street.JPG', '/uploads/street.jpg', 2048, 'image/jpeg', '2024-02-01 10:00:00', '2024-02-02 11:00:00', 'alice@example.com', 'bob@example.com', 640, 480, 'Pixel 8')
+    `).lastID;
+    run(`
+      INSERT INTO images (filename, original_name, file_path, file_size, mime_type, uploaded_at)
+      VALUES ('empty.png', 'empty.png', '/uploads/empty.png', 10, 'image/png', '2024-02-03 09:00:00')
+    `);
+
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, created_at, created_by, last_edited_by)
+      VALUES (?, ?, 0.75, '2024-02-01 10:05:00', 'alice@example.com', 'bob@example.com')
+    `, [imageId, catId]);
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, shape_type, bbox_x, bbox_y, bbox_width, bbox_height, created_at, created_by, attributes)
+      VALUES (?, ?, 0.5, 'bbox', 0.1, 0.2, 0.3, 0.4, '2024-02-01 10:06:00', 'alice@example.com', ?)
+    `, [imageId, catId, JSON.stringify({ occluded: true })]);
+    run(`
+      INSERT INTO annotations (image_id, label_id, shape_type, geometry, bbox_x, bbox_y, bbox_width, bbox_height, created_at)
+      VALUES (?, ?, 'keypoints', ?, 0.2, 0.2, 0.2, 0.6, '2024-02-01 10:07:00')
+    `, [imageId, personId, JSON.stringify({ points: [[0.3, 0.2, 2], [0.4, 0.8, 1]] })]);
+
+    backupText = await collect(backupsAccess.generateJsonlBackup());
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('generateJsonlBackup()', function() {
+    it('should start with the labels header record', function() {
+      const header = JSON.parse(backupText.split('\n')[0]);
+
+      expect(header).to.include({ type: 'labels', version: 1 });
+      expect(header.labels.map(label => label.label_name)).to.deep.equal(['cat', 'person']);
+      expect(header.labels[0]).to.include({ label_description: 'A cat', color: '#ff8800', icon: '🐱', hotkey: 'c', created_at: '2024-01-01 08:00:00' });
+      expect(header.labels[1].keypoint_template).to.deep.equal({ keypoints: ['head', 'foot'], skeleton: [[1, 2]] });
+      expect(header.labels[0].attribute_schema).to.deep.equal([{ name: 'occluded', type: 'boolean' }]);
+    });
+
+    it('should write one record per image with nested annotations and audit fields', function() {
+      const records = backupText.trim().split('\n').slice(1).map(line => JSON.parse(line));
+      expect(records).to.have.lengthOf(2);
+
+      const [street, empty] = records;
+      expect(street).to.include({
+        type: 'image',
+        filename: 'street.jpg',
+        original_name: 'Street.JPG',
+        updated_at: '2024-02-02 11:00:00',
+        created_by: 'alice@example.com',
+        last_edited_by: 'bob@example.com'
+      });
+      expect(street.annotations).to.have.lengthOf(3);
+      expect(street.annotations[0]).to.include({ label_name: 'cat', confidence: 0.75, last_edited_by: 'bob@example.com' });
+      expect(street.annotations[0]).to.not.have.property('image_id');
+      expect(street.annotations[1].attributes).to.deep.equal({ occluded: true });
+      expect(street.annotations[2].geometry).to.deep.equal({ points: [[0.3, 0.2, 2], [0.4, 0.8, 1]] });
+      expect(empty.annotations).to.deep.equal([]);
+    });
+  });
+
+  describe('parseJsonlBackup()', function() {
+    it('should report invalid JSON with its line number', async function() {
+      const lines = backupText.trim().split('\n');
+      lines.splice(2, 0, '{"type": "image",');
+
+      try {
+        await backupsAccess.parseJsonlBackup([lines.join('\n')]);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid backup: line 3 is not valid JSON');
+      }
+    });
+
+    it('should reject annotations that refer to labels missing from the header', async function() {
+      const [header, ...images] = backupText.trim().split('\n').map(line => JSON.parse(line));
+      header.labels = header.labels.filter(label => label.label_name !== 'person');
+      const text = [header, ...images].map(record => JSON.stringify(record)).join('\n');
+
+      try {
+        await backupsAccess.parseJsonlBackup([text]);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid backup: line 2: annotation 3 refers to unknown label');
+      }
+    });
+
+    it('should reject attribute values that do not fit the label\'s attribute schema', async function() {
+      const [header, street, ...images] = backupText.trim().split('\n').map(line => JSON.parse(line));
+      street.annotations[1].attributes = { occluded: 'yes' };
+      const text = [header, street, ...images].map(record => JSON.stringify(record)).join('\n');
+
+      try {
+        await backupsAccess.parseJsonlBackup([text]);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include("annotation 2 of 'street.jpg': Attribute 'occluded' must be true or false");
+      }
+    });
+
+    it('should require the labels header record first', async function() {
+      const imageLine = backupText.split('\n')[1];
+
+      try {
+        await backupsAccess.parseJsonlBackup([imageLine]);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('labels header record');
+      }
+    });
+  });
+
+  describe('restoreJsonlBackup()', function() {
+    it('should restore everything losslessly with new IDs', async function() {
+      const before = snapshot();
+      const images = query('SELECT filename, original_name, file_path, file_size, mime_type, uploaded_at, updated_at, created_by, last_edited_by, width, height, camera_model FROM images ORDER BY filename');
+
+      run('DELETE FROM annotations');
+      run('DELETE FROM images');
+      run('DELETE FROM labels');
+      // Occupy the old IDs so restored records cannot keep them by accident
+      run("INSERT INTO labels (label_name) VALUES ('unrelated')");
+
+      const report = await restore(backupText, 'skip');
+
+      expect(report.summary.labels).to.include({ created: 2 });
+      expect(report.summary.images).to.include({ created: 2 });
+      expect(report.summary.annotations).to.deep.equal({ created: 3, skipped: 0 });
+      expect(report.labels.every(label => label.label_id !== label.backup_id)).to.be.true;
+      expect(snapshot()).to.deep.equal(before);
+      expect(query("SELECT color, icon, hotkey FROM labels WHERE label_name = 'cat'")).to.deep.equal([{ color: '#ff8800', icon: '🐱', hotkey: 'c' }]);
+      expect(query('SELECT filename, original_name, file_path, file_size, mime_type, uploaded_at, updated_at, created_by, last_edited_by, width, height, camera_model FROM images ORDER BY filename')).to.deep.equal(images);
+    });
+
+    it('should leave existing images untouched with the skip strategy', async function() {
+      run("UPDATE images SET file_path = '/moved/street.jpg' WHERE filename = 'street.jpg'");
+
+      const report = await restore(backupText, 'skip');
+
+      expect(report.summary.labels.existing).to.equal(2);
+      expect(report.summary.images.skipped).to.equal(2);
+      expect(report.summary.annotations).to.deep.equal({ created: 0, skipped: 3 });
+      expect(query('SELECT COUNT(*) AS count FROM annotations')[0].count).to.equal(3);
+      expect(query("SELECT file_path FROM images WHERE filename = 'street.jpg'")[0].file_path).to.equal('/moved/street.jpg');
+    });
+
+    it('should replace existing images and their annotations with the overwrite strategy', async function() {
+      const before = snapshot();
+      run("DELETE FROM annotations WHERE shape_type = 'bbox'");
+      run("UPDATE labels SET label_description = 'Changed' WHERE label_name = 'cat'");
+
+      const report = await restore(backupText, 'overwrite');
+
+      expect(report.summary.labels.overwritten).to.equal(1);
+      expect(report.summary.images.overwritten).to.equal(2);
+      expect(snapshot()).to.deep.equal(before);
+      expect(query("SELECT file_path FROM images WHERE filename = 'street.jpg'")[0].file_path).to.equal('/uploads/street.jpg');
+      expect(query("SELECT label_description FROM labels WHERE label_name = 'cat'")[0].label_description).to.equal('A cat');
+    });
+
+    it('should keep existing records and add renamed copies with the rename strategy', async function() {
+      run("UPDATE labels SET label_description = 'Changed' WHERE label_name = 'cat'");
+
+      const report = await restore(backupText, 'rename');
+
+      expect(report.labels.find(label => label.action === 'renamed')).to.include({ name: 'cat_2' });
+      expect(report.images.map(image => image.filename)).to.deep.equal(['street_2.jpg', 'empty_2.png']);
+      expect(query("SELECT COUNT(*) AS count FROM annotations a JOIN images i ON i.image_id = a.image_id WHERE i.filename = 'street_2.jpg'")[0].count).to.equal(3);
+      expect(query("SELECT COUNT(*) AS count FROM annotations a JOIN labels l ON l.label_id = a.label_id WHERE l.label_name = 'cat_2'")[0].count).to.equal(2);
+    });
+
+    it('should restore onto labels that were renamed since the backup', async function() {
+      run("UPDATE labels SET label_name = 'Feline' WHERE label_name = 'cat'");
+      run("INSERT INTO label_aliases (alias, label_id) SELECT 'cat', label_id FROM labels WHERE label_name = 'Feline'");
+
+      const report = await restore(backupText, 'skip');
+
+      expect(report.labels.find(label => label.name === 'cat').action).to.equal('existing');
+      expect(query("SELECT COUNT(*) AS count FROM labels WHERE label_name = 'cat'")[0].count).to.equal(0);
+    });
+
+    it('should reject unknown strategies', async function() {
+      try {
+        await restore(backupText, 'merge');
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include("Unsupported merge strategy 'merge'");
+      }
+    });
+  });
+});
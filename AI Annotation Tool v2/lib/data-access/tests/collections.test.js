@@ -0,0 +1,223 @@
+/**
+ * Collections Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify saving, validating, updating and deleting collections and their live image counts
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Collections Data Access Layer Tests', function() {
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'collections_test.db');
+
+  let collectionsAccess;
+  let run;
+
+  /**
+   * Insert an image with image-level labels
+   */
+  function addImage(filename, labels = []) {
+    const imageId = run(
+      'INSERT INTO images (filename, original_name, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?)',
+      [filename, filename, `/uploads/${filename}`, 1000, 'image/jpeg']
+    ).lastID;
+
+    for (const [labelName, confidence] of labels) {
+      run('INSERT OR IGNORE INTO labels (label_name) VALUES (?)', [labelName]);
+      run(
+        'INSERT INTO annotations (image_id, label_id, confidence) SELECT ?, label_id, ? FROM labels WHERE label_name = ?',
+        [imageId, confidence, labelName]
+      );
+    }
+
+    return imageId;
+  }
+
+  /**
+   * Get the message of the error thrown by an async call
+   */
+  async function errorOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error.message;
+    }
+    throw new Error('Expected the call to fail');
+  }
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    collectionsAccess = require('../collections');
+    ({ run } = require('../../database/connection'));
+  });
+
+  beforeEach(function() {
+    // Start from empty tables rather than the seeded sample data
+    run('DELETE FROM saved_searches');
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+
+    addImage('beach-cat.jpg', [['cat', 0.9]]);
+    addImage('sofa-cat.jpg', [['cat', 0.4], ['indoor', 1]]);
+    addImage('beach-dog.jpg', [['dog', 0.8]]);
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('createCollection()', function() {
+    it('should save trimmed filters with the creator and the current image count', async function() {
+      const collection = await collectionsAccess.createCollection({
+        name: '  Confident cats ',
+        label: 'cat',
+        query: 'NOT confidence<0.5',
+        search: '  '
+      }, 'alice@example.com');
+
+      expect(collection).to.include({
+        name: 'Confident cats',
+        description: null,
+        search: null,
+        label: 'cat',
+        query: 'NOT confidence<0.5',
+        created_by: 'alice@example.com',
+        image_count: 1
+      });
+    });
+
+    it('should require a name and at least one filter', async function() {
+      expect(await errorOf(collectionsAccess.createCollection({ label: 'cat' })))
+        .to.include('Invalid collection: name is required');
+      expect(await errorOf(collectionsAccess.createCollection({ name: 'Everything', search: ' ' })))
+        .to.include('Invalid collection: at least one of search, label or query is required');
+    });
+
+    it('should reject queries that do not parse and duplicate names', async function() {
+      expect(await errorOf(collectionsAccess.createCollection({ name: 'Broken', query: 'label:cat AND' })))
+        .to.include('Invalid query: expected a term but found end of query at column 14');
+
+      await collectionsAccess.createCollection({ name: 'Cats', label: 'cat' });
+      expect(await errorOf(collectionsAccess.createCollection({ name: 'Cats', label: 'dog' })))
+        .to.include('Collection with this name already exists');
+    });
+  });
+
+  describe('getAllCollections()', function() {
+    it('should list collections by name with counts that follow the library', async function() {
+      await collectionsAccess.createCollection({ name: 'beach', search: 'beach' });
+      await collectionsAccess.createCollection({ name: 'Animals', query: 'label:cat OR label:dog' });
+
+      let collections = await collectionsAccess.getAllCollections();
+      expect(collections.map(collection => [collection.name, collection.image_count])).to.deep.equal([
+        ['Animals', 3],
+        ['beach', 2]
+      ]);
+
+      addImage('beach-ball.jpg');
+      run("DELETE FROM images WHERE filename = 'beach-dog.jpg'");
+
+      collections = await collectionsAccess.getAllCollections();
+      expect(collections.map(collection => collection.image_count)).to.deep.equal([2, 2]);
+    });
+
+    it('should list and count only the collections and images of a project', async function() {
+      const projectId = run("INSERT INTO projects (name) VALUES ('Pets')").lastID;
+      run("UPDATE images SET project_id = ? WHERE filename = 'sofa-cat.jpg'", [projectId]);
+
+      try {
+        await collectionsAccess.createCollection({ name: 'Cats', label: 'cat' });
+        await collectionsAccess.createCollection({ name: 'Pet cats', label: 'cat' }, null, projectId);
+
+        const defaultCollections = await collectionsAccess.getAllCollections(1);
+        const petCollections = await collectionsAccess.getAllCollections(projectId);
+
+        expect(defaultCollections.map(collection => [collection.name, collection.image_count])).to.deep.equal([['Cats', 1]]);
+        expect(petCollections.map(collection => [collection.name, collection.image_count])).to.deep.equal([['Pet cats', 1]]);
+        expect(await collectionsAccess.getAllCollections()).to.have.lengthOf(2);
+      } finally {
+        run('DELETE FROM saved_searches');
+        run('UPDATE images SET project_id = 1 WHERE project_id = ?', [projectId]);
+        run('DELETE FROM projects WHERE project_id = ?', [projectId]);
+      }
+    });
+  });
+
+  describe('updateCollection()', function() {
+    it('should change only the given fields and record the editor', async function() {
+      const created = await collectionsAccess.createCollection({ name: 'Cats', label: 'cat' }, 'alice@example.com');
+
+      const updated = await collectionsAccess.updateCollection(created.saved_search_id, {
+        name: 'Indoor cats',
+        query: 'label:indoor'
+      }, 'bob@example.com');
+
+      expect(updated).to.include({
+        name: 'Indoor cats',
+        label: 'cat',
+        query: 'label:indoor',
+        created_by: 'alice@example.com',
+        last_edited_by: 'bob@example.com',
+        image_count: 1
+      });
+    });
+
+    it('should not clear the last filter and return undefined for unknown collections', async function() {
+      const created = await collectionsAccess.createCollection({ name: 'Cats', label: 'cat' });
+
+      expect(await errorOf(collectionsAccess.updateCollection(created.saved_search_id, { label: '' })))
+        .to.include('at least one of search, label or query is required');
+      expect(await collectionsAccess.updateCollection(created.saved_search_id + 1, { name: 'Other' })).to.be.undefined;
+    });
+  });
+
+  describe('deleteCollection()', function() {
+    it('should delete the collection but keep its images', async function() {
+      const created = await collectionsAccess.createCollection({ name: 'Cats', label: 'cat' });
+
+      expect(await collectionsAccess.deleteCollection(created.saved_search_id)).to.be.true;
+      expect(await collectionsAccess.deleteCollection(created.saved_search_id)).to.be.false;
+      expect(await collectionsAccess.getCollectionById(created.saved_search_id)).to.be.undefined;
+      expect(run('DELETE FROM images').changes).to.equal(3);
+    });
+  });
+
+  describe('resolveCollectionScope()', function() {
+    it('should tell a missing parameter, an unknown collection and an invalid ID apart', async function() {
+      const created = await collectionsAccess.createCollection({ name: 'Cats', label: 'cat' });
+
+      expect(await collectionsAccess.resolveCollectionScope(null)).to.be.undefined;
+      expect(await collectionsAccess.resolveCollectionScope(String(created.saved_search_id)))
+        .to.include({ name: 'Cats', image_count: 2 });
+      expect(await collectionsAccess.resolveCollectionScope('999')).to.be.null;
+      expect(await errorOf(collectionsAccess.resolveCollectionScope('abc'))).to.equal('Invalid collection ID: abc');
+    });
+  });
+});
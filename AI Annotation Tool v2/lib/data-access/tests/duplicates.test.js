@@ -0,0 +1,198 @@
+/**
+ * Duplicate Detection Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify duplicate lookup for uploads, the grouped report and merging duplicates with their annotations
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Duplicate Detection Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'duplicates_test.db');
+
+  const CONTENT_A = 'a'.repeat(64);
+
+  let duplicatesAccess;
+  let query;
+  let queryOne;
+  let run;
+  let ids;
+  let catId;
+  let dogId;
+
+  /**
+   * Insert an image with the given hashes
+   */
+  function insertImage(filename, contentHash, perceptualHash) {
+    return run(`
+      INSERT INTO images (filename, original_name, file_path, file_size, mime_type, content_hash, perceptual_hash)
+      VALUES (?, ?, ?, 100, 'image/jpeg', ?, ?)
+    `, [filename, filename, `/uploads/${filename}`, contentHash, perceptualHash]).lastID;
+  }
+
+  /**
+   * Insert an annotation; shapes are given as { shape_type, bbox: [x, y, width, height] }
+   */
+  function annotate(imageId, labelId, confidence, shape = {}) {
+    const [x, y, width, height] = shape.bbox || [null, null, null, null];
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, shape_type, bbox_x, bbox_y, bbox_width, bbox_height)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [imageId, labelId, confidence, shape.shape_type || 'label', x, y, width, height]);
+  }
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    duplicatesAccess = require('../duplicates');
+    ({ query, queryOne, run } = require('../../database/connection'));
+  });
+
+  beforeEach(function() {
+    // Start from empty tables rather than the seeded sample data
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+
+    catId = run("INSERT INTO labels (label_name) VALUES ('cat')").lastID;
+    dogId = run("INSERT INTO labels (label_name) VALUES ('dog')").lastID;
+
+    ids = {
+      original: insertImage('original.jpg', CONTENT_A, '0000000000000000'),
+      copy: insertImage('copy.jpg', CONTENT_A, '0000000000000000'),
+      resized: insertImage('resized.jpg', 'c'.repeat(64), '0000000000000007'),
+      other: insertImage('other.jpg', 'd'.repeat(64), 'ffffffffffffffff'),
+      unhashed: insertImage('unhashed.jpg', null, null)
+    };
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('findDuplicatesOf()', function() {
+    it('should list exact matches first, then similar images by distance', async function() {
+      const matches = await duplicatesAccess.findDuplicatesOf({ content_hash: CONTENT_A, perceptual_hash: '0000000000000001' }, { threshold: 6 });
+
+      expect(matches.map(match => [match.image_id, match.match, match.distance])).to.deep.equal([
+        [ids.original, 'exact', 0],
+        [ids.copy, 'exact', 0],
+        [ids.resized, 'similar', 2]
+      ]);
+    });
+
+    it('should leave out images beyond the threshold', async function() {
+      const matches = await duplicatesAccess.findDuplicatesOf({ content_hash: 'e'.repeat(64), perceptual_hash: '0000000000000001' }, { threshold: 1 });
+
+      expect(matches.map(match => match.image_id)).to.deep.equal([ids.original, ids.copy]);
+      expect(matches.every(match => match.match === 'similar')).to.equal(true);
+    });
+
+    it('should reject thresholds outside 0-32', async function() {
+      try {
+        await duplicatesAccess.findDuplicatesOf({ content_hash: CONTENT_A }, { threshold: 40 });
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('Threshold must be an integer between 0 and 32');
+      }
+    });
+  });
+
+  describe('findDuplicateGroups()', function() {
+    it('should group exact and near duplicates and count unhashed images', async function() {
+      const report = await duplicatesAccess.findDuplicateGroups({ threshold: 6 });
+
+      expect(report.threshold).to.equal(6);
+      expect(report.groups).to.have.length(1);
+      expect(report.groups[0].images.map(image => image.image_id)).to.deep.equal([ids.original, ids.copy, ids.resized]);
+      expect(report.groups[0]).to.include({ exact: false, max_distance: 3 });
+      expect(report.hashed_images).to.equal(4);
+      expect(report.unhashed_images).to.equal(1);
+    });
+
+    it('should only group identical files at threshold 0', async function() {
+      const report = await duplicatesAccess.findDuplicateGroups({ threshold: 0 });
+
+      expect(report.groups).to.have.length(1);
+      expect(report.groups[0].images.map(image => image.image_id)).to.deep.equal([ids.original, ids.copy]);
+      expect(report.groups[0]).to.include({ exact: true, max_distance: 0 });
+    });
+  });
+
+  describe('mergeDuplicateImages()', function() {
+    it('should move annotations, combine labels and delete the merged images', async function() {
+      annotate(ids.original, catId, 0.6);
+      annotate(ids.original, catId, 0.9, { shape_type: 'bbox', bbox: [0.1, 0.1, 0.2, 0.2] });
+      annotate(ids.copy, catId, 0.8);
+      annotate(ids.copy, catId, 0.9, { shape_type: 'bbox', bbox: [0.1, 0.1, 0.2, 0.2] });
+      annotate(ids.resized, dogId, 0.7);
+      annotate(ids.resized, dogId, 0.5, { shape_type: 'bbox', bbox: [0.5, 0.5, 0.1, 0.1] });
+
+      const result = await duplicatesAccess.mergeDuplicateImages(ids.original, [ids.copy, ids.resized], { userEmail: 'curator@example.com' });
+
+      expect(result.merged.map(image => image.file_path)).to.deep.equal(['/uploads/copy.jpg', '/uploads/resized.jpg']);
+      expect(result.annotations).to.deep.equal({ moved: 2, combined: 1, skipped: 1 });
+
+      const annotations = query('SELECT label_id, confidence, shape_type FROM annotations WHERE image_id = ? ORDER BY annotation_id', [ids.original]);
+      expect(annotations).to.deep.equal([
+        { label_id: catId, confidence: 0.8, shape_type: 'label' },
+        { label_id: catId, confidence: 0.9, shape_type: 'bbox' },
+        { label_id: dogId, confidence: 0.7, shape_type: 'label' },
+        { label_id: dogId, confidence: 0.5, shape_type: 'bbox' }
+      ]);
+
+      expect(queryOne('SELECT COUNT(*) AS count FROM images WHERE image_id IN (?, ?)', [ids.copy, ids.resized]).count).to.equal(0);
+      expect(queryOne('SELECT last_edited_by FROM images WHERE image_id = ?', [ids.original]).last_edited_by).to.equal('curator@example.com');
+    });
+
+    it('should leave everything unchanged when an image is missing', async function() {
+      annotate(ids.copy, catId, 0.8);
+
+      try {
+        await duplicatesAccess.mergeDuplicateImages(ids.original, [ids.copy, 99999]);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('Image 99999 not found');
+      }
+
+      expect(queryOne('SELECT COUNT(*) AS count FROM annotations WHERE image_id = ?', [ids.copy]).count).to.equal(1);
+      expect(queryOne('SELECT image_id FROM images WHERE image_id = ?', [ids.copy])).to.not.equal(undefined);
+    });
+
+    it('should refuse to merge an image into itself', async function() {
+      try {
+        await duplicatesAccess.mergeDuplicateImages(ids.original, [ids.original]);
+        expect.fail('Expected an error');
+      } catch (error) {
+        expect(error.message).to.include('cannot be merged into itself');
+      }
+    });
+  });
+});
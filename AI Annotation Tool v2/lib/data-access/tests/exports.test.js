@@ -0,0 +1,348 @@
+/**
+ * Export Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify the COCO dataset builder, the YOLO/VOC archive entries, the export filters
+ * and the label attributes carried by every format
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Export Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'exports_test.db');
+
+  let exportsAccess;
+  let catImageId;
+  let roadImageId;
+  let catLabelId;
+  let roadLabelId;
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    exportsAccess = require('../exports');
+
+    // Start from empty tables rather than the seeded sample data
+    const { run } = require('../../database/connection');
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+
+    catImageId = run(
+      'INSERT INTO images (filename, original_name, file_path, file_size, mime_type, uploaded_at) VALUES (?, ?, ?, ?, ?, ?)',
+      ['cat.jpg', 'cat.jpg', '/missing/cat.jpg', 1000, 'image/jpeg', '2024-01-10 09:00:00']
+    ).lastID;
+    roadImageId = run(
+      'INSERT INTO images (filename, original_name, file_path, file_size, mime_type, uploaded_at) VALUES (?, ?, ?, ?, ?, ?)',
+      ['road.jpg', 'road.jpg', '/missing/road.jpg', 1000, 'image/jpeg', '2024-03-05 18:30:00']
+    ).lastID;
+    catLabelId = run('INSERT INTO labels (label_name) VALUES (?)', ['cat']).lastID;
+    roadLabelId = run('INSERT INTO labels (label_name, keypoint_template) VALUES (?, ?)', [
+      'road',
+      JSON.stringify({ keypoints: ['start', 'end'], skeleton: [[1, 2]] })
+    ]).lastID;
+
+    // The road image has a 4x8 mask, which also provides its pixel size
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, shape_type, geometry, bbox_x, bbox_y, bbox_width, bbox_height)
+      VALUES (?, ?, ?, 'mask', ?, 0.25, 0.25, 0.5, 0.5)
+    `, [roadImageId, roadLabelId, 0.9, JSON.stringify({ size: [4, 8], counts: [9, 2, 2, 2, 17] })]);
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, shape_type, geometry, bbox_x, bbox_y, bbox_width, bbox_height)
+      VALUES (?, ?, ?, 'polygon', ?, 0, 0, 0.5, 0.5)
+    `, [roadImageId, roadLabelId, 0.8, JSON.stringify({ points: [[0, 0], [0.5, 0], [0, 0.5]] })]);
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, shape_type, geometry, bbox_x, bbox_y, bbox_width, bbox_height)
+      VALUES (?, ?, ?, 'keypoints', ?, 0.25, 0.5, 0.5, 0.25)
+    `, [roadImageId, roadLabelId, 1.0, JSON.stringify({ points: [[0.25, 0.5, 2], [0.75, 0.75, 1]] })]);
+
+    // The cat image has no known size, so its box cannot be converted to pixels
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, shape_type, bbox_x, bbox_y, bbox_width, bbox_height)
+      VALUES (?, ?, ?, 'bbox', 0.1, 0.1, 0.2, 0.2)
+    `, [catImageId, catLabelId, 0.75]);
+    run('INSERT INTO annotations (image_id, label_id, confidence) VALUES (?, ?, ?)', [roadImageId, catLabelId, 0.5]);
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('buildCocoDataset()', function() {
+    let dataset;
+
+    before(async function() {
+      dataset = await exportsAccess.buildCocoDataset();
+    });
+
+    it('should produce the COCO top-level sections', function() {
+      expect(dataset).to.have.all.keys('info', 'licenses', 'images', 'categories', 'annotations');
+      expect(dataset.images).to.have.lengthOf(1);
+    });
+
+    it('should map labels to categories including keypoint templates', function() {
+      const road = dataset.categories.find(category => category.id === roadLabelId);
+      expect(road).to.include({ name: 'road', supercategory: 'none' });
+      expect(road.keypoints).to.deep.equal(['start', 'end']);
+      expect(road.skeleton).to.deep.equal([[1, 2]]);
+      expect(dataset.categories.find(category => category.id === catLabelId)).to.not.have.property('keypoints');
+    });
+
+    it('should convert shapes to pixel coordinates with confidence as score', function() {
+      const road = dataset.images.find(image => image.id === roadImageId);
+      expect(road).to.include({ width: 8, height: 4 });
+
+      const polygon = dataset.annotations.find(a => Array.isArray(a.segmentation) && a.segmentation.length > 0);
+      expect(polygon.segmentation).to.deep.equal([[0, 0, 4, 0, 0, 2]]);
+      expect(polygon.area).to.equal(4);
+      expect(polygon.score).to.equal(0.8);
+
+      const mask = dataset.annotations.find(a => a.iscrowd === 1);
+      expect(mask.segmentation).to.deep.equal({ size: [4, 8], counts: [9, 2, 2, 2, 17] });
+      expect(mask.area).to.equal(4);
+      expect(mask.bbox).to.deep.equal([2, 1, 4, 2]);
+
+      const pose = dataset.annotations.find(a => a.keypoints);
+      expect(pose.keypoints).to.deep.equal([2, 2, 2, 6, 3, 1]);
+      expect(pose.num_keypoints).to.equal(2);
+    });
+
+    it('should skip image-level labels, and images without dimensions with their annotations', function() {
+      expect(dataset.annotations).to.have.lengthOf(3);
+      expect(dataset.annotations.every(a => a.image_id === roadImageId)).to.be.true;
+      expect(dataset.images.map(image => image.id)).to.deep.equal([roadImageId]);
+      expect(dataset.info.warnings[0]).to.include(String(catImageId));
+    });
+  });
+
+  /**
+   * Collect the entries produced by an archive generator into a name -> text map
+   */
+  async function collectEntries(generator) {
+    const entries = {};
+    for await (const entry of generator) {
+      entries[entry.name] = Buffer.isBuffer(entry.data) ? entry.data.toString('utf8') : entry.data;
+    }
+    return entries;
+  }
+
+  describe('generateYoloEntries()', function() {
+    let entries;
+
+    before(async function() {
+      entries = await collectEntries(exportsAccess.generateYoloEntries());
+    });
+
+    it('should list classes in label ID order', function() {
+      expect(entries['classes.txt']).to.equal('cat\nroad\n');
+    });
+
+    it('should write normalized boxes with class indexes for every region shape', function() {
+      expect(entries['labels/cat.txt']).to.equal('0 0.200000 0.200000 0.200000 0.200000\n');
+
+      const roadLines = entries['labels/road.txt'].trim().split('\n');
+      expect(roadLines).to.deep.equal([
+        '1 0.500000 0.500000 0.500000 0.500000',
+        '1 0.250000 0.250000 0.500000 0.500000',
+        '1 0.500000 0.625000 0.500000 0.250000'
+      ]);
+    });
+
+    it('should report images that could not be included', async function() {
+      const withImages = await collectEntries(exportsAccess.generateYoloEntries({}, { includeImages: true }));
+
+      expect(Object.keys(withImages).some(name => name.startsWith('images/'))).to.be.false;
+      expect(withImages['export_warnings.txt']).to.include('/missing/cat.jpg');
+    });
+  });
+
+  describe('generateVocEntries()', function() {
+    let entries;
+
+    before(async function() {
+      entries = await collectEntries(exportsAccess.generateVocEntries());
+    });
+
+    it('should write a label map and image set', function() {
+      expect(entries['labels.txt']).to.equal('cat\nroad\n');
+      expect(entries['ImageSets/Main/default.txt']).to.equal('cat\nroad\n');
+    });
+
+    it('should write pixel boxes for images with known dimensions', function() {
+      const xml = entries['Annotations/road.xml'];
+
+      expect(xml).to.include('<filename>road.jpg</filename>');
+      expect(xml).to.include('<width>8</width>');
+      expect(xml).to.include('<height>4</height>');
+      expect(xml.match(/<object>/g)).to.have.lengthOf(3);
+      expect(xml).to.include('<xmin>2</xmin>');
+      expect(xml).to.include('<ymax>3</ymax>');
+    });
+
+    it('should omit objects and warn when dimensions are unknown', function() {
+      expect(entries['Annotations/cat.xml']).to.not.include('<object>');
+      expect(entries['export_warnings.txt']).to.include(`image ${catImageId}`);
+    });
+  });
+
+  describe('parseExportFilters()', function() {
+    /**
+     * Parse the filters of an export request with the given query string
+     */
+    function parse(queryString) {
+      return exportsAccess.parseExportFilters(new Request(`http://localhost/api/export/coco?${queryString}`));
+    }
+
+    it('should read labels, upload dates and the project from the query string', async function() {
+      const filters = await parse('label=road&labels=cat,%20dog&from=2024-01-01&to=2024-03-05&project=1');
+
+      expect(filters).to.deep.equal({ labels: ['road', 'cat', 'dog'], from: '2024-01-01', to: '2024-03-05', collection: undefined, projectId: 1 });
+    });
+
+    it('should reject invalid dates, projects and collections with their HTTP status', async function() {
+      const statusOf = async queryString => {
+        try {
+          await parse(queryString);
+        } catch (error) {
+          return exportsAccess.getExportErrorStatus(error);
+        }
+        expect.fail(`Expected ${queryString} to be rejected`);
+      };
+
+      expect(await statusOf('from=yesterday')).to.equal(400);
+      expect(await statusOf('project=abc')).to.equal(400);
+      expect(await statusOf('project=999')).to.equal(404);
+      expect(await statusOf('collection=abc')).to.equal(400);
+      expect(await statusOf('collection=999')).to.equal(404);
+      expect(exportsAccess.getExportErrorStatus(new Error('Failed to build COCO dataset'))).to.be.undefined;
+    });
+  });
+
+  describe('export filters', function() {
+    it('should filter images and annotations by label', async function() {
+      const dataset = await exportsAccess.buildCocoDataset({ labels: ['cat'] });
+      const images = await exportsAccess.getExportImages({ labels: ['cat'] });
+
+      expect(dataset.categories.map(category => category.name)).to.deep.equal(['cat']);
+      expect(images.map(image => image.image_id)).to.have.members([catImageId, roadImageId]);
+      expect(dataset.annotations).to.have.lengthOf(0);
+    });
+
+    it('should filter images by upload date', async function() {
+      const images = await exportsAccess.getExportImages({ from: '2024-02-01', to: '2024-03-05' });
+
+      expect(images.map(image => image.image_id)).to.deep.equal([roadImageId]);
+    });
+
+    it('should limit images to a collection', async function() {
+      const images = await exportsAccess.getExportImages({ collection: { label: 'cat', query: 'NOT confidence<0.6' } });
+
+      expect(images.map(image => image.image_id)).to.deep.equal([catImageId]);
+    });
+
+    it('should limit images and categories to a project', async function() {
+      const { run } = require('../../database/connection');
+      const projectId = run("INSERT INTO projects (name) VALUES ('Roads')").lastID;
+      run('UPDATE images SET project_id = ? WHERE image_id = ?', [projectId, roadImageId]);
+      run('INSERT INTO project_labels (project_id, label_id) VALUES (?, ?), (?, ?)', [projectId, roadLabelId, projectId, catLabelId]);
+      run('UPDATE images SET width = 10, height = 10 WHERE image_id = ?', [catImageId]);
+
+      try {
+        const roads = await exportsAccess.buildCocoDataset({ projectId });
+        const cats = await exportsAccess.buildCocoDataset({ projectId: 1 });
+
+        expect(roads.images.map(image => image.id)).to.deep.equal([roadImageId]);
+        expect(roads.categories.map(category => category.name)).to.have.members(['cat', 'road']);
+        expect(cats.images.map(image => image.id)).to.deep.equal([catImageId]);
+        expect(cats.annotations.every(annotation => annotation.image_id === catImageId)).to.equal(true);
+      } finally {
+        run('UPDATE images SET project_id = 1 WHERE image_id = ?', [roadImageId]);
+        run('UPDATE images SET width = NULL, height = NULL WHERE image_id = ?', [catImageId]);
+        run('DELETE FROM projects WHERE project_id = ?', [projectId]);
+      }
+    });
+  });
+
+  describe('label attributes', function() {
+    const roadSchema = [{ name: 'surface', type: 'enum', values: ['asphalt', 'gravel'] }];
+    const catSchema = [{ name: 'occluded', type: 'boolean' }];
+
+    before(function() {
+      const { run } = require('../../database/connection');
+      run('UPDATE labels SET attribute_schema = ? WHERE label_id = ?', [JSON.stringify(roadSchema), roadLabelId]);
+      run('UPDATE labels SET attribute_schema = ? WHERE label_id = ?', [JSON.stringify(catSchema), catLabelId]);
+      run(`UPDATE annotations SET attributes = ? WHERE image_id = ? AND shape_type = 'polygon'`, [
+        JSON.stringify({ surface: 'gravel' }),
+        roadImageId
+      ]);
+      run(`UPDATE annotations SET attributes = ? WHERE image_id = ? AND shape_type = 'label'`, [
+        JSON.stringify({ occluded: true }),
+        roadImageId
+      ]);
+    });
+
+    after(function() {
+      const { run } = require('../../database/connection');
+      run('UPDATE labels SET attribute_schema = NULL');
+      run('UPDATE annotations SET attributes = NULL');
+    });
+
+    it('should add attribute values to COCO annotations and images, and schemas to categories', async function() {
+      const dataset = await exportsAccess.buildCocoDataset();
+      const polygon = dataset.annotations.find(annotation => annotation.image_id === roadImageId && Array.isArray(annotation.segmentation) &&
+        annotation.segmentation.length > 0);
+
+      expect(polygon.attributes).to.deep.equal({ surface: 'gravel' });
+      expect(dataset.images.find(image => image.id === roadImageId).attributes).to.deep.equal({ cat: { occluded: true } });
+      expect(dataset.images.filter(image => image.attributes).map(image => image.id)).to.deep.equal([roadImageId]);
+      expect(dataset.categories.find(category => category.id === roadLabelId).attributes).to.deep.equal(roadSchema);
+    });
+
+    it('should write a YOLO attribute file aligned with the label file lines', async function() {
+      const entries = await collectEntries(exportsAccess.generateYoloEntries());
+
+      expect(JSON.parse(entries['attributes/road.json'])).to.deep.equal({
+        labels: { cat: { occluded: true } },
+        objects: [null, { surface: 'gravel' }, null]
+      });
+      expect(entries).to.not.have.property('attributes/cat.json');
+    });
+
+    it('should write VOC attributes for objects and image-level labels', async function() {
+      const entries = await collectEntries(exportsAccess.generateVocEntries());
+      const xml = entries['Annotations/road.xml'];
+
+      expect(xml.match(/<object>/g)).to.have.lengthOf(3);
+      expect(xml).to.include('<name>surface</name>\n        <value>gravel</value>');
+      expect(xml).to.include('<labels>\n    <label>\n      <name>cat</name>');
+      expect(xml).to.include('<name>occluded</name>\n          <value>true</value>');
+    });
+  });
+});
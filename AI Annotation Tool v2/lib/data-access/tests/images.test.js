@@ -138,6 +138,221 @@ describe('Images Data Access Layer Tests', function() {
     });
   });
 
+  describe('listImages() Function', function() {
+    let images;
+    let run;
+    let ids;
+
+    /**
+     * Insert an image uploaded at the given time
+     */
+    function insertImage(filename, uploadedAt) {
+      return run(`
+        INSERT INTO images (filename, original_name, file_path, file_size, mime_type, uploaded_at)
+        VALUES (?, ?, ?, 100, 'image/jpeg', ?)
+      `, [filename, filename, `/uploads/${filename}`, uploadedAt]).lastID;
+    }
+
+    beforeEach(function() {
+      images = require('../images');
+      ({ run } = require('../../database/connection'));
+
+      run('DELETE FROM annotations');
+      run('DELETE FROM images');
+      run('DELETE FROM labels');
+
+      // Two images share an upload time, so the image ID breaks the tie
+      ids = {
+        oldest: insertImage('street-1.jpg', '2024-01-01 10:00:00'),
+        tieLow: insertImage('park-1.jpg', '2024-01-02 10:00:00'),
+        tieHigh: insertImage('street-2.jpg', '2024-01-02 10:00:00'),
+        newest: insertImage('park-2.jpg', '2024-01-03 10:00:00'),
+        unknown: insertImage('street-3.jpg', null)
+      };
+
+      const catId = run("INSERT INTO labels (label_name) VALUES ('cat')").lastID;
+      run('INSERT INTO annotations (image_id, label_id, confidence) VALUES (?, ?, 0.9)', [ids.tieHigh, catId]);
+      run('INSERT INTO annotations (image_id, label_id, confidence) VALUES (?, ?, 0.8)', [ids.oldest, catId]);
+    });
+
+    it('should return one page with counts computed in SQL', async function() {
+      const result = await images.listImages({ page: 2, limit: 2 });
+
+      expect(result.images.map(image => image.image_id)).to.deep.equal([ids.tieLow, ids.oldest]);
+      expect(result.images[1]).to.include({ id: ids.oldest, label_count: 1 });
+      expect(result.images[1].labels).to.deep.equal(['cat']);
+      expect(result.images[1].confidences).to.deep.equal([0.8]);
+      expect(result.pagination).to.deep.include({
+        page: 2,
+        limit: 2,
+        totalImages: 5,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPrevPage: true
+      });
+    });
+
+    it('should list each label once however many regions of it an image has', async function() {
+      const dogId = run("INSERT INTO labels (label_name) VALUES ('dog')").lastID;
+      for (const [x, confidence] of [[0, 0.6], [0.2, 0.95], [0.4, 0.7]]) {
+        run(`
+          INSERT INTO annotations (image_id, label_id, confidence, shape_type, bbox_x, bbox_y, bbox_width, bbox_height)
+          VALUES (?, ?, ?, 'bbox', ?, 0, 0.1, 0.1)
+        `, [ids.newest, dogId, confidence, x]);
+      }
+
+      const result = await images.listImages({ limit: 1 });
+
+      expect(result.images[0]).to.include({ id: ids.newest, label_count: 1 });
+      expect(result.images[0].labels).to.deep.equal(['dog']);
+      expect(result.images[0].confidences).to.deep.equal([0.95]);
+    });
+
+    it('should filter by file name and label', async function() {
+      const bySearch = await images.listImages({ search: 'street' });
+      expect(bySearch.images.map(image => image.image_id)).to.have.members([ids.tieHigh, ids.oldest, ids.unknown]);
+      expect(bySearch.pagination.totalImages).to.equal(3);
+
+      const byLabel = await images.listImages({ search: 'street', label: 'cat', limit: 1 });
+      expect(byLabel.images.map(image => image.image_id)).to.deep.equal([ids.tieHigh]);
+      expect(byLabel.pagination).to.include({ totalImages: 2, totalPages: 2, hasNextPage: true });
+    });
+
+    it('should filter by the aliases and case variants of a label', async function() {
+      run("INSERT INTO label_aliases (alias, label_id) SELECT 'kitty', label_id FROM labels WHERE label_name = 'cat'");
+      const idsOf = async options => (await images.listImages(options)).images.map(image => image.image_id);
+
+      for (const options of [{ label: 'kitty' }, { label: 'CAT' }, { q: 'label:kitty' }, { q: 'label:Cat' }]) {
+        expect(await idsOf(options), JSON.stringify(options)).to.deep.equal([ids.tieHigh, ids.oldest]);
+      }
+      expect(await idsOf({ label: 'kitten' })).to.be.empty;
+    });
+
+    it('should walk every image exactly once with cursors', async function() {
+      const seen = [];
+      let result = await images.listImages({ limit: 2 });
+      seen.push(...result.images.map(image => image.image_id));
+
+      while (result.pagination.nextCursor) {
+        result = await images.listImages({ limit: 2, cursor: result.pagination.nextCursor });
+        expect(result.pagination.page).to.be.null;
+        expect(result.pagination.hasPrevPage).to.be.true;
+        seen.push(...result.images.map(image => image.image_id));
+      }
+
+      expect(seen).to.deep.equal([ids.newest, ids.tieHigh, ids.tieLow, ids.oldest, ids.unknown]);
+      expect(result.pagination).to.include({ hasNextPage: false, nextCursor: null, totalImages: 5 });
+    });
+
+    it('should reject a malformed cursor', async function() {
+      try {
+        await images.listImages({ cursor: 'not-a-cursor' });
+        expect.fail('Expected listImages to throw');
+      } catch (error) {
+        expect(error.message).to.include('Invalid cursor');
+      }
+    });
+
+    it('should search label names and descriptions with prefix matching', async function() {
+      run("UPDATE labels SET label_description = 'Small domesticated feline' WHERE label_name = 'cat'");
+
+      const byDescription = await images.listImages({ search: 'domestic fel' });
+      expect(byDescription.images.map(image => image.image_id)).to.have.members([ids.tieHigh, ids.oldest]);
+
+      const byPrefix = await images.listImages({ search: 'ca' });
+      expect(byPrefix.pagination.totalImages).to.equal(2);
+
+      const byNothing = await images.listImages({ search: '"*' });
+      expect(byNothing.images).to.be.empty;
+    });
+
+    it('should rank name matches above label matches', async function() {
+      const parkId = run("INSERT INTO labels (label_name) VALUES ('park')").lastID;
+      run('INSERT INTO annotations (image_id, label_id) VALUES (?, ?)', [ids.oldest, parkId]);
+
+      const result = await images.listImages({ search: 'park' });
+
+      expect(result.images.map(image => image.image_id)).to.deep.equal([ids.newest, ids.tieLow, ids.oldest]);
+      expect(result.images[0].search_rank).to.be.below(result.images[2].search_rank);
+    });
+
+    it('should keep the search index in sync with images, labels and annotations', async function() {
+      run("UPDATE labels SET label_name = 'kitten' WHERE label_name = 'cat'");
+      run("UPDATE images SET original_name = 'harbour.jpg' WHERE image_id = ?", [ids.newest]);
+      run('DELETE FROM annotations WHERE image_id = ?', [ids.oldest]);
+
+      const byLabel = await images.listImages({ search: 'kitten' });
+      expect(byLabel.images.map(image => image.image_id)).to.deep.equal([ids.tieHigh]);
+      expect((await images.listImages({ search: 'cat' })).images).to.be.empty;
+      expect((await images.listImages({ search: 'harbour' })).images.map(image => image.image_id)).to.deep.equal([ids.newest]);
+
+      run('DELETE FROM images WHERE image_id = ?', [ids.tieHigh]);
+      expect((await images.listImages({ search: 'kitten' })).images).to.be.empty;
+    });
+
+    it('should filter with the query language', async function() {
+      const dogId = run("INSERT INTO labels (label_name) VALUES ('dog')").lastID;
+      run('INSERT INTO annotations (image_id, label_id, confidence) VALUES (?, ?, 0.5)', [ids.tieHigh, dogId]);
+      const idsOf = async q => (await images.listImages({ q })).images.map(image => image.image_id);
+
+      expect(await idsOf('label:cat AND NOT label:dog AND confidence<0.85')).to.deep.equal([ids.oldest]);
+      expect(await idsOf('uploaded:>2024-01-01')).to.deep.equal([ids.newest, ids.tieHigh, ids.tieLow]);
+      expect(await idsOf('NOT uploaded:>2024-01-01')).to.deep.equal([ids.oldest, ids.unknown]);
+      expect(await idsOf('(park OR label:dog) name:2')).to.deep.equal([ids.newest, ids.tieHigh]);
+
+      const combined = await images.listImages({ q: 'confidence<=0.9', label: 'dog' });
+      expect(combined.pagination.totalImages).to.equal(1);
+
+      try {
+        await images.listImages({ q: 'label:cat AND' });
+        expect.fail('Expected listImages to throw');
+      } catch (error) {
+        expect(error.message).to.include('Invalid query: expected a term');
+      }
+    });
+
+    it('should filter on label attribute values with the query language', async function() {
+      const carId = run(`INSERT INTO labels (label_name, attribute_schema) VALUES ('car', ?)`, [
+        JSON.stringify([{ name: 'occluded', type: 'boolean' }, { name: 'count', type: 'integer' }, { name: 'color', type: 'text' }])
+      ]).lastID;
+      run('INSERT INTO annotations (image_id, label_id, attributes) VALUES (?, ?, ?)', [
+        ids.tieLow, carId, JSON.stringify({ occluded: true, count: 3, color: 'red' })
+      ]);
+      run('INSERT INTO annotations (image_id, label_id, attributes) VALUES (?, ?, ?)', [
+        ids.newest, carId, JSON.stringify({ occluded: false, count: 1 })
+      ]);
+      const idsOf = async q => (await images.listImages({ q })).images.map(image => image.image_id);
+
+      expect(await idsOf('attr.occluded:true')).to.deep.equal([ids.tieLow]);
+      expect(await idsOf('attr.occluded:false')).to.deep.equal([ids.newest]);
+      expect(await idsOf('attr.count>=1 AND NOT attr.color:red')).to.deep.equal([ids.newest]);
+      expect(await idsOf('attr.count>5')).to.deep.equal([]);
+    });
+
+    it('should walk search results with cursors', async function() {
+      const seen = [];
+      let result = await images.listImages({ search: 'jpg', limit: 2 });
+      seen.push(...result.images.map(image => image.image_id));
+
+      while (result.pagination.nextCursor) {
+        result = await images.listImages({ search: 'jpg', limit: 2, cursor: result.pagination.nextCursor });
+        seen.push(...result.images.map(image => image.image_id));
+      }
+
+      expect(seen).to.have.members(Object.values(ids));
+      expect(seen).to.have.length(5);
+
+      // A cursor of the unfiltered listing does not fit the ranked order
+      const listing = await images.listImages({ limit: 2 });
+      try {
+        await images.listImages({ search: 'jpg', cursor: listing.pagination.nextCursor });
+        expect.fail('Expected listImages to throw');
+      } catch (error) {
+        expect(error.message).to.include('Invalid cursor');
+      }
+    });
+  });
+
   describe('getImageById() Function', function() {
     let images;
     let testImageId;
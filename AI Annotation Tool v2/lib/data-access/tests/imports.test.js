@@ -0,0 +1,249 @@
+/**
+ * Import Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify COCO, YOLO and VOC parsing and the dry-run/apply import plan
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Import Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'imports_test.db');
+
+  let importsAccess;
+  let generateZip;
+  let query;
+  let run;
+  let streetImageId;
+
+  /**
+   * Build a zip archive buffer from { name: content } pairs
+   */
+  async function zip(files) {
+    const chunks = [];
+    for await (const chunk of generateZip(Object.entries(files).map(([name, data]) => ({ name, data })))) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  const cocoDataset = {
+    images: [
+      { id: 1, file_name: 'street.jpg', width: 200, height: 100 },
+      { id: 2, file_name: 'park.jpg', width: 100, height: 100, coco_url: 'https://example.com/park.jpg' },
+      { id: 3, file_name: 'unknown.jpg', width: 100, height: 100 }
+    ],
+    categories: [
+      { id: 1, name: 'car' },
+      { id: 2, name: 'person', keypoints: ['head', 'foot'], skeleton: [[1, 2]] }
+    ],
+    annotations: [
+      { id: 10, image_id: 1, category_id: 1, bbox: [20, 10, 40, 20], score: 0.9 },
+      { id: 11, image_id: 1, category_id: 1, bbox: [0, 0, 100, 50], segmentation: [[0, 0, 100, 0, 100, 50]] },
+      { id: 12, image_id: 2, category_id: 2, bbox: [10, 10, 50, 80], keypoints: [20, 20, 2, 30, 90, 1], num_keypoints: 2 },
+      { id: 13, image_id: 2, category_id: 99, bbox: [0, 0, 10, 10] },
+      { id: 14, image_id: 3, category_id: 1, bbox: [0, 0, 10, 10] }
+    ]
+  };
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    importsAccess = require('../imports');
+    ({ generateZip } = require('../../utils/zip'));
+    ({ query, run } = require('../../database/connection'));
+  });
+
+  beforeEach(function() {
+    // Start from empty tables rather than the seeded sample data
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+
+    streetImageId = run(
+      'INSERT INTO images (filename, original_name, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?)',
+      ['1700000000_street.jpg', 'street.jpg', 'https://example.com/street.jpg', 1000, 'image/jpeg']
+    ).lastID;
+    run('INSERT INTO labels (label_name) VALUES (?)', ['car']);
+    run('INSERT OR IGNORE INTO project_labels (project_id, label_id) SELECT 1, label_id FROM labels');
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('importDataset() with COCO', function() {
+    it('should preview the import without writing when dryRun is set', async function() {
+      const report = await importsAccess.importDataset(importsAccess.parseCocoDataset(JSON.stringify(cocoDataset)), { dryRun: true });
+
+      expect(report.dryRun).to.be.true;
+      expect(report.summary.labels).to.deep.equal({ created: 1, updated: 0, existing: 1, conflicted: 0 });
+      expect(report.summary.images).to.deep.equal({ created: 1, matched: 1, skipped: 1, conflicted: 0 });
+      expect(report.summary.annotations).to.deep.equal({ created: 3, skipped: 2, conflicted: 0 });
+
+      const street = report.images.find(image => image.file_name === 'street.jpg');
+      expect(street).to.include({ action: 'matched', image_id: streetImageId });
+
+      const park = report.images.find(image => image.file_name === 'park.jpg');
+      expect(park.issues[0].reason).to.include('unknown category_id 99');
+
+      expect(query('SELECT * FROM annotations')).to.have.lengthOf(0);
+      expect(query('SELECT * FROM labels')).to.have.lengthOf(1);
+    });
+
+    it('should create labels, images and normalized annotations', async function() {
+      await importsAccess.importDataset(importsAccess.parseCocoDataset(JSON.stringify(cocoDataset)), { userEmail: 'importer@example.com' });
+
+      const box = query("SELECT * FROM annotations WHERE shape_type = 'bbox'")[0];
+      expect(box).to.include({ image_id: streetImageId, confidence: 0.9, created_by: 'importer@example.com' });
+      expect([box.bbox_x, box.bbox_y, box.bbox_width, box.bbox_height]).to.deep.equal([0.1, 0.1, 0.2, 0.2]);
+
+      const polygon = query("SELECT * FROM annotations WHERE shape_type = 'polygon'")[0];
+      expect(JSON.parse(polygon.geometry).points).to.deep.equal([[0, 0], [0.5, 0], [0.5, 0.5]]);
+
+      const person = query("SELECT * FROM labels WHERE label_name = 'person'")[0];
+      expect(JSON.parse(person.keypoint_template).keypoints).to.deep.equal(['head', 'foot']);
+
+      const park = query("SELECT * FROM images WHERE original_name = 'park.jpg'")[0];
+      expect(park.file_path).to.equal('https://example.com/park.jpg');
+      const pose = query("SELECT * FROM annotations WHERE shape_type = 'keypoints'")[0];
+      expect(pose.image_id).to.equal(park.image_id);
+      expect(JSON.parse(pose.geometry).points).to.deep.equal([[0.2, 0.2, 2], [0.3, 0.9, 1]]);
+    });
+
+    it('should skip annotations that are already stored on a second import', async function() {
+      const dataset = importsAccess.parseCocoDataset(JSON.stringify(cocoDataset));
+      await importsAccess.importDataset(dataset);
+      const report = await importsAccess.importDataset(dataset, { dryRun: true });
+
+      expect(report.summary.images.matched).to.equal(2);
+      expect(report.summary.annotations.created).to.equal(0);
+    });
+
+    it('should report annotations whose label has a different keypoint template as conflicts', async function() {
+      run('INSERT INTO labels (label_name, keypoint_template) VALUES (?, ?)', [
+        'person',
+        JSON.stringify({ keypoints: ['a', 'b', 'c'], skeleton: [] })
+      ]);
+      run('INSERT OR IGNORE INTO project_labels (project_id, label_id) SELECT 1, label_id FROM labels');
+
+      const report = await importsAccess.importDataset(importsAccess.parseCocoDataset(JSON.stringify(cocoDataset)), { dryRun: true });
+
+      expect(report.labels.find(label => label.name === 'person').action).to.equal('conflicted');
+      expect(report.summary.annotations.conflicted).to.equal(1);
+    });
+
+    it('should map categories to existing labels through their aliases and case variants', async function() {
+      const carId = query("SELECT label_id FROM labels WHERE label_name = 'car'")[0].label_id;
+      run('INSERT INTO label_aliases (alias, label_id) VALUES (?, ?)', ['automobile', carId]);
+      run("INSERT INTO labels (label_name) VALUES ('Person')");
+      run('INSERT OR IGNORE INTO project_labels (project_id, label_id) SELECT 1, label_id FROM labels');
+
+      const dataset = JSON.parse(JSON.stringify(cocoDataset));
+      dataset.categories = [{ id: 1, name: 'Automobile' }, { id: 2, name: 'person' }];
+      const report = await importsAccess.importDataset(importsAccess.parseCocoDataset(JSON.stringify(dataset)));
+
+      expect(report.labels.map(label => label.action)).to.deep.equal(['existing', 'existing']);
+      expect(report.labels[0].label_id).to.equal(carId);
+      expect(query('SELECT label_name FROM labels ORDER BY label_name').map(label => label.label_name)).to.deep.equal(['Person', 'car']);
+      expect(query('SELECT DISTINCT label_id FROM annotations WHERE shape_type = \'bbox\'')).to.deep.equal([{ label_id: carId }]);
+    });
+
+    it('should reject files that are not COCO datasets', function() {
+      expect(() => importsAccess.parseCocoDataset('{"images": []}')).to.throw('Invalid dataset');
+      expect(() => importsAccess.parseCocoDataset('not json')).to.throw('Invalid dataset');
+    });
+  });
+
+  describe('importDataset() with YOLO', function() {
+    it('should match label files to images by name and convert boxes and polygons', async function() {
+      const archive = await zip({
+        'classes.txt': 'car\nbike\n',
+        'labels/street.txt': '0 0.5 0.5 0.2 0.4\n1 0.1 0.1 0.3 0.1 0.3 0.3\n',
+        'labels/missing.txt': '0 0.5 0.5 0.1 0.1\n'
+      });
+
+      const report = await importsAccess.importDataset(importsAccess.parseYoloArchive(archive));
+
+      expect(report.summary.images).to.deep.equal({ created: 0, matched: 1, skipped: 1, conflicted: 0 });
+      expect(report.summary.labels.created).to.equal(1);
+
+      const annotations = query('SELECT * FROM annotations WHERE image_id = ? ORDER BY annotation_id', [streetImageId]);
+      expect(annotations.map(annotation => annotation.shape_type)).to.deep.equal(['bbox', 'polygon']);
+      expect(annotations[0].bbox_x).to.be.closeTo(0.4, 1e-9);
+      expect(annotations[0].bbox_height).to.be.closeTo(0.4, 1e-9);
+    });
+
+    it('should read class names from data.yaml', async function() {
+      const archive = await zip({
+        'data.yaml': 'path: .\nnames:\n  0: car\n  1: bike\n',
+        'labels/street.txt': '1 0.5 0.5 0.2 0.2\n'
+      });
+
+      const dataset = importsAccess.parseYoloArchive(archive);
+      expect(dataset.categories.map(category => category.name)).to.deep.equal(['car', 'bike']);
+      expect(dataset.images[0].shapes[0].label).to.equal('bike');
+    });
+
+    it('should require a class list', async function() {
+      const archive = await zip({ 'labels/street.txt': '0 0.5 0.5 0.2 0.2\n' });
+
+      expect(() => importsAccess.parseYoloArchive(archive)).to.throw('Invalid dataset');
+    });
+  });
+
+  describe('importDataset() with VOC', function() {
+    const voc = `<?xml version="1.0"?>
+<annotation>
+  <filename>street.jpg</filename>
+  <size><width>200</width><height>100</height><depth>3</depth></size>
+  <object>
+    <name>car &amp; trailer</name>
+    <bndbox><xmin>20</xmin><ymin>10</ymin><xmax>60</xmax><ymax>30</ymax></bndbox>
+  </object>
+</annotation>`;
+
+    it('should import a single XML file', async function() {
+      const report = await importsAccess.importDataset(importsAccess.parseVocFiles(Buffer.from(voc), 'street.xml'));
+
+      expect(report.labels).to.deep.include({ name: 'car & trailer', label_id: report.labels[0].label_id, action: 'created' });
+      const box = query('SELECT * FROM annotations WHERE image_id = ?', [streetImageId])[0];
+      expect([box.bbox_x, box.bbox_y, box.bbox_width, box.bbox_height]).to.deep.equal([0.1, 0.1, 0.2, 0.2]);
+    });
+
+    it('should import the XML files of a zip archive', async function() {
+      const archive = await zip({ 'Annotations/street.xml': voc, 'labels.txt': 'car & trailer\n' });
+      const report = await importsAccess.importDataset(importsAccess.parseVocFiles(archive, 'voc.zip'), { dryRun: true });
+
+      expect(report.images).to.have.lengthOf(1);
+      expect(report.summary.annotations.created).to.equal(1);
+    });
+  });
+});
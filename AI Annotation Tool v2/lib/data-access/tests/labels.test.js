@@ -485,4 +485,263 @@ describe('Labels Data Access Layer Tests', function() {
       }
     });
   });
+  describe('Label taxonomy', function() {
+    let labels;
+    let run;
+    let vehicle;
+    let car;
+    let sedan;
+
+    /**
+     * Get the message of the error thrown by an async call
+     */
+    async function errorOf(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error.message;
+      }
+      throw new Error('Expected the call to fail');
+    }
+
+    before(async function() {
+      labels = require('../labels');
+      ({ run } = require('../../database/connection'));
+
+      vehicle = await labels.createLabel({ label_name: 'tax-vehicle' });
+      car = await labels.createLabel({ label_name: 'tax-car', parent_label_id: Number(vehicle.label_id) });
+      sedan = await labels.createLabel({ label_name: 'tax-sedan', parent_label_id: Number(car.label_id) });
+    });
+
+    it('should create labels below a parent', function() {
+      expect(car.parent_label_id).to.equal(Number(vehicle.label_id));
+      expect(labels.getLabelSubtreeIds(Number(vehicle.label_id)))
+        .to.have.members([vehicle, car, sedan].map(label => Number(label.label_id)));
+    });
+
+    it('should reject a parent that does not exist', async function() {
+      expect(await errorOf(labels.createLabel({ label_name: 'tax-orphan', parent_label_id: 999999 })))
+        .to.include('Invalid parent label: label 999999 does not exist');
+    });
+
+    it('should reject parents that would create a cycle', async function() {
+      expect(await errorOf(labels.updateLabel(Number(vehicle.label_id), { parent_label_id: Number(vehicle.label_id) })))
+        .to.include('Invalid parent label: a label cannot be its own parent');
+      expect(await errorOf(labels.updateLabel(Number(vehicle.label_id), { parent_label_id: Number(sedan.label_id) })))
+        .to.include("Invalid parent label: 'tax-sedan' is below this label, which would create a cycle");
+    });
+
+    it('should move a label to another parent or to the top level', async function() {
+      const moved = await labels.updateLabel(Number(sedan.label_id), { parent_label_id: Number(vehicle.label_id) });
+      expect(moved.parent_label_id).to.equal(Number(vehicle.label_id));
+
+      const top = await labels.updateLabel(Number(sedan.label_id), { parent_label_id: null });
+      expect(top.parent_label_id).to.equal(null);
+
+      await labels.updateLabel(Number(sedan.label_id), { parent_label_id: Number(car.label_id) });
+    });
+
+    it('should roll usage statistics up per subtree', async function() {
+      const imageId = run(
+        'INSERT INTO images (filename, original_name, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?)',
+        ['tax.jpg', 'tax.jpg', '/uploads/tax.jpg', 1000, 'image/jpeg']
+      ).lastID;
+      run('INSERT INTO annotations (image_id, label_id, confidence) VALUES (?, ?, 0.5), (?, ?, 1.0)',
+        [imageId, sedan.label_id, imageId, car.label_id]);
+
+      const stats = await labels.getAllLabels();
+      const byName = name => stats.find(label => label.label_name === name);
+
+      expect(byName('tax-vehicle')).to.include({ usage_count: 0, subtree_usage_count: 2, subtree_avg_confidence: 0.75 });
+      expect(byName('tax-car')).to.include({ usage_count: 1, subtree_usage_count: 2 });
+      expect(byName('tax-sedan')).to.include({ usage_count: 1, subtree_usage_count: 1 });
+    });
+
+    it('should move the children of a deleted label up to its parent', async function() {
+      expect(await labels.deleteLabel(Number(car.label_id))).to.equal(true);
+
+      const stats = await labels.getAllLabels();
+      expect(stats.find(label => label.label_name === 'tax-sedan').parent_label_id).to.equal(Number(vehicle.label_id));
+    });
+  });
+  describe('Label aliases and merging', function() {
+    let labels;
+    let annotations;
+    let run;
+    let queryOne;
+
+    /**
+     * Insert an image for the merge tests
+     */
+    function createImage(name) {
+      return run(
+        'INSERT INTO images (filename, original_name, file_path, file_size, mime_type) VALUES (?, ?, ?, ?, ?)',
+        [name, name, `/uploads/${name}`, 1000, 'image/jpeg']
+      ).lastID;
+    }
+
+    /**
+     * Get the message of the error thrown by an async call
+     */
+    async function errorOf(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error.message;
+      }
+      throw new Error('Expected the call to fail');
+    }
+
+    before(function() {
+      labels = require('../labels');
+      annotations = require('../annotations');
+      ({ run, queryOne } = require('../../database/connection'));
+    });
+
+    it('should merge labels, keeping the higher confidence where an image has both', async function() {
+      const cat = await labels.createLabel({ label_name: 'merge-cat' });
+      const upper = await labels.createLabel({ label_name: 'Merge-Cat-Upper' });
+      const kitty = await labels.createLabel({ label_name: 'merge-kitty' });
+      const both = createImage('merge-both.jpg');
+      const only = createImage('merge-only.jpg');
+
+      run('INSERT INTO annotations (image_id, label_id, confidence) VALUES (?, ?, 0.4), (?, ?, 0.9), (?, ?, 0.7)',
+        [both, cat.label_id, both, kitty.label_id, only, upper.label_id]);
+      run(`INSERT INTO annotations (image_id, label_id, confidence, shape_type, bbox_x, bbox_y, bbox_width, bbox_height)
+        VALUES (?, ?, 0.8, 'bbox', 0.1, 0.1, 0.2, 0.2)`, [both, kitty.label_id]);
+
+      const result = await labels.mergeLabels(Number(cat.label_id), [Number(upper.label_id), Number(kitty.label_id)], 'merger@example.com');
+
+      expect(result.annotations).to.deep.equal({ moved: 2, combined: 1 });
+      expect(result.merged.map(label => label.label_name)).to.deep.equal(['Merge-Cat-Upper', 'merge-kitty']);
+      expect(result.label.aliases).to.deep.equal(['Merge-Cat-Upper', 'merge-kitty']);
+
+      const imageLevel = queryOne(`SELECT confidence FROM annotations WHERE image_id = ? AND label_id = ? AND shape_type = 'label'`, [both, cat.label_id]);
+      expect(imageLevel.confidence).to.equal(0.9);
+      expect(queryOne('SELECT COUNT(*) as count FROM annotations WHERE label_id = ?', [cat.label_id]).count).to.equal(3);
+      expect(queryOne('SELECT COUNT(*) as count FROM labels WHERE label_id IN (?, ?)', [upper.label_id, kitty.label_id]).count).to.equal(0);
+    });
+
+    it('should resolve aliases and case variants to the canonical label', async function() {
+      const cat = queryOne('SELECT label_id FROM labels WHERE label_name = ?', ['merge-cat']);
+
+      expect(annotations.getLabelIdByName('merge-kitty')).to.equal(cat.label_id);
+      expect(annotations.getLabelIdByName('MERGE-KITTY')).to.equal(cat.label_id);
+      expect(annotations.getLabelIdByName('Merge-Cat')).to.equal(cat.label_id);
+
+      const created = await labels.createLabel({ label_name: 'merge-kitty' });
+      expect(Number(created.label_id)).to.equal(cat.label_id);
+    });
+
+    it('should not create a parent cycle when merging a label into a label two levels below it', async function() {
+      const vehicle = await labels.createLabel({ label_name: 'merge-vehicle' });
+      const car = await labels.createLabel({ label_name: 'merge-car', parent_label_id: Number(vehicle.label_id) });
+      const sedan = await labels.createLabel({ label_name: 'merge-sedan', parent_label_id: Number(car.label_id) });
+      const truck = await labels.createLabel({ label_name: 'merge-truck', parent_label_id: Number(vehicle.label_id) });
+
+      await labels.mergeLabels(Number(sedan.label_id), [Number(vehicle.label_id)]);
+
+      const parentOf = label => queryOne('SELECT parent_label_id FROM labels WHERE label_id = ?', [label.label_id]).parent_label_id;
+      expect(parentOf(sedan)).to.be.null;
+      expect(parentOf(car)).to.equal(Number(sedan.label_id));
+      expect(parentOf(truck)).to.equal(Number(sedan.label_id));
+    });
+
+    it('should reject merging a label into itself or a missing label', async function() {
+      const cat = queryOne('SELECT label_id FROM labels WHERE label_name = ?', ['merge-cat']);
+
+      expect(await errorOf(labels.mergeLabels(cat.label_id, [cat.label_id]))).to.include('A label cannot be merged into itself');
+      expect(await errorOf(labels.mergeLabels(cat.label_id, [999999]))).to.include('Label 999999 not found');
+    });
+
+    it('should keep the former name of a renamed label as an alias', async function() {
+      const dog = await labels.createLabel({ label_name: 'rename-dog' });
+
+      const renamed = await labels.updateLabel(Number(dog.label_id), { label_name: 'rename-canine' });
+      expect(renamed.aliases).to.deep.equal(['rename-dog']);
+      expect(annotations.getLabelIdByName('rename-dog')).to.equal(Number(dog.label_id));
+
+      const restored = await labels.updateLabel(Number(dog.label_id), { label_name: 'rename-dog' });
+      expect(restored.aliases).to.deep.equal(['rename-canine']);
+    });
+
+    it('should replace aliases and reject names that are taken', async function() {
+      const dog = queryOne('SELECT label_id FROM labels WHERE label_name = ?', ['rename-dog']);
+
+      const updated = await labels.updateLabel(dog.label_id, { aliases: ['doggo', 'pup', 'Doggo'] });
+      expect(updated.aliases).to.deep.equal(['doggo', 'pup']);
+
+      expect(await errorOf(labels.updateLabel(dog.label_id, { aliases: ['merge-kitty'] })))
+        .to.include("Invalid alias: 'merge-kitty' is already an alias of 'merge-cat'");
+      expect(await errorOf(labels.updateLabel(dog.label_id, { aliases: ['MERGE-CAT'] })))
+        .to.include("Invalid alias: 'MERGE-CAT' is the name of label 'merge-cat'");
+      expect(await errorOf(labels.updateLabel(dog.label_id, { label_name: 'merge-kitty' })))
+        .to.include("Label with this name already exists (alias of 'merge-cat')");
+    });
+  });
+
+  describe('Label appearance', function() {
+    let labels;
+    let cat;
+    let dog;
+
+    /**
+     * Get the message of the error thrown by an async call
+     */
+    async function errorOf(promise) {
+      try {
+        await promise;
+      } catch (error) {
+        return error.message;
+      }
+      throw new Error('Expected the call to fail');
+    }
+
+    before(async function() {
+      labels = require('../labels');
+      cat = await labels.createLabel({ label_name: 'style-cat' });
+      dog = await labels.createLabel({ label_name: 'style-dog' });
+    });
+
+    it('should store a normalized color, icon and hotkey', async function() {
+      const updated = await labels.updateLabel(Number(cat.label_id), { color: '#1E90FF', icon: ' 🐱 ', hotkey: 'C' });
+
+      expect(updated.color).to.equal('#1e90ff');
+      expect(updated.icon).to.equal('🐱');
+      expect(updated.hotkey).to.equal('c');
+
+      const listed = (await labels.getAllLabels()).find(label => label.label_name === 'style-cat');
+      expect(listed).to.include({ color: '#1e90ff', icon: '🐱', hotkey: 'c' });
+    });
+
+    it('should reject invalid colors, icons and hotkeys', async function() {
+      expect(await errorOf(labels.updateLabel(Number(dog.label_id), { color: 'blue' })))
+        .to.include('Invalid color: must be a hex color such as #1e90ff');
+      expect(await errorOf(labels.updateLabel(Number(dog.label_id), { icon: 'x'.repeat(17) })))
+        .to.include('Invalid icon: cannot exceed 16 characters');
+      expect(await errorOf(labels.updateLabel(Number(dog.label_id), { hotkey: '0' })))
+        .to.include('Invalid hotkey: must be a digit from 1 to 9 or a letter');
+      expect(await errorOf(labels.updateLabel(Number(dog.label_id), { hotkey: 'ab' })))
+        .to.include('Invalid hotkey');
+    });
+
+    it('should assign a hotkey to one label only', async function() {
+      expect(await errorOf(labels.updateLabel(Number(dog.label_id), { hotkey: 'c' })))
+        .to.include("Hotkey 'c' is already assigned to label 'style-cat'");
+
+      // Reassigning the label's own hotkey is allowed
+      await labels.updateLabel(Number(cat.label_id), { hotkey: 'c' });
+
+      await labels.updateLabel(Number(cat.label_id), { hotkey: null });
+      const updated = await labels.updateLabel(Number(dog.label_id), { hotkey: 'c' });
+      expect(updated.hotkey).to.equal('c');
+    });
+
+    it('should clear a color or icon with null or an empty string', async function() {
+      const updated = await labels.updateLabel(Number(cat.label_id), { color: null, icon: '' });
+
+      expect(updated.color).to.be.null;
+      expect(updated.icon).to.be.null;
+    });
+  });
 });
\ No newline at end of file
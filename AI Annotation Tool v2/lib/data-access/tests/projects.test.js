@@ -0,0 +1,408 @@
+/**
+ * Projects Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify project CRUD, per-project label vocabularies, annotation settings and moving images between projects
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Projects Data Access Layer Tests', function() {
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'projects_test.db');
+
+  let projectsAccess;
+  let labelsAccess;
+  let annotationsAccess;
+  let imagesAccess;
+  let run;
+  let queryOne;
+
+  /**
+   * Insert an image into a project with image-level labels
+   */
+  function addImage(filename, projectId, labels = []) {
+    const imageId = run(
+      'INSERT INTO images (filename, original_name, file_path, file_size, mime_type, project_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [filename, filename, `/uploads/${filename}`, 1000, 'image/jpeg', projectId]
+    ).lastID;
+
+    for (const labelName of labels) {
+      run('INSERT OR IGNORE INTO labels (label_name) VALUES (?)', [labelName]);
+      run(
+        'INSERT INTO annotations (image_id, label_id, confidence) SELECT ?, label_id, 1.0 FROM labels WHERE label_name = ?',
+        [imageId, labelName]
+      );
+    }
+
+    return Number(imageId);
+  }
+
+  /**
+   * Get the ID of a label by name
+   */
+  function labelId(labelName) {
+    return queryOne('SELECT label_id FROM labels WHERE label_name = ?', [labelName]).label_id;
+  }
+
+  /**
+   * Get the message of the error thrown by an async call
+   */
+  async function errorOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error.message;
+    }
+    throw new Error('Expected the call to fail');
+  }
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    projectsAccess = require('../projects');
+    labelsAccess = require('../labels');
+    annotationsAccess = require('../annotations');
+    imagesAccess = require('../images');
+    ({ run, queryOne } = require('../../database/connection'));
+  });
+
+  beforeEach(function() {
+    // Start from the default project only, with empty tables rather than the seeded sample data
+    run('DELETE FROM saved_searches');
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM project_labels');
+    run('DELETE FROM labels');
+    run('DELETE FROM projects WHERE project_id != 1');
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('createProject()', function() {
+    it('should create a project with default settings', async function() {
+      const project = await projectsAccess.createProject({ name: '  Birds ' }, 'test@example.com');
+
+      expect(project.name).to.equal('Birds');
+      expect(project.allowed_annotation_types).to.deep.equal(['label', 'bbox', 'polygon', 'mask', 'keypoints']);
+      expect(project.require_confidence).to.equal(false);
+      expect(project.image_count).to.equal(0);
+      expect(project.created_by).to.equal('test@example.com');
+    });
+
+    it('should store allowed annotation types in canonical order without repeats', async function() {
+      const project = await projectsAccess.createProject({
+        name: 'Boxes',
+        allowed_annotation_types: ['bbox', 'label', 'bbox'],
+        require_confidence: true
+      });
+
+      expect(project.allowed_annotation_types).to.deep.equal(['label', 'bbox']);
+      expect(project.require_confidence).to.equal(true);
+    });
+
+    it('should reject invalid fields and duplicate names', async function() {
+      expect(await errorOf(projectsAccess.createProject({ name: ' ' })))
+        .to.include('Invalid project: name is required');
+      expect(await errorOf(projectsAccess.createProject({ name: 'X', allowed_annotation_types: ['circle'] })))
+        .to.include("Invalid project: unknown annotation type 'circle'");
+      expect(await errorOf(projectsAccess.createProject({ name: 'X', allowed_annotation_types: [] })))
+        .to.include('Invalid project: allowed_annotation_types must be a non-empty array');
+      expect(await errorOf(projectsAccess.createProject({ name: 'X', require_confidence: 'yes' })))
+        .to.include('Invalid project: require_confidence must be a boolean');
+
+      await projectsAccess.createProject({ name: 'Birds' });
+      expect(await errorOf(projectsAccess.createProject({ name: 'Birds' })))
+        .to.equal('Project with this name already exists');
+    });
+  });
+
+  describe('getAllProjects()', function() {
+    it('should list the default project first with image and label counts', async function() {
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      const archive = await projectsAccess.createProject({ name: 'Archive' });
+      addImage('robin.jpg', birds.project_id, ['robin', 'tree']);
+      addImage('cat.jpg', 1, ['cat']);
+
+      const projects = await projectsAccess.getAllProjects();
+
+      expect(projects.map(p => p.name)).to.deep.equal(['Default', 'Archive', 'Birds']);
+      expect(projects.find(p => p.project_id === birds.project_id)).to.include({ image_count: 1, label_count: 2 });
+      expect(projects.find(p => p.project_id === archive.project_id)).to.include({ image_count: 0, label_count: 0 });
+    });
+  });
+
+  describe('resolveProjectScope()', function() {
+    it('should return undefined without a value and the project for a known ID', async function() {
+      expect(await projectsAccess.resolveProjectScope(null)).to.be.undefined;
+      expect(await projectsAccess.resolveProjectScope('')).to.be.undefined;
+
+      const project = await projectsAccess.resolveProjectScope('1');
+      expect(project.name).to.equal('Default');
+    });
+
+    it('should reject invalid and unknown project IDs with matching statuses', async function() {
+      const invalid = await errorOf(projectsAccess.resolveProjectScope('abc'));
+      const unknown = await errorOf(projectsAccess.resolveProjectScope('999'));
+
+      expect(invalid).to.equal('Invalid project ID: abc');
+      expect(unknown).to.equal('Project not found: 999');
+      expect(projectsAccess.getProjectErrorStatus(new Error(invalid))).to.equal(400);
+      expect(projectsAccess.getProjectErrorStatus(new Error(unknown))).to.equal(404);
+      expect(projectsAccess.getProjectErrorStatus(new Error('Something else'))).to.be.undefined;
+    });
+  });
+
+  describe('updateProject()', function() {
+    it('should change settings and leave the other fields alone', async function() {
+      const project = await projectsAccess.createProject({ name: 'Birds', description: 'Garden birds' });
+
+      const updated = await projectsAccess.updateProject(project.project_id, { require_confidence: true }, 'editor@example.com');
+
+      expect(updated.require_confidence).to.equal(true);
+      expect(updated.description).to.equal('Garden birds');
+      expect(updated.last_edited_by).to.equal('editor@example.com');
+    });
+
+    it('should return undefined for an unknown project and reject empty updates', async function() {
+      expect(await projectsAccess.updateProject(999, { name: 'Nothing' })).to.be.undefined;
+      expect(await errorOf(projectsAccess.updateProject(1, {})))
+        .to.include('Invalid project: no fields to update');
+    });
+  });
+
+  describe('deleteProject()', function() {
+    it('should delete an empty project with its vocabulary', async function() {
+      const project = await projectsAccess.createProject({ name: 'Empty' });
+      await labelsAccess.createLabel({ label_name: 'unused' }, project.project_id);
+
+      expect(await projectsAccess.deleteProject(project.project_id)).to.equal(true);
+      expect(await projectsAccess.getProjectById(project.project_id)).to.be.undefined;
+      expect(queryOne('SELECT COUNT(*) AS count FROM project_labels WHERE project_id = ?', [project.project_id]).count)
+        .to.equal(0);
+    });
+
+    it('should refuse to delete the default project or a project with images', async function() {
+      const project = await projectsAccess.createProject({ name: 'Birds' });
+      addImage('robin.jpg', project.project_id);
+
+      expect(await errorOf(projectsAccess.deleteProject(1)))
+        .to.include('Invalid project: the default project cannot be deleted');
+      expect(await errorOf(projectsAccess.deleteProject(project.project_id)))
+        .to.include("Invalid project: 'Birds' still has 1 images");
+      expect(await projectsAccess.deleteProject(999)).to.equal(false);
+    });
+  });
+
+  describe('label vocabularies', function() {
+    it('should keep each project to its own labels and usage counts', async function() {
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      addImage('robin.jpg', birds.project_id, ['robin', 'tree']);
+      addImage('cat.jpg', 1, ['cat', 'tree']);
+      addImage('tabby.jpg', 1, ['cat']);
+
+      const birdLabels = await labelsAccess.getAllLabels(birds.project_id);
+      const defaultLabels = await labelsAccess.getAllLabels(1);
+
+      expect(birdLabels.map(l => l.label_name).sort()).to.deep.equal(['robin', 'tree']);
+      expect(birdLabels.find(l => l.label_name === 'tree').usage_count).to.equal(1);
+      expect(defaultLabels.map(l => l.label_name).sort()).to.deep.equal(['cat', 'tree']);
+      expect(defaultLabels.find(l => l.label_name === 'cat').usage_count).to.equal(2);
+      expect((await labelsAccess.getAllLabels()).length).to.equal(3);
+    });
+
+    it('should add labels created in a project to its vocabulary only', async function() {
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+
+      const label = await labelsAccess.createLabel({ label_name: 'heron' }, birds.project_id);
+
+      expect(projectsAccess.hasProjectLabel(birds.project_id, label.label_id)).to.equal(true);
+      expect(projectsAccess.hasProjectLabel(1, label.label_id)).to.equal(false);
+    });
+
+    it('should only remove labels that are no longer used in the project', async function() {
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      addImage('robin.jpg', birds.project_id, ['robin']);
+      await labelsAccess.createLabel({ label_name: 'heron' }, birds.project_id);
+
+      expect(() => projectsAccess.removeProjectLabel(birds.project_id, labelId('robin')))
+        .to.throw('Invalid project: the label is still used by 1 annotations in this project');
+      expect(projectsAccess.removeProjectLabel(birds.project_id, labelId('heron'))).to.equal(true);
+      expect(projectsAccess.removeProjectLabel(birds.project_id, labelId('heron'))).to.equal(false);
+      expect(queryOne('SELECT label_id FROM labels WHERE label_name = ?', ['heron'])).to.exist;
+    });
+
+    it('should reject upload labels outside the vocabulary and create new ones in it', async function() {
+      const uploadsAccess = require('../uploads');
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      await labelsAccess.createLabel({ label_name: 'car' });
+      const imageId = addImage('robin.jpg', birds.project_id);
+
+      expect(() => uploadsAccess.addImageLabels(imageId, [{ name: 'car', confidence: 0.9 }], 'test@example.com'))
+        .to.throw("Invalid annotation: label 'car' is not in the vocabulary of project 'Birds'");
+
+      uploadsAccess.addImageLabels(imageId, [{ name: 'robin', confidence: 0.9 }], 'test@example.com');
+      expect(projectsAccess.hasProjectLabel(birds.project_id, labelId('robin'))).to.equal(true);
+      expect(projectsAccess.hasProjectLabel(1, labelId('robin'))).to.equal(false);
+    });
+
+    it('should restore nothing when a backup uses an existing label outside the vocabulary', async function() {
+      const backupsAccess = require('../backups');
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      addImage('cat.jpg', 1, ['cat']);
+
+      let text = '';
+      for await (const line of backupsAccess.generateJsonlBackup()) {
+        text += line;
+      }
+      const backup = await backupsAccess.parseJsonlBackup([text]);
+      run('DELETE FROM annotations');
+      run('DELETE FROM images');
+
+      expect(await errorOf(backupsAccess.restoreJsonlBackup(backup, { projectId: birds.project_id })))
+        .to.include("Invalid annotation: label 'cat' is not in the vocabulary of project 'Birds'");
+      expect(queryOne('SELECT COUNT(*) AS count FROM images').count).to.equal(0);
+
+      const report = await backupsAccess.restoreJsonlBackup(backup);
+      expect(report.summary.images.created).to.equal(1);
+    });
+
+    it('should report dataset categories outside the vocabulary as conflicts', async function() {
+      const importsAccess = require('../imports');
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      await labelsAccess.createLabel({ label_name: 'cat' });
+
+      const dataset = { format: 'coco', categories: [{ name: 'cat' }, { name: 'robin' }], images: [] };
+      const report = await importsAccess.importDataset(dataset, { projectId: birds.project_id, dryRun: true });
+
+      expect(report.labels.map(label => [label.name, label.action])).to.deep.equal([['cat', 'conflicted'], ['robin', 'created']]);
+    });
+  });
+
+  describe('annotation settings', function() {
+    it('should reject annotation types the project does not allow', async function() {
+      const project = await projectsAccess.createProject({ name: 'Boxes only', allowed_annotation_types: ['bbox'] });
+      const imageId = addImage('street.jpg', project.project_id);
+      const { label_id } = await labelsAccess.createLabel({ label_name: 'car' }, project.project_id);
+
+      expect(await errorOf(annotationsAccess.createAnnotation(imageId, label_id, 0.9)))
+        .to.include("Invalid annotation: project 'Boxes only' does not allow label annotations");
+
+      const annotation = await annotationsAccess.createAnnotation(
+        imageId, label_id, 0.9, 'test@example.com', { x: 0.1, y: 0.1, width: 0.2, height: 0.2 }
+      );
+      expect(annotation.shape_type).to.equal('bbox');
+    });
+
+    it('should reject region updates that turn an annotation into a type the project does not allow', async function() {
+      const project = await projectsAccess.createProject({ name: 'Labels only', allowed_annotation_types: ['label'] });
+      const imageId = addImage('street.jpg', project.project_id);
+      const { label_id } = await labelsAccess.createLabel({ label_name: 'car' }, project.project_id);
+      const annotation = await annotationsAccess.createAnnotation(imageId, label_id, 0.9);
+
+      expect(await errorOf(annotationsAccess.updateAnnotation(annotation.annotation_id, {
+        region: { x: 0.1, y: 0.1, width: 0.2, height: 0.2 }
+      }))).to.include("Invalid annotation: project 'Labels only' does not allow bbox annotations");
+      expect(queryOne('SELECT shape_type FROM annotations WHERE annotation_id = ?', [annotation.annotation_id]).shape_type)
+        .to.equal('label');
+
+      const updated = await annotationsAccess.updateAnnotation(annotation.annotation_id, { confidence: 0.5 });
+      expect(updated.confidence).to.equal(0.5);
+    });
+
+    it('should require a confidence when the project asks for one', async function() {
+      const project = await projectsAccess.createProject({ name: 'Scored', require_confidence: true });
+      const imageId = addImage('street.jpg', project.project_id);
+      const { label_id } = await labelsAccess.createLabel({ label_name: 'car' }, project.project_id);
+
+      expect(await errorOf(annotationsAccess.createAnnotation(imageId, label_id)))
+        .to.include("Invalid annotation: project 'Scored' requires a confidence for every annotation");
+
+      const annotation = await annotationsAccess.createAnnotation(imageId, label_id, 0.7);
+      expect(annotation.confidence).to.equal(0.7);
+    });
+
+    it('should only annotate with labels of the project vocabulary', async function() {
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      const imageId = addImage('robin.jpg', birds.project_id);
+      const { label_id: carId } = await labelsAccess.createLabel({ label_name: 'car' });
+
+      expect(await errorOf(annotationsAccess.createAnnotation(imageId, carId, 0.9)))
+        .to.include("Invalid annotation: label 'car' is not in the vocabulary of project 'Birds'");
+
+      await labelsAccess.createLabel({ label_name: 'car' }, birds.project_id);
+      const annotation = await annotationsAccess.createAnnotation(imageId, carId, 0.9);
+      expect(annotation.label_id).to.equal(carId);
+    });
+
+    it('should not move images into a project that does not exist', function() {
+      const imageId = addImage('street.jpg', 1);
+
+      expect(() => run('UPDATE images SET project_id = 999 WHERE image_id = ?', [imageId])).to.throw('FOREIGN KEY constraint failed');
+    });
+
+    it('should default a missing confidence to 1.0 in projects without the requirement', async function() {
+      const imageId = addImage('street.jpg', 1);
+      const { label_id } = await labelsAccess.createLabel({ label_name: 'car' });
+
+      const annotation = await annotationsAccess.createAnnotation(imageId, label_id);
+      expect(annotation.confidence).to.equal(1.0);
+    });
+  });
+
+  describe('moveImagesToProject()', function() {
+    it('should move images and bring their labels into the target vocabulary', async function() {
+      const birds = await projectsAccess.createProject({ name: 'Birds' });
+      const imageId = addImage('robin.jpg', 1, ['robin']);
+
+      expect(await projectsAccess.moveImagesToProject([imageId], birds.project_id)).to.equal(1);
+      expect(projectsAccess.getImageProject(imageId).project_id).to.equal(birds.project_id);
+      expect(projectsAccess.hasProjectLabel(birds.project_id, labelId('robin'))).to.equal(true);
+
+      const { images } = await imagesAccess.listImages({ projectId: birds.project_id });
+      expect(images.map(image => image.image_id)).to.deep.equal([imageId]);
+      expect((await imagesAccess.listImages({ projectId: 1 })).images).to.have.length(0);
+    });
+
+    it('should count only the images that changed project', async function() {
+      const imageId = addImage('cat.jpg', 1);
+
+      expect(await projectsAccess.moveImagesToProject([imageId], 1)).to.equal(0);
+    });
+
+    it('should reject unknown projects and invalid image IDs', async function() {
+      const imageId = addImage('cat.jpg', 1);
+
+      expect(await errorOf(projectsAccess.moveImagesToProject([imageId], 999)))
+        .to.equal('Failed to move images: Project not found: 999');
+      expect(await errorOf(projectsAccess.moveImagesToProject([], 1)))
+        .to.include('At least one valid image ID is required');
+    });
+  });
+});
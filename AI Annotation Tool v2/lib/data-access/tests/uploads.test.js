@@ -0,0 +1,220 @@
+/**
+ * Uploads Data Access Layer Tests for AI Annotation Tool v2
+ * These tests verify storing an upload with its record and labels, and the duplicate policies
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createLocalStorage } = require('../../storage/local');
+const { resetStorage } = require('../../storage');
+
+/**
+ * Create a solid-colour JPEG of the given size
+ */
+function createJpeg(width, height, background = '#3366cc') {
+  return sharp({ create: { width, height, channels: 3, background } }).jpeg().toBuffer();
+}
+
+describe('Uploads Data Access Layer Tests', function() {
+  this.timeout(10000);
+
+  // Use isolated test environment
+  const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+  const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'uploads_test.db');
+
+  let uploadsAccess;
+  let query;
+  let run;
+  let root;
+  let storage;
+
+  /**
+   * Upload a JPEG through createImageFromUpload
+   */
+  async function upload(data, fileName, labels, options = {}) {
+    return uploadsAccess.createImageFromUpload(
+      data,
+      { fileName, mimeType: 'image/jpeg', fileSize: data.length },
+      labels,
+      { userEmail: 'test@example.com', ...options }
+    );
+  }
+
+  before(function() {
+    // Clean up any existing test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Set isolated test database path
+    process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+    // Initialize database with schema
+    const { initializeDatabase } = require('../../../database/init');
+    initializeDatabase();
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+    storage = createLocalStorage({ root, folder: 'Annotations' });
+    resetStorage(storage);
+
+    uploadsAccess = require('../uploads');
+    ({ query, run } = require('../../database/connection'));
+  });
+
+  beforeEach(function() {
+    // Start from empty tables rather than the seeded sample data
+    run('DELETE FROM annotations');
+    run('DELETE FROM images');
+    run('DELETE FROM labels');
+  });
+
+  after(function() {
+    const { closeDatabase } = require('../../database/connection');
+    closeDatabase();
+    resetStorage();
+    fs.rmSync(root, { recursive: true, force: true });
+
+    // Clean up test database
+    if (fs.existsSync(TEST_DB_PATH)) {
+      fs.unlinkSync(TEST_DB_PATH);
+    }
+
+    // Restore original test database path
+    if (ORIGINAL_TEST_PATH) {
+      process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+    } else {
+      delete process.env.TEST_DB_PATH;
+    }
+  });
+
+  describe('resolveDuplicatePolicy()', function() {
+    it('should accept the known policies and fall back to the configured default', function() {
+      expect(uploadsAccess.resolveDuplicatePolicy('link')).to.equal('link');
+      expect(uploadsAccess.resolveDuplicatePolicy(' reject ')).to.equal('reject');
+      expect(uploadsAccess.resolveDuplicatePolicy(null)).to.equal('warn');
+    });
+
+    it('should return null for an unknown policy', function() {
+      expect(uploadsAccess.resolveDuplicatePolicy('ignore')).to.be.null;
+    });
+  });
+
+  describe('createImageFromUpload()', function() {
+    it('should store the file and create the image with its labels, metadata and hashes', async function() {
+      const data = await createJpeg(400, 300);
+      const result = await upload(data, 'cat.jpg', [{ name: 'cat', confidence: 0.9 }]);
+
+      expect(result.status).to.equal('created');
+      expect(result.image).to.include({ original_name: 'cat.jpg', width: 400, height: 300, label_count: 1 });
+      expect(result.image.labels).to.deep.equal(['cat']);
+      expect(result.image.content_hash).to.match(/^[0-9a-f]{64}$/);
+      expect(await storage.exists(result.image.file_path)).to.be.true;
+      expect(await storage.exists(result.image.thumbnail_path)).to.be.true;
+
+      const annotations = query('SELECT * FROM annotations WHERE image_id = ?', [result.image.id]);
+      expect(annotations).to.have.length(1);
+      expect(annotations[0]).to.include({ confidence: 0.9, created_by: 'test@example.com' });
+    });
+
+    it('should save an exact duplicate and report it with the warn policy', async function() {
+      const data = await createJpeg(200, 200);
+      const first = await upload(data, 'first.jpg', []);
+      const second = await upload(data, 'second.jpg', [], { duplicatePolicy: 'warn' });
+
+      expect(second.status).to.equal('created');
+      expect(second.duplicates[0]).to.include({ image_id: first.image.id, match: 'exact' });
+      expect(query('SELECT * FROM images')).to.have.length(2);
+    });
+
+    it('should not store an exact duplicate with the reject policy', async function() {
+      const data = await createJpeg(200, 200, '#cc3366');
+      const first = await upload(data, 'first.jpg', []);
+      const second = await upload(data, 'second.jpg', [], { duplicatePolicy: 'reject' });
+
+      expect(second.status).to.equal('rejected');
+      expect(second.image).to.be.null;
+      expect(second.duplicate).to.include({ image_id: first.image.id });
+      expect(query('SELECT * FROM images')).to.have.length(1);
+    });
+
+    it('should add the labels of an exact duplicate to the existing image with the link policy', async function() {
+      const data = await createJpeg(200, 200, '#66cc33');
+      const first = await upload(data, 'first.jpg', [{ name: 'cat', confidence: 0.9 }]);
+      const second = await upload(data, 'second.jpg', [{ name: 'cat', confidence: 0.5 }, { name: 'dog', confidence: 0.8 }], {
+        duplicatePolicy: 'link'
+      });
+
+      expect(second.status).to.equal('linked');
+      expect(second.image.id).to.equal(first.image.id);
+      expect(second.image.labels).to.deep.equal(['cat', 'dog']);
+      // The existing label keeps its confidence
+      expect(second.image.confidences).to.deep.equal([0.9, 0.8]);
+      expect(query('SELECT * FROM images')).to.have.length(1);
+    });
+  });
+
+  describe('registerStoredImage()', function() {
+    /**
+     * Register a file as if the browser had uploaded it straight to storage, reporting its own size and type
+     */
+    function register(stored, fileSize = 1024, mimeType = 'image/jpeg') {
+      return uploadsAccess.registerStoredImage(
+        { filename: stored.fileName, original_name: stored.fileName, file_path: stored.filePath, file_size: fileSize, mime_type: mimeType },
+        [],
+        { userEmail: 'test@example.com' }
+      );
+    }
+
+    beforeEach(function() {
+      // A backend that owns its files, like one that accepts presigned direct uploads
+      resetStorage({ ...storage, owns: filePath => storage.resolvePath(filePath) !== null });
+    });
+
+    afterEach(function() {
+      resetStorage(storage);
+    });
+
+    it('should record the size and type of the stored file rather than the reported ones', async function() {
+      const data = await createJpeg(100, 80);
+      const stored = await storage.upload(data, { fileName: 'direct.jpg' });
+
+      const result = await register(stored, 1, 'image/png');
+
+      expect(result.status).to.equal('created');
+      expect(query('SELECT file_size, mime_type, width FROM images WHERE image_id = ?', [result.image.id])[0])
+        .to.deep.equal({ file_size: data.length, mime_type: 'image/jpeg', width: 100 });
+    });
+
+    it('should reject and delete stored files that are too large or not images', async function() {
+      const large = await storage.upload(Buffer.alloc(11 * 1024 * 1024), { fileName: 'large.jpg' });
+      const text = await storage.upload(Buffer.from('not an image'), { fileName: 'notes.txt' });
+
+      for (const [stored, message] of [
+        [large, 'Invalid upload: File size exceeds 10MB limit'],
+        [text, 'Invalid upload: Invalid file type. Allowed types: JPEG, PNG, GIF, WebP']
+      ]) {
+        try {
+          await register(stored);
+          expect.fail('Should have thrown');
+        } catch (error) {
+          expect(error.message).to.equal(message);
+        }
+        expect(await storage.exists(stored.filePath)).to.be.false;
+      }
+
+      expect(query('SELECT * FROM images')).to.have.length(0);
+    });
+
+    it('should reject files that are not in storage', async function() {
+      try {
+        await register({ fileName: 'missing.jpg', filePath: '/api/files/Annotations/missing.jpg' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid upload: Uploaded file not found in storage');
+      }
+    });
+  });
+});
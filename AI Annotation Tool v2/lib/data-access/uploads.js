@@ -0,0 +1,364 @@
+/**
+ * Uploads Data Access Layer for AI Annotation Tool v2
+ * Turns an uploaded file into an image record: metadata, hashes, duplicate policy, storage, thumbnails,
+ * and the image with its labels inserted in one transaction
+ */
+
+const { query, queryOne, run } = require('../database/connection');
+const proxy = require('../database/proxy');
+const { config } = require('../database/config');
+const { getStorage } = require('../storage');
+const { validateImageType, validateFileSize } = require('../utils/firebase-storage');
+const { createThumbnails, deleteThumbnails } = require('../utils/thumbnails');
+const { readImageMetadata, stripGpsMetadata } = require('../utils/exif');
+const { computeImageHashes } = require('../utils/image-hash');
+const { DUPLICATE_POLICIES, findDuplicatesOf } = require('./duplicates');
+const { DEFAULT_PROJECT_ID, getImageProject, assertAnnotationAllowed, assertProjectLabel, addProjectLabel } = require('./projects');
+
+// Optional image columns filled from the uploaded file: generated variants, dimensions, EXIF metadata and hashes
+const IMAGE_DETAIL_COLUMNS = [
+  'thumbnail_path', 'preview_path',
+  'width', 'height', 'orientation', 'captured_at', 'camera_make', 'camera_model', 'gps_latitude', 'gps_longitude',
+  'content_hash', 'perceptual_hash'
+];
+
+/**
+ * Get the duplicate policy of an upload
+ * @param {string|null|undefined} value - onDuplicate value from the request
+ * @returns {string|null} The policy, the configured default when no value was given, or null if the value is invalid
+ */
+function resolveDuplicatePolicy(value) {
+  const policy = value ? value.toString().trim() : config.uploads.duplicatePolicy;
+  return DUPLICATE_POLICIES.includes(policy) ? policy : null;
+}
+
+/**
+ * Add image-level labels to an image, creating missing labels in the vocabulary of the image's project
+ * Names are resolved through label aliases, so the returned names are the canonical ones
+ * Labels the image already has are left unchanged; call inside a transaction
+ * @param {number} imageId - Image ID
+ * @param {Array} labels - [{ name, confidence }]
+ * @param {string} userEmail - Creator of the annotations
+ * @returns {Array} Labels as added, [{ name, confidence }]
+ * @throws {Error} If the image's project does not allow the labels or an existing label is not in its vocabulary
+ */
+function addImageLabels(imageId, labels, userEmail) {
+  const processedLabels = [];
+  const project = labels.length > 0 ? getImageProject(imageId) : undefined;
+
+  for (const label of labels) {
+    if (project) {
+      assertAnnotationAllowed(project, 'label', label.confidence);
+    }
+
+    // Create label if it doesn't exist; aliases and case variants resolve to their canonical label
+    const existing = proxy.labels.findByName(label.name);
+    const labelRecord = existing || proxy.labels.findByNameOrCreate(label.name);
+    if (project && existing) {
+      assertProjectLabel(project, labelRecord.label_id);
+    } else if (project) {
+      addProjectLabel(project.project_id, Number(labelRecord.label_id));
+    }
+
+    run(`
+      INSERT INTO annotations (image_id, label_id, confidence, created_by)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(image_id, label_id) WHERE shape_type = 'label' DO NOTHING
+    `, [imageId, labelRecord.label_id, label.confidence, userEmail]);
+
+    processedLabels.push({
+      name: labelRecord.label_name,
+      confidence: label.confidence
+    });
+  }
+
+  return processedLabels;
+}
+
+/**
+ * Insert an image record and its image-level labels in one transaction
+ * @param {Object} image - filename, original_name, file_path, file_size, mime_type, optional detail columns and project_id
+ * @param {Array} labels - [{ name, confidence }]
+ * @param {string} userEmail - Uploader
+ * @returns {Object} The created image with id, labels, confidences and label_count
+ */
+function createImageRecord(image, labels, userEmail) {
+  const columns = ['filename', 'original_name', 'file_path', 'file_size', 'mime_type', ...IMAGE_DETAIL_COLUMNS, 'project_id', 'created_by'];
+
+  return proxy.transaction(() => {
+    const imageId = run(`
+      INSERT INTO images (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `, [
+      image.filename,
+      image.original_name,
+      image.file_path,
+      image.file_size,
+      image.mime_type,
+      ...IMAGE_DETAIL_COLUMNS.map(column => image[column] ?? null),
+      image.project_id ?? DEFAULT_PROJECT_ID,
+      userEmail
+    ]).lastID;
+
+    const processedLabels = addImageLabels(imageId, labels, userEmail);
+
+    return {
+      id: imageId,
+      image_id: imageId,
+      ...image,
+      uploaded_at: new Date().toISOString(),
+      labels: processedLabels.map(l => l.name),
+      confidences: processedLabels.map(l => l.confidence),
+      label_count: processedLabels.length
+    };
+  });
+}
+
+/**
+ * Link an upload to an existing image by adding the upload's labels to it
+ * @param {number} imageId - Existing image
+ * @param {Array} labels - [{ name, confidence }]
+ * @param {string} userEmail - Uploader
+ * @returns {Object} The existing image with id, labels, confidences and label_count
+ */
+function linkToImage(imageId, labels, userEmail) {
+  return proxy.transaction(() => {
+    addImageLabels(imageId, labels, userEmail);
+
+    const image = queryOne('SELECT * FROM images WHERE image_id = ?', [imageId]);
+    const imageLabels = query(`
+      SELECT l.label_name, a.confidence
+      FROM annotations a
+      JOIN labels l ON a.label_id = l.label_id
+      WHERE a.image_id = ? AND a.shape_type = 'label'
+      ORDER BY a.annotation_id
+    `, [imageId]);
+
+    return {
+      ...image,
+      id: image.image_id,
+      labels: imageLabels.map(l => l.label_name),
+      confidences: imageLabels.map(l => l.confidence),
+      label_count: imageLabels.length
+    };
+  });
+}
+
+/**
+ * Find images that duplicate an upload; a failed lookup never fails the upload
+ * @param {Object} hashes - { content_hash, perceptual_hash }
+ * @param {number} projectId - Project the upload goes to; only its images count as duplicates
+ * @returns {Promise<Array>} Matches from findDuplicatesOf, or an empty array
+ */
+async function tryFindDuplicates(hashes, projectId) {
+  try {
+    return await findDuplicatesOf(hashes, { projectId });
+  } catch (error) {
+    console.warn('Duplicate lookup failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Generate the thumbnail and preview of an upload; the gallery falls back to the original when this fails
+ * @param {Buffer} data - Image bytes
+ * @param {string} fileName - Stored file name
+ * @param {string} [token] - Storage auth token
+ * @returns {Promise<Object>} { thumbnail_path, preview_path }
+ */
+async function tryCreateThumbnails(data, fileName, token) {
+  try {
+    return await createThumbnails(data, { fileName, token });
+  } catch (error) {
+    console.warn('Thumbnail generation failed:', error.message);
+    return { thumbnail_path: null, preview_path: null };
+  }
+}
+
+/**
+ * Apply the duplicate policy to an upload with an exact copy in the library
+ * @param {string} policy - reject, warn or link
+ * @param {Array} duplicates - Matches of the upload
+ * @param {Array} labels - Labels of the upload
+ * @param {string} userEmail - Uploader
+ * @returns {Object|null} { status: 'rejected'|'linked', image, duplicate, duplicates }, or null when the upload becomes a new image
+ */
+function applyDuplicatePolicy(policy, duplicates, labels, userEmail) {
+  const existing = duplicates.find(duplicate => duplicate.match === 'exact');
+  if (!existing || policy === 'warn') {
+    return null;
+  }
+
+  if (policy === 'reject') {
+    return { status: 'rejected', image: null, duplicate: existing, duplicates };
+  }
+
+  return { status: 'linked', image: linkToImage(existing.image_id, labels, userEmail), duplicate: existing, duplicates };
+}
+
+/**
+ * Store an uploaded image file and create its record
+ * The GPS position is removed first when configured, and exact duplicates are handled by the duplicate policy
+ * before anything is stored. If the record cannot be created, the stored file and its thumbnails are deleted again.
+ * @param {Buffer} data - File content
+ * @param {Object} file - { fileName, mimeType, fileSize }
+ * @param {Array} labels - [{ name, confidence }]
+ * @param {Object} [options] - { userEmail, token, duplicatePolicy, projectId }
+ * @returns {Promise<Object>} { status: 'created'|'linked'|'rejected', image, duplicate, duplicates }
+ */
+async function createImageFromUpload(data, file, labels, options = {}) {
+  const userEmail = options.userEmail || 'anonymous';
+  const policy = options.duplicatePolicy || config.uploads.duplicatePolicy;
+  const projectId = options.projectId || DEFAULT_PROJECT_ID;
+
+  // Remove the GPS position before the file is stored, so it is neither kept in storage nor recorded
+  const buffer = config.uploads.stripGps ? stripGpsMetadata(data).buffer : data;
+  const metadata = readImageMetadata(buffer);
+
+  // Hash the bytes as stored, so later uploads of the same file match exactly
+  const hashes = await computeImageHashes(buffer);
+  const duplicates = await tryFindDuplicates(hashes, projectId);
+
+  const handled = applyDuplicatePolicy(policy, duplicates, labels, userEmail);
+  if (handled) {
+    return handled;
+  }
+
+  const storage = getStorage();
+  let stored;
+  try {
+    stored = await storage.upload(buffer, {
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      token: options.token
+    });
+  } catch (error) {
+    console.error('File upload failed:', error);
+    throw new Error(`File upload failed: ${error.message}`);
+  }
+
+  const thumbnails = await tryCreateThumbnails(buffer, stored.fileName, options.token);
+
+  try {
+    const image = createImageRecord({
+      filename: stored.fileName,
+      original_name: file.fileName,
+      file_path: stored.filePath,
+      file_size: file.fileSize,
+      mime_type: file.mimeType,
+      ...metadata,
+      ...hashes,
+      ...thumbnails,
+      project_id: projectId
+    }, labels, userEmail);
+
+    return { status: 'created', image, duplicate: null, duplicates };
+  } catch (error) {
+    // Do not leave files behind for a record that does not exist
+    await storage.delete(stored.filePath, { token: options.token }).catch(() => {});
+    await deleteThumbnails(thumbnails, { token: options.token });
+    console.error('Error creating image record:', error);
+    throw new Error(`Failed to create image record: ${error.message}`);
+  }
+}
+
+/**
+ * Check a file that was uploaded straight to storage against the upload limits
+ * The browser chose the size and type it reports, so the ones the storage backend reports are checked instead.
+ * A file that fails the checks is deleted, unless an image record already uses it
+ * @param {Object} storage - Storage adapter that owns the file
+ * @param {string} filePath - Stored file path
+ * @returns {Promise<Object>} { file_size, mime_type } of the stored file
+ * @throws {Error} 'Invalid upload: ...' if the file is missing, empty, not an allowed image type or over 10MB
+ */
+async function verifyStoredUpload(storage, filePath) {
+  const stat = await storage.stat(filePath).catch(() => null);
+
+  let problem = null;
+  if (!stat) {
+    problem = 'Uploaded file not found in storage';
+  } else if (!validateImageType(stat.mimeType)) {
+    problem = 'Invalid file type. Allowed types: JPEG, PNG, GIF, WebP';
+  } else if (!(stat.size > 0)) {
+    problem = 'File is empty';
+  } else if (!validateFileSize(stat.size)) {
+    problem = 'File size exceeds 10MB limit';
+  }
+
+  if (problem) {
+    if (stat && !queryOne('SELECT 1 FROM images WHERE file_path = ?', [filePath])) {
+      await storage.delete(filePath).catch(error => console.warn('Failed to delete invalid upload:', error.message));
+    }
+    throw new Error(`Invalid upload: ${problem}`);
+  }
+
+  return { file_size: stat.size, mime_type: stat.mimeType };
+}
+
+/**
+ * Register a file that is already stored, e.g. after a presigned direct upload
+ * Files of the configured storage are checked with verifyStoredUpload and recorded with the size and type it reports.
+ * Metadata, hashes and thumbnails are only available when the file can be read back from the configured storage;
+ * when a duplicate is rejected or linked, the uploaded copy is deleted from storage
+ * @param {Object} image - { filename, original_name, file_path, file_size, mime_type }
+ * @param {Array} labels - [{ name, confidence }]
+ * @param {Object} [options] - { userEmail, token, duplicatePolicy, projectId }
+ * @returns {Promise<Object>} { status: 'created'|'linked'|'rejected', image, duplicate, duplicates }
+ * @throws {Error} 'Invalid upload: ...' if a file of the configured storage fails the upload limits
+ */
+async function registerStoredImage(image, labels, options = {}) {
+  const userEmail = options.userEmail || 'anonymous';
+  const policy = options.duplicatePolicy || config.uploads.duplicatePolicy;
+  const projectId = options.projectId || DEFAULT_PROJECT_ID;
+  const storage = getStorage();
+
+  let details = {};
+  let duplicates = [];
+  if (storage.owns && storage.owns(image.file_path)) {
+    image = { ...image, ...(await verifyStoredUpload(storage, image.file_path)) };
+
+    const stored = await storage.read(image.file_path).catch(() => null);
+    if (stored) {
+      const hashes = await computeImageHashes(stored.data);
+      duplicates = await tryFindDuplicates(hashes, projectId);
+
+      const handled = applyDuplicatePolicy(policy, duplicates, labels, userEmail);
+      if (handled) {
+        // The copy was uploaded straight to storage but will not be registered; never delete the existing image's file
+        if (!duplicates.some(duplicate => duplicate.file_path === image.file_path)) {
+          await storage.delete(image.file_path).catch(error => console.warn('Failed to delete duplicate upload:', error.message));
+        }
+        return handled;
+      }
+
+      details = {
+        ...readImageMetadata(stored.data),
+        ...hashes,
+        ...(await tryCreateThumbnails(stored.data, image.filename, options.token))
+      };
+
+      // The file is already stored as uploaded; only the record can leave out its position
+      if (config.uploads.stripGps) {
+        details.gps_latitude = null;
+        details.gps_longitude = null;
+      }
+    }
+  }
+
+  return {
+    status: 'created',
+    image: createImageRecord({ ...image, ...details, project_id: projectId }, labels, userEmail),
+    duplicate: null,
+    duplicates
+  };
+}
+
+module.exports = {
+  IMAGE_DETAIL_COLUMNS,
+  resolveDuplicatePolicy,
+  addImageLabels,
+  createImageRecord,
+  linkToImage,
+  createImageFromUpload,
+  registerStoredImage
+};
@@ -0,0 +1,41 @@
+/**
+ * Image Hash Backfill
+ * Computes the content and perceptual hashes used for duplicate detection for images uploaded before they were recorded
+ * Usage: node lib/database/backfill-hashes.js [--force]
+ */
+
+const { runMigrations } = require('./migrate');
+const { backfillImageHashes } = require('../data-access/duplicates');
+const { parseArgs } = require('./backfill-thumbnails');
+
+/**
+ * Run the backfill and print one line per image
+ * @returns {Promise<Object>} Backfill result
+ */
+async function main() {
+    // The hash columns are added by a migration
+    runMigrations();
+
+    const { force } = parseArgs(process.argv.slice(2));
+    console.log(force ? 'Recomputing hashes for all images...' : 'Computing missing image hashes...');
+
+    const result = await backfillImageHashes({
+        force,
+        onProgress: ({ image_id, filename, error }) => {
+            console.log(error ? `✗ ${filename} (ID: ${image_id}): ${error}` : `✓ ${filename} (ID: ${image_id})`);
+        }
+    });
+
+    console.log(`\nProcessed ${result.processed} images: ${result.hashed} hashed, ${result.failed} failed`);
+    return result;
+}
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+    main()
+        .then((result) => process.exit(result.failed > 0 ? 1 : 0))
+        .catch((error) => {
+            console.error('Hash backfill failed:', error);
+            process.exit(1);
+        });
+}
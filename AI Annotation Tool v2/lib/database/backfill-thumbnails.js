@@ -0,0 +1,57 @@
+/**
+ * Thumbnail Backfill
+ * Generates thumbnails and previews for images uploaded before they were created automatically
+ * Usage: node lib/database/backfill-thumbnails.js [--force] [--token <storage auth token>]
+ */
+
+const { runMigrations } = require('./migrate');
+const { backfillThumbnails } = require('../data-access/images');
+
+/**
+ * Parse the command line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { force, token }
+ */
+function parseArgs(args) {
+    const tokenIndex = args.indexOf('--token');
+
+    return {
+        force: args.includes('--force'),
+        token: tokenIndex >= 0 ? args[tokenIndex + 1] : undefined
+    };
+}
+
+/**
+ * Run the backfill and print one line per image
+ * @returns {Promise<Object>} Backfill result
+ */
+async function main() {
+    // The thumbnail columns are added by a migration
+    runMigrations();
+
+    const { force, token } = parseArgs(process.argv.slice(2));
+    console.log(force ? 'Regenerating thumbnails for all images...' : 'Generating missing thumbnails...');
+
+    const result = await backfillThumbnails({
+        force,
+        token,
+        onProgress: ({ image_id, filename, error }) => {
+            console.log(error ? `✗ ${filename} (ID: ${image_id}): ${error}` : `✓ ${filename} (ID: ${image_id})`);
+        }
+    });
+
+    console.log(`\nProcessed ${result.processed} images: ${result.generated} generated, ${result.failed} failed`);
+    return result;
+}
+
+// Run the backfill if this file is executed directly
+if (require.main === module) {
+    main()
+        .then((result) => process.exit(result.failed > 0 ? 1 : 0))
+        .catch((error) => {
+            console.error('Thumbnail backfill failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseArgs };
@@ -64,6 +64,51 @@ const config = {
     tableName: 'migrations'
   },
 
+  // File storage settings for uploaded images
+  storage: {
+    // Storage backend: 'local' (files on disk, served by /api/files), 'firebase' or 's3'
+    driver: process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'local' : 'firebase'),
+
+    // Folder that uploads are placed in
+    folder: process.env.STORAGE_FOLDER || 'Annotations',
+
+    // Directory holding the files of the local backend
+    localRoot: process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'storage'),
+
+    // S3-compatible bucket (AWS S3, MinIO, ...) for the s3 backend
+    s3: {
+      endpoint: process.env.STORAGE_S3_ENDPOINT || undefined,
+      region: process.env.STORAGE_S3_REGION || 'us-east-1',
+      bucket: process.env.STORAGE_S3_BUCKET,
+      accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+
+      // Path-style addressing (<endpoint>/<bucket>) is the default when an endpoint is set, as MinIO expects
+      forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE ? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true' : undefined,
+
+      // Base URL for reads (public bucket or CDN); reads are presigned when not set
+      publicUrl: process.env.STORAGE_S3_PUBLIC_URL || undefined,
+
+      // Lifetime of presigned upload and download URLs in seconds
+      presignExpiresIn: parseInt(process.env.STORAGE_S3_PRESIGN_EXPIRES) || 900
+    }
+  },
+
+  // Processing of uploaded image files
+  uploads: {
+    // Remove the EXIF GPS position from uploaded files and do not record it
+    stripGps: process.env.STRIP_IMAGE_GPS === 'true',
+
+    // What POST /api/images does with a file identical to an existing image: 'reject', 'warn' or 'link'
+    duplicatePolicy: process.env.DUPLICATE_POLICY || 'warn',
+
+    // Largest perceptual hash distance (bits out of 64) at which two images count as near-duplicates
+    duplicateThreshold: parseInt(process.env.DUPLICATE_HASH_THRESHOLD) || 6,
+
+    // Largest zip accepted by POST /api/import/archive, in bytes (default: 100 MB)
+    maxArchiveSize: parseInt(process.env.MAX_ARCHIVE_SIZE) || 100 * 1024 * 1024
+  },
+
   // Backup settings
   backup: {
     // Enable automatic backups
@@ -195,6 +240,8 @@ function getConfigInfo() {
     connectionSettings: config.connection,
     performanceSettings: config.performance,
     migrationSettings: config.migrations,
+    storageSettings: config.storage,
+    uploadSettings: config.uploads,
     backupSettings: config.backup
   };
 }
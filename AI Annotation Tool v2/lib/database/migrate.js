@@ -7,6 +7,121 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
+/**
+ * Check whether a table has a given column
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} tableName - Table to inspect
+ * @param {string} columnName - Column to look for
+ * @returns {boolean} True if the column exists
+ */
+function hasColumn(db, tableName, columnName) {
+    const tableInfo = db.prepare(`PRAGMA table_info(${tableName})`).all();
+    return tableInfo.some(col => col.name === columnName);
+}
+
+/**
+ * Check whether an index exists
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} indexName - Index to look for
+ * @returns {boolean} True if the index exists
+ */
+function hasIndex(db, indexName) {
+    return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND name = ?").get(indexName));
+}
+
+/**
+ * Check whether a table exists
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} tableName - Table to look for
+ * @returns {boolean} True if the table exists
+ */
+function hasTable(db, tableName) {
+    return Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?").get(tableName));
+}
+
+/**
+ * Check whether the full-text search index holds a document for every image
+ * A database initialised from schema.sql before the migration ran has the table but not the existing images
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {boolean} True if the index exists and is complete
+ */
+function hasSearchIndex(db) {
+    if (!hasTable(db, 'image_search')) {
+        return false;
+    }
+    const counts = db.prepare('SELECT (SELECT COUNT(*) FROM image_search) AS documents, (SELECT COUNT(*) FROM images) AS images').get();
+    return counts.documents === counts.images;
+}
+
+/**
+ * Ordered list of migrations; each one checks the live schema to decide whether it still needs to run
+ * A migration with foreignKeys: false runs with foreign key enforcement switched off
+ */
+const migrations = [
+    {
+        name: 'add_creator_editor_fields',
+        isApplied: (db) => hasColumn(db, 'images', 'created_by')
+    },
+    {
+        name: 'add_annotation_regions',
+        isApplied: (db) => hasColumn(db, 'annotations', 'bbox_x')
+    },
+    {
+        name: 'add_annotation_shapes',
+        isApplied: (db) => hasColumn(db, 'annotations', 'shape_type')
+    },
+    {
+        name: 'add_keypoint_templates',
+        isApplied: (db) => hasColumn(db, 'labels', 'keypoint_template')
+    },
+    {
+        name: 'add_image_thumbnails',
+        isApplied: (db) => hasColumn(db, 'images', 'thumbnail_path')
+    },
+    {
+        name: 'add_image_metadata',
+        isApplied: (db) => hasColumn(db, 'images', 'width')
+    },
+    {
+        name: 'add_image_hashes',
+        isApplied: (db) => hasColumn(db, 'images', 'content_hash')
+    },
+    {
+        name: 'add_image_listing_index',
+        isApplied: (db) => hasIndex(db, 'idx_images_uploaded')
+    },
+    {
+        name: 'add_image_search',
+        isApplied: hasSearchIndex
+    },
+    {
+        name: 'add_saved_searches',
+        isApplied: (db) => hasTable(db, 'saved_searches')
+    },
+    {
+        name: 'add_projects',
+        isApplied: (db) => hasColumn(db, 'images', 'project_id'),
+        // SQLite only adds a REFERENCES column with a non-NULL default while foreign keys are off
+        foreignKeys: false
+    },
+    {
+        name: 'add_label_hierarchy',
+        isApplied: (db) => hasColumn(db, 'labels', 'parent_label_id')
+    },
+    {
+        name: 'add_label_aliases',
+        isApplied: (db) => hasTable(db, 'label_aliases')
+    },
+    {
+        name: 'add_label_attributes',
+        isApplied: (db) => hasColumn(db, 'labels', 'attribute_schema')
+    },
+    {
+        name: 'add_label_appearance',
+        isApplied: (db) => hasColumn(db, 'labels', 'hotkey')
+    }
+];
+
 function runMigrations() {
     const dbPath = path.join(process.cwd(), 'database', 'annotations.db');
 
@@ -24,31 +139,30 @@ function runMigrations() {
 
         console.log('Running database migrations...');
 
-        // Check if migration has already been applied
-        const tableInfo = db.prepare("PRAGMA table_info(images)").all();
-        const hasCreatedBy = tableInfo.some(col => col.name === 'created_by');
+        for (const migration of migrations) {
+            // Check if migration has already been applied
+            if (migration.isApplied(db)) {
+                console.log(`Migration ${migration.name} already applied, skipping`);
+                continue;
+            }
 
-        if (!hasCreatedBy) {
-            console.log('Applying migration: add_creator_editor_fields');
+            console.log(`Applying migration: ${migration.name}`);
 
-            // Read and execute migration
-            const migrationPath = path.join(__dirname, 'migrations', 'add_creator_editor_fields.sql');
+            // Read and execute migration as a single script so multi-statement bodies stay intact
+            const migrationPath = path.join(__dirname, 'migrations', `${migration.name}.sql`);
             const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
 
-            // Split by semicolon and execute each statement
-            const statements = migrationSQL.split(';').filter(stmt => stmt.trim());
+            if (migration.foreignKeys === false) {
+                db.pragma('foreign_keys = OFF');
+            }
 
             db.transaction(() => {
-                for (const statement of statements) {
-                    if (statement.trim()) {
-                        db.exec(statement);
-                    }
-                }
+                db.exec(migrationSQL);
             })();
 
-            console.log('Migration completed successfully');
-        } else {
-            console.log('Migration already applied, skipping');
+            db.pragma('foreign_keys = ON');
+
+            console.log(`Migration ${migration.name} completed successfully`);
         }
 
     } catch (error) {
@@ -64,4 +178,4 @@ if (require.main === module) {
     runMigrations();
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+module.exports = { runMigrations };
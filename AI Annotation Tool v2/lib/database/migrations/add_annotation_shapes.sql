@@ -0,0 +1,9 @@
+-- Migration: Add polygon and segmentation-mask shapes to annotations
+-- shape_type distinguishes image-level labels, boxes, polygons and masks
+-- geometry holds the JSON outline for polygons and the RLE payload for masks
+
+ALTER TABLE annotations ADD COLUMN shape_type TEXT NOT NULL DEFAULT 'label' CHECK(shape_type IN ('label', 'bbox', 'polygon', 'mask'));
+ALTER TABLE annotations ADD COLUMN geometry TEXT NULL;
+
+-- Existing regions are plain bounding boxes
+UPDATE annotations SET shape_type = 'bbox' WHERE bbox_x IS NOT NULL;
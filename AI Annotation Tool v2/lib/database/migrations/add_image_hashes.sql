@@ -0,0 +1,7 @@
+-- Migration: Add content and perceptual hashes for duplicate detection
+-- content_hash is the SHA-256 of the file; perceptual_hash is a 64-bit difference hash (16 hex characters)
+
+ALTER TABLE images ADD COLUMN content_hash TEXT NULL;
+ALTER TABLE images ADD COLUMN perceptual_hash TEXT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images(content_hash);
@@ -0,0 +1,4 @@
+-- Migration: Add an index matching the gallery order
+-- Lets GET /api/images read one page (LIMIT/OFFSET or a keyset cursor) without sorting the whole table
+
+CREATE INDEX IF NOT EXISTS idx_images_uploaded ON images(uploaded_at DESC, image_id DESC);
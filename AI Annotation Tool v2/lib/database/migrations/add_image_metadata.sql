@@ -0,0 +1,11 @@
+-- Migration: Add image dimensions and EXIF metadata
+-- Read from the uploaded file; width and height are the displayed size after applying the EXIF orientation
+
+ALTER TABLE images ADD COLUMN width INTEGER NULL;
+ALTER TABLE images ADD COLUMN height INTEGER NULL;
+ALTER TABLE images ADD COLUMN orientation INTEGER NULL;
+ALTER TABLE images ADD COLUMN captured_at DATETIME NULL;
+ALTER TABLE images ADD COLUMN camera_make TEXT NULL;
+ALTER TABLE images ADD COLUMN camera_model TEXT NULL;
+ALTER TABLE images ADD COLUMN gps_latitude REAL NULL;
+ALTER TABLE images ADD COLUMN gps_longitude REAL NULL;
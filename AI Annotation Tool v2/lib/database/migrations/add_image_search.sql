@@ -0,0 +1,69 @@
+-- Migration: Add full-text search over image names, label names and label descriptions
+-- image_search holds one FTS5 document per image (rowid = image_id), built from image_search_documents
+-- and kept in sync by triggers on images, annotations and labels
+
+CREATE VIEW IF NOT EXISTS image_search_documents AS
+SELECT
+    i.image_id,
+    i.original_name || ' ' || i.filename AS names,
+    COALESCE((SELECT GROUP_CONCAT(l.label_name, ' ') FROM labels l
+        WHERE l.label_id IN (SELECT a.label_id FROM annotations a WHERE a.image_id = i.image_id)), '') AS labels,
+    COALESCE((SELECT GROUP_CONCAT(l.label_description, ' ') FROM labels l
+        WHERE l.label_id IN (SELECT a.label_id FROM annotations a WHERE a.image_id = i.image_id)), '') AS descriptions
+FROM images i;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS image_search USING fts5(
+    names,
+    labels,
+    descriptions,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Rank matches in names above label names, and label names above descriptions
+INSERT INTO image_search (image_search, rank) VALUES ('rank', 'bm25(10.0, 5.0, 1.0)');
+
+CREATE TRIGGER IF NOT EXISTS images_search_insert AFTER INSERT ON images BEGIN
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_search_update AFTER UPDATE OF original_name, filename ON images BEGIN
+    DELETE FROM image_search WHERE rowid = OLD.image_id;
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_search_delete AFTER DELETE ON images BEGIN
+    DELETE FROM image_search WHERE rowid = OLD.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS annotations_search_insert AFTER INSERT ON annotations BEGIN
+    DELETE FROM image_search WHERE rowid = NEW.image_id;
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS annotations_search_update AFTER UPDATE OF image_id, label_id ON annotations BEGIN
+    DELETE FROM image_search WHERE rowid IN (OLD.image_id, NEW.image_id);
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id IN (OLD.image_id, NEW.image_id);
+END;
+
+-- Also runs for annotations removed by deleting their label or image
+CREATE TRIGGER IF NOT EXISTS annotations_search_delete AFTER DELETE ON annotations BEGIN
+    DELETE FROM image_search WHERE rowid = OLD.image_id;
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = OLD.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS labels_search_update AFTER UPDATE OF label_name, label_description ON labels BEGIN
+    DELETE FROM image_search WHERE rowid IN (SELECT image_id FROM annotations WHERE label_id = NEW.label_id);
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents
+        WHERE image_id IN (SELECT image_id FROM annotations WHERE label_id = NEW.label_id);
+END;
+
+-- Index the images that already exist, replacing any partial index
+DELETE FROM image_search;
+INSERT INTO image_search (rowid, names, labels, descriptions) SELECT * FROM image_search_documents;
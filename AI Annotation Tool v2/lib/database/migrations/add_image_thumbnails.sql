@@ -0,0 +1,5 @@
+-- Migration: Add thumbnail and preview image paths
+-- Downscaled copies generated on upload (or by the thumbnail backfill) so the gallery does not load full-size files
+
+ALTER TABLE images ADD COLUMN thumbnail_path TEXT NULL;
+ALTER TABLE images ADD COLUMN preview_path TEXT NULL;
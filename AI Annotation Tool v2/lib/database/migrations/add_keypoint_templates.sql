@@ -0,0 +1,41 @@
+-- Migration: Add keypoint templates to labels and keypoint annotations
+-- Labels gain a JSON keypoint template; annotations gain the 'keypoints' shape type
+-- SQLite cannot alter a CHECK constraint, so the annotations table is rebuilt
+-- Keypoint annotations may have no bounding box, so image-level uniqueness now keys off shape_type
+
+ALTER TABLE labels ADD COLUMN keypoint_template TEXT NULL;
+
+CREATE TABLE annotations_new (
+    annotation_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    image_id INTEGER NOT NULL,
+    label_id INTEGER NOT NULL,
+    confidence REAL DEFAULT 1.0 CHECK(confidence >= 0.0 AND confidence <= 1.0),
+    shape_type TEXT NOT NULL DEFAULT 'label' CHECK(shape_type IN ('label', 'bbox', 'polygon', 'mask', 'keypoints')),
+    geometry TEXT NULL,
+    bbox_x REAL NULL CHECK(bbox_x IS NULL OR (bbox_x >= 0.0 AND bbox_x <= 1.0)),
+    bbox_y REAL NULL CHECK(bbox_y IS NULL OR (bbox_y >= 0.0 AND bbox_y <= 1.0)),
+    bbox_width REAL NULL CHECK(bbox_width IS NULL OR (bbox_width > 0.0 AND bbox_width <= 1.0)),
+    bbox_height REAL NULL CHECK(bbox_height IS NULL OR (bbox_height > 0.0 AND bbox_height <= 1.0)),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,
+    last_edited_by TEXT NULL,
+    FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE,
+    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE
+);
+
+INSERT INTO annotations_new (
+    annotation_id, image_id, label_id, confidence, shape_type, geometry,
+    bbox_x, bbox_y, bbox_width, bbox_height, created_at, created_by, last_edited_by
+)
+SELECT
+    annotation_id, image_id, label_id, confidence, shape_type, geometry,
+    bbox_x, bbox_y, bbox_width, bbox_height, created_at, created_by, last_edited_by
+FROM annotations;
+
+DROP TABLE annotations;
+ALTER TABLE annotations_new RENAME TO annotations;
+
+-- Recreate indexes dropped together with the old table
+CREATE INDEX IF NOT EXISTS idx_annotations_label ON annotations(label_id);
+CREATE INDEX IF NOT EXISTS idx_annotations_image ON annotations(image_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_annotations_image_label ON annotations(image_id, label_id) WHERE shape_type = 'label';
@@ -0,0 +1,12 @@
+-- Migration: Add label aliases (synonyms and former names)
+-- Looking a label up by name also finds it by an alias, so "kitty" or a merged "Cat" resolve to "cat" instead of becoming new labels
+
+CREATE TABLE IF NOT EXISTS label_aliases (
+    alias TEXT NOT NULL PRIMARY KEY COLLATE NOCASE,
+    label_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,
+    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_label_aliases_label ON label_aliases(label_id);
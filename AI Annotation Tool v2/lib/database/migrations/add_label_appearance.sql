@@ -0,0 +1,8 @@
+-- Migration: Add label colors, icons and hotkeys
+-- Chips and region outlines are drawn in the label's color; the hotkey toggles the label on the focused image in keyboard mode
+
+ALTER TABLE labels ADD COLUMN color TEXT NULL;
+ALTER TABLE labels ADD COLUMN icon TEXT NULL;
+ALTER TABLE labels ADD COLUMN hotkey TEXT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_hotkey ON labels(hotkey);
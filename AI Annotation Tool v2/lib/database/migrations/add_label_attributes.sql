@@ -0,0 +1,5 @@
+-- Migration: Add typed label attributes
+-- Labels gain a JSON attribute schema (e.g. occluded: boolean, color: enum); annotations gain the JSON values filled in for them
+
+ALTER TABLE labels ADD COLUMN attribute_schema TEXT NULL;
+ALTER TABLE annotations ADD COLUMN attributes TEXT NULL;
@@ -0,0 +1,6 @@
+-- Migration: Add parent labels for a label taxonomy (e.g. vehicle > car > sedan)
+-- Deleting a label moves its children up to the deleted label's parent in the data access layer; the foreign key only keeps stray IDs out
+
+ALTER TABLE labels ADD COLUMN parent_label_id INTEGER NULL REFERENCES labels(label_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_labels_parent ON labels(parent_label_id);
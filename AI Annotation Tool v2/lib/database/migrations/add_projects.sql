@@ -0,0 +1,43 @@
+-- Migration: Add projects
+-- Images, collections and label vocabularies are grouped by project; existing data moves into the default project (ID 1)
+
+CREATE TABLE IF NOT EXISTS projects (
+    project_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT NULL,
+    allowed_annotation_types TEXT NOT NULL DEFAULT '["label","bbox","polygon","mask","keypoints"]',
+    require_confidence INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,
+    last_edited_by TEXT NULL
+);
+
+INSERT OR IGNORE INTO projects (project_id, name, description) VALUES (1, 'Default', 'Images and labels that were not added to another project');
+
+ALTER TABLE images ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1 REFERENCES projects(project_id);
+ALTER TABLE saved_searches ADD COLUMN project_id INTEGER NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_images_project ON images(project_id, uploaded_at DESC, image_id DESC);
+
+CREATE TABLE IF NOT EXISTS project_labels (
+    project_id INTEGER NOT NULL,
+    label_id INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, label_id),
+    FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE
+);
+
+-- Every existing label is part of the default project's vocabulary
+INSERT OR IGNORE INTO project_labels (project_id, label_id) SELECT 1, label_id FROM labels;
+
+CREATE TRIGGER IF NOT EXISTS annotations_project_label_insert AFTER INSERT ON annotations BEGIN
+    INSERT OR IGNORE INTO project_labels (project_id, label_id)
+        SELECT project_id, NEW.label_id FROM images WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS annotations_project_label_update AFTER UPDATE OF image_id, label_id ON annotations BEGIN
+    INSERT OR IGNORE INTO project_labels (project_id, label_id)
+        SELECT project_id, NEW.label_id FROM images WHERE image_id = NEW.image_id;
+END;
@@ -0,0 +1,15 @@
+-- Migration: Add saved searches (smart collections)
+-- A saved search stores a gallery filter under a name; its images are found by running the filter
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+    saved_search_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT NULL,
+    search TEXT NULL,
+    label TEXT NULL,
+    query TEXT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,
+    last_edited_by TEXT NULL
+);
@@ -7,10 +7,58 @@
  */
 
 const { getDatabase } = require('./connection');
-const { schemas, validateData } = require('./schemas');
+const { schemas, validateData, validateRegion, validateGeometry, getGeometryBounds } = require('./schemas');
 
 let proxyInstance = null;
 
+/**
+ * Parse a label's keypoint template and attribute schema from their stored JSON
+ * @param {Object|undefined} label - Label row
+ * @returns {Object|undefined} Label with keypoint_template and attribute_schema as objects
+ */
+function parseLabelTemplate(label) {
+  if (!label) {
+    return label;
+  }
+
+  const parsed = { ...label };
+  for (const column of ['keypoint_template', 'attribute_schema']) {
+    if (typeof parsed[column] === 'string') {
+      parsed[column] = JSON.parse(parsed[column]);
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Build the ORDER BY, LIMIT and OFFSET clauses of a findAll query
+ * Column names cannot be bound as parameters, so they are checked against the table schema
+ * @param {string} tableName - Table being queried
+ * @param {Object} options - { orderBy: { column, direction }, limit, offset }
+ * @param {string} defaultOrder - ORDER BY used when options.orderBy is not given
+ * @returns {Object} { sql, params }
+ */
+function buildPageClause(tableName, options, defaultOrder) {
+  let sql = `ORDER BY ${defaultOrder}`;
+
+  if (options.orderBy) {
+    const { column, direction = 'ASC' } = options.orderBy;
+    if (!schemas[tableName].columns[column]) {
+      throw new Error(`Unknown column '${column}' for ${tableName}`);
+    }
+    sql = `ORDER BY ${column} ${String(direction).toLowerCase() === 'desc' ? 'DESC' : 'ASC'}`;
+  }
+
+  // LIMIT -1 is no limit in SQLite, so an offset can be used on its own
+  const params = [];
+  if (options.limit || options.offset) {
+    sql += ' LIMIT ? OFFSET ?';
+    params.push(options.limit || -1, options.offset || 0);
+  }
+
+  return { sql, params };
+}
+
 /**
  * Initialize the proxy with database connection
  * @returns {Object} Proxy instance with table methods
@@ -44,7 +92,11 @@ function initializeProxy() {
             SELECT
               a.*,
               l.label_name,
-              l.label_description
+              l.label_description,
+              l.keypoint_template,
+              l.attribute_schema,
+              l.color,
+              l.icon
             FROM annotations a
             JOIN labels l ON a.label_id = l.label_id
             WHERE a.image_id = ?
@@ -53,7 +105,12 @@ function initializeProxy() {
 
           return {
             ...image,
-            annotations
+            // Shape geometry, attribute values and the label's templates are stored as JSON text
+            annotations: annotations.map(annotation => ({
+              ...parseLabelTemplate(annotation),
+              geometry: annotation.geometry ? JSON.parse(annotation.geometry) : null,
+              attributes: annotation.attributes ? JSON.parse(annotation.attributes) : null
+            }))
           };
         },
 
@@ -61,8 +118,9 @@ function initializeProxy() {
           return db.prepare('SELECT * FROM images WHERE image_id = ?').get(imageId);
         },
 
-        findAll: function () {
-          return db.prepare('SELECT * FROM images ORDER BY uploaded_at DESC').all();
+        findAll: function (options = {}) {
+          const page = buildPageClause('images', options, 'uploaded_at DESC');
+          return db.prepare(`SELECT * FROM images ${page.sql}`).all(...page.params);
         },
 
         create: function (data) {
@@ -100,46 +158,84 @@ function initializeProxy() {
 
       // Labels table methods
       labels: {
-        findWithUsageStats: function () {
+        // usage_count and avg_confidence cover the label itself; the subtree_ columns add every label below it
+        // With a project, only its vocabulary is listed and only annotations on its images are counted
+        // aliases lists the label's other names (synonyms, former names and merged labels)
+        findWithUsageStats: function (projectId = null) {
+          const annotationScope = projectId ? 'AND image_id IN (SELECT image_id FROM images WHERE project_id = @projectId)' : '';
+
           return db.prepare(`
+            WITH RECURSIVE label_tree(root_id, label_id) AS (
+              SELECT label_id, label_id FROM labels
+              UNION
+              SELECT t.root_id, l.label_id FROM labels l JOIN label_tree t ON l.parent_label_id = t.label_id
+            ),
+            scoped_annotations AS (
+              SELECT label_id, confidence FROM annotations WHERE 1 ${annotationScope}
+            )
             SELECT
               l.*,
-              COUNT(a.annotation_id) as usage_count,
-              AVG(a.confidence) as avg_confidence
+              (SELECT COUNT(*) FROM scoped_annotations a WHERE a.label_id = l.label_id) as usage_count,
+              (SELECT AVG(a.confidence) FROM scoped_annotations a WHERE a.label_id = l.label_id) as avg_confidence,
+              COUNT(sa.label_id) as subtree_usage_count,
+              AVG(sa.confidence) as subtree_avg_confidence,
+              (SELECT json_group_array(alias) FROM (
+                SELECT alias FROM label_aliases la WHERE la.label_id = l.label_id ORDER BY alias COLLATE NOCASE
+              )) as aliases
             FROM labels l
-            LEFT JOIN annotations a ON l.label_id = a.label_id
+            ${projectId ? 'JOIN project_labels pl ON pl.label_id = l.label_id AND pl.project_id = @projectId' : ''}
+            JOIN label_tree t ON t.root_id = l.label_id
+            LEFT JOIN scoped_annotations sa ON sa.label_id = t.label_id
             GROUP BY l.label_id
             ORDER BY usage_count DESC, l.label_name
-          `).all();
+          `).all(projectId ? { projectId } : {}).map(label => ({ ...parseLabelTemplate(label), aliases: JSON.parse(label.aliases) }));
         },
 
-        findByNameOrCreate: function (labelName, description = null) {
-          // Try to find existing label
-          const existing = db.prepare('SELECT * FROM labels WHERE label_name = ?').get(labelName);
+        // Resolve a name to its canonical label: the exact name first, then an alias (any case), then the name in any case
+        findByName: function (labelName) {
+          const label = db.prepare('SELECT * FROM labels WHERE label_name = ?').get(labelName) ||
+            db.prepare('SELECT l.* FROM label_aliases a JOIN labels l ON l.label_id = a.label_id WHERE a.alias = ?').get(labelName) ||
+            db.prepare('SELECT * FROM labels WHERE label_name = ? COLLATE NOCASE ORDER BY label_id LIMIT 1').get(labelName);
+          return parseLabelTemplate(label);
+        },
+
+        findByNameOrCreate: function (labelName, description = null, keypointTemplate = null, parentLabelId = null, attributeSchema = null) {
+          // Try to find existing label, also through its aliases and case variants
+          const existing = this.findByName(labelName);
           if (existing) {
             return existing;
           }
 
           // Create new label if not found
           const stmt = db.prepare(`
-            INSERT INTO labels (label_name, label_description)
-            VALUES (?, ?)
+            INSERT INTO labels (label_name, label_description, keypoint_template, parent_label_id, attribute_schema)
+            VALUES (?, ?, ?, ?, ?)
           `);
-          const result = stmt.run(labelName, description);
+          const result = stmt.run(
+            labelName,
+            description,
+            keypointTemplate ? JSON.stringify(keypointTemplate) : null,
+            parentLabelId,
+            attributeSchema ? JSON.stringify(attributeSchema) : null
+          );
           return {
             label_id: result.lastInsertRowid,
             label_name: labelName,
             label_description: description,
+            keypoint_template: keypointTemplate,
+            parent_label_id: parentLabelId,
+            attribute_schema: attributeSchema,
             created_at: new Date().toISOString()
           };
         },
 
         findById: function (labelId) {
-          return db.prepare('SELECT * FROM labels WHERE label_id = ?').get(labelId);
+          return parseLabelTemplate(db.prepare('SELECT * FROM labels WHERE label_id = ?').get(labelId));
         },
 
-        findAll: function () {
-          return db.prepare('SELECT * FROM labels ORDER BY label_name').all();
+        findAll: function (options = {}) {
+          const page = buildPageClause('labels', options, 'label_name');
+          return db.prepare(`SELECT * FROM labels ${page.sql}`).all(...page.params).map(parseLabelTemplate);
         },
 
         create: function (data) {
@@ -150,10 +246,10 @@ function initializeProxy() {
           }
 
           const stmt = db.prepare(`
-            INSERT INTO labels (label_name, label_description)
-            VALUES (@label_name, @label_description)
+            INSERT INTO labels (label_name, label_description, keypoint_template)
+            VALUES (@label_name, @label_description, @keypoint_template)
           `);
-          const result = stmt.run(data);
+          const result = stmt.run({ keypoint_template: null, ...data });
           return {
             label_id: result.lastInsertRowid,
             ...data,
@@ -207,8 +303,9 @@ function initializeProxy() {
           `).all(labelId);
         },
 
-        findAll: function () {
-          return db.prepare('SELECT * FROM annotations ORDER BY created_at DESC').all();
+        findAll: function (options = {}) {
+          const page = buildPageClause('annotations', options, 'created_at DESC');
+          return db.prepare(`SELECT * FROM annotations ${page.sql}`).all(...page.params);
         },
 
         createWithValidation: function (data) {
@@ -217,42 +314,60 @@ function initializeProxy() {
             throw new Error('Confidence must be between 0.0 and 1.0');
           }
 
-          // Check for duplicate annotation
-          const existing = db.prepare(`
-            SELECT annotation_id FROM annotations
-            WHERE image_id = ? AND label_id = ?
-          `).get(data.image_id, data.label_id);
+          // Polygons and masks store their bounding box alongside the geometry
+          if (['polygon', 'mask', 'keypoints'].includes(data.shape_type)) {
+            const label = data.shape_type === 'keypoints' ? proxyInstance.labels.findById(data.label_id) : null;
+            const geometryValidation = validateGeometry(data.shape_type, data.geometry, label && label.keypoint_template);
+            if (!geometryValidation.valid) {
+              throw new Error(`Invalid geometry: ${geometryValidation.errors.join(', ')}`);
+            }
+            data = { ...data, region: data.region || getGeometryBounds(data.shape_type, data.geometry) };
+          }
 
-          if (existing) {
-            throw new Error('Annotation already exists for this image-label combination');
+          // Validate region if one is provided
+          if (data.region) {
+            const regionValidation = validateRegion(data.region);
+            if (!regionValidation.valid) {
+              throw new Error(`Invalid region: ${regionValidation.errors.join(', ')}`);
+            }
           }
 
-          // Create annotation
-          const stmt = db.prepare(`
-            INSERT INTO annotations (image_id, label_id, confidence)
-            VALUES (@image_id, @label_id, @confidence)
-          `);
-          const result = stmt.run({
-            image_id: data.image_id,
-            label_id: data.label_id,
-            confidence: data.confidence || 1.0
-          });
-          return {
-            annotation_id: result.lastInsertRowid,
-            ...data,
-            created_at: new Date().toISOString()
-          };
+          // Check for duplicate annotation (only image-level labels are unique per image)
+          if (!data.region && !data.shape_type) {
+            const existing = db.prepare(`
+              SELECT annotation_id FROM annotations
+              WHERE image_id = ? AND label_id = ? AND shape_type = 'label'
+            `).get(data.image_id, data.label_id);
+
+            if (existing) {
+              throw new Error('Annotation already exists for this image-label combination');
+            }
+          }
+
+          return this.create(data);
         },
 
         create: function (data) {
           const stmt = db.prepare(`
-            INSERT INTO annotations (image_id, label_id, confidence)
-            VALUES (@image_id, @label_id, @confidence)
+            INSERT INTO annotations (
+              image_id, label_id, confidence, shape_type, geometry,
+              bbox_x, bbox_y, bbox_width, bbox_height
+            )
+            VALUES (
+              @image_id, @label_id, @confidence, @shape_type, @geometry,
+              @bbox_x, @bbox_y, @bbox_width, @bbox_height
+            )
           `);
           const result = stmt.run({
             image_id: data.image_id,
             label_id: data.label_id,
-            confidence: data.confidence || 1.0
+            confidence: data.confidence || 1.0,
+            shape_type: data.shape_type || (data.region ? 'bbox' : 'label'),
+            geometry: data.geometry ? JSON.stringify(data.geometry) : null,
+            bbox_x: data.region ? data.region.x : null,
+            bbox_y: data.region ? data.region.y : null,
+            bbox_width: data.region ? data.region.width : null,
+            bbox_height: data.region ? data.region.height : null
           });
           return {
             annotation_id: result.lastInsertRowid,
@@ -2,6 +2,22 @@
 -- This schema implements a many-to-many relationship between images and labels through an annotations junction table
 -- Compatible with Assignment 1 requirements
 
+-- Projects group images into separate datasets, each with its own label vocabulary and annotation settings
+-- Project 1 is the default project; images and labels created without a project belong to it
+CREATE TABLE IF NOT EXISTS projects (
+    project_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT NULL,
+    allowed_annotation_types TEXT NOT NULL DEFAULT '["label","bbox","polygon","mask","keypoints"]',  -- JSON array of shape types
+    require_confidence INTEGER NOT NULL DEFAULT 0,  -- 1 when new annotations must state their confidence
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,
+    last_edited_by TEXT NULL
+);
+
+INSERT OR IGNORE INTO projects (project_id, name, description) VALUES (1, 'Default', 'Images and labels that were not added to another project');
+
 -- Images table stores metadata about uploaded image files
 -- Each image has a unique identifier and information about the file
 CREATE TABLE IF NOT EXISTS images (
@@ -11,10 +27,23 @@ CREATE TABLE IF NOT EXISTS images (
     file_path TEXT NOT NULL,
     file_size INTEGER NOT NULL,
     mime_type TEXT NOT NULL,
+    thumbnail_path TEXT NULL,  -- Small WebP copy for gallery tiles
+    preview_path TEXT NULL,  -- Mid-size WebP copy for the zoom view
+    width INTEGER NULL,  -- Displayed size in pixels, after applying the EXIF orientation
+    height INTEGER NULL,
+    orientation INTEGER NULL,  -- EXIF orientation (1-8)
+    captured_at DATETIME NULL,  -- EXIF capture time (camera local time)
+    camera_make TEXT NULL,
+    camera_model TEXT NULL,
+    gps_latitude REAL NULL,  -- Decimal degrees; NULL when the upload had no position or it was stripped
+    gps_longitude REAL NULL,
+    content_hash TEXT NULL,  -- SHA-256 of the file, for exact duplicates
+    perceptual_hash TEXT NULL,  -- 64-bit difference hash (16 hex characters), for near-duplicates
     uploaded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_by TEXT NULL,  -- User who uploaded/created the record
-    last_edited_by TEXT NULL  -- User who last modified the record
+    last_edited_by TEXT NULL,  -- User who last modified the record
+    project_id INTEGER NOT NULL DEFAULT 1 REFERENCES projects(project_id)  -- Project the image belongs to
 );
 
 -- Labels table stores all available labels that can be applied to images
@@ -23,25 +52,56 @@ CREATE TABLE IF NOT EXISTS labels (
     label_id INTEGER PRIMARY KEY AUTOINCREMENT,
     label_name TEXT NOT NULL UNIQUE,
     label_description TEXT,
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    keypoint_template TEXT NULL,  -- JSON pose template: {"keypoints": ["nose", ...], "skeleton": [[1, 2], ...]} (1-based edges)
+    parent_label_id INTEGER NULL,  -- Broader label in the taxonomy (vehicle for car); NULL for top-level labels
+    attribute_schema TEXT NULL,  -- JSON attribute definitions: [{"name": "occluded", "type": "boolean"}, {"name": "color", "type": "enum", "values": ["red", "blue"]}]
+    color TEXT NULL,  -- Hex color (#rrggbb) of the label's chips and region outlines
+    icon TEXT NULL,  -- Short symbol (e.g. an emoji) shown before the label name
+    hotkey TEXT NULL,  -- Key (1-9 or a-z) that toggles the label on the focused image in keyboard mode
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (parent_label_id) REFERENCES labels(label_id) ON DELETE SET NULL
+);
+
+-- Aliases are other names of a label: synonyms ("kitty" for "cat"), former names and the names of labels merged into it
+-- Looking a label up by name checks the exact name, then the aliases, then the name ignoring case
+CREATE TABLE IF NOT EXISTS label_aliases (
+    alias TEXT NOT NULL PRIMARY KEY COLLATE NOCASE,
+    label_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,  -- User who added the alias, renamed or merged the label
+    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE
 );
 
 -- Annotations table creates the many-to-many relationship between images and labels
 -- This junction table allows one image to have multiple labels and one label to be applied to multiple images
--- The UNIQUE constraint prevents duplicate annotations (same label applied twice to the same image)
+-- An annotation may optionally carry a bounding box (normalized 0-1 coordinates relative to the image size)
+-- Several boxes with the same label may exist on one image; image-level labels (no box) stay unique per image
+-- Polygon and mask annotations keep their outline in geometry (JSON) and their bounding box in the bbox columns
+-- Keypoint annotations store one [x, y, visibility] entry per keypoint of the label's template
+-- Attribute values are checked against the label's attribute schema when they are written
 CREATE TABLE IF NOT EXISTS annotations (
     annotation_id INTEGER PRIMARY KEY AUTOINCREMENT,
     image_id INTEGER NOT NULL,
     label_id INTEGER NOT NULL,
     confidence REAL DEFAULT 1.0 CHECK(confidence >= 0.0 AND confidence <= 1.0),
+    shape_type TEXT NOT NULL DEFAULT 'label' CHECK(shape_type IN ('label', 'bbox', 'polygon', 'mask', 'keypoints')),
+    geometry TEXT NULL,  -- JSON payload: {"points": [[x, y], ...]} for polygons, {"size": [h, w], "counts": [...]} RLE for masks, {"points": [[x, y, v], ...]} for keypoints
+    bbox_x REAL NULL CHECK(bbox_x IS NULL OR (bbox_x >= 0.0 AND bbox_x <= 1.0)),  -- Left edge of the region
+    bbox_y REAL NULL CHECK(bbox_y IS NULL OR (bbox_y >= 0.0 AND bbox_y <= 1.0)),  -- Top edge of the region
+    bbox_width REAL NULL CHECK(bbox_width IS NULL OR (bbox_width > 0.0 AND bbox_width <= 1.0)),
+    bbox_height REAL NULL CHECK(bbox_height IS NULL OR (bbox_height > 0.0 AND bbox_height <= 1.0)),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_by TEXT NULL,  -- User who created this annotation
     last_edited_by TEXT NULL,  -- User who last modified this annotation
+    attributes TEXT NULL,  -- JSON values for the label's attribute schema: {"occluded": true, "color": "red"}
     FOREIGN KEY (image_id) REFERENCES images(image_id) ON DELETE CASCADE,
-    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE,
-    UNIQUE(image_id, label_id)
+    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE
 );
 
+-- Partial unique index prevents duplicate image-level annotations (same label applied twice to the same image)
+-- Shape annotations are excluded so that multiple boxes, polygons or poses with the same label can be drawn on one image
+CREATE UNIQUE INDEX IF NOT EXISTS idx_annotations_image_label ON annotations(image_id, label_id) WHERE shape_type = 'label';
+
 -- Index for faster queries when searching by label
 -- This improves performance when finding all images with a specific label
 CREATE INDEX IF NOT EXISTS idx_annotations_label ON annotations(label_id);
@@ -54,6 +114,127 @@ CREATE INDEX IF NOT EXISTS idx_annotations_image ON annotations(image_id);
 -- Useful for checking if an image already exists before upload
 CREATE INDEX IF NOT EXISTS idx_images_filename ON images(filename);
 
+-- Index for finding exact duplicates of an upload by its content hash
+CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images(content_hash);
+
+-- Index matching the gallery order (newest first)
+-- Lets a page be read with LIMIT/OFFSET or a keyset cursor without sorting every image
+CREATE INDEX IF NOT EXISTS idx_images_uploaded ON images(uploaded_at DESC, image_id DESC);
+
 -- Index for faster queries when searching labels by name
 -- Improves performance when checking if a label exists before creation
-CREATE INDEX IF NOT EXISTS idx_labels_name ON labels(label_name);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_labels_name ON labels(label_name);
+
+-- Index for walking the label taxonomy from a label to its children
+CREATE INDEX IF NOT EXISTS idx_labels_parent ON labels(parent_label_id);
+CREATE INDEX IF NOT EXISTS idx_label_aliases_label ON label_aliases(label_id);
+
+-- A hotkey belongs to at most one label
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_hotkey ON labels(hotkey);
+
+-- Index for listing one project's images in gallery order
+CREATE INDEX IF NOT EXISTS idx_images_project ON images(project_id, uploaded_at DESC, image_id DESC);
+
+-- Label vocabulary of each project
+-- Labels are shared by name across projects; a project's vocabulary is the labels created in it or used on its images
+CREATE TABLE IF NOT EXISTS project_labels (
+    project_id INTEGER NOT NULL,
+    label_id INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, label_id),
+    FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+    FOREIGN KEY (label_id) REFERENCES labels(label_id) ON DELETE CASCADE
+);
+
+-- Labels used on an image join the vocabulary of the image's project
+CREATE TRIGGER IF NOT EXISTS annotations_project_label_insert AFTER INSERT ON annotations BEGIN
+    INSERT OR IGNORE INTO project_labels (project_id, label_id)
+        SELECT project_id, NEW.label_id FROM images WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS annotations_project_label_update AFTER UPDATE OF image_id, label_id ON annotations BEGIN
+    INSERT OR IGNORE INTO project_labels (project_id, label_id)
+        SELECT project_id, NEW.label_id FROM images WHERE image_id = NEW.image_id;
+END;
+
+-- Saved searches ("smart collections") store a gallery filter under a name
+-- The filter columns mirror GET /api/images: search (full-text words), label (exact label name) and query (query language)
+-- Membership is not stored; the images in a collection are found by running its filter
+CREATE TABLE IF NOT EXISTS saved_searches (
+    saved_search_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT NULL,
+    search TEXT NULL,
+    label TEXT NULL,
+    query TEXT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_by TEXT NULL,  -- User who saved the search
+    last_edited_by TEXT NULL,  -- User who last changed it
+    project_id INTEGER NOT NULL DEFAULT 1  -- Project whose images the search runs over
+);
+
+-- Full-text search over image names, label names and label descriptions (GET /api/images?search=)
+-- image_search holds one FTS5 document per image (rowid = image_id), built from image_search_documents
+-- and kept in sync by the triggers below whenever an image, its annotations or its labels change
+CREATE VIEW IF NOT EXISTS image_search_documents AS
+SELECT
+    i.image_id,
+    i.original_name || ' ' || i.filename AS names,
+    COALESCE((SELECT GROUP_CONCAT(l.label_name, ' ') FROM labels l
+        WHERE l.label_id IN (SELECT a.label_id FROM annotations a WHERE a.image_id = i.image_id)), '') AS labels,
+    COALESCE((SELECT GROUP_CONCAT(l.label_description, ' ') FROM labels l
+        WHERE l.label_id IN (SELECT a.label_id FROM annotations a WHERE a.image_id = i.image_id)), '') AS descriptions
+FROM images i;
+
+CREATE VIRTUAL TABLE IF NOT EXISTS image_search USING fts5(
+    names,
+    labels,
+    descriptions,
+    tokenize = 'unicode61 remove_diacritics 2',
+    prefix = '2 3'
+);
+
+-- Rank matches in names above label names, and label names above descriptions
+INSERT INTO image_search (image_search, rank) VALUES ('rank', 'bm25(10.0, 5.0, 1.0)');
+
+CREATE TRIGGER IF NOT EXISTS images_search_insert AFTER INSERT ON images BEGIN
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_search_update AFTER UPDATE OF original_name, filename ON images BEGIN
+    DELETE FROM image_search WHERE rowid = OLD.image_id;
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS images_search_delete AFTER DELETE ON images BEGIN
+    DELETE FROM image_search WHERE rowid = OLD.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS annotations_search_insert AFTER INSERT ON annotations BEGIN
+    DELETE FROM image_search WHERE rowid = NEW.image_id;
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = NEW.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS annotations_search_update AFTER UPDATE OF image_id, label_id ON annotations BEGIN
+    DELETE FROM image_search WHERE rowid IN (OLD.image_id, NEW.image_id);
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id IN (OLD.image_id, NEW.image_id);
+END;
+
+-- Also runs for annotations removed by deleting their label or image
+CREATE TRIGGER IF NOT EXISTS annotations_search_delete AFTER DELETE ON annotations BEGIN
+    DELETE FROM image_search WHERE rowid = OLD.image_id;
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents WHERE image_id = OLD.image_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS labels_search_update AFTER UPDATE OF label_name, label_description ON labels BEGIN
+    DELETE FROM image_search WHERE rowid IN (SELECT image_id FROM annotations WHERE label_id = NEW.label_id);
+    INSERT INTO image_search (rowid, names, labels, descriptions)
+        SELECT * FROM image_search_documents
+        WHERE image_id IN (SELECT image_id FROM annotations WHERE label_id = NEW.label_id);
+END;
\ No newline at end of file
@@ -3,6 +3,36 @@
  * Defines table structures, column types, and relationships
  */
 
+/**
+ * Supported annotation shapes
+ * label: whole-image label, bbox: bounding box, polygon: outline, mask: RLE segmentation mask,
+ * keypoints: pose points following the label's keypoint template
+ */
+const SHAPE_TYPES = ['label', 'bbox', 'polygon', 'mask', 'keypoints'];
+
+/**
+ * Keypoint visibility flags (COCO convention)
+ * 0: not labeled, 1: labeled but occluded, 2: labeled and visible
+ */
+const KEYPOINT_VISIBILITY = [0, 1, 2];
+
+/**
+ * Supported label attribute types
+ * boolean: true/false, integer: whole number, number: any finite number, text: free text,
+ * enum: one of the values listed in the attribute definition
+ */
+const ATTRIBUTE_TYPES = ['boolean', 'integer', 'number', 'text', 'enum'];
+
+// Attribute names are used as JSON keys and in query terms (attr.occluded:true)
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Label colors are stored as lowercase hex (#1e90ff); hotkeys are a digit from 1 to 9 or a lowercase letter
+const LABEL_COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+const LABEL_HOTKEY_PATTERN = /^[1-9a-z]$/;
+
+// Longest label icon; an emoji made of several code points still fits
+const MAX_LABEL_ICON_LENGTH = 16;
+
 const schemas = {
   images: {
     tableName: 'images',
@@ -36,6 +66,61 @@ const schemas = {
         nullable: false,
         validate: (value) => value.startsWith('image/')
       },
+      thumbnail_path: {
+        type: 'TEXT',
+        nullable: true
+      },
+      preview_path: {
+        type: 'TEXT',
+        nullable: true
+      },
+      width: {
+        type: 'INTEGER',
+        nullable: true,
+        validate: (value) => value > 0
+      },
+      height: {
+        type: 'INTEGER',
+        nullable: true,
+        validate: (value) => value > 0
+      },
+      orientation: {
+        type: 'INTEGER',
+        nullable: true,
+        validate: (value) => value >= 1 && value <= 8
+      },
+      captured_at: {
+        type: 'DATETIME',
+        nullable: true
+      },
+      camera_make: {
+        type: 'TEXT',
+        nullable: true
+      },
+      camera_model: {
+        type: 'TEXT',
+        nullable: true
+      },
+      gps_latitude: {
+        type: 'REAL',
+        nullable: true,
+        validate: (value) => value >= -90 && value <= 90
+      },
+      gps_longitude: {
+        type: 'REAL',
+        nullable: true,
+        validate: (value) => value >= -180 && value <= 180
+      },
+      content_hash: {
+        type: 'TEXT',
+        nullable: true,
+        validate: (value) => /^[0-9a-f]{64}$/.test(value)
+      },
+      perceptual_hash: {
+        type: 'TEXT',
+        nullable: true,
+        validate: (value) => /^[0-9a-f]{16}$/.test(value)
+      },
       uploaded_at: {
         type: 'DATETIME',
         nullable: false,
@@ -45,11 +130,18 @@ const schemas = {
         type: 'DATETIME',
         nullable: false,
         default: 'CURRENT_TIMESTAMP'
+      },
+      project_id: {
+        type: 'INTEGER',
+        nullable: false,
+        default: 1
       }
     },
     indexes: [
       { columns: ['filename'], unique: true },
-      { columns: ['uploaded_at'] }
+      { columns: ['uploaded_at', 'image_id'] },
+      { columns: ['content_hash'] },
+      { columns: ['project_id', 'uploaded_at', 'image_id'] }
     ]
   },
 
@@ -72,6 +164,41 @@ const schemas = {
         type: 'TEXT',
         nullable: true
       },
+      keypoint_template: {
+        type: 'TEXT',
+        nullable: true,
+        validate: (value) => validateKeypointTemplate(JSON.parse(value)).valid
+      },
+      parent_label_id: {
+        type: 'INTEGER',
+        nullable: true,
+        foreignKey: {
+          table: 'labels',
+          column: 'label_id',
+          onDelete: 'SET NULL'
+        }
+      },
+      attribute_schema: {
+        type: 'TEXT',
+        nullable: true,
+        validate: (value) => validateAttributeSchema(JSON.parse(value)).valid
+      },
+      color: {
+        type: 'TEXT',
+        nullable: true,
+        validate: (value) => LABEL_COLOR_PATTERN.test(value)
+      },
+      icon: {
+        type: 'TEXT',
+        nullable: true,
+        validate: (value) => value.length > 0 && value.length <= MAX_LABEL_ICON_LENGTH
+      },
+      hotkey: {
+        type: 'TEXT',
+        nullable: true,
+        unique: true,
+        validate: (value) => LABEL_HOTKEY_PATTERN.test(value)
+      },
       created_at: {
         type: 'DATETIME',
         nullable: false,
@@ -79,7 +206,9 @@ const schemas = {
       }
     },
     indexes: [
-      { columns: ['label_name'], unique: true }
+      { columns: ['label_name'], unique: true },
+      { columns: ['parent_label_id'] },
+      { columns: ['hotkey'], unique: true }
     ]
   },
 
@@ -116,6 +245,40 @@ const schemas = {
         default: 1.0,
         validate: (value) => value >= 0.0 && value <= 1.0
       },
+      shape_type: {
+        type: 'TEXT',
+        nullable: false,
+        default: 'label',
+        validate: (value) => SHAPE_TYPES.includes(value)
+      },
+      geometry: {
+        type: 'TEXT',
+        nullable: true
+      },
+      bbox_x: {
+        type: 'REAL',
+        nullable: true,
+        validate: (value) => value >= 0.0 && value <= 1.0
+      },
+      bbox_y: {
+        type: 'REAL',
+        nullable: true,
+        validate: (value) => value >= 0.0 && value <= 1.0
+      },
+      bbox_width: {
+        type: 'REAL',
+        nullable: true,
+        validate: (value) => value > 0.0 && value <= 1.0
+      },
+      bbox_height: {
+        type: 'REAL',
+        nullable: true,
+        validate: (value) => value > 0.0 && value <= 1.0
+      },
+      attributes: {
+        type: 'TEXT',
+        nullable: true
+      },
       created_at: {
         type: 'DATETIME',
         nullable: false,
@@ -125,13 +288,10 @@ const schemas = {
     indexes: [
       { columns: ['image_id'] },
       { columns: ['label_id'] },
-      { columns: ['image_id', 'label_id'], unique: true }
+      // Only image-level annotations (no region) are unique per image and label
+      { columns: ['image_id', 'label_id'], unique: true, where: "shape_type = 'label'" }
     ],
     constraints: [
-      {
-        type: 'UNIQUE',
-        columns: ['image_id', 'label_id']
-      },
       {
         type: 'CHECK',
         expression: 'confidence >= 0.0 AND confidence <= 1.0'
@@ -164,9 +324,13 @@ function getTableNames() {
  * Validate data against schema
  * @param {string} tableName - Name of the table
  * @param {Object} data - Data to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.partial=false] - Only check the columns present in data (for updates)
+ * @param {Array|null} [options.attributeSchema] - Attribute schema of the annotation's label; attribute
+ *   values (annotations.attributes) are checked against it
  * @returns {Object} Validation result
  */
-function validateData(tableName, data) {
+function validateData(tableName, data, options = {}) {
   const schema = getSchema(tableName);
   const errors = [];
   const warnings = [];
@@ -174,6 +338,11 @@ function validateData(tableName, data) {
   for (const [columnName, columnDef] of Object.entries(schema.columns)) {
     const value = data[columnName];
 
+    // Partial updates leave absent columns unchanged
+    if (options.partial && !(columnName in data)) {
+      continue;
+    }
+
     // Check required fields
     if (!columnDef.nullable && (value === null || value === undefined)) {
       if (!columnDef.autoIncrement && !columnDef.default) {
@@ -209,6 +378,16 @@ function validateData(tableName, data) {
     }
   }
 
+  // Attribute values only make sense against the schema of the annotation's label
+  if (tableName === 'annotations' && typeof data.attributes === 'string') {
+    try {
+      const result = validateAttributes(JSON.parse(data.attributes), options.attributeSchema || null);
+      errors.push(...result.errors);
+    } catch (error) {
+      errors.push(`Column 'attributes' validation error: ${error.message}`);
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -216,6 +395,354 @@ function validateData(tableName, data) {
   };
 }
 
+/**
+ * Validate a bounding-box region expressed in normalized image coordinates
+ * @param {Object} region - Region with x, y, width and height between 0 and 1
+ * @returns {Object} Validation result
+ */
+function validateRegion(region) {
+  const errors = [];
+
+  if (!region || typeof region !== 'object') {
+    return { valid: false, errors: ['Region must be an object with x, y, width and height'] };
+  }
+
+  for (const key of ['x', 'y', 'width', 'height']) {
+    if (typeof region[key] !== 'number' || !Number.isFinite(region[key])) {
+      errors.push(`Region '${key}' must be a number`);
+    }
+  }
+
+  if (errors.length === 0) {
+    if (region.x < 0 || region.y < 0) {
+      errors.push('Region origin must not be negative');
+    }
+    if (region.width <= 0 || region.height <= 0) {
+      errors.push('Region width and height must be greater than 0');
+    }
+    // Allow for floating point rounding when a region touches the right or bottom edge
+    if (region.x + region.width > 1 + 1e-9 || region.y + region.height > 1 + 1e-9) {
+      errors.push('Region must lie within the image bounds (normalized 0-1 coordinates)');
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a label's keypoint template
+ * Format follows COCO categories: { keypoints: ['nose', ...], skeleton: [[1, 2], ...] }
+ * Skeleton edges reference keypoints by 1-based index
+ * @param {Object} template - Keypoint template
+ * @returns {Object} Validation result
+ */
+function validateKeypointTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return { valid: false, errors: ['Keypoint template must be an object'] };
+  }
+
+  const { keypoints, skeleton = [] } = template;
+
+  if (!Array.isArray(keypoints) || keypoints.length === 0) {
+    errors.push('Keypoint template must list at least one keypoint name');
+  } else {
+    if (!keypoints.every(name => typeof name === 'string' && name.trim().length > 0)) {
+      errors.push('Keypoint names must be non-empty strings');
+    }
+    if (new Set(keypoints).size !== keypoints.length) {
+      errors.push('Keypoint names must be unique');
+    }
+  }
+
+  if (!Array.isArray(skeleton)) {
+    errors.push('Skeleton must be an array of [from, to] keypoint index pairs');
+  } else if (Array.isArray(keypoints)) {
+    skeleton.forEach((edge, index) => {
+      const isEdge = Array.isArray(edge) && edge.length === 2 &&
+        edge.every(value => Number.isInteger(value) && value >= 1 && value <= keypoints.length);
+      if (!isEdge) {
+        errors.push(`Skeleton edge ${index} must be a pair of keypoint indexes between 1 and ${keypoints.length}`);
+      } else if (edge[0] === edge[1]) {
+        errors.push(`Skeleton edge ${index} must connect two different keypoints`);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a label's attribute schema
+ * Format: [{ name: 'occluded', type: 'boolean' }, { name: 'color', type: 'enum', values: ['red', 'blue'] }]
+ * @param {Array} schema - Attribute definitions
+ * @returns {Object} Validation result
+ */
+function validateAttributeSchema(schema) {
+  const errors = [];
+
+  if (!Array.isArray(schema)) {
+    return { valid: false, errors: ['Attribute schema must be an array of attribute definitions'] };
+  }
+
+  const names = new Set();
+  schema.forEach((definition, index) => {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      errors.push(`Attribute ${index} must be an object with a name and a type`);
+      return;
+    }
+
+    const { name, type, values } = definition;
+    if (typeof name !== 'string' || !ATTRIBUTE_NAME_PATTERN.test(name)) {
+      errors.push(`Attribute ${index} name must start with a letter or underscore and contain only letters, digits and underscores`);
+    } else if (names.has(name)) {
+      errors.push(`Attribute '${name}' is defined more than once`);
+    } else {
+      names.add(name);
+    }
+
+    if (!ATTRIBUTE_TYPES.includes(type)) {
+      errors.push(`Attribute ${index} type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+    } else if (type === 'enum') {
+      if (!Array.isArray(values) || values.length === 0 ||
+        !values.every(value => typeof value === 'string' && value.trim().length > 0)) {
+        errors.push(`Enum attribute ${index} must list its values as non-empty strings`);
+      } else if (new Set(values).size !== values.length) {
+        errors.push(`Enum attribute ${index} values must be unique`);
+      }
+    } else if (values !== undefined) {
+      errors.push(`Attribute ${index} of type '${type}' does not take values`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate an annotation's attribute values against its label's attribute schema
+ * Attributes are optional: a value may be left out, but every value present must be defined by the schema
+ * @param {Object} values - Attribute values keyed by attribute name
+ * @param {Array|null} schema - Attribute schema of the label
+ * @returns {Object} Validation result
+ */
+function validateAttributes(values, schema) {
+  const errors = [];
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { valid: false, errors: ['Attributes must be an object keyed by attribute name'] };
+  }
+
+  const definitions = new Map((schema || []).map(definition => [definition.name, definition]));
+
+  for (const [name, value] of Object.entries(values)) {
+    const definition = definitions.get(name);
+    if (!definition) {
+      errors.push(`Attribute '${name}' is not defined for this label`);
+      continue;
+    }
+
+    const { type } = definition;
+    if (type === 'boolean' && typeof value !== 'boolean') {
+      errors.push(`Attribute '${name}' must be true or false`);
+    } else if (type === 'integer' && !Number.isInteger(value)) {
+      errors.push(`Attribute '${name}' must be an integer`);
+    } else if (type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+      errors.push(`Attribute '${name}' must be a number`);
+    } else if (type === 'text' && typeof value !== 'string') {
+      errors.push(`Attribute '${name}' must be a string`);
+    } else if (type === 'enum' && !definition.values.includes(value)) {
+      errors.push(`Attribute '${name}' must be one of: ${definition.values.join(', ')}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate the geometry payload for a polygon, mask or keypoints annotation
+ * Polygons: { points: [[x, y], ...] } with at least 3 normalized (0-1) vertices
+ * Masks: { size: [height, width], counts: [...] } uncompressed column-major RLE (COCO convention)
+ * Keypoints: { points: [[x, y, visibility], ...] } with one entry per keypoint in the label's template
+ * @param {string} shapeType - Annotation shape type
+ * @param {Object} geometry - Geometry payload
+ * @param {Object|null} template - Keypoint template of the label (required for keypoints)
+ * @returns {Object} Validation result
+ */
+function validateGeometry(shapeType, geometry, template = null) {
+  const errors = [];
+
+  if (!SHAPE_TYPES.includes(shapeType)) {
+    return { valid: false, errors: [`Shape type must be one of: ${SHAPE_TYPES.join(', ')}`] };
+  }
+
+  if (shapeType === 'label' || shapeType === 'bbox') {
+    if (geometry !== null && geometry !== undefined) {
+      errors.push(`Shape type '${shapeType}' does not take a geometry payload`);
+    }
+    return { valid: errors.length === 0, errors };
+  }
+
+  if (!geometry || typeof geometry !== 'object') {
+    return { valid: false, errors: [`Shape type '${shapeType}' requires a geometry object`] };
+  }
+
+  if (shapeType === 'polygon') {
+    const { points } = geometry;
+    if (!Array.isArray(points) || points.length < 3) {
+      errors.push('Polygon must have at least 3 points');
+    } else {
+      points.forEach((point, index) => {
+        const isPoint = Array.isArray(point) && point.length === 2 &&
+          point.every(value => typeof value === 'number' && Number.isFinite(value));
+        if (!isPoint) {
+          errors.push(`Polygon point ${index} must be an [x, y] pair of numbers`);
+        } else if (point.some(value => value < 0 || value > 1)) {
+          errors.push(`Polygon point ${index} must lie within the image bounds (normalized 0-1 coordinates)`);
+        }
+      });
+
+      // Shoelace formula; collinear or repeated points enclose nothing and have no usable bounding box
+      if (errors.length === 0) {
+        const area = points.reduce((sum, [x, y], index) => {
+          const [nextX, nextY] = points[(index + 1) % points.length];
+          return sum + x * nextY - nextX * y;
+        }, 0) / 2;
+        if (Math.abs(area) < 1e-12) {
+          errors.push('Polygon must enclose a non-zero area');
+        }
+      }
+    }
+  }
+
+  if (shapeType === 'mask') {
+    const { size, counts } = geometry;
+    const isSize = Array.isArray(size) && size.length === 2 &&
+      size.every(value => Number.isInteger(value) && value > 0);
+
+    if (!isSize) {
+      errors.push('Mask size must be [height, width] with positive integers');
+    }
+    if (!Array.isArray(counts) || counts.length === 0 ||
+      !counts.every(value => Number.isInteger(value) && value >= 0)) {
+      errors.push('Mask counts must be a non-empty array of non-negative integers');
+    } else if (isSize) {
+      const total = counts.reduce((sum, value) => sum + value, 0);
+      if (total !== size[0] * size[1]) {
+        errors.push(`Mask counts must cover exactly ${size[0] * size[1]} pixels (got ${total})`);
+      }
+      if (!counts.some((value, index) => index % 2 === 1 && value > 0)) {
+        errors.push('Mask must contain at least one foreground pixel');
+      }
+    }
+  }
+
+  if (shapeType === 'keypoints') {
+    const { points } = geometry;
+    if (!template) {
+      errors.push('Keypoints require a label with a keypoint template');
+    } else if (!Array.isArray(points) || points.length !== template.keypoints.length) {
+      errors.push(`Keypoints must provide exactly ${template.keypoints.length} points (one per template keypoint)`);
+    } else {
+      points.forEach((point, index) => {
+        const name = template.keypoints[index];
+        const isPoint = Array.isArray(point) && point.length === 3 &&
+          point.every(value => typeof value === 'number' && Number.isFinite(value));
+        if (!isPoint) {
+          errors.push(`Keypoint '${name}' must be an [x, y, visibility] triple of numbers`);
+        } else if (!KEYPOINT_VISIBILITY.includes(point[2])) {
+          errors.push(`Keypoint '${name}' visibility must be 0, 1 or 2`);
+        } else if (point.slice(0, 2).some(value => value < 0 || value > 1)) {
+          errors.push(`Keypoint '${name}' must lie within the image bounds (normalized 0-1 coordinates)`);
+        }
+      });
+      if (errors.length === 0 && !points.some(point => point[2] > 0)) {
+        errors.push('At least one keypoint must be labeled');
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Compute the normalized bounding box of a polygon, mask or keypoints geometry
+ * Assumes the geometry has already passed validateGeometry
+ * @param {string} shapeType - 'polygon', 'mask' or 'keypoints'
+ * @param {Object} geometry - Geometry payload
+ * @returns {Object|null} Region with x, y, width and height between 0 and 1, or null when
+ *   the labeled keypoints span no area (e.g. a single point)
+ */
+function getGeometryBounds(shapeType, geometry) {
+  if (shapeType === 'keypoints') {
+    const labeled = geometry.points.filter(point => point[2] > 0);
+    const xs = labeled.map(point => point[0]);
+    const ys = labeled.map(point => point[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    const width = Math.max(...xs) - x;
+    const height = Math.max(...ys) - y;
+    return width > 0 && height > 0 ? { x, y, width, height } : null;
+  }
+
+  if (shapeType === 'polygon') {
+    const xs = geometry.points.map(point => point[0]);
+    const ys = geometry.points.map(point => point[1]);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  // Walk the RLE runs; odd-indexed runs are foreground pixels stored column by column
+  const [height, width] = geometry.size;
+  let minRow = height, maxRow = -1, minCol = width, maxCol = -1;
+  let position = 0;
+
+  geometry.counts.forEach((run, index) => {
+    if (index % 2 === 1 && run > 0) {
+      const start = position;
+      const end = position + run - 1;
+      const startCol = Math.floor(start / height);
+      const endCol = Math.floor(end / height);
+
+      minCol = Math.min(minCol, startCol);
+      maxCol = Math.max(maxCol, endCol);
+
+      // A run that wraps into the next column touches both the top and bottom rows
+      if (startCol === endCol) {
+        minRow = Math.min(minRow, start % height);
+        maxRow = Math.max(maxRow, end % height);
+      } else {
+        minRow = 0;
+        maxRow = height - 1;
+      }
+    }
+    position += run;
+  });
+
+  return {
+    x: minCol / width,
+    y: minRow / height,
+    width: (maxCol - minCol + 1) / width,
+    height: (maxRow - minRow + 1) / height
+  };
+}
+
 /**
  * Get foreign key relationships for a table
  * @param {string} tableName - Name of the table
@@ -266,6 +793,17 @@ module.exports = {
   getSchema,
   getTableNames,
   validateData,
+  validateRegion,
+  validateKeypointTemplate,
+  validateGeometry,
+  validateAttributeSchema,
+  validateAttributes,
+  getGeometryBounds,
+  SHAPE_TYPES,
+  ATTRIBUTE_TYPES,
+  LABEL_COLOR_PATTERN,
+  LABEL_HOTKEY_PATTERN,
+  MAX_LABEL_ICON_LENGTH,
   getForeignKeys,
   getReferencingColumns
 };
\ No newline at end of file
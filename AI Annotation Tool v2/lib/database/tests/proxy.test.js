@@ -154,6 +154,17 @@ describe('Better-SQLite3-Proxy Integration Tests', function() {
       }
     });
 
+    it('should order and page findAll in SQL', function() {
+      const all = proxy.labels.findAll({ orderBy: { column: 'label_name', direction: 'DESC' } });
+      const names = all.map(label => label.label_name);
+      expect(names).to.deep.equal([...names].sort().reverse());
+
+      const page = proxy.labels.findAll({ orderBy: { column: 'label_name', direction: 'DESC' }, limit: 2, offset: 1 });
+      expect(page.map(label => label.label_name)).to.deep.equal(names.slice(1, 3));
+
+      expect(() => proxy.labels.findAll({ orderBy: { column: 'label_name; DROP TABLE labels' } })).to.throw('Unknown column');
+    });
+
     it('should provide type-safe findById method', function() {
       // This test will fail until proxy provides type safety
       // First create a test image
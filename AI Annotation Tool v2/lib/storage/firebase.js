@@ -0,0 +1,148 @@
+/**
+ * Firebase Storage Adapter
+ * Stores files in Firebase Storage through the Vercel API used by lib/utils/firebase-storage.js
+ */
+
+const { uploadToFirebase, deleteFromFirebase, extractFilenameFromUrl } = require('../utils/firebase-storage');
+
+// Host that serves Firebase Storage download URLs (https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<path>)
+const DOWNLOAD_HOST = 'firebasestorage.googleapis.com';
+
+/**
+ * Create a storage adapter backed by Firebase Storage
+ * Stored file paths are the public download URLs returned by the upload
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.folder='Annotations'] - Default folder for uploads
+ * @returns {Object} Storage adapter { name, upload, delete, getReadUrl, exists, stat, read, owns }
+ */
+function createFirebaseStorage(options = {}) {
+  const defaultFolder = options.folder || 'Annotations';
+
+  /**
+   * Check whether a stored file path is a Firebase Storage download URL
+   * @param {string} filePath - Stored file path
+   * @returns {boolean} True for https download URLs of Firebase Storage
+   */
+  const owns = (filePath) => {
+    if (typeof filePath !== 'string') {
+      return false;
+    }
+
+    try {
+      const url = new URL(filePath);
+      return url.protocol === 'https:' && url.hostname === DOWNLOAD_HOST && /^\/v0\/b\/[^/]+\/o\/.+/.test(url.pathname);
+    } catch {
+      return false;
+    }
+  };
+
+  return {
+    name: 'firebase',
+    owns,
+
+    /**
+     * Upload a file to Firebase Storage
+     * @param {Buffer} data - File content
+     * @param {Object} file - File details
+     * @param {string} file.fileName - Original file name
+     * @param {string} [file.folder] - Folder in the bucket
+     * @param {string} [file.token] - Firebase auth token
+     * @returns {Promise<Object>} { filePath, fileName, fileSize, mimeType }
+     */
+    async upload(data, file) {
+      const result = await uploadToFirebase(data, file.fileName, file.folder || defaultFolder, file.token);
+
+      return {
+        filePath: result.imageUrl,
+        fileName: result.fileName,
+        fileSize: result.fileSize || data.length,
+        mimeType: result.mimeType || file.mimeType
+      };
+    },
+
+    /**
+     * Delete a file from Firebase Storage
+     * @param {string} filePath - Download URL or path in the bucket
+     * @param {Object} [options] - { token }
+     * @returns {Promise<Object>} { deleted }
+     */
+    async delete(filePath, options = {}) {
+      const storagePath = extractFilenameFromUrl(filePath) || filePath;
+      await deleteFromFirebase(storagePath, options.token);
+      return { deleted: true };
+    },
+
+    /**
+     * Get the URL a browser can load the file from
+     * @param {string} filePath - Download URL
+     * @returns {Promise<string>} The download URL itself
+     */
+    async getReadUrl(filePath) {
+      return filePath;
+    },
+
+    /**
+     * Check whether a file can be downloaded
+     * @param {string} filePath - Download URL
+     * @returns {Promise<boolean>} True if the download URL answers a HEAD request successfully
+     */
+    async exists(filePath) {
+      if (!owns(filePath)) {
+        return false;
+      }
+
+      try {
+        const response = await fetch(filePath, { method: 'HEAD', signal: AbortSignal.timeout(10000) });
+        return response.ok;
+      } catch {
+        return false;
+      }
+    },
+
+    /**
+     * Get the size and type of a file from a HEAD request
+     * @param {string} filePath - Download URL
+     * @returns {Promise<Object|null>} { size, mimeType }, or null if it is not a download URL or does not exist
+     */
+    async stat(filePath) {
+      if (!owns(filePath)) {
+        return null;
+      }
+
+      const response = await fetch(filePath, { method: 'HEAD', signal: AbortSignal.timeout(10000) });
+      if (!response.ok) {
+        return null;
+      }
+
+      return {
+        size: Number(response.headers.get('content-length')),
+        mimeType: response.headers.get('content-type') || 'application/octet-stream'
+      };
+    },
+
+    /**
+     * Download a file
+     * @param {string} filePath - Download URL
+     * @returns {Promise<Object|null>} { data, mimeType }, or null if it is not a download URL or cannot be downloaded
+     */
+    async read(filePath) {
+      if (!owns(filePath)) {
+        return null;
+      }
+
+      const response = await fetch(filePath, { signal: AbortSignal.timeout(30000) });
+      if (!response.ok) {
+        return null;
+      }
+
+      return {
+        data: Buffer.from(await response.arrayBuffer()),
+        mimeType: response.headers.get('content-type') || 'application/octet-stream'
+      };
+    }
+  };
+}
+
+module.exports = {
+  createFirebaseStorage
+};
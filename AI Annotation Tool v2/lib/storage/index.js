@@ -0,0 +1,119 @@
+/**
+ * Storage Module
+ * Selects the storage backend for uploaded images from config.storage and resolves stored file paths
+ * Every adapter provides upload(data, file), delete(filePath), getReadUrl(filePath), exists(filePath), stat(filePath) and read(filePath);
+ * adapters that store files under URLs also provide owns(filePath), and those that accept direct browser uploads presignUpload(file)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../database/config');
+const { createLocalStorage, FILES_ROUTE } = require('./local');
+const { createFirebaseStorage } = require('./firebase');
+const { createS3Storage } = require('./s3');
+
+// Available storage backends by driver name
+const DRIVERS = {
+  local: () => createLocalStorage({ root: config.storage.localRoot, folder: config.storage.folder }),
+  firebase: () => createFirebaseStorage({ folder: config.storage.folder }),
+  s3: () => createS3Storage({ ...config.storage.s3, folder: config.storage.folder })
+};
+
+// Folder that root-relative file paths (e.g. /uploads/image.jpg) are served from
+const PUBLIC_ROOT = path.join(process.cwd(), 'public');
+
+let storageInstance = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!storageInstance) {
+    const createAdapter = DRIVERS[config.storage.driver];
+    if (!createAdapter) {
+      throw new Error(`Unknown storage driver '${config.storage.driver}'. Use ${Object.keys(DRIVERS).join(' or ')}`);
+    }
+    storageInstance = createAdapter();
+  }
+
+  return storageInstance;
+}
+
+/**
+ * Get the local storage adapter, whichever backend is configured for new uploads
+ * Files stored locally stay readable after switching the driver
+ * @returns {Object} Local storage adapter
+ */
+function getLocalStorage() {
+  const storage = getStorage();
+  return storage.name === 'local' ? storage : DRIVERS.local();
+}
+
+/**
+ * Check whether a stored file path is a URL of the configured storage adapter
+ * Only these URLs are ever requested by the server; file_path is client-supplied and may point anywhere
+ * @param {string} filePath - Stored file path
+ * @returns {boolean} True if the configured adapter owns the path
+ */
+function isOwnedByStorage(filePath) {
+  const storage = getStorage();
+  return Boolean(storage.owns && storage.owns(filePath));
+}
+
+/**
+ * Resolve the on-disk location of a stored file path that is not a URL
+ * Paths served by /api/files live in the local storage root; other paths are relative to public/
+ * @param {string} filePath - Stored file path
+ * @returns {string|null} Absolute file path, or null for URLs and paths that escape their root
+ */
+function resolveLocalPath(filePath) {
+  if (typeof filePath !== 'string' || /^https?:\/\//i.test(filePath) || filePath.includes('\0')) {
+    return null;
+  }
+
+  if (filePath.startsWith(FILES_ROUTE)) {
+    return getLocalStorage().resolvePath(filePath);
+  }
+
+  const absolute = path.resolve(path.join(PUBLIC_ROOT, filePath));
+  return absolute.startsWith(PUBLIC_ROOT + path.sep) ? absolute : null;
+}
+
+/**
+ * Read the bytes of a stored file from whichever backend holds it
+ * Files of the configured adapter are read through it and other paths from disk; URLs of other hosts are not fetched
+ * @param {string} filePath - Stored file path, URL or public path (e.g. /uploads/image.jpg)
+ * @returns {Promise<Buffer|null>} File content, or null if the file could not be read
+ */
+async function readStoredFile(filePath) {
+  try {
+    if (isOwnedByStorage(filePath)) {
+      const file = await getStorage().read(filePath);
+      return file ? file.data : null;
+    }
+
+    const absolute = resolveLocalPath(filePath);
+    return absolute ? await fs.promises.readFile(absolute) : null;
+  } catch (error) {
+    console.error(`Error reading stored file ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Replace the cached adapter, e.g. after changing config.storage in tests
+ * @param {Object|null} [adapter=null] - Adapter to use, or null to create it from config again
+ */
+function resetStorage(adapter = null) {
+  storageInstance = adapter;
+}
+
+module.exports = {
+  getStorage,
+  getLocalStorage,
+  isOwnedByStorage,
+  resolveLocalPath,
+  readStoredFile,
+  resetStorage
+};
@@ -0,0 +1,224 @@
+/**
+ * Local Filesystem Storage Adapter
+ * Keeps uploaded files in a directory on disk and serves them through GET /api/files/[...path]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// URL prefix of the route that serves locally stored files
+const FILES_ROUTE = '/api/files/';
+
+// MIME types by file extension for files served from disk
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Reduce a file name to characters that are safe in paths and URLs
+ * @param {string} name - Original file name
+ * @returns {string} Sanitized file name
+ */
+function sanitizeFileName(name) {
+  const cleaned = path.basename(String(name || '')).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '');
+  return cleaned || 'file';
+}
+
+/**
+ * Create a storage adapter that writes to a local directory
+ * @param {Object} options - Adapter options
+ * @param {string} options.root - Directory that holds the stored files
+ * @param {string} [options.folder='Annotations'] - Default folder for uploads
+ * @returns {Object} Storage adapter { name, upload, delete, getReadUrl, exists, stat, read, resolvePath }
+ */
+function createLocalStorage(options) {
+  const root = path.resolve(options.root);
+  const defaultFolder = options.folder || 'Annotations';
+
+  /**
+   * Convert a stored file path (/api/files/<key>) or a bare key to the storage key
+   * @param {string} filePath - Stored file path or key
+   * @returns {string|null} Normalized key, or null if the path is not a local file or escapes the root
+   */
+  const toKey = (filePath) => {
+    // Absolute paths other than the file route (e.g. /uploads/... in public/) and URLs belong elsewhere
+    if (typeof filePath !== 'string' || /^https?:\/\//i.test(filePath) ||
+      (filePath.startsWith('/') && !filePath.startsWith(FILES_ROUTE))) {
+      return null;
+    }
+
+    let key = filePath.startsWith(FILES_ROUTE) ? filePath.slice(FILES_ROUTE.length) : filePath;
+    try {
+      key = decodeURIComponent(key);
+    } catch {
+      return null;
+    }
+
+    const segments = key.split(/[\\/]+/).filter(Boolean);
+    if (segments.length === 0 || segments.some(segment => segment === '.' || segment === '..' || segment.includes('\0'))) {
+      return null;
+    }
+
+    return segments.join('/');
+  };
+
+  /**
+   * Resolve a stored file path to its location on disk
+   * @param {string} filePath - Stored file path or key
+   * @returns {string|null} Absolute path inside the storage root, or null if it is not a local file
+   */
+  const resolvePath = (filePath) => {
+    const key = toKey(filePath);
+    if (!key) {
+      return null;
+    }
+
+    const absolute = path.resolve(root, key);
+    return absolute.startsWith(root + path.sep) ? absolute : null;
+  };
+
+  return {
+    name: 'local',
+    resolvePath,
+
+    /**
+     * Store a file under <folder>/<timestamp>_<name>
+     * @param {Buffer} data - File content
+     * @param {Object} file - File details
+     * @param {string} file.fileName - Original file name
+     * @param {string} [file.mimeType] - MIME type
+     * @param {string} [file.folder] - Folder within the storage root
+     * @returns {Promise<Object>} { filePath, fileName, fileSize, mimeType }
+     */
+    async upload(data, file) {
+      try {
+        const folder = toKey(file.folder || defaultFolder);
+        if (!folder) {
+          throw new Error(`Invalid folder '${file.folder}'`);
+        }
+
+        const directory = path.join(root, folder);
+        await fs.promises.mkdir(directory, { recursive: true });
+
+        const fileName = `${Date.now()}_${sanitizeFileName(file.fileName)}`;
+        // 'wx' refuses to replace a file that was stored in the same millisecond
+        await fs.promises.writeFile(path.join(directory, fileName), data, { flag: 'wx' });
+
+        return {
+          filePath: `${FILES_ROUTE}${folder}/${fileName}`,
+          fileName,
+          fileSize: data.length,
+          mimeType: file.mimeType || MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream'
+        };
+      } catch (error) {
+        console.error('Error storing file locally:', error);
+        throw new Error(`Local upload failed: ${error.message}`);
+      }
+    },
+
+    /**
+     * Delete a stored file; missing files and paths owned by other backends are ignored
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<Object>} { deleted }
+     */
+    async delete(filePath) {
+      const absolute = resolvePath(filePath);
+      if (!absolute) {
+        return { deleted: false };
+      }
+
+      try {
+        await fs.promises.unlink(absolute);
+        return { deleted: true };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return { deleted: false };
+        }
+        console.error('Error deleting local file:', error);
+        throw new Error(`Local deletion failed: ${error.message}`);
+      }
+    },
+
+    /**
+     * Get the URL a browser can load the file from
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<string>} URL of the file route, or the path unchanged if it is not local
+     */
+    async getReadUrl(filePath) {
+      const key = toKey(filePath);
+      return key ? `${FILES_ROUTE}${key.split('/').map(encodeURIComponent).join('/')}` : filePath;
+    },
+
+    /**
+     * Check whether a stored file exists
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<boolean>} True if the file is on disk
+     */
+    async exists(filePath) {
+      const absolute = resolvePath(filePath);
+      if (!absolute) {
+        return false;
+      }
+
+      try {
+        return (await fs.promises.stat(absolute)).isFile();
+      } catch {
+        return false;
+      }
+    },
+
+    /**
+     * Get the size and type of a stored file
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<Object|null>} { size, mimeType }, or null if the file does not exist
+     */
+    async stat(filePath) {
+      const absolute = resolvePath(filePath);
+      if (!absolute) {
+        return null;
+      }
+
+      try {
+        const stats = await fs.promises.stat(absolute);
+        return stats.isFile()
+          ? { size: stats.size, mimeType: MIME_TYPES[path.extname(absolute).toLowerCase()] || 'application/octet-stream' }
+          : null;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Read a stored file
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<Object|null>} { data, mimeType }, or null if the file does not exist
+     */
+    async read(filePath) {
+      const absolute = resolvePath(filePath);
+      if (!absolute) {
+        return null;
+      }
+
+      try {
+        return {
+          data: await fs.promises.readFile(absolute),
+          mimeType: MIME_TYPES[path.extname(absolute).toLowerCase()] || 'application/octet-stream'
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+          return null;
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+module.exports = {
+  FILES_ROUTE,
+  createLocalStorage
+};
@@ -0,0 +1,287 @@
+/**
+ * S3-Compatible Storage Adapter
+ * Stores files in an S3 bucket (AWS S3, MinIO, ...) with requests signed by lib/utils/aws-signature.js
+ * Browsers can upload directly to the bucket with presigned PUT URLs from presignUpload()
+ */
+
+const path = require('path');
+const { signRequest, presignUrl, encodeKey } = require('../utils/aws-signature');
+
+// MIME types by file extension, used when the uploader does not send one
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Reduce a file name to characters that are safe in object keys and URLs
+ * @param {string} name - Original file name
+ * @returns {string} Sanitized file name
+ */
+function sanitizeFileName(name) {
+  const cleaned = path.basename(String(name || '')).replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^\.+/, '');
+  return cleaned || 'file';
+}
+
+/**
+ * Create a storage adapter backed by an S3-compatible bucket
+ * Stored file paths are the object URLs; they load directly in the browser when the bucket allows public reads
+ * @param {Object} options - Adapter options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId - Access key
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {string} [options.region='us-east-1'] - Signing region
+ * @param {string} [options.endpoint] - Service URL, e.g. http://localhost:9000 for MinIO (default: AWS S3 for the region)
+ * @param {boolean} [options.forcePathStyle] - Address the bucket as <endpoint>/<bucket> (default when an endpoint is given)
+ * @param {string} [options.publicUrl] - Base URL for reads (e.g. a CDN); reads are presigned when not set
+ * @param {string} [options.folder='Annotations'] - Default folder (key prefix) for uploads
+ * @param {number} [options.presignExpiresIn=900] - Lifetime of presigned URLs in seconds
+ * @returns {Object} Storage adapter { name, upload, delete, getReadUrl, exists, stat, read, owns, presignUpload }
+ */
+function createS3Storage(options) {
+  for (const field of ['bucket', 'accessKeyId', 'secretAccessKey']) {
+    if (!options[field]) {
+      throw new Error(`S3 storage requires '${field}'`);
+    }
+  }
+
+  const region = options.region || 'us-east-1';
+  const credentials = { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey, region };
+  const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+  const forcePathStyle = options.forcePathStyle ?? Boolean(options.endpoint);
+  const defaultFolder = options.folder || 'Annotations';
+  const presignExpiresIn = options.presignExpiresIn || 900;
+
+  const bucketUrl = forcePathStyle
+    ? `${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${options.bucket}`
+    : `${endpoint.protocol}//${options.bucket}.${endpoint.host}`;
+  const publicUrl = options.publicUrl ? options.publicUrl.replace(/\/$/, '') : null;
+
+  /**
+   * Build the URL of an object
+   * @param {string} key - Object key
+   * @returns {string} Object URL
+   */
+  const objectUrl = (key) => `${bucketUrl}/${encodeKey(key)}`;
+
+  /**
+   * Get the object key of a stored file path
+   * @param {string} filePath - Object URL (or public URL) of the file
+   * @returns {string|null} Object key, or null if the path belongs to another backend
+   */
+  const toKey = (filePath) => {
+    if (typeof filePath !== 'string') {
+      return null;
+    }
+
+    for (const base of [bucketUrl, publicUrl].filter(Boolean)) {
+      if (filePath.startsWith(`${base}/`)) {
+        try {
+          const key = decodeURIComponent(filePath.slice(base.length + 1).split('?')[0]);
+          return key || null;
+        } catch {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Send a signed request for an object
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {Object} [request] - { headers, body }
+   * @returns {Promise<Response>} Response
+   */
+  const send = (method, key, request = {}) => {
+    const url = objectUrl(key);
+    const headers = signRequest(credentials, { method, url, headers: request.headers, body: request.body ?? '' });
+    return fetch(url, { method, headers, body: request.body, signal: AbortSignal.timeout(30000) });
+  };
+
+  /**
+   * Create a new object key for an uploaded file
+   * @param {string} fileName - Original file name
+   * @param {string} [folder] - Key prefix
+   * @returns {Object} { key, fileName }
+   */
+  const newKey = (fileName, folder) => {
+    const storedName = `${Date.now()}_${sanitizeFileName(fileName)}`;
+    const prefix = String(folder || defaultFolder).replace(/^\/+|\/+$/g, '');
+    return { key: prefix ? `${prefix}/${storedName}` : storedName, fileName: storedName };
+  };
+
+  return {
+    name: 's3',
+
+    /**
+     * Check whether a stored file path refers to an object in this bucket
+     * @param {string} filePath - Stored file path
+     * @returns {boolean} True for object URLs of this bucket
+     */
+    owns(filePath) {
+      return toKey(filePath) !== null;
+    },
+
+    /**
+     * Upload a file to the bucket through the server
+     * @param {Buffer} data - File content
+     * @param {Object} file - File details
+     * @param {string} file.fileName - Original file name
+     * @param {string} [file.mimeType] - MIME type
+     * @param {string} [file.folder] - Key prefix
+     * @returns {Promise<Object>} { filePath, fileName, fileSize, mimeType }
+     */
+    async upload(data, file) {
+      try {
+        const { key, fileName } = newKey(file.fileName, file.folder);
+        const mimeType = file.mimeType || MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+
+        const response = await send('PUT', key, { headers: { 'Content-Type': mimeType }, body: data });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+        }
+
+        return { filePath: objectUrl(key), fileName, fileSize: data.length, mimeType };
+      } catch (error) {
+        console.error('Error uploading to S3:', error);
+        throw new Error(`S3 upload failed: ${error.message}`);
+      }
+    },
+
+    /**
+     * Create a presigned PUT URL so a browser can upload a file straight to the bucket
+     * The client must send the returned headers unchanged; afterwards filePath can be registered as an image
+     * @param {Object} file - File details
+     * @param {string} file.fileName - Original file name
+     * @param {string} file.mimeType - MIME type the upload will be sent with
+     * @param {string} [file.folder] - Key prefix
+     * @returns {Object} { uploadUrl, method, headers, filePath, fileName, expiresIn }
+     */
+    presignUpload(file) {
+      const { key, fileName } = newKey(file.fileName, file.folder);
+      const headers = { 'Content-Type': file.mimeType };
+
+      return {
+        uploadUrl: presignUrl(credentials, { method: 'PUT', url: objectUrl(key), headers, expiresIn: presignExpiresIn }),
+        method: 'PUT',
+        headers,
+        filePath: objectUrl(key),
+        fileName,
+        expiresIn: presignExpiresIn
+      };
+    },
+
+    /**
+     * Delete an object; objects that do not exist and paths owned by other backends are ignored
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<Object>} { deleted }
+     */
+    async delete(filePath) {
+      const key = toKey(filePath);
+      if (!key) {
+        return { deleted: false };
+      }
+
+      try {
+        const response = await send('DELETE', key);
+        if (!response.ok && response.status !== 404) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return { deleted: response.ok };
+      } catch (error) {
+        console.error('Error deleting from S3:', error);
+        throw new Error(`S3 deletion failed: ${error.message}`);
+      }
+    },
+
+    /**
+     * Get a URL a browser can load the file from
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<string>} Public URL, presigned GET URL, or the path unchanged if it belongs elsewhere
+     */
+    async getReadUrl(filePath) {
+      const key = toKey(filePath);
+      if (!key) {
+        return filePath;
+      }
+
+      if (publicUrl) {
+        return `${publicUrl}/${encodeKey(key)}`;
+      }
+
+      return presignUrl(credentials, { method: 'GET', url: objectUrl(key), expiresIn: presignExpiresIn });
+    },
+
+    /**
+     * Check whether an object exists
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<boolean>} True if a HEAD request for the object succeeds
+     */
+    async exists(filePath) {
+      const key = toKey(filePath);
+      if (!key) {
+        return false;
+      }
+
+      try {
+        return (await send('HEAD', key)).ok;
+      } catch {
+        return false;
+      }
+    },
+
+    /**
+     * Get the size and type of an object from a HEAD request
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<Object|null>} { size, mimeType }, or null if the object does not exist
+     */
+    async stat(filePath) {
+      const key = toKey(filePath);
+      if (!key) {
+        return null;
+      }
+
+      const response = await send('HEAD', key);
+      if (!response.ok) {
+        return null;
+      }
+
+      return {
+        size: Number(response.headers.get('content-length')),
+        mimeType: response.headers.get('content-type') || 'application/octet-stream'
+      };
+    },
+
+    /**
+     * Download an object
+     * @param {string} filePath - Stored file path
+     * @returns {Promise<Object|null>} { data, mimeType }, or null if the object cannot be read
+     */
+    async read(filePath) {
+      const key = toKey(filePath);
+      if (!key) {
+        return null;
+      }
+
+      const response = await send('GET', key);
+      if (!response.ok) {
+        return null;
+      }
+
+      return {
+        data: Buffer.from(await response.arrayBuffer()),
+        mimeType: response.headers.get('content-type') || 'application/octet-stream'
+      };
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,82 @@
+/**
+ * Storage Module Tests for AI Annotation Tool v2
+ * These tests verify that client-supplied file paths are only read from the storage roots and the configured backend
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveLocalPath, readStoredFile, resetStorage } = require('../index');
+const { createLocalStorage } = require('../local');
+const { createFirebaseStorage } = require('../firebase');
+const { fetchImageDimensions } = require('../../utils/image-dimensions');
+
+describe('Storage Module Tests', function() {
+  const originalFetch = global.fetch;
+  const firebaseUrl = 'https://firebasestorage.googleapis.com/v0/b/bucket/o/Annotations%2Fa.png?alt=media';
+  let root;
+  let requests;
+
+  before(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-index-test-'));
+  });
+
+  beforeEach(function() {
+    requests = [];
+    global.fetch = async (url, init = {}) => {
+      requests.push({ url, ...init });
+      return new Response('image bytes', { status: 200 });
+    };
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    resetStorage();
+  });
+
+  after(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('resolveLocalPath()', function() {
+    it('should resolve public paths inside the public folder', function() {
+      expect(resolveLocalPath('/uploads/a.jpg')).to.equal(path.join(process.cwd(), 'public', 'uploads', 'a.jpg'));
+    });
+
+    it('should reject paths that escape the public folder', function() {
+      for (const filePath of ['/../../../../etc/hostname', '../package.json', '/uploads/../../package.json', '/a.jpg\0.png']) {
+        expect(resolveLocalPath(filePath), filePath).to.be.null;
+      }
+    });
+  });
+
+  describe('readStoredFile()', function() {
+    it('should not read files outside the storage roots', async function() {
+      resetStorage(createLocalStorage({ root }));
+
+      expect(await readStoredFile('/../package.json')).to.be.null;
+      expect(await readStoredFile('/../../../../etc/hostname')).to.be.null;
+    });
+
+    it('should only download URLs of the configured backend', async function() {
+      resetStorage(createFirebaseStorage());
+
+      expect(await readStoredFile('http://169.254.169.254/latest/meta-data/')).to.be.null;
+      expect(requests).to.have.length(0);
+
+      expect((await readStoredFile(firebaseUrl)).toString()).to.equal('image bytes');
+      expect(requests.map(request => request.url)).to.deep.equal([firebaseUrl]);
+    });
+  });
+
+  describe('fetchImageDimensions()', function() {
+    it('should not request URLs of other hosts', async function() {
+      resetStorage(createLocalStorage({ root }));
+
+      expect(await fetchImageDimensions('http://127.0.0.1:8080/admin.png')).to.be.null;
+      expect(await fetchImageDimensions('/../../../../etc/hostname')).to.be.null;
+      expect(requests).to.have.length(0);
+    });
+  });
+});
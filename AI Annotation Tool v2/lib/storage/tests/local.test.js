@@ -0,0 +1,89 @@
+/**
+ * Local Storage Adapter Tests for AI Annotation Tool v2
+ * These tests verify real file round-trips through the local-disk backend and its path checks
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage, FILES_ROUTE } = require('../local');
+
+describe('Local Storage Adapter Tests', function() {
+  let root;
+  let storage;
+
+  before(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createLocalStorage({ root, folder: 'Annotations' });
+  });
+
+  after(function() {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('upload()', function() {
+    it('should write the file under the folder and return a files route path', async function() {
+      const data = Buffer.from('fake image bytes');
+      const stored = await storage.upload(data, { fileName: 'my cat.jpg', mimeType: 'image/jpeg' });
+
+      expect(stored.filePath).to.match(/^\/api\/files\/Annotations\/\d+_my_cat\.jpg$/);
+      expect(stored).to.include({ fileSize: data.length, mimeType: 'image/jpeg' });
+      expect(stored.fileName).to.equal(path.basename(stored.filePath));
+      expect(fs.readFileSync(path.join(root, 'Annotations', stored.fileName))).to.deep.equal(data);
+    });
+
+    it('should strip directories from the uploaded file name', async function() {
+      const stored = await storage.upload(Buffer.from('x'), { fileName: '../../etc/passwd.png' });
+
+      expect(stored.filePath).to.match(/^\/api\/files\/Annotations\/\d+_passwd\.png$/);
+      expect(stored.mimeType).to.equal('image/png');
+    });
+  });
+
+  describe('read(), exists() and delete()', function() {
+    it('should round-trip a stored file', async function() {
+      const stored = await storage.upload(Buffer.from('round trip'), { fileName: 'dog.webp' });
+
+      expect(await storage.exists(stored.filePath)).to.be.true;
+      expect(await storage.stat(stored.filePath)).to.deep.equal({ size: 10, mimeType: 'image/webp' });
+
+      const file = await storage.read(stored.filePath);
+      expect(file.data.toString()).to.equal('round trip');
+      expect(file.mimeType).to.equal('image/webp');
+
+      expect(await storage.delete(stored.filePath)).to.deep.equal({ deleted: true });
+      expect(await storage.exists(stored.filePath)).to.be.false;
+      expect(await storage.stat(stored.filePath)).to.be.null;
+      expect(await storage.read(stored.filePath)).to.be.null;
+      expect(await storage.delete(stored.filePath)).to.deep.equal({ deleted: false });
+    });
+
+    it('should ignore paths that belong to other backends or escape the root', async function() {
+      fs.writeFileSync(path.join(path.dirname(root), 'outside.txt'), 'secret');
+
+      try {
+        for (const filePath of [
+          'https://firebasestorage.googleapis.com/v0/b/bucket/o/a.jpg',
+          '/uploads/a.jpg',
+          `${FILES_ROUTE}../outside.txt`,
+          `${FILES_ROUTE}Annotations/%2E%2E/%2E%2E/outside.txt`
+        ]) {
+          expect(storage.resolvePath(filePath), filePath).to.be.null;
+          expect(await storage.read(filePath), filePath).to.be.null;
+          expect(await storage.delete(filePath), filePath).to.deep.equal({ deleted: false });
+        }
+        expect(fs.existsSync(path.join(path.dirname(root), 'outside.txt'))).to.be.true;
+      } finally {
+        fs.unlinkSync(path.join(path.dirname(root), 'outside.txt'));
+      }
+    });
+  });
+
+  describe('getReadUrl()', function() {
+    it('should return the files route for local paths and leave URLs unchanged', async function() {
+      expect(await storage.getReadUrl('Annotations/1_a b.jpg')).to.equal(`${FILES_ROUTE}Annotations/1_a%20b.jpg`);
+      expect(await storage.getReadUrl('https://example.com/a.jpg')).to.equal('https://example.com/a.jpg');
+    });
+  });
+});
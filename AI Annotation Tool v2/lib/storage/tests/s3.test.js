@@ -0,0 +1,124 @@
+/**
+ * S3 Storage Adapter Tests for AI Annotation Tool v2
+ * These tests verify the signed object requests and presigned uploads against a recording fetch stub
+ */
+
+const { expect } = require('chai');
+const { createS3Storage } = require('../s3');
+
+describe('S3 Storage Adapter Tests', function() {
+  const originalFetch = global.fetch;
+  let requests;
+  let responseStatus;
+  let storage;
+
+  beforeEach(function() {
+    requests = [];
+    responseStatus = 200;
+    global.fetch = async (url, init) => {
+      requests.push({ url, ...init });
+      return new Response(init.method === 'GET' ? 'object bytes' : null, {
+        status: responseStatus,
+        headers: { 'Content-Type': 'image/png', 'Content-Length': '12' }
+      });
+    };
+
+    // MinIO-style endpoint, addressed path-style
+    storage = createS3Storage({
+      endpoint: 'http://localhost:9000',
+      bucket: 'datasets',
+      accessKeyId: 'minio',
+      secretAccessKey: 'minio-secret',
+      folder: 'Annotations'
+    });
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+  });
+
+  it('should require bucket and credentials', function() {
+    expect(() => createS3Storage({ bucket: 'datasets' })).to.throw("S3 storage requires 'accessKeyId'");
+  });
+
+  it('should upload with a signed PUT and return the object URL', async function() {
+    const stored = await storage.upload(Buffer.from('png'), { fileName: 'my cat.png', mimeType: 'image/png' });
+
+    expect(stored.filePath).to.match(/^http:\/\/localhost:9000\/datasets\/Annotations\/\d+_my_cat\.png$/);
+    expect(stored).to.include({ fileSize: 3, mimeType: 'image/png' });
+
+    const [request] = requests;
+    expect(request.method).to.equal('PUT');
+    expect(request.url).to.equal(stored.filePath);
+    expect(request.headers['content-type']).to.equal('image/png');
+    expect(request.headers.authorization).to.match(
+      /^AWS4-HMAC-SHA256 Credential=minio\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/
+    );
+  });
+
+  it('should report failed uploads', async function() {
+    responseStatus = 403;
+
+    try {
+      await storage.upload(Buffer.from('png'), { fileName: 'a.png' });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('S3 upload failed: HTTP 403');
+    }
+  });
+
+  it('should presign direct uploads that require the content type', function() {
+    const upload = storage.presignUpload({ fileName: 'dog.jpg', mimeType: 'image/jpeg' });
+    const url = new URL(upload.uploadUrl);
+
+    expect(upload).to.include({ method: 'PUT', expiresIn: 900 });
+    expect(upload.headers).to.deep.equal({ 'Content-Type': 'image/jpeg' });
+    expect(`${url.origin}${url.pathname}`).to.equal(upload.filePath);
+    expect(url.searchParams.get('X-Amz-SignedHeaders')).to.equal('content-type;host');
+    expect(requests).to.have.lengthOf(0);
+  });
+
+  it('should only handle object URLs of its own bucket', async function() {
+    const objectUrl = 'http://localhost:9000/datasets/Annotations/1_a.png';
+
+    expect(storage.owns(objectUrl)).to.be.true;
+    expect(storage.owns('http://localhost:9000/other/Annotations/1_a.png')).to.be.false;
+    expect(storage.owns('/api/files/Annotations/1_a.png')).to.be.false;
+
+    expect(await storage.delete('https://example.com/a.png')).to.deep.equal({ deleted: false });
+    expect(await storage.exists('https://example.com/a.png')).to.be.false;
+    expect(requests).to.have.lengthOf(0);
+
+    expect(await storage.exists(objectUrl)).to.be.true;
+    expect(await storage.delete(objectUrl)).to.deep.equal({ deleted: true });
+    expect((await storage.read(objectUrl)).data.toString()).to.equal('object bytes');
+    expect(requests.map(request => request.method)).to.deep.equal(['HEAD', 'DELETE', 'GET']);
+  });
+
+  it('should report the stored size and type of an object', async function() {
+    const objectUrl = 'http://localhost:9000/datasets/Annotations/1_a.png';
+
+    expect(await storage.stat(objectUrl)).to.deep.equal({ size: 12, mimeType: 'image/png' });
+    expect(requests.map(request => request.method)).to.deep.equal(['HEAD']);
+
+    responseStatus = 404;
+    expect(await storage.stat(objectUrl)).to.be.null;
+    expect(await storage.stat('https://example.com/a.png')).to.be.null;
+  });
+
+  it('should presign reads unless a public URL is configured', async function() {
+    const objectUrl = 'http://localhost:9000/datasets/Annotations/1_a.png';
+    expect(await storage.getReadUrl(objectUrl)).to.match(/^http:\/\/localhost:9000\/datasets\/Annotations\/1_a\.png\?X-Amz-Algorithm=/);
+
+    const cdn = createS3Storage({
+      bucket: 'datasets',
+      region: 'eu-west-1',
+      accessKeyId: 'key',
+      secretAccessKey: 'secret',
+      publicUrl: 'https://cdn.example.com/'
+    });
+    const awsUrl = 'https://datasets.s3.eu-west-1.amazonaws.com/Annotations/1_a.png';
+    expect(cdn.owns(awsUrl)).to.be.true;
+    expect(await cdn.getReadUrl(awsUrl)).to.equal('https://cdn.example.com/Annotations/1_a.png');
+  });
+});
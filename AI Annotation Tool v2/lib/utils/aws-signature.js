@@ -0,0 +1,201 @@
+/**
+ * AWS Signature Version 4 Utility Module
+ * Signs S3 requests with an Authorization header or as presigned URLs (query string authentication)
+ * Works with any S3-compatible service such as MinIO; uses Node's crypto only
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+// Payload hash for presigned URLs and streamed bodies, whose content is not known when signing
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * SHA-256 hex digest
+ * @param {string|Buffer} data - Data to hash
+ * @returns {string} Lowercase hex digest
+ */
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - Signing key
+ * @param {string} data - Data to sign
+ * @returns {Buffer} Signature bytes
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data, 'utf8').digest();
+}
+
+/**
+ * Percent-encode a string as required by SigV4 (RFC 3986 unreserved characters stay as-is)
+ * @param {string} value - Value to encode
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Encode an object key for use in a URL path, keeping the slashes between segments
+ * @param {string} key - Object key
+ * @returns {string} Encoded path
+ */
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+/**
+ * Format the request time for signing
+ * @param {Date} date - Request time
+ * @returns {Object} { amzDate: 'YYYYMMDDTHHMMSSZ', dateStamp: 'YYYYMMDD' }
+ */
+function toAmzDate(date) {
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+/**
+ * Build the canonical query string: every name and value encoded, sorted by name then value
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {string} Canonical query string
+ */
+function canonicalQuery(params) {
+  return [...params.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a < b ? -1 : a > b ? 1 : aValue < bValue ? -1 : aValue > bValue ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Compute the signature of a canonical request
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service? }
+ * @param {Object} request - { method, url: URL, headers: { lowercase name: value }, payloadHash, amzDate, dateStamp }
+ * @returns {Object} { signature, signedHeaders, scope }
+ */
+function computeSignature(credentials, request) {
+  const service = credentials.service || 's3';
+  const scope = `${request.dateStamp}/${credentials.region}/${service}/aws4_request`;
+
+  const names = Object.keys(request.headers).sort();
+  const signedHeaders = names.join(';');
+  const canonicalHeaders = names
+    .map(name => `${name}:${String(request.headers[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+
+  const canonicalRequest = [
+    request.method,
+    request.url.pathname || '/',
+    canonicalQuery(request.url.searchParams),
+    canonicalHeaders,
+    signedHeaders,
+    request.payloadHash
+  ].join('\n');
+
+  const stringToSign = [ALGORITHM, request.amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [request.dateStamp, credentials.region, service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+
+  return {
+    signature: crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex'),
+    signedHeaders,
+    scope
+  };
+}
+
+/**
+ * Sign a request with an Authorization header
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service? }
+ * @param {Object} request - Request to sign
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL with an already encoded path
+ * @param {Object} [request.headers] - Headers to sign in addition to host, x-amz-date and x-amz-content-sha256
+ * @param {string|Buffer} [request.body] - Body, hashed into x-amz-content-sha256 (omit for UNSIGNED-PAYLOAD)
+ * @param {Date} [request.date] - Request time (defaults to now)
+ * @returns {Object} Headers to send, including Authorization
+ */
+function signRequest(credentials, request) {
+  const url = new URL(request.url);
+  const { amzDate, dateStamp } = toAmzDate(request.date || new Date());
+  const payloadHash = request.body === undefined ? UNSIGNED_PAYLOAD : sha256Hex(request.body);
+
+  const headers = {};
+  for (const [name, value] of Object.entries(request.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+  headers.host = url.host;
+  headers['x-amz-date'] = amzDate;
+  headers['x-amz-content-sha256'] = payloadHash;
+
+  const { signature, signedHeaders, scope } = computeSignature(credentials, {
+    method: request.method,
+    url,
+    headers,
+    payloadHash,
+    amzDate,
+    dateStamp
+  });
+
+  // fetch sets Host itself
+  const sendHeaders = { ...headers };
+  delete sendHeaders.host;
+
+  return {
+    ...sendHeaders,
+    authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/**
+ * Create a presigned URL that grants a request without credentials until it expires
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region, service? }
+ * @param {Object} request - Request to allow
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full URL with an already encoded path
+ * @param {number} [request.expiresIn=900] - Lifetime in seconds (at most 7 days)
+ * @param {Object} [request.headers] - Headers the client must send with exactly these values (e.g. content-type)
+ * @param {Date} [request.date] - Signing time (defaults to now)
+ * @returns {string} Presigned URL
+ */
+function presignUrl(credentials, request) {
+  const url = new URL(request.url);
+  const { amzDate, dateStamp } = toAmzDate(request.date || new Date());
+  const expiresIn = Math.min(Math.max(Math.floor(request.expiresIn || 900), 1), 7 * 24 * 60 * 60);
+
+  const headers = { host: url.host };
+  for (const [name, value] of Object.entries(request.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+
+  const scope = `${dateStamp}/${credentials.region}/${credentials.service || 's3'}/aws4_request`;
+  url.searchParams.set('X-Amz-Algorithm', ALGORITHM);
+  url.searchParams.set('X-Amz-Credential', `${credentials.accessKeyId}/${scope}`);
+  url.searchParams.set('X-Amz-Date', amzDate);
+  url.searchParams.set('X-Amz-Expires', String(expiresIn));
+  url.searchParams.set('X-Amz-SignedHeaders', Object.keys(headers).sort().join(';'));
+
+  const { signature } = computeSignature(credentials, {
+    method: request.method,
+    url,
+    headers,
+    payloadHash: UNSIGNED_PAYLOAD,
+    amzDate,
+    dateStamp
+  });
+
+  // Rebuild the query with SigV4 encoding, which URLSearchParams does not produce for every character
+  return `${url.origin}${url.pathname}?${canonicalQuery(url.searchParams)}&X-Amz-Signature=${signature}`;
+}
+
+module.exports = {
+  UNSIGNED_PAYLOAD,
+  sha256Hex,
+  encodeKey,
+  signRequest,
+  presignUrl
+};
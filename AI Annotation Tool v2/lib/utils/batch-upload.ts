@@ -0,0 +1,355 @@
+/**
+ * Batch Upload Utility
+ * Uploads many image files through POST /api/images/batch with bounded concurrency, per-file progress and retries
+ * Progress and completion are published through dataSyncEmitter (UPLOAD_PROGRESS, UPLOAD_COMPLETED, UPLOAD_FAILED)
+ */
+
+import { NetworkError } from './network-error-handler'
+import { dataOperations } from './data-sync'
+
+export const BATCH_UPLOAD_URL = '/api/images/batch'
+
+export interface BatchLabel {
+    name: string
+    confidence: number
+}
+
+export type BatchFileStatus = 'queued' | 'uploading' | 'retrying' | 'created' | 'linked' | 'rejected' | 'failed'
+
+export interface BatchFile {
+    id: string
+    file: File
+    // Labels for this file only; null uses the shared labels
+    labels: BatchLabel[] | null
+}
+
+// Image record the server returns for a stored file
+export type UploadedImage = Record<string, unknown>
+
+// Response of an uploadOne call, shaped like POST /api/images
+export interface SingleUploadResult {
+    data: UploadedImage
+    // Set when the file was linked to an existing copy instead of stored again
+    linked?: boolean
+}
+
+export interface BatchFileUpdate {
+    status?: BatchFileStatus
+    progress?: number
+    attempts?: number
+    error?: string
+    image?: UploadedImage
+}
+
+export interface BatchUploadSummary {
+    total: number
+    created: number
+    linked: number
+    rejected: number
+    failed: number
+}
+
+export interface BatchUploadOptions {
+    sharedLabels?: BatchLabel[]
+    headers?: Record<string, string>
+    // Requests in flight at the same time
+    concurrency?: number
+    // Files sent in one request
+    chunkSize?: number
+    // Tries per file, including the first
+    maxAttempts?: number
+    // Delay before the first retry round in ms; doubles every round
+    retryDelay?: number
+    onDuplicate?: 'reject' | 'warn' | 'link'
+    // Project the images are added to; the default project when omitted
+    projectId?: number | null
+    // Upload a single file another way (e.g. presigned direct uploads); files are then sent one at a time
+    uploadOne?: (file: File, labels: BatchLabel[]) => Promise<SingleUploadResult>
+    onUpdate?: (id: string, update: BatchFileUpdate) => void
+}
+
+interface FileOutcome {
+    status: BatchFileStatus
+    error?: string
+    image?: UploadedImage
+    retryable?: boolean
+}
+
+// Result of one file in a POST /api/images/batch response
+interface BatchResultEntry {
+    index: number
+    original_name: string
+    status: BatchFileStatus
+    data?: UploadedImage
+    error?: string
+    retryable?: boolean
+}
+
+// Body of a POST /api/images/batch response
+interface BatchResponseBody {
+    success: boolean
+    data?: {
+        results: BatchResultEntry[]
+        summary: BatchUploadSummary
+    }
+    error?: string
+}
+
+/**
+ * Check whether a failed request is worth sending again
+ */
+function isRetryableStatus(status: number): boolean {
+    return status === 0 || status === 408 || status === 429 || status >= 500
+}
+
+/**
+ * Read every file of a dropped folder tree
+ */
+async function readEntry(entry: FileSystemEntry): Promise<File[]> {
+    if (entry.isFile) {
+        return new Promise((resolve) => (entry as FileSystemFileEntry).file((file) => resolve([file]), () => resolve([])))
+    }
+
+    if (entry.isDirectory) {
+        const reader = (entry as FileSystemDirectoryEntry).createReader()
+        const files: File[] = []
+
+        // readEntries returns the directory in batches until it returns an empty one
+        for (;;) {
+            const entries: FileSystemEntry[] = await new Promise((resolve) => reader.readEntries(resolve, () => resolve([])))
+            if (entries.length === 0) break
+            for (const child of entries) {
+                files.push(...(await readEntry(child)))
+            }
+        }
+
+        return files
+    }
+
+    return []
+}
+
+/**
+ * Collect the files of a drop, including the contents of dropped folders
+ * Falls back to dataTransfer.files in browsers without the entries API
+ */
+export async function collectDroppedFiles(dataTransfer: DataTransfer): Promise<File[]> {
+    const items = Array.from(dataTransfer.items || [])
+    // Entries must be taken while the drop event is being handled
+    const entries = items
+        .map(item => (item.kind === 'file' && typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null))
+        .filter((entry): entry is FileSystemEntry => entry !== null)
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || [])
+    }
+
+    const files: File[] = []
+    for (const entry of entries) {
+        files.push(...(await readEntry(entry)))
+    }
+    return files
+}
+
+/**
+ * POST a form with XMLHttpRequest so upload progress can be reported
+ * @returns HTTP status and parsed JSON body
+ */
+export function postFormWithProgress<T = unknown>(
+    url: string,
+    formData: FormData,
+    headers: Record<string, string> = {},
+    onProgress?: (loaded: number, total: number) => void
+): Promise<{ status: number, body: T | null }> {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest()
+        xhr.open('POST', url)
+        xhr.timeout = 120000
+
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+        xhr.upload.onprogress = (event) => {
+            if (event.lengthComputable && onProgress) {
+                onProgress(event.loaded, event.total)
+            }
+        }
+
+        xhr.onload = () => {
+            let body: T | null = null
+            try {
+                body = JSON.parse(xhr.responseText)
+            } catch {
+                body = null
+            }
+            resolve({ status: xhr.status, body })
+        }
+        xhr.onerror = () => reject(new NetworkError('Network connection failed', 0))
+        xhr.ontimeout = () => reject(new NetworkError('Upload timed out', 408))
+
+        xhr.send(formData)
+    })
+}
+
+/**
+ * Send one chunk of files to the batch endpoint
+ * Per-file progress is estimated from the bytes sent, as the files follow each other in the request body;
+ * the last 10% is reserved for the server storing and recording the file
+ */
+async function uploadChunk(chunk: BatchFile[], options: BatchUploadOptions, report: (file: BatchFile, progress: number) => void): Promise<FileOutcome[]> {
+    const formData = new FormData()
+    chunk.forEach(item => formData.append('images', item.file))
+    formData.append('labels', JSON.stringify(options.sharedLabels || []))
+    formData.append('fileLabels', JSON.stringify(chunk.map(item => item.labels)))
+    if (options.onDuplicate) {
+        formData.append('onDuplicate', options.onDuplicate)
+    }
+    if (options.projectId) {
+        formData.append('project', String(options.projectId))
+    }
+
+    const sizes = chunk.map(item => item.file.size)
+    const totalSize = sizes.reduce((sum, size) => sum + size, 0)
+
+    let response
+    try {
+        response = await postFormWithProgress<BatchResponseBody>(BATCH_UPLOAD_URL, formData, options.headers, (loaded, total) => {
+            const sent = (loaded / total) * totalSize
+            let before = 0
+            chunk.forEach((item, index) => {
+                const fraction = sizes[index] > 0 ? Math.min(Math.max((sent - before) / sizes[index], 0), 1) : 1
+                report(item, Math.round(fraction * 90))
+                before += sizes[index]
+            })
+        })
+    } catch (error) {
+        const status = error instanceof NetworkError ? error.status : 0
+        const message = error instanceof Error ? error.message : String(error)
+        return chunk.map(() => ({ status: 'failed', error: message, retryable: isRetryableStatus(status) }))
+    }
+
+    const data = response.body?.data
+    if (!data) {
+        const message = response.body?.error || `HTTP ${response.status}`
+        return chunk.map(() => ({ status: 'failed', error: message, retryable: isRetryableStatus(response.status) }))
+    }
+
+    return chunk.map((_, index) => {
+        const result = data.results.find(entry => entry.index === index)
+        if (!result) {
+            return { status: 'failed', error: 'No result returned for this file', retryable: true }
+        }
+        return { status: result.status, error: result.error, image: result.data, retryable: Boolean(result.retryable) }
+    })
+}
+
+/**
+ * Upload one file with options.uploadOne
+ */
+async function uploadSingle(item: BatchFile, options: BatchUploadOptions): Promise<FileOutcome[]> {
+    try {
+        const result = await options.uploadOne!(item.file, item.labels || options.sharedLabels || [])
+        return [{ status: result.linked ? 'linked' : 'created', image: result.data }]
+    } catch (error) {
+        const status = error instanceof NetworkError ? error.status : 0
+        const message = error instanceof Error ? error.message : String(error)
+        if (status === 409) {
+            return [{ status: 'rejected', error: message }]
+        }
+        const friendlyMessage = error instanceof NetworkError ? error.userFriendlyMessage : ''
+        return [{ status: 'failed', error: friendlyMessage || message, retryable: isRetryableStatus(status) }]
+    }
+}
+
+/**
+ * Upload files in chunks, at most options.concurrency requests at a time
+ * Files that fail for a transient reason (network, timeout, server error) are retried in later rounds with backoff
+ * @returns Counts of created, linked, rejected and failed files
+ */
+export async function uploadBatch(files: BatchFile[], options: BatchUploadOptions = {}): Promise<BatchUploadSummary> {
+    const concurrency = Math.max(1, options.concurrency || 3)
+    const chunkSize = options.uploadOne ? 1 : Math.max(1, options.chunkSize || 4)
+    const maxAttempts = Math.max(1, options.maxAttempts || 3)
+    const retryDelay = options.retryDelay ?? 1000
+    const update = (id: string, change: BatchFileUpdate) => options.onUpdate?.(id, change)
+
+    const outcomes = new Map<string, FileOutcome>()
+    const lastProgress = new Map<string, number>()
+
+    const report = (item: BatchFile, progress: number) => {
+        if (lastProgress.get(item.id) === progress) return
+        lastProgress.set(item.id, progress)
+        update(item.id, { progress })
+        dataOperations.notifyUploadProgress({ filename: item.file.name, progress, status: 'uploading' })
+    }
+
+    let pending = files
+    for (let attempt = 1; attempt <= maxAttempts && pending.length > 0; attempt++) {
+        if (attempt > 1) {
+            pending.forEach(item => update(item.id, { status: 'retrying', attempts: attempt - 1 }))
+            await new Promise(resolve => setTimeout(resolve, retryDelay * Math.pow(2, attempt - 2)))
+        }
+
+        const chunks: BatchFile[][] = []
+        for (let index = 0; index < pending.length; index += chunkSize) {
+            chunks.push(pending.slice(index, index + chunkSize))
+        }
+
+        const retry: BatchFile[] = []
+        let next = 0
+        const worker = async () => {
+            while (next < chunks.length) {
+                const chunk = chunks[next++]
+
+                chunk.forEach(item => {
+                    lastProgress.delete(item.id)
+                    update(item.id, { status: 'uploading', progress: 0, attempts: attempt, error: undefined })
+                    dataOperations.notifyUploadProgress({ filename: item.file.name, progress: 0, status: 'starting' })
+                })
+
+                const results = options.uploadOne ? await uploadSingle(chunk[0], options) : await uploadChunk(chunk, options, report)
+
+                chunk.forEach((item, index) => {
+                    const outcome = results[index]
+                    outcomes.set(item.id, outcome)
+
+                    if (outcome.status === 'failed' && outcome.retryable && attempt < maxAttempts) {
+                        retry.push(item)
+                        return
+                    }
+
+                    update(item.id, {
+                        status: outcome.status,
+                        progress: outcome.status === 'failed' ? 0 : 100,
+                        error: outcome.error,
+                        image: outcome.image
+                    })
+
+                    if (outcome.status === 'created') {
+                        dataOperations.notifyUploadCompleted(outcome.image)
+                    } else if (outcome.status === 'linked') {
+                        dataOperations.notifyImageUpdated(outcome.image)
+                    } else if (outcome.status === 'failed') {
+                        dataOperations.notifyUploadFailed({ filename: item.file.name, error: outcome.error })
+                    } else {
+                        dataOperations.notifyUploadProgress({ filename: item.file.name, progress: 100, status: outcome.status })
+                    }
+                })
+            }
+        }
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, chunks.length) }, worker))
+        pending = retry
+    }
+
+    const summary: BatchUploadSummary = { total: files.length, created: 0, linked: 0, rejected: 0, failed: 0 }
+    files.forEach(item => {
+        const status = outcomes.get(item.id)?.status
+        if (status === 'created' || status === 'linked' || status === 'rejected') {
+            summary[status]++
+        } else {
+            summary.failed++
+        }
+    })
+
+    return summary
+}
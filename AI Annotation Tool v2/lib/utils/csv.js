@@ -0,0 +1,305 @@
+/**
+ * CSV Utility Module
+ * RFC 4180 parsing that works incrementally on streamed input, plus the matching writer
+ * Quoted fields may contain delimiters, quotes ("") and line breaks; CRLF and LF line endings and a UTF-8 BOM are accepted
+ */
+
+// Delimiters accepted by name or character
+const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  ',': ',',
+  ';': ';',
+  '\t': '\t'
+};
+
+/**
+ * Resolve a delimiter option
+ * @param {string} [delimiter='auto'] - 'comma', 'semicolon', 'tab', the character itself, or 'auto'
+ * @returns {string|null} Delimiter character, or null to detect it from the header line
+ */
+function resolveDelimiter(delimiter = 'auto') {
+  if (delimiter === 'auto') {
+    return null;
+  }
+
+  if (!DELIMITERS[delimiter]) {
+    throw new Error(`Unsupported CSV delimiter '${delimiter}'. Use comma, semicolon or tab`);
+  }
+
+  return DELIMITERS[delimiter];
+}
+
+/**
+ * Pick the delimiter that splits the header line into the most fields (quoted text is ignored)
+ * @param {string} headerLine - First line of the file
+ * @returns {string} Delimiter character (comma when nothing else is found)
+ */
+function detectDelimiter(headerLine) {
+  const unquoted = headerLine.replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+
+  for (const candidate of [',', ';', '\t']) {
+    const count = unquoted.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Create an incremental CSV parser
+ * Feed text with push() and call end() once the input is complete; both return the records completed so far.
+ * Malformed input is reported in the record's errors (with 1-based line and column) and parsed leniently.
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.delimiter='auto'] - 'comma', 'semicolon', 'tab' or 'auto'
+ * @param {boolean} [options.skipEmptyLines=true] - Drop records that consist of a single empty, unquoted field
+ * @returns {Object} Parser { push(text), end(), delimiter }
+ */
+function createCsvParser(options = {}) {
+  let delimiter = resolveDelimiter(options.delimiter);
+  const skipEmptyLines = options.skipEmptyLines !== false;
+
+  // Text held back until the header line is complete, when the delimiter must be detected
+  let pending = '';
+  let started = false;
+
+  let values = [];
+  let field = '';
+  let fieldQuoted = false;
+  let inQuotes = false;
+  let afterQuote = false;
+  let previousWasCR = false;
+  let errors = [];
+
+  let line = 1;
+  let column = 0;
+  let recordLine = 1;
+  let quoteLine = 1;
+  let quoteColumn = 0;
+  let records = [];
+
+  const endField = () => {
+    values.push(field);
+    field = '';
+    fieldQuoted = false;
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    const quoted = fieldQuoted;
+    endField();
+    if (!(skipEmptyLines && values.length === 1 && values[0] === '' && !quoted && errors.length === 0)) {
+      records.push({ values, line: recordLine, errors });
+    }
+    values = [];
+    errors = [];
+  };
+
+  const newLine = () => {
+    line++;
+    column = 0;
+  };
+
+  const consume = (text) => {
+    for (const char of text) {
+      // The LF of a CRLF pair belongs to the line break the CR already started
+      if (char === '\n' && previousWasCR) {
+        previousWasCR = false;
+        if (inQuotes) {
+          field += char;
+        }
+        continue;
+      }
+      previousWasCR = char === '\r';
+
+      column++;
+
+      if (values.length === 0 && field === '' && !fieldQuoted) {
+        recordLine = line;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          field += char;
+          if (char === '\n' || char === '\r') {
+            newLine();
+          }
+        }
+        continue;
+      }
+
+      if (afterQuote && char === '"') {
+        // Escaped quote ("") inside a quoted field
+        field += '"';
+        inQuotes = true;
+        afterQuote = false;
+        continue;
+      }
+
+      if (char === delimiter) {
+        endField();
+      } else if (char === '\n' || char === '\r') {
+        endRecord();
+        newLine();
+      } else if (afterQuote) {
+        errors.push({ line, column, message: `Unexpected character '${char}' after closing quote` });
+        field += char;
+        afterQuote = false;
+      } else if (char === '"') {
+        if (field === '' && !fieldQuoted) {
+          inQuotes = true;
+          fieldQuoted = true;
+          quoteLine = line;
+          quoteColumn = column;
+        } else {
+          errors.push({ line, column, message: 'Unexpected quote in unquoted field' });
+          field += char;
+        }
+      } else {
+        field += char;
+      }
+    }
+  };
+
+  const flush = () => {
+    const completed = records;
+    records = [];
+    return completed;
+  };
+
+  return {
+    get delimiter() {
+      return delimiter;
+    },
+
+    /**
+     * Parse the next piece of input
+     * @param {string} text - Next chunk of text
+     * @returns {Array<Object>} Completed records { values, line, errors }
+     */
+    push(text) {
+      if (!started) {
+        pending += text;
+
+        // Wait for the whole header line before choosing a delimiter
+        if (delimiter === null && !/[\r\n]/.test(pending)) {
+          return [];
+        }
+
+        text = pending.charCodeAt(0) === 0xFEFF ? pending.slice(1) : pending;
+        pending = '';
+        started = true;
+
+        if (delimiter === null) {
+          delimiter = detectDelimiter(text.split(/\r?\n|\r/)[0]);
+        }
+      }
+
+      consume(text);
+      return flush();
+    },
+
+    /**
+     * Finish parsing
+     * @returns {Array<Object>} Remaining records { values, line, errors }
+     */
+    end() {
+      if (!started) {
+        // Input without a line break: detect the delimiter from all of it
+        started = true;
+        const text = pending.charCodeAt(0) === 0xFEFF ? pending.slice(1) : pending;
+        pending = '';
+        if (delimiter === null) {
+          delimiter = detectDelimiter(text);
+        }
+        consume(text);
+      }
+
+      if (inQuotes) {
+        errors.push({ line: quoteLine, column: quoteColumn, message: 'Unterminated quoted field' });
+        inQuotes = false;
+      }
+
+      if (values.length > 0 || field !== '' || fieldQuoted || errors.length > 0) {
+        endRecord();
+      }
+
+      return flush();
+    }
+  };
+}
+
+/**
+ * Parse a CSV string
+ * @param {string} text - CSV text
+ * @param {Object} [options] - Parser options (see createCsvParser)
+ * @returns {Array<Object>} Records { values, line, errors }
+ */
+function parseCsv(text, options = {}) {
+  const parser = createCsvParser(options);
+  return [...parser.push(text), ...parser.end()];
+}
+
+/**
+ * Parse streamed CSV input record by record
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} source - Byte or text stream, e.g. File.stream()
+ * @param {Object} [options] - Parser options (see createCsvParser)
+ * @yields {Object} Records { values, line, errors }
+ */
+async function* parseCsvStream(source, options = {}) {
+  const parser = createCsvParser(options);
+  // Multi-byte characters may be split across chunks; the decoder also drops a UTF-8 BOM
+  const decoder = new TextDecoder('utf-8');
+
+  for await (const chunk of source) {
+    const text = typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    yield* parser.push(text);
+  }
+
+  yield* parser.push(decoder.decode());
+  yield* parser.end();
+}
+
+/**
+ * Format one value as a CSV field, quoting it only when needed
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @param {string} [delimiter=','] - Delimiter character
+ * @returns {string} CSV field
+ */
+function formatCsvField(value, delimiter = ',') {
+  const text = value === null || value === undefined ? '' : String(value);
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Format a record as a CSV line (without the line break)
+ * @param {Array} values - Field values
+ * @param {string} [delimiter=','] - Delimiter character
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values, delimiter = ',') {
+  return values.map(value => formatCsvField(value, delimiter)).join(delimiter);
+}
+
+module.exports = {
+  resolveDelimiter,
+  createCsvParser,
+  parseCsv,
+  parseCsvStream,
+  formatCsvField,
+  formatCsvRow
+};
@@ -0,0 +1,288 @@
+/**
+ * EXIF Metadata Utility Module
+ * Reads orientation, capture time, camera and GPS position from the EXIF block of JPEG and WebP images
+ * and can blank the GPS position in place without re-encoding the image
+ */
+
+const { getImageDimensions } = require('./image-dimensions');
+
+// TIFF tags used from IFD0, the Exif IFD and the GPS IFD
+const TAGS = {
+  MAKE: 0x010F,
+  MODEL: 0x0110,
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004
+};
+
+// Byte size of one value of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Find the TIFF structure of the EXIF block in an image file
+ * @param {Buffer} buffer - Image bytes
+ * @returns {number|null} Offset of the TIFF header, or null if the image has no EXIF block
+ */
+function findExifOffset(buffer) {
+  // JPEG: APP1 segment starting with "Exif\0\0"
+  if (buffer.length > 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+      const marker = buffer[offset + 1];
+      // Image data starts at SOS; metadata segments come before it
+      if (marker === 0xDA || marker === 0xD9) {
+        return null;
+      }
+
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xE1 && buffer.toString('ascii', offset + 4, offset + 10) === 'Exif\0\0') {
+        return offset + 10;
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  // WebP: RIFF chunk named "EXIF" (some writers keep the "Exif\0\0" prefix)
+  if (buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const chunk = buffer.toString('ascii', offset, offset + 4);
+      const size = buffer.readUInt32LE(offset + 4);
+      if (chunk === 'EXIF') {
+        const start = offset + 8;
+        return buffer.toString('ascii', start, start + 6) === 'Exif\0\0' ? start + 6 : start;
+      }
+      // Chunks are padded to an even size
+      offset += 8 + size + (size % 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create readers for a TIFF structure in either byte order
+ * @param {Buffer} buffer - Image bytes
+ * @param {number} base - Offset of the TIFF header; IFD offsets are relative to it
+ * @returns {Object|null} Reader helpers, or null if the header is invalid
+ */
+function createTiffReader(buffer, base) {
+  const order = buffer.toString('ascii', base, base + 2);
+  if (order !== 'II' && order !== 'MM') {
+    return null;
+  }
+
+  const little = order === 'II';
+  const u16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  if (base + 8 > buffer.length || u16(base + 2) !== 42) {
+    return null;
+  }
+
+  /**
+   * Read the entries of an IFD
+   * @param {number} ifdOffset - IFD offset relative to the TIFF header
+   * @returns {Map} Map of tag to { type, count, size, entryOffset, valueOffset } with absolute offsets
+   */
+  const readIfd = (ifdOffset) => {
+    const entries = new Map();
+    const start = base + ifdOffset;
+    if (ifdOffset === 0 || start + 2 > buffer.length) {
+      return entries;
+    }
+
+    const count = u16(start);
+    for (let index = 0; index < count; index++) {
+      const entryOffset = start + 2 + index * 12;
+      if (entryOffset + 12 > buffer.length) {
+        break;
+      }
+
+      const type = u16(entryOffset + 2);
+      const valueCount = u32(entryOffset + 4);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      // Values of up to four bytes are stored in the entry itself
+      const valueOffset = size <= 4 ? entryOffset + 8 : base + u32(entryOffset + 8);
+      if (valueOffset + size <= buffer.length) {
+        entries.set(u16(entryOffset), { type, count: valueCount, size, entryOffset, valueOffset });
+      }
+    }
+
+    return entries;
+  };
+
+  const ascii = (entry) => entry && entry.type === 2
+    ? buffer.toString('latin1', entry.valueOffset, entry.valueOffset + entry.count).replace(/\0[\s\S]*$/, '').trim() || null
+    : null;
+
+  const short = (entry) => entry && (entry.type === 3 ? u16(entry.valueOffset) : entry.type === 4 ? u32(entry.valueOffset) : null);
+
+  const long = (entry) => entry && (entry.type === 4 ? u32(entry.valueOffset) : null);
+
+  const rationals = (entry) => {
+    if (!entry || entry.type !== 5) {
+      return null;
+    }
+    const values = [];
+    for (let index = 0; index < entry.count; index++) {
+      const denominator = u32(entry.valueOffset + index * 8 + 4);
+      values.push(denominator === 0 ? 0 : u32(entry.valueOffset + index * 8) / denominator);
+    }
+    return values;
+  };
+
+  return { firstIfdOffset: u32(base + 4), u16, readIfd, ascii, short, long, rationals };
+}
+
+/**
+ * Convert an EXIF date ("YYYY:MM:DD HH:MM:SS") to the database format
+ * @param {string|null} value - EXIF date
+ * @returns {string|null} "YYYY-MM-DD HH:MM:SS", or null for missing or blanked dates
+ */
+function toDatabaseDate(value) {
+  const match = value && value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})/);
+  if (!match || match[1] === '0000') {
+    return null;
+  }
+  return `${match[1]}-${match[2]}-${match[3]} ${match[4]}`;
+}
+
+/**
+ * Convert a GPS coordinate (degrees, minutes, seconds) to signed decimal degrees
+ * @param {Array<number>|null} dms - [degrees, minutes, seconds]
+ * @param {string|null} ref - N, S, E or W
+ * @param {number} limit - 90 for latitudes, 180 for longitudes
+ * @returns {number|null} Decimal degrees rounded to 7 places, or null if missing or out of range
+ */
+function toDecimalDegrees(dms, ref, limit) {
+  if (!dms || dms.length < 3 || !ref) {
+    return null;
+  }
+
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  if (!Number.isFinite(degrees) || degrees > limit) {
+    return null;
+  }
+
+  const signed = ref === 'S' || ref === 'W' ? -degrees : degrees;
+  return Math.round(signed * 1e7) / 1e7;
+}
+
+/**
+ * Read the EXIF fields of an image
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} { orientation, captured_at, camera_make, camera_model, gps_latitude, gps_longitude }, null where unknown
+ */
+function readExif(buffer) {
+  const result = {
+    orientation: null,
+    captured_at: null,
+    camera_make: null,
+    camera_model: null,
+    gps_latitude: null,
+    gps_longitude: null
+  };
+
+  const base = Buffer.isBuffer(buffer) ? findExifOffset(buffer) : null;
+  const tiff = base === null ? null : createTiffReader(buffer, base);
+  if (!tiff) {
+    return result;
+  }
+
+  try {
+    const { readIfd, ascii, short, long, rationals } = tiff;
+    const ifd0 = readIfd(tiff.firstIfdOffset);
+    const exifIfd = readIfd(long(ifd0.get(TAGS.EXIF_IFD)) || 0);
+    const gpsIfd = readIfd(long(ifd0.get(TAGS.GPS_IFD)) || 0);
+
+    const orientation = short(ifd0.get(TAGS.ORIENTATION));
+    result.orientation = orientation >= 1 && orientation <= 8 ? orientation : null;
+    result.captured_at = toDatabaseDate(ascii(exifIfd.get(TAGS.DATE_TIME_ORIGINAL))) || toDatabaseDate(ascii(ifd0.get(TAGS.DATE_TIME)));
+    result.camera_make = ascii(ifd0.get(TAGS.MAKE));
+    result.camera_model = ascii(ifd0.get(TAGS.MODEL));
+
+    const latitude = toDecimalDegrees(rationals(gpsIfd.get(TAGS.GPS_LATITUDE)), ascii(gpsIfd.get(TAGS.GPS_LATITUDE_REF)), 90);
+    const longitude = toDecimalDegrees(rationals(gpsIfd.get(TAGS.GPS_LONGITUDE)), ascii(gpsIfd.get(TAGS.GPS_LONGITUDE_REF)), 180);
+    // A position needs both coordinates; 0/0 is what blanked GPS data reads as
+    if (latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)) {
+      result.gps_latitude = latitude;
+      result.gps_longitude = longitude;
+    }
+  } catch (error) {
+    // Truncated or corrupt EXIF blocks yield whatever was read before the error
+    console.warn('Error reading EXIF metadata:', error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Remove the GPS position from the EXIF block of an image without re-encoding it
+ * The GPS entries and their values are overwritten with zeros, so the file keeps its size and all other offsets stay valid
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} { buffer, stripped } with a copy of the bytes; stripped is false when there was no GPS data
+ */
+function stripGpsMetadata(buffer) {
+  const copy = Buffer.from(buffer);
+  const base = findExifOffset(copy);
+  const tiff = base === null ? null : createTiffReader(copy, base);
+  if (!tiff) {
+    return { buffer: copy, stripped: false };
+  }
+
+  try {
+    const gpsOffset = tiff.long(tiff.readIfd(tiff.firstIfdOffset).get(TAGS.GPS_IFD));
+    const gpsIfd = tiff.readIfd(gpsOffset || 0);
+    if (gpsIfd.size === 0) {
+      return { buffer: copy, stripped: false };
+    }
+
+    for (const entry of gpsIfd.values()) {
+      if (entry.size > 4) {
+        copy.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+      }
+    }
+
+    // Leave an IFD with no entries; the zeroed first entry now reads as "no next IFD"
+    const start = base + gpsOffset;
+    copy.fill(0, start, Math.min(start + 2 + tiff.u16(start) * 12, copy.length));
+
+    return { buffer: copy, stripped: true };
+  } catch (error) {
+    console.warn('Error stripping GPS metadata:', error.message);
+    return { buffer: Buffer.from(buffer), stripped: false };
+  }
+}
+
+/**
+ * Read the dimensions and EXIF metadata of an uploaded image
+ * Width and height are given as displayed: for orientations 5-8 (rotated by 90 degrees) the stored pixel size is swapped,
+ * matching how browsers draw the image and therefore the space annotations are normalized in
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object} { width, height, orientation, captured_at, camera_make, camera_model, gps_latitude, gps_longitude }
+ */
+function readImageMetadata(buffer) {
+  const exif = readExif(buffer);
+  const dimensions = getImageDimensions(buffer);
+  const rotated = exif.orientation >= 5;
+
+  return {
+    width: dimensions ? (rotated ? dimensions.height : dimensions.width) : null,
+    height: dimensions ? (rotated ? dimensions.width : dimensions.height) : null,
+    ...exif
+  };
+}
+
+module.exports = {
+  readExif,
+  readImageMetadata,
+  stripGpsMetadata
+};
@@ -0,0 +1,164 @@
+/**
+ * Image Dimensions Utility Module
+ * Reads pixel width and height from image file headers without decoding the image
+ * Supports JPEG, PNG, GIF and WebP
+ */
+
+const fs = require('fs');
+const { isOwnedByStorage, resolveLocalPath } = require('../storage');
+
+// Only the start of the file is needed; JPEG headers can sit behind large EXIF blocks
+const HEADER_BYTES = 128 * 1024;
+
+/**
+ * Read the dimensions of a JPEG image by walking its segment markers to the first SOF frame
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} { width, height } or null if no frame header was found
+ */
+function readJpegDimensions(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Standalone markers and fill bytes carry no length
+    if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+      offset++;
+      continue;
+    }
+
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC) hold the frame size
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * Read the dimensions of a WebP image (lossy, lossless or extended)
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} { width, height } or null if the chunk is not recognised
+ */
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3FFF,
+      height: buffer.readUInt16LE(28) & 0x3FFF
+    };
+  }
+
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3FFF) + 1,
+      height: ((bits >> 14) & 0x3FFF) + 1
+    };
+  }
+
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Read image dimensions from the leading bytes of an image file
+ * @param {Buffer} buffer - Image bytes (at least the header)
+ * @returns {Object|null} { width, height } in pixels, or null for unsupported or truncated data
+ */
+function getImageDimensions(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 24) {
+    return null;
+  }
+
+  // PNG: 8-byte signature followed by the IHDR chunk
+  if (buffer.readUInt32BE(0) === 0x89504E47) {
+    return {
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20)
+    };
+  }
+
+  // GIF87a / GIF89a
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return {
+      width: buffer.readUInt16LE(6),
+      height: buffer.readUInt16LE(8)
+    };
+  }
+
+  // JPEG: SOI marker
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return readJpegDimensions(buffer);
+  }
+
+  // WebP: RIFF container with WEBP form type
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return readWebpDimensions(buffer);
+  }
+
+  return null;
+}
+
+/**
+ * Look up the dimensions of a stored image from its file_path
+ * URLs of the configured storage adapter are read with a ranged request; /api/files paths are read from local storage
+ * and other root-relative paths from the public folder. Other URLs and paths are never read
+ * @param {string} filePath - Image URL, stored file path or public path (e.g. /uploads/image.jpg)
+ * @returns {Promise<Object|null>} { width, height } or null if the image could not be read
+ */
+async function fetchImageDimensions(filePath) {
+  try {
+    if (isOwnedByStorage(filePath)) {
+      const response = await fetch(filePath, {
+        headers: { Range: `bytes=0-${HEADER_BYTES - 1}` },
+        signal: AbortSignal.timeout(10000)
+      });
+
+      if (!response.ok) {
+        return null;
+      }
+
+      return getImageDimensions(Buffer.from(await response.arrayBuffer()));
+    }
+
+    const absolute = resolveLocalPath(filePath);
+    if (!absolute) {
+      return null;
+    }
+
+    const handle = await fs.promises.open(absolute, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+      return getImageDimensions(buffer.subarray(0, bytesRead));
+    } finally {
+      await handle.close();
+    }
+  } catch (error) {
+    console.error(`Error reading image dimensions for ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getImageDimensions,
+  fetchImageDimensions
+};
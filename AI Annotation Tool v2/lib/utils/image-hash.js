@@ -0,0 +1,97 @@
+/**
+ * Image Hash Utility Module
+ * Computes a SHA-256 content hash for exact duplicates and a 64-bit difference hash (dHash) for near-duplicates
+ * such as re-encoded, resized or slightly edited copies of the same photo
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// The dHash compares neighbouring pixels of a 9x8 greyscale thumbnail, giving 8 bits per row
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * SHA-256 of the file bytes
+ * @param {Buffer} data - File content
+ * @returns {string} Lowercase hex digest
+ */
+function computeContentHash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Difference hash of the image content
+ * The image is drawn upright (EXIF orientation), so a rotated copy with the same pixels hashes the same
+ * @param {Buffer} data - Image bytes
+ * @returns {Promise<string>} 16 hex characters (64 bits)
+ */
+async function computePerceptualHash(data) {
+  const pixels = await sharp(data, { failOn: 'none' })
+    .rotate()
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let bits = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const offset = y * HASH_WIDTH + x;
+      bits = (bits << 1) | (pixels[offset] < pixels[offset + 1] ? 1 : 0);
+    }
+    hash += bits.toString(16).padStart(2, '0');
+  }
+
+  return hash;
+}
+
+/**
+ * Compute both hashes of an uploaded file
+ * @param {Buffer} data - File content
+ * @returns {Promise<Object>} { content_hash, perceptual_hash }; perceptual_hash is null if the image cannot be decoded
+ */
+async function computeImageHashes(data) {
+  let perceptualHash = null;
+  try {
+    perceptualHash = await computePerceptualHash(data);
+  } catch (error) {
+    console.warn('Error computing perceptual hash:', error.message);
+  }
+
+  return {
+    content_hash: computeContentHash(data),
+    perceptual_hash: perceptualHash
+  };
+}
+
+/**
+ * Count the set bits of a 32-bit integer
+ * @param {number} value - Integer
+ * @returns {number} Number of set bits
+ */
+function popcount32(value) {
+  let v = value >>> 0;
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - 16 hex characters
+ * @param {string} b - 16 hex characters
+ * @returns {number} Hamming distance from 0 (same picture) to 64
+ */
+function hammingDistance(a, b) {
+  return popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popcount32(parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16));
+}
+
+module.exports = {
+  computeContentHash,
+  computePerceptualHash,
+  computeImageHashes,
+  hammingDistance
+};
@@ -0,0 +1,417 @@
+/**
+ * Image Query Language Module
+ * Parses gallery filter expressions such as `label:cat AND NOT label:dog AND confidence<0.6 AND uploaded:>2026-01-01`
+ * and compiles them to a SQL condition on the images table (alias i)
+ *
+ * A query is a list of terms combined with AND (also implied between terms), OR and NOT, grouped with parentheses.
+ * A term is field:value or field<op>value (field:<op>value is accepted too); values with spaces are quoted.
+ * A bare word or "quoted phrase" searches image names, label names and label descriptions.
+ * attr.<name> terms filter on label attribute values, e.g. attr.occluded:true or attr.count>=2.
+ */
+
+// Fields that can be used in terms
+const QUERY_FIELDS = {
+  label: { type: 'text', operators: [':'], description: 'Has the label with this exact name or a label below it' },
+  confidence: { type: 'number', operators: [':', '<', '<=', '>', '>='], description: 'Has an annotation with this confidence (0 to 1)' },
+  uploaded: { type: 'date', operators: [':', '<', '<=', '>', '>='], description: 'Uploaded on, before or after a day (YYYY-MM-DD)' },
+  by: { type: 'text', operators: [':'], description: 'Uploaded by this email' },
+  name: { type: 'text', operators: [':'], description: 'File name contains this text' },
+  attr: { type: 'attribute', operators: [':', '<', '<=', '>', '>='], description: 'Has an annotation with this attribute value, e.g. attr.occluded:true' }
+};
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+// Images annotated with the named label or any label below it in the taxonomy (labels.parent_label_id)
+// The name resolves like labels.findByName: exact name, then alias (old names of renamed and merged labels), then any case
+const LABEL_SUBTREE_CONDITION = `i.image_id IN (
+  WITH RECURSIVE wanted(name) AS (SELECT ?),
+  label_subtree(label_id) AS (
+    SELECT COALESCE(
+      (SELECT l.label_id FROM labels l, wanted w WHERE l.label_name = w.name),
+      (SELECT a.label_id FROM label_aliases a, wanted w WHERE a.alias = w.name),
+      (SELECT l.label_id FROM labels l, wanted w WHERE l.label_name = w.name COLLATE NOCASE ORDER BY l.label_id LIMIT 1)
+    )
+    UNION
+    SELECT l.label_id FROM labels l JOIN label_subtree s ON l.parent_label_id = s.label_id
+  )
+  SELECT a.image_id FROM annotations a WHERE a.label_id IN (SELECT label_id FROM label_subtree)
+)`;
+
+// Longest accepted query and deepest nesting of parentheses and NOT
+const MAX_QUERY_LENGTH = 1000;
+const MAX_DEPTH = 32;
+
+// field (attr.<name> for attributes) followed by ':', ':<op>' or '<op>'
+const TERM_PATTERN = /^([A-Za-z_]+(?:\.[A-Za-z_][A-Za-z0-9_]*)?)(:(?:<=|>=|<|>|=)?|<=|>=|<|>|=)/;
+
+/**
+ * Create the error thrown for a query that cannot be parsed
+ * @param {string} message - What is wrong
+ * @param {number} position - 0-based offset in the query
+ * @returns {Error} Error whose message starts with 'Invalid query'
+ */
+function queryError(message, position) {
+  return new Error(`Invalid query: ${message} at column ${position + 1}`);
+}
+
+/**
+ * Read a double-quoted string; \" and \\ are escapes
+ * @param {string} text - Query
+ * @param {number} start - Offset of the opening quote
+ * @returns {Object} { value, end } where end is the offset after the closing quote
+ */
+function readQuoted(text, start) {
+  let value = '';
+  let position = start + 1;
+
+  while (position < text.length) {
+    const char = text[position];
+    if (char === '\\' && position + 1 < text.length) {
+      value += text[position + 1];
+      position += 2;
+    } else if (char === '"') {
+      return { value, end: position + 1 };
+    } else {
+      value += char;
+      position++;
+    }
+  }
+
+  throw queryError('unterminated quote', start);
+}
+
+/**
+ * Read an unquoted word: everything up to whitespace, a parenthesis or a quote
+ * @param {string} text - Query
+ * @param {number} start - Offset of the first character
+ * @returns {Object} { value, end }
+ */
+function readWord(text, start) {
+  let end = start;
+  while (end < text.length && !/[\s()"]/.test(text[end])) {
+    end++;
+  }
+  return { value: text.slice(start, end), end };
+}
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query
+ * @returns {Array<Object>} Tokens { type: '(' | ')' | 'AND' | 'OR' | 'NOT' | 'term' | 'text', position, ... }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const char = text[position];
+
+    if (/\s/.test(char)) {
+      position++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char, position });
+      position++;
+      continue;
+    }
+
+    if (char === '"') {
+      const quoted = readQuoted(text, position);
+      tokens.push({ type: 'text', value: quoted.value, position });
+      position = quoted.end;
+      continue;
+    }
+
+    const term = TERM_PATTERN.exec(text.slice(position));
+    if (term) {
+      // Attribute names keep their case; they are JSON keys
+      const [fieldName, attribute = null] = term[1].split('.');
+      const field = fieldName.toLowerCase();
+      if (!QUERY_FIELDS[field]) {
+        throw queryError(`unknown field '${fieldName}' (known fields: ${Object.keys(QUERY_FIELDS).join(', ')})`, position);
+      }
+      if ((field === 'attr') !== (attribute !== null)) {
+        throw queryError(field === 'attr' ? 'attr needs an attribute name, e.g. attr.occluded:true' : `${field} has no attributes`, position);
+      }
+
+      // ':' alone and '=' both mean equals
+      const operator = term[2].replace(/^:/, '').replace(/^=$/, '') || ':';
+      const valueStart = position + term[0].length;
+      const quoted = text[valueStart] === '"';
+      const value = quoted ? readQuoted(text, valueStart) : readWord(text, valueStart);
+      if (value.value === '') {
+        throw queryError(`missing value for ${field}`, valueStart);
+      }
+
+      tokens.push({ type: 'term', field, attribute, operator, value: value.value, quoted, position, valuePosition: valueStart });
+      position = value.end;
+      continue;
+    }
+
+    const word = readWord(text, position);
+    const keyword = word.value.toUpperCase();
+    tokens.push(KEYWORDS.includes(keyword)
+      ? { type: keyword, position }
+      : { type: 'text', value: word.value, position });
+    position = word.end;
+  }
+
+  return tokens;
+}
+
+/**
+ * Check the operator and value of a term and convert the value
+ * @param {Object} token - Term token
+ * @returns {Object} Term node { type: 'term', field, operator, value }
+ */
+function toTermNode(token) {
+  const { field, operator, value } = token;
+  const definition = QUERY_FIELDS[field];
+
+  if (!definition.operators.includes(operator)) {
+    throw queryError(`${field} does not support '${operator}', only ${definition.operators.join(' ')}`, token.position);
+  }
+
+  if (definition.type === 'number') {
+    const number = Number(value);
+    if (!/^\d*\.?\d+$/.test(value) || number < 0 || number > 1) {
+      throw queryError(`${field} must be a number between 0 and 1, got '${value}'`, token.valuePosition);
+    }
+    return { type: 'term', field, operator, value: number };
+  }
+
+  // true/false match boolean attributes and numbers match integer and number attributes;
+  // anything else, and any quoted value, is text
+  if (definition.type === 'attribute') {
+    const { attribute } = token;
+    const typed = token.quoted ? value
+      : value === 'true' ? true
+      : value === 'false' ? false
+        : /^-?\d*\.?\d+$/.test(value) ? Number(value)
+          : value;
+    if (operator !== ':' && typeof typed !== 'number') {
+      throw queryError(`attr.${attribute} can only be compared with '${operator}' to a number, got '${value}'`, token.valuePosition);
+    }
+    return { type: 'term', field, attribute, operator, value: typed };
+  }
+
+  if (definition.type === 'date') {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) {
+      throw queryError(`${field} must be a date like 2026-01-31, got '${value}'`, token.valuePosition);
+    }
+  }
+
+  return { type: 'term', field, operator, value };
+}
+
+/**
+ * Parse a query into a syntax tree
+ * NOT binds tighter than AND, and AND tighter than OR; terms next to each other are combined with AND.
+ * @param {string} text - Query
+ * @returns {Object} Node { type: 'and'|'or', items } | { type: 'not', item } | { type: 'term', field, operator, value }
+ *   (plus attribute for attr terms) | { type: 'text', value }
+ */
+function parseImageQuery(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Invalid query: query is empty');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Invalid query: query is longer than ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const positionOf = token => (token ? token.position : text.length);
+  const describe = token => (token ? `'${token.type === 'term' || token.type === 'text' ? token.value : token.type}'` : 'end of query');
+
+  const startsOperand = token => token && ['(', 'NOT', 'term', 'text'].includes(token.type);
+
+  function parseOr(depth) {
+    const items = [parseAnd(depth)];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      items.push(parseAnd(depth));
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  function parseAnd(depth) {
+    const items = [parseNot(depth)];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') {
+        index++;
+      }
+      items.push(parseNot(depth));
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  function parseNot(depth) {
+    if (depth > MAX_DEPTH) {
+      throw queryError('query is nested too deeply', positionOf(peek()));
+    }
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      return { type: 'not', item: parseNot(depth + 1) };
+    }
+    return parsePrimary(depth);
+  }
+
+  function parsePrimary(depth) {
+    const token = peek();
+    if (!startsOperand(token)) {
+      throw queryError(`expected a term but found ${describe(token)}`, positionOf(token));
+    }
+    index++;
+
+    if (token.type === '(') {
+      const node = parseOr(depth + 1);
+      if (!peek() || peek().type !== ')') {
+        throw queryError(`expected ')' but found ${describe(peek())}`, positionOf(peek()));
+      }
+      index++;
+      return node;
+    }
+
+    return token.type === 'term' ? toTermNode(token) : { type: 'text', value: token.value };
+  }
+
+  const tree = parseOr(0);
+  if (index < tokens.length) {
+    throw queryError(`unexpected ${describe(peek())}`, positionOf(peek()));
+  }
+  return tree;
+}
+
+/**
+ * Turn search text into an FTS5 query matching every word as a prefix
+ * Quoting each word keeps FTS5 operators and punctuation in the text from being interpreted
+ * @param {string} search - Search text
+ * @returns {string|null} FTS5 query, or null when the text has no words
+ */
+function toSearchQuery(search) {
+  const words = search.match(/[\p{L}\p{N}]+/gu);
+  return words ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+/**
+ * Compile a syntax tree from parseImageQuery to a SQL condition
+ * The condition refers to the images table as i. Every term is 0 or 1, never NULL,
+ * so NOT also matches images without an upload time or uploader.
+ * @param {Object} node - Syntax tree
+ * @returns {Object} { sql, params }
+ */
+function compileImageQuery(node) {
+  if (node.type === 'and' || node.type === 'or') {
+    const parts = node.items.map(compileImageQuery);
+    return {
+      sql: parts.map(part => `(${part.sql})`).join(node.type === 'and' ? ' AND ' : ' OR '),
+      params: parts.flatMap(part => part.params)
+    };
+  }
+
+  if (node.type === 'not') {
+    const part = compileImageQuery(node.item);
+    return { sql: `NOT (${part.sql})`, params: part.params };
+  }
+
+  if (node.type === 'text') {
+    const searchQuery = toSearchQuery(node.value);
+    return searchQuery
+      ? { sql: 'i.image_id IN (SELECT rowid FROM image_search WHERE image_search MATCH ?)', params: [searchQuery] }
+      : { sql: '0', params: [] };
+  }
+
+  const operator = node.operator === ':' ? '=' : node.operator;
+
+  switch (node.field) {
+    case 'label':
+      return { sql: LABEL_SUBTREE_CONDITION, params: [node.value] };
+    case 'confidence':
+      return {
+        sql: `i.image_id IN (SELECT a.image_id FROM annotations a WHERE a.confidence ${operator} ?)`,
+        params: [node.value]
+      };
+    case 'attr': {
+      // JSON true and false come back from json_extract as 1 and 0
+      const value = typeof node.value === 'boolean' ? Number(node.value) : node.value;
+      return {
+        sql: `i.image_id IN (SELECT a.image_id FROM annotations a WHERE json_extract(a.attributes, ?) ${operator} ?)`,
+        params: [`$.${node.attribute}`, value]
+      };
+    }
+    case 'uploaded':
+      return { sql: `COALESCE(date(i.uploaded_at) ${operator} ?, 0)`, params: [node.value] };
+    case 'by':
+      return { sql: 'COALESCE(i.created_by = ? COLLATE NOCASE, 0)', params: [node.value] };
+    case 'name': {
+      const pattern = `%${node.value.replace(/[\\%_]/g, '\\$&')}%`;
+      return {
+        sql: "(i.original_name LIKE ? ESCAPE '\\' OR i.filename LIKE ? ESCAPE '\\')",
+        params: [pattern, pattern]
+      };
+    }
+    default:
+      throw new Error(`Invalid query: unknown field '${node.field}'`);
+  }
+}
+
+/**
+ * Quote a value for a query when it holds characters that end an unquoted word
+ * @param {string} value - Value
+ * @returns {string} Value as it can be typed in a query
+ */
+function quoteQueryValue(value) {
+  return /^[^\s()"\\]+$/.test(value) ? value : `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Suggest completions for the word being typed: field names, and label names after label:
+ * @param {string} text - Query typed so far
+ * @param {number} [caret=text.length] - Caret offset
+ * @param {string[]} [labelNames=[]] - Known label names
+ * @param {number} [max=8] - Most suggestions to return
+ * @returns {Object} { start, end, suggestions: [{ value, description }] }; replace text.slice(start, end) with a value to apply it
+ */
+function suggestQueryCompletions(text, caret = text.length, labelNames = [], max = 8) {
+  const before = text.slice(0, caret);
+
+  // Inside an open quote the word starts at the field before the quote
+  const quotes = (before.match(/"/g) || []).length;
+  let start = quotes % 2 === 1 ? before.lastIndexOf('"') : caret;
+  while (start > 0 && !/[\s()"]/.test(text[start - 1])) {
+    start--;
+  }
+
+  const fragment = text.slice(start, caret);
+  const term = TERM_PATTERN.exec(fragment);
+  let suggestions = [];
+
+  if (term && term[1].toLowerCase() === 'label') {
+    const prefix = fragment.slice(term[0].length).replace(/^"/, '').toLowerCase();
+    suggestions = labelNames
+      .filter(name => name.toLowerCase().startsWith(prefix))
+      .map(name => ({ value: `${term[0]}${quoteQueryValue(name)}`, description: 'Label' }));
+  } else if (!term && /^[A-Za-z_]+$/.test(fragment)) {
+    suggestions = Object.entries(QUERY_FIELDS)
+      .filter(([name]) => name.startsWith(fragment.toLowerCase()))
+      .map(([name, definition]) => ({ value: name === 'attr' ? 'attr.' : `${name}:`, description: definition.description }));
+  }
+
+  return { start, end: caret, suggestions: suggestions.slice(0, max) };
+}
+
+module.exports = {
+  QUERY_FIELDS,
+  LABEL_SUBTREE_CONDITION,
+  parseImageQuery,
+  compileImageQuery,
+  toSearchQuery,
+  quoteQueryValue,
+  suggestQueryCompletions
+};
@@ -0,0 +1,113 @@
+/**
+ * CSV Utility Tests for AI Annotation Tool v2
+ * These tests verify RFC 4180 parsing, streaming across chunk boundaries, error positions and round trips
+ */
+
+const { expect } = require('chai');
+const { createCsvParser, parseCsv, parseCsvStream, formatCsvRow, resolveDelimiter } = require('../csv');
+
+/**
+ * Collect the values of every record from a streamed parse
+ */
+async function collectStream(chunks, options) {
+  const records = [];
+  for await (const record of parseCsvStream(chunks, options)) {
+    records.push(record);
+  }
+  return records;
+}
+
+describe('CSV Utility Tests', function() {
+  describe('parseCsv()', function() {
+    it('should parse quoted fields containing delimiters, quotes and line breaks', function() {
+      const records = parseCsv('id,note\r\n1,"a, ""quoted""\r\nvalue"\r\n2,plain\r\n');
+
+      expect(records.map(record => record.values)).to.deep.equal([
+        ['id', 'note'],
+        ['1', 'a, "quoted"\r\nvalue'],
+        ['2', 'plain']
+      ]);
+      expect(records[2].line).to.equal(4);
+    });
+
+    it('should strip a byte order mark and skip blank lines', function() {
+      const records = parseCsv('\uFEFFid,name\n\n1,cat\n');
+
+      expect(records.map(record => record.values)).to.deep.equal([['id', 'name'], ['1', 'cat']]);
+    });
+
+    it('should keep empty and whitespace values as written', function() {
+      const records = parseCsv('a,b,c\n, x ,""\n');
+
+      expect(records[1].values).to.deep.equal(['', ' x ', '']);
+    });
+
+    it('should detect semicolon and tab delimiters from the header', function() {
+      expect(parseCsv('a;b\n1;"2;3"\n')[1].values).to.deep.equal(['1', '2;3']);
+      expect(parseCsv('a\tb\n1\t2,3\n')[1].values).to.deep.equal(['1', '2,3']);
+    });
+
+    it('should use an explicit delimiter', function() {
+      expect(parseCsv('a;b,c\n1;2,3\n', { delimiter: 'comma' })[1].values).to.deep.equal(['1;2', '3']);
+      expect(() => resolveDelimiter('pipe')).to.throw('Unsupported CSV delimiter');
+    });
+
+    it('should report malformed quotes with line and column', function() {
+      const records = parseCsv('a,b\n1,x"y\n2,"ok"z\n3,"open\n');
+
+      expect(records[1].errors).to.deep.equal([{ line: 2, column: 4, message: 'Unexpected quote in unquoted field' }]);
+      expect(records[2].errors[0]).to.include({ line: 3, column: 7 });
+      expect(records[3].errors[0]).to.deep.equal({ line: 4, column: 3, message: 'Unterminated quoted field' });
+    });
+  });
+
+  describe('parseCsvStream()', function() {
+    it('should parse records split across arbitrary chunk boundaries', async function() {
+      const text = 'id,label\r\n1,"multi\r\nline, ""text"""\r\n2,ünïcode\r\n';
+      const bytes = Buffer.from(text, 'utf8');
+      const chunks = [];
+      // One-byte chunks split CRLF pairs, escaped quotes and multi-byte characters
+      for (let i = 0; i < bytes.length; i++) {
+        chunks.push(bytes.subarray(i, i + 1));
+      }
+
+      const records = await collectStream(chunks);
+
+      expect(records.map(record => record.values)).to.deep.equal([
+        ['id', 'label'],
+        ['1', 'multi\r\nline, "text"'],
+        ['2', 'ünïcode']
+      ]);
+    });
+
+    it('should yield records before the input ends', function() {
+      const parser = createCsvParser();
+
+      expect(parser.push('a,b\n1,2\n3,')).to.have.lengthOf(2);
+      expect(parser.end()[0].values).to.deep.equal(['3', '']);
+    });
+  });
+
+  describe('formatCsvRow()', function() {
+    it('should round-trip values through the parser', async function() {
+      const rows = [
+        ['image_id', 'labels', 'shapes'],
+        [1, 'cat,dog', JSON.stringify([{ label: 'a "b", c', geometry: { points: [[0, 0], [1, 1]] } }])],
+        [2, 'line\nbreak', ''],
+        [3, ' padded ', null]
+      ];
+
+      // Many rows in small chunks, as a large export would arrive
+      const text = Array.from({ length: 200 }, () => rows.slice(1).map(row => formatCsvRow(row)).join('\n'))
+        .join('\n');
+      const chunks = (formatCsvRow(rows[0]) + '\n' + text + '\n').match(/[\s\S]{1,7}/g);
+      const records = await collectStream(chunks);
+
+      expect(records).to.have.lengthOf(601);
+      expect(records[1].values).to.deep.equal(['1', 'cat,dog', rows[1][2]]);
+      expect(records[2].values).to.deep.equal(['2', 'line\nbreak', '']);
+      expect(records[3].values).to.deep.equal(['3', ' padded ', '']);
+      expect(records.every(record => record.errors.length === 0)).to.be.true;
+    });
+  });
+});
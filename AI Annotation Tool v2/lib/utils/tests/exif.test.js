@@ -0,0 +1,106 @@
+/**
+ * EXIF Metadata Utility Tests for AI Annotation Tool v2
+ * These tests verify reading dimensions, orientation, capture time, camera and GPS position, and stripping the GPS position
+ */
+
+const { expect } = require('chai');
+const sharp = require('sharp');
+const { readImageMetadata, stripGpsMetadata } = require('../exif');
+
+// EXIF written by the test images: a Canon photo taken in London, rotated 90 degrees
+const EXIF = {
+  IFD0: { Make: 'Canon', Model: 'Canon EOS R5', DateTime: '2023:06:01 12:00:00' },
+  IFD2: { DateTimeOriginal: '2023:05:31 08:15:30' },
+  IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '0/1 7/1 3960/100' }
+};
+
+/**
+ * Create a 400x200 image in the given format with the test EXIF block
+ */
+function createPhoto(format, exif = EXIF) {
+  const image = sharp({ create: { width: 400, height: 200, channels: 3, background: '#808080' } })[format]();
+  return image.withExif(exif).withMetadata({ orientation: 6 }).toBuffer();
+}
+
+describe('EXIF Metadata Utility Tests', function() {
+  describe('readImageMetadata()', function() {
+    it('should read the EXIF fields of a JPEG and report the displayed size', async function() {
+      const metadata = readImageMetadata(await createPhoto('jpeg'));
+
+      expect(metadata).to.deep.equal({
+        width: 200,
+        height: 400,
+        orientation: 6,
+        captured_at: '2023-05-31 08:15:30',
+        camera_make: 'Canon',
+        camera_model: 'Canon EOS R5',
+        gps_latitude: 51.5,
+        gps_longitude: -0.1276667
+      });
+    });
+
+    it('should read the EXIF chunk of a WebP image', async function() {
+      const metadata = readImageMetadata(await createPhoto('webp'));
+
+      expect(metadata).to.include({ width: 200, height: 400, camera_model: 'Canon EOS R5', gps_latitude: 51.5 });
+    });
+
+    it('should return only the dimensions for images without EXIF', async function() {
+      const png = await sharp({ create: { width: 30, height: 20, channels: 4, background: '#ffffff' } }).png().toBuffer();
+
+      expect(readImageMetadata(png)).to.deep.equal({
+        width: 30,
+        height: 20,
+        orientation: null,
+        captured_at: null,
+        camera_make: null,
+        camera_model: null,
+        gps_latitude: null,
+        gps_longitude: null
+      });
+    });
+
+    it('should read big-endian EXIF blocks', function() {
+      // SOI, APP1 "Exif" with a Motorola-order TIFF holding Orientation = 3, SOF0 for a 64x48 image, EOI
+      const tiff = Buffer.from([
+        0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+        0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x03, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00
+      ]);
+      const app1 = Buffer.concat([Buffer.from([0xFF, 0xE1, 0x00, tiff.length + 8]), Buffer.from('Exif\0\0', 'ascii'), tiff]);
+      const sof = Buffer.from([0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x30, 0x00, 0x40, 0x03, 1, 0x22, 0, 2, 0x11, 1, 3, 0x11, 1]);
+      const jpeg = Buffer.concat([Buffer.from([0xFF, 0xD8]), app1, sof, Buffer.from([0xFF, 0xD9])]);
+
+      expect(readImageMetadata(jpeg)).to.include({ width: 64, height: 48, orientation: 3 });
+    });
+
+    it('should ignore truncated EXIF blocks', async function() {
+      const jpeg = await createPhoto('jpeg');
+
+      expect(() => readImageMetadata(jpeg.subarray(0, 80))).to.not.throw();
+    });
+  });
+
+  describe('stripGpsMetadata()', function() {
+    it('should remove the GPS position and keep the rest of the file intact', async function() {
+      const jpeg = await createPhoto('jpeg');
+      const { buffer, stripped } = stripGpsMetadata(jpeg);
+
+      expect(stripped).to.be.true;
+      expect(buffer.length).to.equal(jpeg.length);
+      expect(buffer.includes(Buffer.from('Canon EOS R5'))).to.be.true;
+      expect(readImageMetadata(buffer)).to.include({ gps_latitude: null, gps_longitude: null, orientation: 6, camera_model: 'Canon EOS R5' });
+      expect((await sharp(buffer).metadata()).width).to.equal(400);
+      // The input is left unchanged
+      expect(readImageMetadata(jpeg).gps_latitude).to.equal(51.5);
+    });
+
+    it('should report images without a GPS position as unchanged', async function() {
+      const jpeg = await createPhoto('jpeg', { IFD0: EXIF.IFD0 });
+      const { buffer, stripped } = stripGpsMetadata(jpeg);
+
+      expect(stripped).to.be.false;
+      expect(buffer.equals(jpeg)).to.be.true;
+    });
+  });
+});
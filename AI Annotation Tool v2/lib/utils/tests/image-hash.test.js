@@ -0,0 +1,91 @@
+/**
+ * Image Hash Utility Tests for AI Annotation Tool v2
+ * These tests verify the content hash, the perceptual hash of edited copies and the Hamming distance
+ */
+
+const { expect } = require('chai');
+const sharp = require('sharp');
+const {
+  computeContentHash,
+  computePerceptualHash,
+  computeImageHashes,
+  hammingDistance
+} = require('../image-hash');
+
+/**
+ * Create a JPEG with a diagonal gradient and a bright block, so the difference hash has structure to capture
+ */
+function createPatternJpeg(width, height, options = {}) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 3;
+      const inBlock = x > width * 0.6 && y < height * 0.4;
+      const value = inBlock ? 255 : Math.round(((x / width) * 0.7 + (y / height) * 0.3) * 200);
+      pixels[offset] = value;
+      pixels[offset + 1] = value;
+      pixels[offset + 2] = options.tint || value;
+    }
+  }
+
+  let image = sharp(pixels, { raw: { width, height, channels: 3 } });
+  if (options.flop) {
+    image = image.flop();
+  }
+  return image.jpeg({ quality: options.quality || 90 }).toBuffer();
+}
+
+describe('Image Hash Utility Tests', function() {
+  this.timeout(10000);
+
+  describe('computeContentHash()', function() {
+    it('should return the SHA-256 hex digest of the bytes', function() {
+      expect(computeContentHash(Buffer.from('abc'))).to.equal('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+  });
+
+  describe('computePerceptualHash()', function() {
+    it('should return 64 bits as 16 hex characters', async function() {
+      expect(await computePerceptualHash(await createPatternJpeg(200, 150))).to.match(/^[0-9a-f]{16}$/);
+    });
+
+    it('should give resized and recompressed copies a small distance', async function() {
+      const original = await computePerceptualHash(await createPatternJpeg(400, 300));
+      const copy = await computePerceptualHash(await createPatternJpeg(160, 120, { quality: 40 }));
+
+      expect(hammingDistance(original, copy)).to.be.at.most(6);
+    });
+
+    it('should give a mirrored image a large distance', async function() {
+      const original = await computePerceptualHash(await createPatternJpeg(400, 300));
+      const mirrored = await computePerceptualHash(await createPatternJpeg(400, 300, { flop: true }));
+
+      expect(hammingDistance(original, mirrored)).to.be.above(12);
+    });
+  });
+
+  describe('computeImageHashes()', function() {
+    it('should hash files that are not images by content only', async function() {
+      const hashes = await computeImageHashes(Buffer.from('not an image'));
+
+      expect(hashes.content_hash).to.have.length(64);
+      expect(hashes.perceptual_hash).to.equal(null);
+    });
+
+    it('should give different files of the same picture different content hashes', async function() {
+      const a = await computeImageHashes(await createPatternJpeg(200, 150, { quality: 90 }));
+      const b = await computeImageHashes(await createPatternJpeg(200, 150, { quality: 60 }));
+
+      expect(a.content_hash).to.not.equal(b.content_hash);
+      expect(hammingDistance(a.perceptual_hash, b.perceptual_hash)).to.be.at.most(4);
+    });
+  });
+
+  describe('hammingDistance()', function() {
+    it('should count differing bits across the whole hash', function() {
+      expect(hammingDistance('0000000000000000', '0000000000000000')).to.equal(0);
+      expect(hammingDistance('ffffffffffffffff', '0000000000000000')).to.equal(64);
+      expect(hammingDistance('8000000000000001', '0000000000000000')).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Image Query Language Tests for AI Annotation Tool v2
+ * These tests verify parsing, operator precedence, syntax errors, SQL compilation and autocomplete
+ */
+
+const { expect } = require('chai');
+const { parseImageQuery, compileImageQuery, suggestQueryCompletions, quoteQueryValue } = require('../image-query');
+
+/**
+ * Get the message of the error thrown by parsing a query
+ */
+function parseError(text) {
+  try {
+    parseImageQuery(text);
+  } catch (error) {
+    return error.message;
+  }
+  throw new Error(`Expected '${text}' to be rejected`);
+}
+
+describe('Image Query Language Tests', function() {
+  describe('parseImageQuery()', function() {
+    it('should parse terms with every operator form', function() {
+      expect(parseImageQuery('label:cat AND NOT label:"golden retriever" AND confidence<0.6 AND uploaded:>2026-01-01 AND by:alice@x.com')).to.deep.equal({
+        type: 'and',
+        items: [
+          { type: 'term', field: 'label', operator: ':', value: 'cat' },
+          { type: 'not', item: { type: 'term', field: 'label', operator: ':', value: 'golden retriever' } },
+          { type: 'term', field: 'confidence', operator: '<', value: 0.6 },
+          { type: 'term', field: 'uploaded', operator: '>', value: '2026-01-01' },
+          { type: 'term', field: 'by', operator: ':', value: 'alice@x.com' }
+        ]
+      });
+
+      expect(parseImageQuery('Confidence>=.5')).to.deep.equal({ type: 'term', field: 'confidence', operator: '>=', value: 0.5 });
+      expect(parseImageQuery('label=cat')).to.deep.equal({ type: 'term', field: 'label', operator: ':', value: 'cat' });
+    });
+
+    it('should bind NOT over AND over OR, imply AND and honour parentheses', function() {
+      expect(parseImageQuery('label:a OR label:b label:c')).to.deep.equal({
+        type: 'or',
+        items: [
+          { type: 'term', field: 'label', operator: ':', value: 'a' },
+          {
+            type: 'and',
+            items: [
+              { type: 'term', field: 'label', operator: ':', value: 'b' },
+              { type: 'term', field: 'label', operator: ':', value: 'c' }
+            ]
+          }
+        ]
+      });
+
+      expect(parseImageQuery('not (label:a or beach)')).to.deep.equal({
+        type: 'not',
+        item: {
+          type: 'or',
+          items: [
+            { type: 'term', field: 'label', operator: ':', value: 'a' },
+            { type: 'text', value: 'beach' }
+          ]
+        }
+      });
+    });
+
+    it('should report syntax errors with their column', function() {
+      expect(parseError('label:cat AND')).to.equal("Invalid query: expected a term but found end of query at column 14");
+      expect(parseError('(label:cat')).to.equal("Invalid query: expected ')' but found end of query at column 11");
+      expect(parseError('label:cat)')).to.equal("Invalid query: unexpected ')' at column 10");
+      expect(parseError('colour:red')).to.include("unknown field 'colour'");
+      expect(parseError('label:')).to.equal('Invalid query: missing value for label at column 7');
+      expect(parseError('label:"cat')).to.equal('Invalid query: unterminated quote at column 7');
+      expect(parseError('   ')).to.equal('Invalid query: query is empty');
+    });
+
+    it('should reject values and operators a field does not support', function() {
+      expect(parseError('confidence<1.5')).to.equal("Invalid query: confidence must be a number between 0 and 1, got '1.5' at column 12");
+      expect(parseError('uploaded:>2026-02-30')).to.include('uploaded must be a date like 2026-01-31');
+      expect(parseError('label>cat')).to.equal("Invalid query: label does not support '>', only : at column 1");
+    });
+
+    it('should parse attribute terms with typed values', function() {
+      expect(parseImageQuery('attr.occluded:true attr.count>=2 attr.Color:red attr.code:"1"')).to.deep.equal({
+        type: 'and',
+        items: [
+          { type: 'term', field: 'attr', attribute: 'occluded', operator: ':', value: true },
+          { type: 'term', field: 'attr', attribute: 'count', operator: '>=', value: 2 },
+          { type: 'term', field: 'attr', attribute: 'Color', operator: ':', value: 'red' },
+          { type: 'term', field: 'attr', attribute: 'code', operator: ':', value: '1' }
+        ]
+      });
+
+      expect(parseError('attr:true')).to.include('attr needs an attribute name');
+      expect(parseError('label.kind:cat')).to.include('label has no attributes');
+      expect(parseError('attr.color>red')).to.include("attr.color can only be compared with '>' to a number");
+    });
+
+    it('should limit nesting', function() {
+      expect(parseError(`${'('.repeat(40)}label:a${')'.repeat(40)}`)).to.include('nested too deeply');
+    });
+  });
+
+  describe('compileImageQuery()', function() {
+    it('should compile terms to conditions on the images table with parameters', function() {
+      const compiled = compileImageQuery(parseImageQuery('NOT by:alice@x.com OR name:50%_off'));
+
+      expect(compiled.sql).to.equal(
+        "(NOT (COALESCE(i.created_by = ? COLLATE NOCASE, 0))) OR ((i.original_name LIKE ? ESCAPE '\\' OR i.filename LIKE ? ESCAPE '\\'))"
+      );
+      expect(compiled.params).to.deep.equal(['alice@x.com', '%50\\%\\_off%', '%50\\%\\_off%']);
+    });
+
+    it('should compile attribute terms to JSON lookups on annotations', function() {
+      const compiled = compileImageQuery(parseImageQuery('attr.occluded:false'));
+
+      expect(compiled.sql).to.equal('i.image_id IN (SELECT a.image_id FROM annotations a WHERE json_extract(a.attributes, ?) = ?)');
+      expect(compiled.params).to.deep.equal(['$.occluded', 0]);
+    });
+
+    it('should search words as prefixes and match nothing for text without words', function() {
+      expect(compileImageQuery(parseImageQuery('"golden ret"')).params).to.deep.equal(['"golden"* "ret"*']);
+      expect(compileImageQuery(parseImageQuery('"--"')).sql).to.equal('0');
+    });
+  });
+
+  describe('suggestQueryCompletions()', function() {
+    const labels = ['cat', 'car', 'golden retriever'];
+
+    it('should suggest field names for the word at the caret', function() {
+      const result = suggestQueryCompletions('label:cat AND co', undefined, labels);
+
+      expect(result).to.include({ start: 14, end: 16 });
+      expect(result.suggestions.map(suggestion => suggestion.value)).to.deep.equal(['confidence:']);
+    });
+
+    it('should suggest label names after label:, quoting them when needed', function() {
+      expect(suggestQueryCompletions('label:ca', 8, labels).suggestions.map(suggestion => suggestion.value))
+        .to.deep.equal(['label:cat', 'label:car']);
+
+      const quoted = suggestQueryCompletions('NOT label:"golden r', undefined, labels);
+      expect(quoted.start).to.equal(4);
+      expect(quoted.suggestions.map(suggestion => suggestion.value)).to.deep.equal(['label:"golden retriever"']);
+    });
+
+    it('should not suggest anything for values of other fields', function() {
+      expect(suggestQueryCompletions('confidence<0.', undefined, labels).suggestions).to.be.empty;
+      expect(suggestQueryCompletions('', 0, labels).suggestions).to.be.empty;
+    });
+
+    it('should quote values that hold spaces, quotes or parentheses', function() {
+      expect(quoteQueryValue('cat')).to.equal('cat');
+      expect(quoteQueryValue('say "hi" (now)')).to.equal('"say \\"hi\\" (now)"');
+    });
+  });
+});
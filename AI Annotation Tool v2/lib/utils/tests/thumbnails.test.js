@@ -0,0 +1,154 @@
+/**
+ * Thumbnail Utility Tests for AI Annotation Tool v2
+ * These tests verify variant sizes, EXIF orientation, storage of the variants and the backfill of existing images
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createLocalStorage } = require('../../storage/local');
+const { resetStorage } = require('../../storage');
+const { generateThumbnails, createThumbnails } = require('../thumbnails');
+
+/**
+ * Create a solid-colour JPEG of the given size
+ */
+function createJpeg(width, height, options = {}) {
+  const image = sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).jpeg();
+  return (options.orientation ? image.withMetadata({ orientation: options.orientation }) : image).toBuffer();
+}
+
+describe('Thumbnail Utility Tests', function() {
+  this.timeout(10000);
+
+  let root;
+  let storage;
+
+  before(function() {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnails-test-'));
+    storage = createLocalStorage({ root, folder: 'Annotations' });
+    resetStorage(storage);
+  });
+
+  after(function() {
+    resetStorage();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('generateThumbnails()', function() {
+    it('should scale the longest edge down to each variant size as WebP', async function() {
+      const variants = await generateThumbnails(await createJpeg(2000, 1000));
+
+      expect(variants.thumbnail_path).to.include({ width: 320, height: 160 });
+      expect(variants.preview_path).to.include({ width: 1280, height: 640 });
+      expect((await sharp(variants.thumbnail_path.data).metadata()).format).to.equal('webp');
+    });
+
+    it('should not enlarge small images', async function() {
+      const variants = await generateThumbnails(await createJpeg(100, 50));
+
+      expect(variants.thumbnail_path).to.include({ width: 100, height: 50 });
+      expect(variants.preview_path).to.include({ width: 100, height: 50 });
+    });
+
+    it('should apply the EXIF orientation', async function() {
+      // Orientation 6 means the camera was rotated 90 degrees, so the stored 400x200 pixels display as 200x400
+      const variants = await generateThumbnails(await createJpeg(400, 200, { orientation: 6 }));
+
+      expect(variants.thumbnail_path).to.include({ width: 160, height: 320 });
+    });
+  });
+
+  describe('createThumbnails()', function() {
+    it('should store both variants in the thumbnails folder', async function() {
+      const paths = await createThumbnails(await createJpeg(640, 480), { fileName: '1700000000000_cat.jpg' });
+
+      expect(paths.thumbnail_path).to.match(/^\/api\/files\/Annotations\/thumbnails\/\d+_1700000000000_cat_thumb\.webp$/);
+      expect(paths.preview_path).to.match(/^\/api\/files\/Annotations\/thumbnails\/\d+_1700000000000_cat_preview\.webp$/);
+      expect(await storage.exists(paths.thumbnail_path)).to.be.true;
+      expect(await storage.exists(paths.preview_path)).to.be.true;
+    });
+
+    it('should reject data that is not an image', async function() {
+      try {
+        await createThumbnails(Buffer.from('not an image'), { fileName: 'broken.jpg' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Failed to create thumbnails');
+      }
+    });
+  });
+
+  describe('backfillThumbnails()', function() {
+    const ORIGINAL_TEST_PATH = process.env.TEST_DB_PATH;
+    const TEST_DB_PATH = path.join(__dirname, '..', '..', '..', 'database', 'thumbnails_test.db');
+
+    let query;
+    let run;
+    let backfillThumbnails;
+
+    before(function() {
+      if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+      }
+      process.env.TEST_DB_PATH = TEST_DB_PATH;
+
+      const { initializeDatabase } = require('../../../database/init');
+      initializeDatabase();
+
+      ({ query, run } = require('../../database/connection'));
+      ({ backfillThumbnails } = require('../../data-access/images'));
+
+      run('DELETE FROM annotations');
+      run('DELETE FROM images');
+    });
+
+    after(function() {
+      const { closeDatabase } = require('../../database/connection');
+      closeDatabase();
+
+      if (fs.existsSync(TEST_DB_PATH)) {
+        fs.unlinkSync(TEST_DB_PATH);
+      }
+
+      if (ORIGINAL_TEST_PATH) {
+        process.env.TEST_DB_PATH = ORIGINAL_TEST_PATH;
+      } else {
+        delete process.env.TEST_DB_PATH;
+      }
+    });
+
+    it('should generate variants for images without them and report unreadable files', async function() {
+      const stored = await storage.upload(await createJpeg(800, 600), { fileName: 'street.jpg', mimeType: 'image/jpeg' });
+      run('INSERT INTO images (filename, original_name, file_path, file_size, mime_type, updated_at) VALUES (?, ?, ?, ?, ?, ?)', [
+        stored.fileName, 'street.jpg', stored.filePath, stored.fileSize, 'image/jpeg', '2024-01-01 00:00:00'
+      ]);
+      run("INSERT INTO images (filename, original_name, file_path, file_size, mime_type) VALUES ('gone.jpg', 'gone.jpg', '/api/files/Annotations/gone.jpg', 10, 'image/jpeg')");
+
+      const result = await backfillThumbnails();
+
+      expect(result).to.include({ processed: 2, generated: 1, failed: 1 });
+      expect(result.errors[0]).to.include({ filename: 'gone.jpg' });
+
+      const [street] = query('SELECT * FROM images WHERE filename = ?', [stored.fileName]);
+      expect(street.thumbnail_path).to.match(/_thumb\.webp$/);
+      expect(street.preview_path).to.match(/_preview\.webp$/);
+      expect(street.updated_at).to.equal('2024-01-01 00:00:00');
+    });
+
+    it('should skip images that already have variants unless forced, replacing the old files', async function() {
+      expect(await backfillThumbnails()).to.include({ processed: 1, generated: 0, failed: 1 });
+
+      const [before] = query("SELECT thumbnail_path FROM images WHERE thumbnail_path IS NOT NULL");
+      const result = await backfillThumbnails({ force: true });
+      const [after] = query("SELECT thumbnail_path FROM images WHERE thumbnail_path IS NOT NULL");
+
+      expect(result).to.include({ processed: 2, generated: 1 });
+      expect(after.thumbnail_path).to.not.equal(before.thumbnail_path);
+      expect(await storage.exists(before.thumbnail_path)).to.be.false;
+      expect(await storage.exists(after.thumbnail_path)).to.be.true;
+    });
+  });
+});
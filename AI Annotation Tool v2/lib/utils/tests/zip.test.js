@@ -0,0 +1,138 @@
+/**
+ * Zip Utility Tests for AI Annotation Tool v2
+ * These tests read back the generated archive structure to verify headers, compression and the central directory
+ */
+
+const { expect } = require('chai');
+const zlib = require('zlib');
+const { generateZip, createZipStream, readZip } = require('../zip');
+
+/**
+ * Concatenate all chunks of a zip generator
+ */
+async function collect(generator) {
+  const chunks = [];
+  for await (const chunk of generator) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read the entries of an archive through its central directory
+ */
+function readArchive(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).to.equal(0x06054B50);
+
+  const count = archive.readUInt16LE(end + 10);
+  let offset = archive.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(offset)).to.equal(0x02014B50);
+    const method = archive.readUInt16LE(offset + 10);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const payload = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(payload) : payload;
+
+    expect(zlib.crc32(data)).to.equal(archive.readUInt32LE(offset + 16));
+    entries.push({ name, method, data });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('Zip Utility Tests', function() {
+  describe('generateZip()', function() {
+    it('should write entries that can be read back', async function() {
+      const archive = await collect(generateZip([
+        { name: 'classes.txt', data: 'cat\ndog\n' },
+        { name: 'labels/ünïcode.txt', data: Buffer.from('0 0.5 0.5 0.1 0.1\n') }
+      ]));
+
+      const entries = readArchive(archive);
+      expect(entries.map(entry => entry.name)).to.deep.equal(['classes.txt', 'labels/ünïcode.txt']);
+      expect(entries[0].data.toString()).to.equal('cat\ndog\n');
+      expect(entries[1].data.toString()).to.equal('0 0.5 0.5 0.1 0.1\n');
+    });
+
+    it('should deflate compressible data and store incompressible data', async function() {
+      const archive = await collect(generateZip([
+        { name: 'repetitive.txt', data: 'a'.repeat(1000) },
+        { name: 'random.bin', data: require('crypto').randomBytes(256) }
+      ]));
+
+      const [repetitive, random] = readArchive(archive);
+      expect(repetitive.method).to.equal(8);
+      expect(random.method).to.equal(0);
+      expect(random.data).to.have.lengthOf(256);
+    });
+
+    it('should accept async entry sources and produce an empty archive without entries', async function() {
+      async function* source() {
+        yield { name: 'a.txt', data: 'a' };
+      }
+
+      expect(readArchive(await collect(generateZip(source())))).to.have.lengthOf(1);
+      expect(readArchive(await collect(generateZip([])))).to.have.lengthOf(0);
+    });
+  });
+
+  describe('createZipStream()', function() {
+    it('should expose the archive as a web ReadableStream', async function() {
+      const stream = createZipStream([{ name: 'a.txt', data: 'hello' }]);
+      const archive = Buffer.from(await new Response(stream).arrayBuffer());
+
+      expect(readArchive(archive)[0].data.toString()).to.equal('hello');
+    });
+  });
+
+  describe('readZip()', function() {
+    it('should read back the entries written by generateZip', async function() {
+      const archive = await collect(generateZip([
+        { name: 'classes.txt', data: 'cat\n'.repeat(100) },
+        { name: 'images/photo.jpg', data: require('crypto').randomBytes(64) }
+      ]));
+
+      const entries = readZip(archive);
+      expect(entries.map(entry => entry.name)).to.deep.equal(['classes.txt', 'images/photo.jpg']);
+      expect(entries[0].data.toString()).to.equal('cat\n'.repeat(100));
+      expect(entries[1].data).to.have.lengthOf(64);
+    });
+
+    it('should reject data that is not a zip archive', function() {
+      expect(() => readZip(Buffer.from('not a zip archive at all'))).to.throw('Invalid zip archive');
+    });
+
+    it('should check uncompressed sizes against the limits before inflating', async function() {
+      const archive = await collect(generateZip([
+        { name: 'small.txt', data: 'a'.repeat(10) },
+        { name: 'bomb.txt', data: 'a'.repeat(1000) }
+      ]));
+
+      expect(() => readZip(archive, { maxEntrySize: 100 })).to.throw("Invalid zip archive: 'bomb.txt' exceeds the 100 byte entry limit");
+      expect(() => readZip(archive, { maxTotalSize: 500 })).to.throw('Invalid zip archive: contents exceed the 500 byte limit');
+
+      const entries = readZip(archive, { maxEntrySize: 100, skipOversized: true });
+      expect(entries.map(entry => [entry.name, entry.size])).to.deep.equal([['small.txt', 10], ['bomb.txt', 1000]]);
+      expect(entries[1].data).to.be.null;
+    });
+
+    it('should not inflate past the size declared in the central directory', async function() {
+      const archive = await collect(generateZip([{ name: 'bomb.txt', data: 'a'.repeat(100000) }]));
+
+      // Understate the uncompressed size of the only entry
+      const centralDirectory = archive.readUInt32LE(archive.length - 22 + 16);
+      archive.writeUInt32LE(10, centralDirectory + 24);
+
+      expect(() => readZip(archive)).to.throw("Invalid zip archive: cannot inflate 'bomb.txt'");
+    });
+  });
+});
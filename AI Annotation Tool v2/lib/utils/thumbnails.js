@@ -0,0 +1,99 @@
+/**
+ * Thumbnail Utility Module
+ * Generates downscaled WebP copies of images with sharp and stores them with the configured storage backend
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const { config } = require('../database/config');
+const { getStorage } = require('../storage');
+
+// Variants by image column; size is the longest edge in pixels and smaller images are never enlarged
+const THUMBNAIL_VARIANTS = {
+  thumbnail_path: { suffix: 'thumb', size: 320, quality: 75 },
+  preview_path: { suffix: 'preview', size: 1280, quality: 82 }
+};
+
+/**
+ * Render the downscaled variants of an image
+ * EXIF orientation is applied so rotated photos come out upright; animated images keep their first frame
+ * @param {Buffer} data - Original image bytes
+ * @returns {Promise<Object>} Map of image column to { data, width, height }
+ */
+async function generateThumbnails(data) {
+  const variants = {};
+
+  for (const [column, variant] of Object.entries(THUMBNAIL_VARIANTS)) {
+    const { data: output, info } = await sharp(data, { failOn: 'none' })
+      .rotate()
+      .resize(variant.size, variant.size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: variant.quality })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[column] = { data: output, width: info.width, height: info.height };
+  }
+
+  return variants;
+}
+
+/**
+ * Generate the variants of an image and upload them next to the original in a thumbnails folder
+ * Variants already uploaded are deleted again when a later one fails
+ * @param {Buffer} data - Original image bytes
+ * @param {Object} file - File details
+ * @param {string} file.fileName - Stored file name of the original
+ * @param {string} [file.token] - Auth token for storage backends that need one
+ * @returns {Promise<Object>} { thumbnail_path, preview_path }
+ */
+async function createThumbnails(data, file) {
+  const storage = getStorage();
+  const stem = path.parse(file.fileName).name;
+  const uploaded = {};
+
+  try {
+    const variants = await generateThumbnails(data);
+
+    for (const [column, variant] of Object.entries(variants)) {
+      const stored = await storage.upload(variant.data, {
+        fileName: `${stem}_${THUMBNAIL_VARIANTS[column].suffix}.webp`,
+        mimeType: 'image/webp',
+        folder: `${config.storage.folder}/thumbnails`,
+        token: file.token
+      });
+      uploaded[column] = stored.filePath;
+    }
+
+    return uploaded;
+  } catch (error) {
+    await deleteThumbnails(uploaded, { token: file.token });
+    console.error('Error creating thumbnails:', error);
+    throw new Error(`Failed to create thumbnails: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the stored variants of an image; failures are logged and ignored
+ * @param {Object} image - Image record or map with thumbnail_path and preview_path
+ * @param {Object} [options] - { token }
+ * @returns {Promise<void>}
+ */
+async function deleteThumbnails(image, options = {}) {
+  const storage = getStorage();
+
+  for (const column of Object.keys(THUMBNAIL_VARIANTS)) {
+    if (image[column]) {
+      try {
+        await storage.delete(image[column], options);
+      } catch (error) {
+        console.warn(`Failed to delete ${column} ${image[column]}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = {
+  THUMBNAIL_VARIANTS,
+  generateThumbnails,
+  createThumbnails,
+  deleteThumbnails
+};
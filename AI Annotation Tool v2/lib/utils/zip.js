@@ -0,0 +1,248 @@
+/**
+ * Zip Archive Utility Module
+ * Streams zip archives entry by entry and reads uploaded archives using Node's built-in zlib (no external dependencies)
+ * Entries are deflated when that makes them smaller and stored as-is otherwise (e.g. JPEG bytes)
+ */
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// Classic zip limits; zip64 is not supported
+const MAX_ENTRIES = 0xFFFF;
+const MAX_SIZE = 0xFFFFFFFF;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+// General purpose flag bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Default limits on the uncompressed size of what readZip inflates, per entry and for the whole archive
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 512 * 1024 * 1024;
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ * @param {Date} date - Timestamp of the entry
+ * @returns {Object} { time, date } as 16-bit values
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build the local file header and central directory record for one entry
+ * @param {Object} entry - { name, data, date }
+ * @param {number} offset - Byte offset of the local header within the archive
+ * @returns {Object} { local, central } buffers with the (possibly compressed) data appended to local
+ */
+function encodeEntry(entry, offset) {
+  const name = Buffer.from(entry.name, 'utf8');
+  const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+
+  if (data.length > MAX_SIZE) {
+    throw new Error(`Zip entry '${entry.name}' exceeds 4 GB`);
+  }
+
+  const deflated = zlib.deflateRawSync(data);
+  const useDeflate = deflated.length < data.length;
+  const payload = useDeflate ? deflated : data;
+  const crc = zlib.crc32(data);
+  const { time, date } = toDosDateTime(entry.date || new Date());
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034B50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(FLAG_UTF8, 6);
+  local.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORE, 8);
+  local.writeUInt16LE(time, 10);
+  local.writeUInt16LE(date, 12);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(payload.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(name.length, 26);
+  local.writeUInt16LE(0, 28);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014B50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(FLAG_UTF8, 8);
+  central.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORE, 10);
+  central.writeUInt16LE(time, 12);
+  central.writeUInt16LE(date, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(payload.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(name.length, 28);
+  central.writeUInt32LE(offset, 42);
+
+  return {
+    local: Buffer.concat([local, name, payload]),
+    central: Buffer.concat([central, name])
+  };
+}
+
+/**
+ * Generate a zip archive as a sequence of buffers
+ * Only one entry is held in memory at a time, so large datasets can be streamed
+ * @param {AsyncIterable<Object>|Iterable<Object>} entries - Entries { name, data: Buffer|string, date? }
+ * @yields {Buffer} Archive chunks in order
+ */
+async function* generateZip(entries) {
+  const centralRecords = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    if (centralRecords.length >= MAX_ENTRIES) {
+      throw new Error(`Zip archives are limited to ${MAX_ENTRIES} entries`);
+    }
+
+    const { local, central } = encodeEntry(entry, offset);
+    centralRecords.push(central);
+    offset += local.length;
+
+    if (offset > MAX_SIZE) {
+      throw new Error('Zip archive exceeds 4 GB');
+    }
+
+    yield local;
+  }
+
+  const centralDirectory = Buffer.concat(centralRecords);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(centralRecords.length, 8);
+  end.writeUInt16LE(centralRecords.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield Buffer.concat([centralDirectory, end]);
+}
+
+/**
+ * Create a web ReadableStream of a zip archive, suitable for a streaming Response body
+ * @param {AsyncIterable<Object>|Iterable<Object>} entries - Entries { name, data: Buffer|string, date? }
+ * @returns {ReadableStream} Zip byte stream
+ */
+function createZipStream(entries) {
+  return Readable.toWeb(Readable.from(generateZip(entries)));
+}
+
+/**
+ * Read all file entries of a zip archive held in memory
+ * Supports stored and deflated entries; directories are skipped. Uncompressed sizes are checked against the limits
+ * before anything is inflated, so a small archive cannot expand into more memory than the limits allow
+ * @param {Buffer} buffer - Zip archive bytes
+ * @param {Object} [options] - Read options
+ * @param {number} [options.maxEntrySize=10MB] - Largest uncompressed size of a single entry
+ * @param {number} [options.maxTotalSize=512MB] - Largest uncompressed size of all entries together
+ * @param {boolean} [options.skipOversized=false] - Return entries over maxEntrySize with data null instead of rejecting the archive
+ * @returns {Array<Object>} Entries { name, size, data: Buffer|null } in central directory order
+ */
+function readZip(buffer, options = {}) {
+  const maxEntrySize = options.maxEntrySize || MAX_ENTRY_SIZE;
+  const maxTotalSize = options.maxTotalSize || MAX_TOTAL_SIZE;
+
+  // The end of central directory record sits at the end, followed by an optional comment of up to 64 KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    throw new Error('Invalid zip archive: end of central directory not found');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  let totalSize = 0;
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+      throw new Error('Invalid zip archive: corrupt central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    if (flags & 0x0001) {
+      throw new Error(`Invalid zip archive: '${name}' is encrypted`);
+    }
+
+    if (compressedSize === MAX_SIZE || size === MAX_SIZE || localOffset === MAX_SIZE) {
+      throw new Error('Invalid zip archive: zip64 archives are not supported');
+    }
+
+    if (size > maxEntrySize) {
+      if (!options.skipOversized) {
+        throw new Error(`Invalid zip archive: '${name}' exceeds the ${maxEntrySize} byte entry limit`);
+      }
+      entries.push({ name, size, data: null });
+      continue;
+    }
+
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`Invalid zip archive: contents exceed the ${maxTotalSize} byte limit`);
+    }
+
+    // Sizes are taken from the central directory; the local header may defer them to a data descriptor
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const payload = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORE) {
+      data = payload;
+    } else if (method === METHOD_DEFLATE) {
+      try {
+        // Never inflate past the declared size, whatever the compressed stream holds
+        data = zlib.inflateRawSync(payload, { maxOutputLength: Math.max(size, 1) });
+      } catch (error) {
+        throw new Error(`Invalid zip archive: cannot inflate '${name}' (${error.message})`);
+      }
+    } else {
+      throw new Error(`Invalid zip archive: '${name}' uses unsupported compression method ${method}`);
+    }
+
+    if (data.length !== size) {
+      throw new Error(`Invalid zip archive: size mismatch for '${name}'`);
+    }
+
+    if (zlib.crc32(data) !== crc) {
+      throw new Error(`Invalid zip archive: checksum mismatch for '${name}'`);
+    }
+
+    entries.push({ name, size, data });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  MAX_ENTRY_SIZE,
+  generateZip,
+  createZipStream,
+  readZip
+};